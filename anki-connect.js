@@ -0,0 +1,368 @@
+// AnkiConnect integration
+// Pushes words saved from the context menu to a running Anki (AnkiConnect add-on).
+// Pushes go through a persistent queue, so words saved while Anki is closed are
+// retried on an alarm. Runs in the background worker; the popup only uses the
+// config helpers and talks to the worker through messages.
+
+const AnkiConnect = {
+  API_VERSION: 6,
+  QUEUE_KEY: 'ankiQueue',
+  STATUS_KEY: 'ankiStatus',
+  ALARM_NAME: 'ankiConnectRetry',
+  RETRY_MINUTES: 5,
+  MAX_BACKOFF_MS: 60 * 60 * 1000,
+  REQUEST_TIMEOUT_MS: 5000,
+
+  // Tag added to every pushed note
+  NOTE_TAG: 'lingua-lens',
+
+  // Word values that can be mapped to note fields
+  SOURCES: {
+    original: 'Word',
+    translation: 'Translation',
+    pinyin: 'Pinyin',
+    example: 'Example',
+    sourceUrl: 'Source URL'
+  },
+
+  // Stored as settings.ankiConnect (the API key is kept in the secrets vault)
+  DEFAULT_CONFIG: {
+    enabled: false,
+    url: 'http://127.0.0.1:8765',
+    deck: 'Lingua Lens',
+    noteType: 'Basic',
+    // Word value -> note field name ('' = not sent)
+    fieldMap: {
+      original: 'Front',
+      translation: 'Back',
+      pinyin: '',
+      example: '',
+      sourceUrl: ''
+    }
+  },
+
+  processing: null,
+  rerun: false,
+  queueLock: Promise.resolve(),
+
+  // Settings merged over the defaults
+  getConfig(settings) {
+    const config = (settings && settings.ankiConnect) || {};
+    return {
+      ...this.DEFAULT_CONFIG,
+      ...config,
+      fieldMap: { ...this.DEFAULT_CONFIG.fieldMap, ...(config.fieldMap || {}) }
+    };
+  },
+
+  // Call an AnkiConnect action. Errors carry kind 'network' (retry later)
+  // or 'anki' (AnkiConnect rejected the request - usually configuration).
+  // config.apiKey overrides the saved key (used to test a key before saving it);
+  // config.useSavedKey: false keeps the saved key out of the request.
+  async request(config, action, params = {}) {
+    const apiKey = config.apiKey || (config.useSavedKey === false ? '' : await Secrets.get('ankiConnect'));
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), this.REQUEST_TIMEOUT_MS);
+
+    let response;
+    try {
+      response = await fetch(config.url, {
+        method: 'POST',
+        body: JSON.stringify({
+          action,
+          version: this.API_VERSION,
+          params,
+          ...(apiKey ? { key: apiKey } : {})
+        }),
+        signal: controller.signal
+      });
+    } catch (error) {
+      throw this._error('network', `AnkiConnect not reachable at ${config.url}`);
+    } finally {
+      clearTimeout(timeout);
+    }
+
+    if (!response.ok) {
+      throw this._error(response.status === 403 ? 'anki' : 'network',
+        `AnkiConnect returned HTTP ${response.status}`);
+    }
+
+    let data;
+    try {
+      data = await response.json();
+    } catch (error) {
+      throw this._error('anki', 'AnkiConnect sent an invalid response');
+    }
+
+    if (data.error) {
+      throw this._error('anki', data.error);
+    }
+    return data.result;
+  },
+
+  _error(kind, message) {
+    const error = new Error(message);
+    error.kind = kind;
+    return error;
+  },
+
+  // Check the connection and list what can be configured
+  async testConnection(config) {
+    const version = await this.request(config, 'version');
+    const [decks, noteTypes] = await Promise.all([
+      this.request(config, 'deckNames'),
+      this.request(config, 'modelNames')
+    ]);
+    const fields = noteTypes.includes(config.noteType)
+      ? await this.request(config, 'modelFieldNames', { modelName: config.noteType })
+      : [];
+
+    return { version, decks, noteTypes, fields };
+  },
+
+  // Note fields for a word according to the field map
+  buildFields(entry, fieldMap) {
+    const values = AnkiExport.fieldValues(entry);
+    const fields = {};
+
+    Object.entries(fieldMap).forEach(([source, fieldName]) => {
+      if (fieldName && values[source] !== undefined) {
+        fields[fieldName] = values[source];
+      }
+    });
+
+    if (Object.keys(fields).length === 0) {
+      throw this._error('anki', 'No note fields are mapped');
+    }
+    return fields;
+  },
+
+  // Anki search query for a field value (quotes, wildcards and backslashes escaped)
+  _searchQuery(deck, fieldName, value) {
+    const escape = text => String(text).replace(/([\\"*_:])/g, '\\$1');
+    return `"deck:${escape(deck)}" "${escape(fieldName)}:${escape(value)}"`;
+  },
+
+  // Add the word as a note, or update the existing note with the same first field.
+  // Returns 'added' or 'updated'.
+  async pushNote(config, entry) {
+    const fields = this.buildFields(entry, config.fieldMap);
+    const keyField = config.fieldMap.original || Object.keys(fields)[0];
+    const tags = [this.NOTE_TAG, ...AnkiExport.toAnkiTags(entry.tags).trim().split(' ').filter(Boolean)];
+
+    // Duplicate detection: same first field already in the deck
+    const existing = await this.request(config, 'findNotes', {
+      query: this._searchQuery(config.deck, keyField, fields[keyField])
+    });
+
+    if (existing.length > 0) {
+      await this.request(config, 'updateNoteFields', { note: { id: existing[0], fields } });
+      return 'updated';
+    }
+
+    await this.request(config, 'addNote', {
+      note: {
+        deckName: config.deck,
+        modelName: config.noteType,
+        fields,
+        tags,
+        options: { allowDuplicate: false, duplicateScope: 'deck' }
+      }
+    });
+    return 'added';
+  },
+
+  // ============================================
+  // Queue
+  // ============================================
+
+  // Serialize read-modify-write of the queue
+  _updateQueue(mutate) {
+    const run = this.queueLock.then(async () => {
+      const data = await chrome.storage.local.get([this.QUEUE_KEY]);
+      const queue = data[this.QUEUE_KEY] || [];
+      const result = mutate(queue);
+      await chrome.storage.local.set({ [this.QUEUE_KEY]: queue });
+      return result;
+    });
+    this.queueLock = run.catch(() => {});
+    return run;
+  },
+
+  async _getQueue() {
+    const data = await chrome.storage.local.get([this.QUEUE_KEY]);
+    return data[this.QUEUE_KEY] || [];
+  },
+
+  async _setStatus(update) {
+    const data = await chrome.storage.local.get([this.STATUS_KEY]);
+    await chrome.storage.local.set({ [this.STATUS_KEY]: { ...(data[this.STATUS_KEY] || {}), ...update } });
+  },
+
+  // Queue a saved word (re-queues it if it is already waiting or failed).
+  // `revision` counts the times it was queued, so a push that read the word
+  // before it was queued again doesn't remove it.
+  async enqueue(profileId, wordKey) {
+    const id = `${profileId}:${wordKey}`;
+
+    await this._updateQueue(queue => {
+      const item = queue.find(queued => queued.id === id);
+      if (item) {
+        Object.assign(item, { status: 'pending', nextAttemptAt: 0, lastError: null, revision: (item.revision || 0) + 1 });
+      } else {
+        queue.push({
+          id,
+          profile: profileId,
+          word: wordKey,
+          status: 'pending',
+          attempts: 0,
+          lastError: null,
+          nextAttemptAt: 0,
+          revision: 0,
+          addedAt: Date.now()
+        });
+      }
+    });
+  },
+
+  // Called after a word is saved from the context menu
+  async pushSavedWord(word) {
+    const settings = await StorageManager.getSettings();
+    if (!this.getConfig(settings).enabled) return;
+
+    const profile = await StorageManager.getActiveProfile();
+    await this.enqueue(profile.id, word.toLowerCase());
+    await this.processQueue();
+  },
+
+  // Push queued words that are due. Only one run at a time; a call during a run
+  // runs again after it, for words queued meanwhile.
+  processQueue({ includeFailed = false } = {}) {
+    if (this.processing) {
+      this.rerun = true;
+      return this.processing;
+    }
+
+    this.processing = (async () => {
+      let result;
+      do {
+        this.rerun = false;
+        result = await this._process(includeFailed);
+      } while (this.rerun);
+      return result;
+    })().finally(() => {
+      this.processing = null;
+    });
+    return this.processing;
+  },
+
+  async _process(includeFailed) {
+    const config = this.getConfig(await StorageManager.getSettings());
+    if (!config.enabled) return { pushed: 0 };
+
+    const now = Date.now();
+    const due = (await this._getQueue()).filter(item =>
+      (item.status === 'pending' && item.nextAttemptAt <= now) || (includeFailed && item.status === 'failed'));
+    if (due.length === 0) return { pushed: 0 };
+
+    // Outcome per queue item id: null = done (remove), otherwise fields to update
+    const outcomes = {};
+    let pushed = 0;
+    let lastError = null;
+
+    try {
+      await this.request(config, 'version');
+      await this.request(config, 'createDeck', { deck: config.deck });
+    } catch (error) {
+      due.forEach(item => {
+        outcomes[item.id] = this._failure(item, error, now);
+      });
+      lastError = error.message;
+    }
+
+    if (!lastError) {
+      for (const item of due) {
+        const entry = await VocabDB.getWord(item.profile, item.word);
+        if (!entry) {
+          // Deleted before it could be pushed
+          outcomes[item.id] = null;
+          continue;
+        }
+
+        try {
+          await this.pushNote(config, entry);
+          outcomes[item.id] = null;
+          pushed++;
+        } catch (error) {
+          outcomes[item.id] = this._failure(item, error, now);
+          lastError = error.message;
+        }
+      }
+    }
+
+    // Merge into the current queue: items queued again during the run keep their new state
+    const revisions = Object.fromEntries(due.map(item => [item.id, item.revision]));
+    await this._updateQueue(queue => {
+      for (let i = queue.length - 1; i >= 0; i--) {
+        const id = queue[i].id;
+        if (!(id in outcomes) || queue[i].revision !== revisions[id]) continue;
+        if (outcomes[id] === null) {
+          queue.splice(i, 1);
+        } else {
+          Object.assign(queue[i], outcomes[id]);
+        }
+      }
+    });
+
+    await this._setStatus({
+      lastAttempt: now,
+      ...(pushed > 0 ? { lastSync: now } : {}),
+      lastError
+    });
+
+    console.log(`[AnkiConnect] Pushed ${pushed} of ${due.length} queued words`);
+    return { pushed, lastError };
+  },
+
+  // Queue item update after a failed push: network errors back off and retry,
+  // errors from AnkiConnect itself wait for the user to fix the setup and retry
+  _failure(item, error, now) {
+    const attempts = item.attempts + 1;
+    if (error.kind === 'network') {
+      const backoff = Math.min(this.MAX_BACKOFF_MS, this.RETRY_MINUTES * 60 * 1000 * 2 ** (attempts - 1));
+      return { attempts, status: 'pending', lastError: error.message, nextAttemptAt: now + backoff };
+    }
+    return { attempts, status: 'failed', lastError: error.message };
+  },
+
+  // Retry failed pushes now
+  async retryFailed() {
+    await this._updateQueue(queue => {
+      queue.forEach(item => {
+        item.nextAttemptAt = 0;
+      });
+    });
+    return this.processQueue({ includeFailed: true });
+  },
+
+  // Pending / failed counts for the popup
+  async getStatus() {
+    const config = this.getConfig(await StorageManager.getSettings());
+    const queue = await this._getQueue();
+    const data = await chrome.storage.local.get([this.STATUS_KEY]);
+    const status = data[this.STATUS_KEY] || {};
+
+    return {
+      enabled: config.enabled,
+      pending: queue.filter(item => item.status === 'pending').length,
+      failed: queue.filter(item => item.status === 'failed').map(({ word, lastError }) => ({ word, lastError })),
+      lastSync: status.lastSync || null,
+      lastError: status.lastError || null
+    };
+  }
+};
+
+// Make available globally
+if (typeof window !== 'undefined') {
+  window.AnkiConnect = AnkiConnect;
+}
@@ -0,0 +1,366 @@
+// Anki deck export (.apkg)
+// Builds a legacy (schema 11) Anki collection with SQLiteWriter and packs it
+// with an empty media manifest using ZipWriter - entirely offline.
+
+const AnkiExport = {
+  // Fixed so repeated exports reuse the same note type in Anki
+  MODEL_ID: 1735689600100,
+  MODEL_NAME: 'Lingua Lens Vocabulary',
+  FIELDS: ['Front', 'Back', 'Pinyin', 'Example', 'Source URL'],
+
+  // Anki separates note fields with the unit separator
+  FIELD_SEPARATOR: '\x1f',
+
+  SCHEMA_VERSION: 11,
+  DEFAULT_DECK_ID: 1,
+  DEFAULT_CONFIG_ID: 1,
+
+  CARD_CSS: `.card {
+  font-family: Arial, sans-serif;
+  font-size: 24px;
+  text-align: center;
+  color: #333;
+  background: #fff;
+}
+.back { color: #667eea; }
+.pinyin { font-size: 16px; color: #999; margin-top: 4px; }
+.example { font-size: 14px; font-style: italic; margin-top: 12px; }
+.source { font-size: 12px; margin-top: 12px; }`,
+
+  // Tables of a schema 11 collection.anki2
+  TABLES: {
+    col: `CREATE TABLE col (
+    id              integer primary key,
+    crt             integer not null,
+    mod             integer not null,
+    scm             integer not null,
+    ver             integer not null,
+    dty             integer not null,
+    usn             integer not null,
+    ls              integer not null,
+    conf            text not null,
+    models          text not null,
+    decks           text not null,
+    dconf           text not null,
+    tags            text not null
+)`,
+    notes: `CREATE TABLE notes (
+    id              integer primary key,
+    guid            text not null,
+    mid             integer not null,
+    mod             integer not null,
+    usn             integer not null,
+    tags            text not null,
+    flds            text not null,
+    sfld            integer not null,
+    csum            integer not null,
+    flags           integer not null,
+    data            text not null
+)`,
+    cards: `CREATE TABLE cards (
+    id              integer primary key,
+    nid             integer not null,
+    did             integer not null,
+    ord             integer not null,
+    mod             integer not null,
+    usn             integer not null,
+    type            integer not null,
+    queue           integer not null,
+    due             integer not null,
+    ivl             integer not null,
+    factor          integer not null,
+    reps            integer not null,
+    lapses          integer not null,
+    left            integer not null,
+    odue            integer not null,
+    odid            integer not null,
+    flags           integer not null,
+    data            text not null
+)`,
+    revlog: `CREATE TABLE revlog (
+    id              integer primary key,
+    cid             integer not null,
+    usn             integer not null,
+    ease            integer not null,
+    ivl             integer not null,
+    lastIvl         integer not null,
+    factor          integer not null,
+    time            integer not null,
+    type            integer not null
+)`,
+    graves: `CREATE TABLE graves (
+    usn             integer not null,
+    oid             integer not null,
+    type            integer not null
+)`
+  },
+
+  // Build the .apkg file for a words map. Returns a Uint8Array.
+  async buildPackage(words, { deckName, profileId, now = Date.now() }) {
+    const collection = await this.buildCollection(words, { deckName, profileId, now });
+
+    return ZipWriter.build([
+      { name: 'collection.anki2', data: collection },
+      // Media manifest: maps numbered files in the zip to names - no media yet
+      { name: 'media', data: '{}' }
+    ], new Date(now));
+  },
+
+  // Build the SQLite collection file
+  async buildCollection(words, { deckName, profileId, now = Date.now() }) {
+    const nowSeconds = Math.floor(now / 1000);
+    const deckId = this.deckId(profileId);
+    const notes = [];
+    const cards = [];
+
+    const entries = Object.entries(words);
+    for (let index = 0; index < entries.length; index++) {
+      const [key, entry] = entries[index];
+      const fields = this.noteFields(entry);
+      const sortField = this.stripHtml(fields[0]);
+      const noteId = now + index;
+
+      notes.push([
+        noteId,
+        await this.guid(`${profileId}:${key}`),
+        this.MODEL_ID,
+        nowSeconds,
+        -1,
+        this.toAnkiTags(entry.tags),
+        fields.join(this.FIELD_SEPARATOR),
+        sortField,
+        await this.checksum(sortField),
+        0,
+        ''
+      ]);
+
+      // One new card per note (Front -> Back), shown in the order words were listed
+      cards.push([noteId, noteId, deckId, 0, nowSeconds, -1, 0, 0, index + 1, 0, 0, 0, 0, 0, 0, 0, 0, '']);
+    }
+
+    const collectionRow = [
+      1,
+      Math.floor(new Date(now).setHours(4, 0, 0, 0) / 1000),  // day rollover at 4am
+      now,
+      now,
+      this.SCHEMA_VERSION,
+      0,
+      0,
+      0,
+      JSON.stringify(this._collectionConfig(deckId, entries.length)),
+      JSON.stringify({ [this.MODEL_ID]: this._model(deckId, nowSeconds) }),
+      JSON.stringify({
+        [this.DEFAULT_DECK_ID]: this._deck(this.DEFAULT_DECK_ID, 'Default', nowSeconds),
+        [deckId]: this._deck(deckId, deckName, nowSeconds)
+      }),
+      JSON.stringify({ [this.DEFAULT_CONFIG_ID]: this._deckConfig(nowSeconds) }),
+      '{}'
+    ];
+
+    return SQLiteWriter.build([
+      { name: 'col', sql: this.TABLES.col, rowidColumn: 0, rows: [collectionRow] },
+      { name: 'notes', sql: this.TABLES.notes, rowidColumn: 0, rows: notes },
+      { name: 'cards', sql: this.TABLES.cards, rowidColumn: 0, rows: cards },
+      { name: 'revlog', sql: this.TABLES.revlog, rowidColumn: 0, rows: [] },
+      { name: 'graves', sql: this.TABLES.graves, rowidColumn: null, rows: [] }
+    ]);
+  },
+
+  // Card-ready (HTML-escaped) values of a word, also used by AnkiConnect field mapping
+  fieldValues(entry) {
+    const senses = Senses.getActiveSenses(entry);
+    const pinyin = senses.map(sense => sense.pinyin).filter(Boolean);
+    const context = WordContexts.latest(entry) || {};
+    const example = (senses.find(sense => sense.example) || {}).example ||
+      entry.sourceText || context.sentence || '';
+
+    return {
+      original: this.escapeHtml(entry.original),
+      translation: this.escapeHtml(Senses.summarize(entry) || entry.translation || ''),
+      pinyin: this.escapeHtml(pinyin.join(' · ')),
+      example: this.escapeHtml(example),
+      sourceUrl: this.escapeHtml(entry.sourceUrl || context.url || '')
+    };
+  },
+
+  // Field values (HTML) in FIELDS order
+  noteFields(entry) {
+    const values = this.fieldValues(entry);
+    return [values.original, values.translation, values.pinyin, values.example, values.sourceUrl];
+  },
+
+  // Anki tags are space separated, so spaces inside a tag become underscores
+  toAnkiTags(tags) {
+    const ankiTags = (tags || [])
+      .map(tag => String(tag).trim().replace(/\s+/g, '_'))
+      .filter(Boolean);
+    return ankiTags.length > 0 ? ` ${ankiTags.join(' ')} ` : '';
+  },
+
+  // Stable deck id per profile, so re-importing updates the same deck
+  deckId(profileId) {
+    let hash = 0;
+    for (const char of String(profileId)) {
+      hash = (hash * 31 + char.codePointAt(0)) % 1000000;
+    }
+    return 1735689600000 + hash;
+  },
+
+  escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  },
+
+  stripHtml(html) {
+    return html
+      .replace(/<[^>]*>/g, '')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&amp;/g, '&');
+  },
+
+  async _sha1(text) {
+    const digest = await crypto.subtle.digest('SHA-1', new TextEncoder().encode(text));
+    return new Uint8Array(digest);
+  },
+
+  // Anki's duplicate check: first 32 bits of the SHA-1 of the sort field
+  async checksum(sortField) {
+    const hash = await this._sha1(sortField);
+    return ((hash[0] << 24) | (hash[1] << 16) | (hash[2] << 8) | hash[3]) >>> 0;
+  },
+
+  // Stable note guid, so exporting the same word again updates the note instead of duplicating it
+  async guid(seed) {
+    const hash = await this._sha1(`lingua-lens:${seed}`);
+    return btoa(String.fromCharCode(...hash.subarray(0, 8))).replace(/=+$/, '');
+  },
+
+  // ============================================
+  // Collection JSON blobs (schema 11)
+  // ============================================
+
+  _collectionConfig(deckId, noteCount) {
+    return {
+      activeDecks: [deckId],
+      curDeck: deckId,
+      newSpread: 0,
+      collapseTime: 1200,
+      timeLim: 0,
+      estTimes: true,
+      dueCounts: true,
+      curModel: this.MODEL_ID,
+      nextPos: noteCount + 1,
+      sortType: 'noteFld',
+      sortBackwards: false,
+      addToCur: true
+    };
+  },
+
+  _model(deckId, nowSeconds) {
+    return {
+      id: this.MODEL_ID,
+      name: this.MODEL_NAME,
+      type: 0,
+      mod: nowSeconds,
+      usn: -1,
+      sortf: 0,
+      did: deckId,
+      tmpls: [{
+        name: 'Recognition',
+        ord: 0,
+        qfmt: '<div class="front">{{Front}}</div>',
+        afmt: '{{FrontSide}}\n<hr id="answer">\n<div class="back">{{Back}}</div>\n' +
+          '{{#Pinyin}}<div class="pinyin">{{Pinyin}}</div>{{/Pinyin}}\n' +
+          '{{#Example}}<div class="example">{{Example}}</div>{{/Example}}\n' +
+          '{{#Source URL}}<div class="source"><a href="{{Source URL}}">Source</a></div>{{/Source URL}}',
+        did: null,
+        bqfmt: '',
+        bafmt: ''
+      }],
+      flds: this.FIELDS.map((name, ord) => ({
+        name,
+        ord,
+        sticky: false,
+        rtl: false,
+        font: 'Arial',
+        size: 20,
+        media: []
+      })),
+      css: this.CARD_CSS,
+      latexPre: '\\documentclass[12pt]{article}\n\\special{papersize=3in,5in}\n\\usepackage[utf8]{inputenc}\n' +
+        '\\usepackage{amssymb,amsmath}\n\\pagestyle{empty}\n\\setlength{\\parindent}{0in}\n\\begin{document}\n',
+      latexPost: '\\end{document}',
+      latexsvg: false,
+      req: [[0, 'any', [0]]],
+      tags: [],
+      vers: []
+    };
+  },
+
+  _deck(id, name, nowSeconds) {
+    return {
+      id,
+      name,
+      mod: nowSeconds,
+      usn: -1,
+      lrnToday: [0, 0],
+      revToday: [0, 0],
+      newToday: [0, 0],
+      timeToday: [0, 0],
+      collapsed: false,
+      browserCollapsed: false,
+      desc: '',
+      dyn: 0,
+      conf: this.DEFAULT_CONFIG_ID,
+      extendNew: 0,
+      extendRev: 0
+    };
+  },
+
+  _deckConfig(nowSeconds) {
+    return {
+      id: this.DEFAULT_CONFIG_ID,
+      name: 'Default',
+      mod: nowSeconds,
+      usn: -1,
+      maxTaken: 60,
+      autoplay: true,
+      timer: 0,
+      replayq: true,
+      dyn: false,
+      new: {
+        delays: [1, 10],
+        ints: [1, 4, 0],
+        initialFactor: 2500,
+        order: 1,
+        perDay: 20,
+        bury: false
+      },
+      rev: {
+        perDay: 200,
+        ease4: 1.3,
+        ivlFct: 1,
+        maxIvl: 36500,
+        hardFactor: 1.2,
+        bury: false
+      },
+      lapse: {
+        delays: [10],
+        mult: 0,
+        minInt: 1,
+        leechFails: 8,
+        leechAction: 1
+      }
+    };
+  }
+};
+
+// Make available globally
+if (typeof window !== 'undefined') {
+  window.AnkiExport = AnkiExport;
+}
@@ -1,7 +1,7 @@
 // Background Service Worker for Language Learning Extension
 // Handles context menus, API calls, and inter-script communication
 
-importScripts('translator.js', 'jieba-full.js', 'claude-api.js', 'openai-api.js', 'gemini-api.js');
+importScripts('srs.js', 'senses.js', 'word-contexts.js', 'exposures.js', 'vocab-db.js', 'storage.js', 'secrets.js', 'migrations.js', 'vocab-import.js', 'vocab-filter.js', 'word-lists.js', 'backups.js', 'vocab-sync.js', 'usage.js', 'cedict.js', 'translation-providers.js', 'request-scheduler.js', 'translator.js', 'anki-export.js', 'anki-connect.js', 'jieba-full.js', 'claude-api.js', 'openai-api.js', 'gemini-api.js');
 
 // Version and debug info
 console.log('╔══════════════════════════════════════════════════════════╗');
@@ -14,61 +14,29 @@ console.log('║  Gemini API Base URL:', GeminiAPI.API_BASE_URL.padEnd(28), '║
 console.log('║  Gemini Models:', JSON.stringify(GeminiAPI.MODELS).substring(0,36), '║');
 console.log('╚══════════════════════════════════════════════════════════╝');
 
-// Load translation cache when service worker starts
-TranslatorAPI.loadCacheFromStorage().then(() => {
-  console.log('Translation cache loaded');
-}).catch(error => {
-  console.error('Failed to load translation cache:', error);
-});
-
-// Migrate old Gemini model names to new 2.5 models (1.5 series deprecated)
-async function migrateSettings() {
-  return new Promise((resolve) => {
-    chrome.storage.local.get(['settings'], (data) => {
-      if (!data.settings) {
-        resolve(false);
-        return;
-      }
-
-      const settings = data.settings;
-      let needsUpdate = false;
-
-      // Migrate all old Gemini 1.5 model names to new 2.5 series
-      const oldToNewModels = {
-        'gemini-1.5-flash-8b-latest': 'gemini-2.5-flash-lite',
-        'gemini-1.5-flash-latest': 'gemini-2.5-flash',
-        'gemini-1.5-flash': 'gemini-2.5-flash',
-        'gemini-1.5-pro-latest': 'gemini-2.5-pro',
-        'gemini-1.5-pro': 'gemini-2.5-pro'
-      };
-
-      if (settings.geminiModel && oldToNewModels[settings.geminiModel]) {
-        const oldModel = settings.geminiModel;
-        settings.geminiModel = oldToNewModels[oldModel];
-        needsUpdate = true;
-        console.log(`[MIGRATION] Updated ${oldModel} → ${settings.geminiModel}`);
-      }
+// Stored data on the current schema. Migrations run once per worker start (an
+// install or update starts the worker too); everything that reads or writes
+// stored words waits for them: startup jobs, alarms, context menu actions and
+// word messages (see afterMigrations).
+const migrationsReady = StorageMigrations.ready();
+migrationsReady.catch(error => console.error('[MIGRATION] Storage migration failed:', error));
 
-      if (needsUpdate) {
-        chrome.storage.local.set({ settings }, () => {
-          console.log('[MIGRATION] Settings migrated to Gemini 2.5 models');
-          resolve(true);
-        });
-      } else {
-        console.log('[MIGRATION] No migration needed - settings are up to date');
-        resolve(false);
-      }
-    });
-  });
+// Answer a message with task() once the migrations are done, or with an error if they failed
+async function afterMigrations(sendResponse, task) {
+  try {
+    await migrationsReady;
+  } catch (error) {
+    sendResponse({ success: false, error: `Stored words could not be upgraded: ${error.message}` });
+    return;
+  }
+  await task();
 }
 
-// Run migration on service worker startup
-migrateSettings().then((migrated) => {
-  if (migrated) {
-    console.log('[MIGRATION] Settings migration completed');
-  }
+// Load translation cache when service worker starts
+migrationsReady.then(() => TranslatorAPI.loadCacheFromStorage()).then(() => {
+  console.log('Translation cache loaded');
 }).catch(error => {
-  console.error('[MIGRATION] Failed to migrate settings:', error);
+  console.error('Failed to load translation cache:', error);
 });
 
 // Create context menus on startup (in case service worker was restarted)
@@ -107,28 +75,8 @@ createContextMenus();
 chrome.runtime.onInstalled.addListener(async (details) => {
   console.log('Language Learning Extension installed:', details.reason);
 
-  // Load translation cache
-  await TranslatorAPI.loadCacheFromStorage();
-
-  // Initialize storage
-  const result = await chrome.storage.local.get(['knownWords', 'settings']);
-
-  if (!result.knownWords) {
-    await chrome.storage.local.set({ knownWords: {} });
-  }
-
-  if (!result.settings) {
-    await chrome.storage.local.set({
-      settings: {
-        targetLanguage: 'zh-CN',
-        sourceLanguage: 'en',
-        apiKey: '',
-        mode: 'learn',
-        autoTranslate: true,
-        showTooltips: true
-      }
-    });
-  }
+  // Stored data is upgraded by migrationsReady (also fills in default settings)
+  await migrationsReady.catch(() => {});
 
   // Create context menus
   createContextMenus();
@@ -143,7 +91,7 @@ chrome.contextMenus.onClicked.addListener(async (info, tab) => {
   const settings = await getSettings();
 
   if (info.menuItemId === 'translate-and-save') {
-    await translateAndSave(selectedText, settings, tab.id);
+    await translateAndSave(selectedText, settings, tab.id, info.pageUrl || tab.url);
   } else if (info.menuItemId === 'translate-only') {
     await translateOnly(selectedText, settings, tab.id);
   } else if (info.menuItemId === 'mark-chinese-known') {
@@ -157,17 +105,25 @@ chrome.contextMenus.onClicked.addListener(async (info, tab) => {
   }
 });
 
-// Translate selected text and save to known words
-async function translateAndSave(text, settings, tabId) {
+// Ask the content script for the sentence around the selection, the page title
+// and URL. Pages without a content script still get the URL.
+async function getSelectionContext(tabId, pageUrl = null) {
   try {
-    if (!settings.apiKey) {
-      chrome.tabs.sendMessage(tabId, {
-        action: 'showNotification',
-        message: 'Please set your Google Translate API key in extension settings',
-        type: 'error'
-      });
-      return;
-    }
+    const response = await chrome.tabs.sendMessage(tabId, { action: 'getSelectionContext' });
+    if (response && response.context) return response.context;
+  } catch (error) {
+    console.warn('Could not get selection context:', error.message);
+  }
+  return pageUrl ? { url: pageUrl } : null;
+}
+
+// Translate selected text and save to known words, tagged with the page's site
+async function translateAndSave(text, settings, tabId, pageUrl = null) {
+  try {
+    await migrationsReady;
+
+    // Capture the context before the selection changes
+    const context = await getSelectionContext(tabId, pageUrl);
 
     // Show loading notification
     chrome.tabs.sendMessage(tabId, {
@@ -180,43 +136,36 @@ async function translateAndSave(text, settings, tabId) {
     const result = await TranslatorAPI.translate(
       text,
       settings.targetLanguage,
-      settings.sourceLanguage,
-      settings.apiKey
+      settings.sourceLanguage
     );
 
     // Pinyin generation is handled by content scripts
     // No pinyin in background worker since libraries aren't compatible with service workers
     let pinyin = null;
 
-    // Save to storage
-    const knownWords = await getKnownWords();
-    const wordKey = text.toLowerCase();
+    // Save to the active vocabulary profile
+    await StorageManager.addWord(text, result.translatedText, null, pinyin, {
+      sourceLanguage: result.sourceLanguage,
+      tags: VocabFilter.sourceTags('contextMenu', pageUrl),
+      context
+    });
 
-    if (knownWords[wordKey]) {
-      knownWords[wordKey].translation = result.translatedText;
-      if (pinyin) {
-        knownWords[wordKey].pinyin = pinyin;
-      }
-      knownWords[wordKey].timesEncountered++;
-      knownWords[wordKey].lastSeen = Date.now();
-    } else {
-      knownWords[wordKey] = {
-        original: text,
-        translation: result.translatedText,
-        pinyin: pinyin,
-        dateAdded: Date.now(),
-        lastSeen: Date.now(),
-        timesEncountered: 1,
-        sourceLanguage: result.sourceLanguage
-      };
-    }
+    // Push to Anki in the background - failures stay queued for retry
+    AnkiConnect.pushSavedWord(text).catch(error => {
+      console.error('[AnkiConnect] Push failed:', error);
+    });
 
-    await chrome.storage.local.set({ knownWords });
+    // Other meanings from the alternatives provider (the offline dictionary for Chinese)
+    const alternatives = await TranslatorAPI.getAlternatives(text, settings.targetLanguage, settings.sourceLanguage)
+      .then(list => list.filter(alternative => alternative !== result.translatedText).slice(0, 3))
+      .catch(() => []);
 
     // Show success notification
     chrome.tabs.sendMessage(tabId, {
       action: 'showNotification',
-      message: `✓ "${text}" → "${result.translatedText}" saved!`,
+      message: `✓ "${text}" → "${result.translatedText}" saved!` +
+        (alternatives.length > 0 ? ` Also: ${alternatives.join(', ')}` : '') +
+        (result.fallbackError ? ' (offline dictionary)' : ''),
       type: 'success'
     });
 
@@ -229,7 +178,7 @@ async function translateAndSave(text, settings, tabId) {
     console.error('Translation error:', error);
     chrome.tabs.sendMessage(tabId, {
       action: 'showNotification',
-      message: `Translation failed: ${error.message}`,
+      message: `Translation failed: ${RequestScheduler.describe(error)}`,
       type: 'error'
     });
   }
@@ -238,20 +187,10 @@ async function translateAndSave(text, settings, tabId) {
 // Translate without saving
 async function translateOnly(text, settings, tabId) {
   try {
-    if (!settings.apiKey) {
-      chrome.tabs.sendMessage(tabId, {
-        action: 'showNotification',
-        message: 'Please set your Google Translate API key in extension settings',
-        type: 'error'
-      });
-      return;
-    }
-
     const result = await TranslatorAPI.translate(
       text,
       settings.targetLanguage,
-      settings.sourceLanguage,
-      settings.apiKey
+      settings.sourceLanguage
     );
 
     chrome.tabs.sendMessage(tabId, {
@@ -265,7 +204,7 @@ async function translateOnly(text, settings, tabId) {
     console.error('Translation error:', error);
     chrome.tabs.sendMessage(tabId, {
       action: 'showNotification',
-      message: `Translation failed: ${error.message}`,
+      message: `Translation failed: ${RequestScheduler.describe(error)}`,
       type: 'error'
     });
   }
@@ -280,41 +219,185 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   } else if (request.action === 'translateBatch') {
     handleTranslateBatchRequest(request, sendResponse);
     return true;
+  } else if (request.action === 'detectLanguage') {
+    TranslatorAPI.detectLanguage(request.text)
+      .then(result => sendResponse({ success: true, result }))
+      .catch(error => sendTranslationError(error, sendResponse));
+    return true;
+  } else if (request.action === 'getAlternatives') {
+    getSettings()
+      .then(settings => TranslatorAPI.getAlternatives(
+        request.text,
+        request.targetLang || settings.targetLanguage,
+        request.sourceLang || settings.sourceLanguage
+      ))
+      .then(alternatives => sendResponse({ success: true, alternatives }))
+      .catch(error => sendTranslationError(error, sendResponse));
+    return true;
+  } else if (request.action === 'testTranslationProvider') {
+    handleTestProviderRequest(request, sender, sendResponse);
+    return true;
   } else if (request.action === 'getSettings') {
     getSettings().then(sendResponse);
     return true;
   } else if (request.action === 'getKnownWords') {
-    getKnownWords().then(sendResponse);
+    afterMigrations(sendResponse, () => getKnownWords().then(sendResponse));
     return true;
   } else if (request.action === 'syncNow') {
-    syncChineseKnownWords().then(sendResponse);
+    afterMigrations(sendResponse, () => syncChineseKnownWords().then(sendResponse));
     return true;
   } else if (request.action === 'getSyncStatus') {
     getSyncStatus().then(sendResponse);
     return true;
+  } else if (request.action === 'vocabSyncNow') {
+    afterMigrations(sendResponse, () => VocabSync.sync().then(sendResponse));
+    return true;
+  } else if (request.action === 'getVocabSyncStatus') {
+    Promise.all([VocabSync.getStatus(), VocabSync.getUsage()])
+      .then(([status, usage]) => sendResponse({ status, usage }))
+      .catch(error => sendResponse({ status: null, error: error.message }));
+    return true;
+  } else if (request.action === 'getMigrationReport') {
+    StorageMigrations.getReport().then(sendResponse);
+    return true;
+  } else if (request.action === 'storage') {
+    handleStorageRequest(request, sender, sendResponse);
+    return true;
+  } else if (request.action === 'secrets') {
+    handleSecretsRequest(request, sender, sendResponse);
+    return true;
+  } else if (request.action === 'getKnownChineseWords') {
+    afterMigrations(sendResponse, () => WordLists.getKnownChineseWords()
+      .then(words => sendResponse({ success: true, words }))
+      .catch(error => sendResponse({ success: false, error: error.message })));
+    return true;
+  } else if (request.action === 'importWordList') {
+    handleImportWordListRequest(request, sender, sendResponse);
+    return true;
+  } else if (request.action === 'getAnkiStatus') {
+    AnkiConnect.getStatus().then(sendResponse);
+    return true;
+  } else if (request.action === 'retryAnki') {
+    afterMigrations(sendResponse, () => AnkiConnect.retryFailed()
+      .then(result => sendResponse({ success: true, ...result }))
+      .catch(error => sendResponse({ success: false, error: error.message })));
+    return true;
+  } else if (request.action === 'testAnkiConnect') {
+    handleTestAnkiRequest(request, sender, sendResponse);
+    return true;
   }
 });
 
+// Run a StorageManager word method for a content script (they can't open the
+// extension's IndexedDB). Content scripts on web pages only get CONTENT_SCRIPT_METHODS.
+async function handleStorageRequest(request, sender, sendResponse) {
+  if (!StorageManager.REMOTE_METHODS.includes(request.method)) {
+    sendResponse({ error: `Unknown storage method: ${request.method}` });
+    return;
+  }
+  if (!StorageManager.CONTENT_SCRIPT_METHODS.includes(request.method) && !Secrets.isTrustedSender(sender)) {
+    sendResponse({ error: `${request.method} can only be called from the extension` });
+    return;
+  }
+
+  try {
+    await migrationsReady;
+    const result = await StorageManager[request.method](...(request.args || []));
+    sendResponse({ success: true, result });
+  } catch (error) {
+    sendResponse({ error: error.message });
+  }
+}
+
+// Manage API keys for extension pages (never returns a key in plain text)
+async function handleSecretsRequest(request, sender, sendResponse) {
+  if (!Secrets.isTrustedSender(sender)) {
+    sendResponse({ error: 'API keys can only be managed from the extension' });
+    return;
+  }
+  if (!Secrets.MESSAGE_METHODS.includes(request.method)) {
+    sendResponse({ error: `Unknown secrets method: ${request.method}` });
+    return;
+  }
+
+  try {
+    const result = await Secrets[request.method](...(request.args || []));
+    sendResponse({ success: true, result });
+  } catch (error) {
+    sendResponse({ error: error.message });
+  }
+}
+
+// Test AnkiConnect with unsaved settings. Extension pages only, and the saved key
+// only goes to the saved URL - a typed URL gets the typed key or none.
+async function handleTestAnkiRequest(request, sender, sendResponse) {
+  if (!Secrets.isTrustedSender(sender)) {
+    sendResponse({ success: false, error: 'AnkiConnect can only be tested from the extension' });
+    return;
+  }
+
+  try {
+    const saved = AnkiConnect.getConfig(await StorageManager.getSettings());
+    const config = AnkiConnect.getConfig({ ankiConnect: request.config });
+    if (config.url !== saved.url) {
+      config.useSavedKey = false;
+    }
+    const result = await AnkiConnect.testConnection(config);
+    sendResponse({ success: true, ...result });
+  } catch (error) {
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+// Import a word list the extension doesn't bundle. Runs here so missing pinyin
+// and glosses can come from CC-CEDICT.
+async function handleImportWordListRequest(request, sender, sendResponse) {
+  if (!Secrets.isTrustedSender(sender)) {
+    sendResponse({ success: false, error: 'Word lists can only be imported from the extension' });
+    return;
+  }
+
+  try {
+    const result = await WordLists.importList(request.listId, request.rows);
+    sendResponse({ success: true, ...result });
+  } catch (error) {
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+// Test a provider with unsaved server settings. Extension pages only: the saved
+// key would otherwise go to whatever URL a web page asks for.
+async function handleTestProviderRequest(request, sender, sendResponse) {
+  if (!Secrets.isTrustedSender(sender)) {
+    sendResponse({ success: false, error: 'Providers can only be tested from the extension' });
+    return;
+  }
+
+  try {
+    const result = await TranslatorAPI.testProvider(request.provider, {
+      settings: request.settings,
+      apiKey: request.apiKey
+    });
+    sendResponse({ success: true, ...result });
+  } catch (error) {
+    sendResponse({ success: false, error: RequestScheduler.describe(error), errorKind: error.kind || null });
+  }
+}
+
 // Handle single translation request
 async function handleTranslateRequest(request, sendResponse) {
   try {
     const settings = await getSettings();
 
-    if (!settings.apiKey) {
-      sendResponse({ error: 'API key not configured' });
-      return;
-    }
-
     const result = await TranslatorAPI.translate(
       request.text,
       request.targetLang || settings.targetLanguage,
-      request.sourceLang || settings.sourceLanguage,
-      settings.apiKey
+      request.sourceLang || settings.sourceLanguage
     );
 
     sendResponse({ success: true, result });
   } catch (error) {
-    sendResponse({ error: error.message });
+    sendTranslationError(error, sendResponse);
   }
 }
 
@@ -323,24 +406,24 @@ async function handleTranslateBatchRequest(request, sendResponse) {
   try {
     const settings = await getSettings();
 
-    if (!settings.apiKey) {
-      sendResponse({ error: 'API key not configured' });
-      return;
-    }
-
     const results = await TranslatorAPI.translateBatch(
       request.texts,
       request.targetLang || settings.targetLanguage,
-      request.sourceLang || settings.sourceLanguage,
-      settings.apiKey
+      request.sourceLang || settings.sourceLanguage
     );
 
     sendResponse({ success: true, results });
   } catch (error) {
-    sendResponse({ error: error.message });
+    sendTranslationError(error, sendResponse);
   }
 }
 
+// Failed translation call: the message with what to do about it, and the error
+// kind ('auth', 'quota', 'network', 'badRequest') from RequestScheduler
+function sendTranslationError(error, sendResponse) {
+  sendResponse({ error: RequestScheduler.describe(error), errorKind: error.kind || null });
+}
+
 // Helper functions
 async function getSettings() {
   const result = await chrome.storage.local.get(['settings']);
@@ -348,25 +431,32 @@ async function getSettings() {
 }
 
 async function getKnownWords() {
-  const result = await chrome.storage.local.get(['knownWords']);
-  return result.knownWords || {};
+  return StorageManager.getKnownWords();
 }
 
-// Listen for storage changes and notify content scripts
+// Listen for storage changes and notify content scripts of the ones they read
+// (the vocabulary revision and settings). Only the changed key names are sent -
+// values may hold credentials.
 chrome.storage.onChanged.addListener((changes, areaName) => {
-  if (areaName === 'local') {
+  if (areaName === 'local' && (changes[StorageManager.REVISION_KEY] || changes.settings)) {
     // Notify all tabs about storage changes
     chrome.tabs.query({}, (tabs) => {
       tabs.forEach((tab) => {
         chrome.tabs.sendMessage(tab.id, {
           action: 'storageChanged',
-          changes: changes
+          keys: Object.keys(changes)
         }).catch(() => {
           // Ignore errors for tabs without content script
         });
       });
     });
   }
+
+  // Sync vocabulary shortly after it changes here or in another browser
+  if ((areaName === 'local' && VocabSync.isLocalChange(changes)) ||
+      (areaName === 'sync' && VocabSync.isRemoteChange(changes))) {
+    VocabSync.scheduleSoon();
+  }
 });
 
 // ============================================
@@ -375,6 +465,9 @@ chrome.storage.onChanged.addListener((changes, areaName) => {
 
 const WEBSITE_URL = 'http://192.168.1.222:3000';
 
+// Tag of the known words that came from the server, so words it no longer lists can be removed
+const SERVER_SYNC_TAG = 'Chinese Word Map';
+
 // Mark a Chinese word as known
 async function markChineseWordAsKnown(word, tabId) {
   const trimmedWord = word.trim();
@@ -389,14 +482,20 @@ async function markChineseWordAsKnown(word, tabId) {
     return;
   }
 
-  // Get current known words
-  const result = await chrome.storage.sync.get(['chineseKnownWords']);
-  let chineseKnownWords = result.chineseKnownWords || [];
-
-  if (!chineseKnownWords.includes(trimmedWord)) {
-    chineseKnownWords.push(trimmedWord);
-    await chrome.storage.sync.set({ chineseKnownWords: chineseKnownWords });
+  let added;
+  try {
+    await migrationsReady;
+    added = await StorageManager.addChineseKnownWords([trimmedWord]);
+  } catch (error) {
+    chrome.tabs.sendMessage(tabId, {
+      action: 'showNotification',
+      message: `Could not mark "${trimmedWord}" as known: ${error.message}`,
+      type: 'error'
+    });
+    return;
+  }
 
+  if (added > 0) {
     // Notify content script to refresh
     chrome.tabs.sendMessage(tabId, { action: 'refreshChineseHighlights' });
 
@@ -467,8 +566,8 @@ async function syncChineseKnownWords() {
     // Remove duplicates
     const uniqueKnownWords = [...new Set(knownWords)];
 
-    // Update Chinese known words in storage
-    await chrome.storage.sync.set({ chineseKnownWords: uniqueKnownWords });
+    // Mirror the server's list into the vocabulary (words known locally are kept)
+    await StorageManager.mirrorChineseKnownWords(uniqueKnownWords, SERVER_SYNC_TAG);
 
     // Update sync status
     const syncStatus = {
@@ -527,19 +626,54 @@ async function getSyncStatus() {
 }
 
 // Perform initial sync on startup if user is logged in
-chrome.storage.local.get(['syncAuthToken', 'autoSyncEnabled'], (result) => {
+migrationsReady.then(() => chrome.storage.local.get(['syncAuthToken', 'autoSyncEnabled'])).then((result) => {
   if (result.syncAuthToken && result.autoSyncEnabled !== false) {
     console.log('[Sync] Performing initial sync on startup');
     syncChineseKnownWords();
   }
-});
+}).catch(error => console.error('[Sync] Initial sync failed:', error));
 
 // Set up periodic sync alarm (30 minutes)
 chrome.alarms.create('periodicChineseSync', { periodInMinutes: 30 });
 
+// Retry queued Anki pushes (words saved while Anki was closed)
+chrome.alarms.create(AnkiConnect.ALARM_NAME, { periodInMinutes: AnkiConnect.RETRY_MINUTES });
+
+// Scheduled local backups (hourly check; daily and weekly snapshots, also on startup)
+chrome.alarms.create(Backups.ALARM_NAME, { periodInMinutes: Backups.CHECK_MINUTES });
+migrationsReady.then(() => Backups.runScheduled()).catch(error => console.error('Scheduled backup failed:', error));
+
+// Purge trashed words past the retention period (daily and on startup)
+chrome.alarms.create('purgeTrash', { periodInMinutes: 24 * 60 });
+migrationsReady.then(() => StorageManager.purgeExpiredTrash()).catch(error => console.error('Trash purge failed:', error));
+
+// Offline dictionary (stored in IndexedDB on first run, see cedict.js)
+migrationsReady.then(() => Cedict.ensureLoaded()).catch(error => console.error('Offline dictionary failed to load:', error));
+
+// Vocabulary sync across browsers (periodic, soon after changes, and on startup)
+chrome.alarms.create(VocabSync.ALARM_NAME, { periodInMinutes: VocabSync.SYNC_MINUTES });
+migrationsReady.then(() => VocabSync.sync()).catch(error => console.error('Vocabulary sync failed:', error));
+
 // Handle periodic sync alarm
 chrome.alarms.onAlarm.addListener(async function(alarm) {
-  if (alarm.name === 'periodicChineseSync') {
+  // An alarm may wake the worker while a migration is still upgrading the data.
+  // If the migration failed, skip the job - the data isn't on the current schema.
+  try {
+    await migrationsReady;
+  } catch (error) {
+    console.error(`[MIGRATION] Skipping ${alarm.name}: storage migration failed:`, error.message);
+    return;
+  }
+
+  if (alarm.name === AnkiConnect.ALARM_NAME) {
+    await AnkiConnect.processQueue();
+  } else if (alarm.name === Backups.ALARM_NAME) {
+    await Backups.runScheduled();
+  } else if (alarm.name === VocabSync.ALARM_NAME || alarm.name === VocabSync.SOON_ALARM_NAME) {
+    await VocabSync.sync();
+  } else if (alarm.name === 'purgeTrash') {
+    await StorageManager.purgeExpiredTrash();
+  } else if (alarm.name === 'periodicChineseSync') {
     console.log('[Sync] Periodic sync triggered');
     const result = await syncChineseKnownWords();
 
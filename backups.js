@@ -0,0 +1,194 @@
+// Scheduled local backups
+// Snapshots the vocabulary of every profile, the Chinese known words and levels,
+// settings (without credentials) and TTS settings into IndexedDB. An alarm in the
+// background worker takes daily and weekly snapshots and rotates them; manual
+// snapshots are kept until deleted. The popup browses, compares and restores them.
+
+const Backups = {
+  ALARM_NAME: 'scheduledBackup',
+  CHECK_MINUTES: 60,
+
+  // Snapshot kinds: how often they are taken (scheduled ones) and how many are kept
+  KINDS: {
+    daily: { label: 'Daily', interval: SRS.DAY_MS, keep: 7 },
+    weekly: { label: 'Weekly', interval: 7 * SRS.DAY_MS, keep: 4 },
+    manual: { label: 'Manual', interval: null, keep: Infinity },
+    restore: { label: 'Before restore', interval: null, keep: 3 }
+  },
+
+  // Alarms drift, so a snapshot counts as due a little early
+  SLACK_MS: 60 * 60 * 1000,
+
+  // Everything a snapshot covers, read from IndexedDB and chrome.storage
+  async collect() {
+    const [words, local, sync] = await Promise.all([
+      VocabDB.getWordsByProfile(),
+      chrome.storage.local.get(['settings', 'ttsSettings', 'vocabProfiles']),
+      chrome.storage.sync.get([WordLists.KNOWN_LEVELS_KEY])
+    ]);
+
+    return {
+      words,
+      vocabProfiles: local.vocabProfiles || {},
+      // Derived from the words; kept so diffs can list highlighting changes
+      chineseKnownWords: StorageManager.chineseWordsOf(words),
+      chineseKnownLevels: sync[WordLists.KNOWN_LEVELS_KEY] || [],
+      settings: StorageManager.withoutSecrets(local.settings || StorageManager.defaultSettings),
+      ttsSettings: local.ttsSettings || null
+    };
+  },
+
+  _summarize(data) {
+    const profiles = Object.values(data.words);
+    return {
+      words: profiles.reduce((total, words) => total + Object.keys(words).length, 0),
+      profiles: profiles.length,
+      chineseWords: data.chineseKnownWords.length
+    };
+  },
+
+  // Take a snapshot now and rotate old ones of the same kind. Returns its metadata.
+  async create(kind = 'manual', now = Date.now()) {
+    if (!this.KINDS[kind]) {
+      throw new Error(`Unknown backup kind: ${kind}`);
+    }
+
+    const data = await this.collect();
+    const backup = { id: `${kind}-${now}`, kind, createdAt: now, summary: this._summarize(data), data };
+    await VocabDB.putBackup(backup);
+    await this.rotate(kind);
+
+    const { data: omitted, ...meta } = backup;
+    return meta;
+  },
+
+  // Delete the oldest snapshots of a kind beyond its keep count
+  async rotate(kind) {
+    const expired = (await VocabDB.getBackups())
+      .filter(backup => backup.kind === kind)
+      .slice(this.KINDS[kind].keep);
+
+    if (expired.length > 0) {
+      await VocabDB.deleteBackups(expired.map(backup => backup.id));
+    }
+    return expired.length;
+  },
+
+  // Take the scheduled snapshots that are due (called from the alarm and on startup).
+  // Returns the kinds that were taken.
+  async runScheduled(now = Date.now()) {
+    const backups = await VocabDB.getBackups();
+    const taken = [];
+
+    for (const [kind, { interval }] of Object.entries(this.KINDS)) {
+      if (!interval) continue;
+
+      const latest = backups.find(backup => backup.kind === kind);
+      if (!latest || now - latest.createdAt >= interval - this.SLACK_MS) {
+        await this.create(kind, now);
+        taken.push(kind);
+      }
+    }
+
+    if (taken.length > 0) {
+      console.log(`[Backups] Took ${taken.join(' and ')} snapshot`);
+    }
+    return taken;
+  },
+
+  // Snapshots newest first, without their data
+  async list() {
+    return VocabDB.getBackups();
+  },
+
+  async remove(id) {
+    await VocabDB.deleteBackups([id]);
+  },
+
+  async _get(id) {
+    const backup = await VocabDB.getBackup(id);
+    if (!backup) {
+      throw new Error('Backup not found');
+    }
+    return backup;
+  },
+
+  // What restoring a snapshot would change, compared with the current data:
+  // per profile the words it brings back (missing), drops (added since) and
+  // overwrites (changed), the same for Chinese known words, and changed settings.
+  async diff(id) {
+    const backup = await this._get(id);
+    const current = await this.collect();
+    const then = backup.data;
+
+    const profiles = Object.keys(then.words)
+      .map(profileId => {
+        const saved = then.words[profileId];
+        const now = current.words[profileId] || {};
+        return {
+          id: profileId,
+          missing: Object.keys(saved).filter(key => !now[key]).map(key => saved[key].original),
+          added: Object.keys(now).filter(key => !saved[key]).map(key => now[key].original),
+          changed: Object.keys(saved)
+            .filter(key => now[key] && JSON.stringify(now[key]) !== JSON.stringify(saved[key]))
+            .map(key => saved[key].original)
+        };
+      })
+      .filter(profile => profile.missing.length + profile.added.length + profile.changed.length > 0);
+
+    const settings = [...new Set([...Object.keys(then.settings), ...Object.keys(current.settings)])]
+      .filter(name => JSON.stringify(then.settings[name]) !== JSON.stringify(current.settings[name]));
+
+    return {
+      backup: { id: backup.id, kind: backup.kind, createdAt: backup.createdAt, summary: backup.summary },
+      profiles,
+      chinese: {
+        missing: then.chineseKnownWords.filter(word => !current.chineseKnownWords.includes(word)),
+        added: current.chineseKnownWords.filter(word => !then.chineseKnownWords.includes(word))
+      },
+      settings
+    };
+  },
+
+  // Restore a snapshot. Profiles in the snapshot are replaced; profiles created
+  // since are kept. Credentials stay as they are now. The current state is
+  // snapshotted first, so a restore can itself be undone.
+  async restore(id) {
+    const backup = await this._get(id);
+    const data = backup.data;
+    await this.create('restore');
+
+    for (const [profileId, words] of Object.entries(data.words)) {
+      await VocabDB.replaceProfile(profileId, words);
+    }
+
+    const { settings = StorageManager.defaultSettings, vocabProfiles = {} } =
+      await chrome.storage.local.get(['settings', 'vocabProfiles']);
+    const restoredSettings = { ...data.settings };
+    StorageManager.SECRET_SETTINGS.forEach(name => {
+      if (name in settings) restoredSettings[name] = settings[name];
+    });
+    if (settings.ankiConnect && settings.ankiConnect.apiKey) {
+      restoredSettings.ankiConnect = { ...(restoredSettings.ankiConnect || {}), apiKey: settings.ankiConnect.apiKey };
+    }
+
+    await chrome.storage.local.set({
+      settings: restoredSettings,
+      vocabProfiles: { ...vocabProfiles, ...data.vocabProfiles },
+      ...(data.ttsSettings ? { ttsSettings: data.ttsSettings } : {})
+    });
+    await chrome.storage.sync.set({ [WordLists.KNOWN_LEVELS_KEY]: data.chineseKnownLevels });
+
+    // Snapshots from before the Chinese list joined the vocabulary keep it separately
+    await StorageManager.addChineseKnownWords(data.chineseKnownWords);
+
+    const profile = await StorageManager.getActiveProfile();
+    await StorageManager._notifyChange(profile.id);
+    return backup.summary;
+  }
+};
+
+// Make available globally
+if (typeof window !== 'undefined') {
+  window.Backups = Backups;
+}
@@ -0,0 +1,241 @@
+// Offline Chinese-English dictionary (CC-CEDICT)
+// The bundled release file wordlists/cedict_ts.u8 (CC-CEDICT by MDBG, CC BY-SA 4.0)
+// is parsed once and stored in VocabDB's dictionary store, one record per simplified
+// headword with every traditional form, pinyin and sense.
+// Used by the 'cedict' translation provider in the background worker.
+
+const Cedict = {
+  FILE: 'wordlists/cedict_ts.u8',
+
+  // chrome.storage.local: { version, extensionVersion, date, entries, loadedAt }
+  META_KEY: 'cedictMeta',
+
+  // Bump to rebuild the stored dictionary after changing the record format
+  FORMAT_VERSION: 2,
+
+  // Headwords written per transaction while loading
+  CHUNK_SIZE: 2000,
+
+  // English keys longer than this are explanations, not translations
+  MAX_KEY_WORDS: 4,
+
+  _loading: null,
+
+  // ============================================
+  // Parsing
+  // ============================================
+
+  // 'Traditional Simplified [pin1 yin1] /sense/sense/' -> { traditional, simplified, pinyin, senses }
+  parseLine(line) {
+    const match = line.match(/^(\S+) (\S+) \[([^\]]*)\] \/(.*)\/\s*$/);
+    if (!match) return null;
+    const [, traditional, simplified, pinyin, senses] = match;
+    return {
+      traditional,
+      simplified,
+      pinyin: this.toToneMarks(pinyin),
+      senses: senses.split('/').filter(Boolean)
+    };
+  },
+
+  // 'ni3 hao3' -> 'nǐ hǎo' (CC-CEDICT writes ü as u: and the neutral tone as 5)
+  toToneMarks(pinyin) {
+    const marks = {
+      a: 'āáǎà', e: 'ēéěè', i: 'īíǐì', o: 'ōóǒò', u: 'ūúǔù', ü: 'ǖǘǚǜ',
+      A: 'ĀÁǍÀ', E: 'ĒÉĚÈ', I: 'ĪÍǏÌ', O: 'ŌÓǑÒ', U: 'ŪÚǓÙ', Ü: 'ǕǗǙǛ'
+    };
+
+    return pinyin.split(' ').map(syllable => {
+      const match = syllable.match(/^([a-zA-Z:]+)([1-5])$/);
+      if (!match) return syllable;
+
+      const base = match[1].replace(/u:/g, 'ü').replace(/U:/g, 'Ü');
+      const tone = Number(match[2]);
+      if (tone === 5) return base;
+
+      // The mark goes on a or e, on the o of ou, else on the last vowel
+      let index = base.search(/[aeAE]/);
+      if (index === -1) index = base.search(/o[uU]|O[uU]/);
+      if (index === -1) {
+        const vowels = [...base].map((char, position) => (marks[char] ? position : -1)).filter(position => position >= 0);
+        index = vowels.length > 0 ? vowels[vowels.length - 1] : -1;
+      }
+      if (index === -1) return base;
+
+      return base.slice(0, index) + marks[base[index]][tone - 1] + base.slice(index + 1);
+    }).join(' ');
+  },
+
+  // Lookup key of an English sense ('to love (sb)' -> 'love'), or null for
+  // cross-references, measure words and long explanations
+  englishKey(sense) {
+    if (/^(CL:|see |variant of |old variant of |surname |abbr\. for |also written |also pr\. )/i.test(sense)) {
+      return null;
+    }
+
+    const key = sense
+      .replace(/\([^)]*\)/g, ' ')
+      .replace(/\[[^\]]*\]/g, ' ')
+      .toLowerCase()
+      .replace(/^\s*(to|a|an|the)\s+/, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+    if (!key || /[\u3400-\u9fff]/.test(key) || key.split(' ').length > this.MAX_KEY_WORDS) return null;
+    return key;
+  },
+
+  // Lookup keys of a sense; newer releases list synonyms in one sense, separated by
+  // semicolons ('to love; to be fond of' -> ['love', 'be fond of'])
+  senseKeys(sense) {
+    return sense.split(/;\s*/).map(part => this.englishKey(part)).filter(Boolean);
+  },
+
+  // Dictionary entries grouped into one stored record per simplified headword.
+  // levels: { word: HSK level }, kept as h to rank everyday words first.
+  toRecords(entries, levels = {}) {
+    const records = new Map();
+    entries.forEach(({ traditional, simplified, pinyin, senses }) => {
+      const record = records.get(simplified) || { s: simplified, t: [], e: [], en: [] };
+      if (levels[simplified]) record.h = levels[simplified];
+      if (traditional && !record.t.includes(traditional)) record.t.push(traditional);
+      record.e.push([traditional, pinyin, senses.join('/')]);
+      senses.forEach(sense => {
+        this.senseKeys(sense).forEach(key => {
+          if (!record.en.includes(key)) record.en.push(key);
+        });
+      });
+      records.set(simplified, record);
+    });
+    return [...records.values()];
+  },
+
+  // Stored record -> [{ simplified, traditional, pinyin, senses }] (one per reading)
+  fromRecord(record) {
+    return record.e.map(([traditional, pinyin, senses]) => ({
+      simplified: record.s,
+      traditional,
+      pinyin,
+      senses: senses.split('/')
+    }));
+  },
+
+  // ============================================
+  // Loading
+  // ============================================
+
+  async getMeta() {
+    const result = await chrome.storage.local.get([this.META_KEY]);
+    return result[this.META_KEY] || null;
+  },
+
+  // Release date and entries of the bundled CC-CEDICT file
+  async _readCedict() {
+    const response = await fetch(chrome.runtime.getURL(this.FILE));
+    if (!response.ok) {
+      throw new Error(`Could not load ${this.FILE} (${response.status})`);
+    }
+
+    let date = null;
+    const entries = [];
+    (await response.text()).split('\n').forEach(line => {
+      if (line.startsWith('#')) {
+        const header = line.match(/^#! date=(\S+)/);
+        if (header) date = header[1];
+        return;
+      }
+      const entry = this.parseLine(line);
+      if (entry) entries.push(entry);
+    });
+    if (entries.length === 0) {
+      throw new Error(`${this.FILE} has no dictionary entries`);
+    }
+    return { date, entries };
+  },
+
+  // Lowest HSK level of each word in the bundled list ({ word: level })
+  async _readLevels() {
+    const levels = {};
+    const data = await WordLists.load('hsk');
+    Object.entries(data.levels).forEach(([level, rows]) => {
+      rows.forEach(([word]) => {
+        if (!levels[word]) levels[word] = Number(level);
+      });
+    });
+    return levels;
+  },
+
+  // Fill the dictionary store on first run, and again after an update (which may
+  // bundle a newer release).
+  // Resolves with the meta of the stored dictionary.
+  ensureLoaded() {
+    if (!this._loading) {
+      this._loading = this._load().catch(error => {
+        this._loading = null;
+        throw error;
+      });
+    }
+    return this._loading;
+  },
+
+  async _load() {
+    const meta = await this.getMeta();
+    const extensionVersion = chrome.runtime.getManifest().version;
+    if (meta && meta.version === this.FORMAT_VERSION && meta.extensionVersion === extensionVersion) {
+      return meta;
+    }
+
+    const { date, entries } = await this._readCedict();
+    const records = this.toRecords(entries, await this._readLevels());
+
+    await chrome.storage.local.remove(this.META_KEY);
+    await VocabDB.clearDictionary();
+    for (let start = 0; start < records.length; start += this.CHUNK_SIZE) {
+      await VocabDB.putDictionaryEntries(records.slice(start, start + this.CHUNK_SIZE));
+    }
+
+    const loaded = { version: this.FORMAT_VERSION, extensionVersion, date, entries: records.length, loadedAt: Date.now() };
+    await chrome.storage.local.set({ [this.META_KEY]: loaded });
+    console.log(`[Cedict] Stored ${records.length} headwords from ${this.FILE} (${date || 'undated'})`);
+    return loaded;
+  },
+
+  // ============================================
+  // Lookups
+  // ============================================
+
+  // Entries for a Chinese word, written in simplified or traditional characters
+  async lookup(word) {
+    await this.ensureLoaded();
+    const records = await VocabDB.getDictionaryEntries(word.trim());
+    return records.flatMap(record => this.fromRecord(record));
+  },
+
+  // Entries with a sense meaning this English word or phrase, best match first:
+  // the matching sense comes early in its entry, then HSK words (lower levels
+  // first) before rarer ones, then shorter headwords
+  async lookupEnglish(text) {
+    await this.ensureLoaded();
+    const key = this.englishKey(text);
+    if (!key) return [];
+
+    const ranked = (await VocabDB.findDictionaryByEnglish(key))
+      .flatMap(record => this.fromRecord(record).map(entry => ({
+        entry,
+        level: record.h || Infinity,
+        rank: entry.senses.findIndex(sense => this.senseKeys(sense).includes(key))
+      })))
+      .filter(({ rank }) => rank >= 0);
+
+    ranked.sort((a, b) =>
+      a.rank - b.rank ||
+      (a.level === b.level ? 0 : a.level < b.level ? -1 : 1) ||
+      a.entry.simplified.length - b.entry.simplified.length
+    );
+    return ranked.map(({ entry }) => entry);
+  }
+};
+
+// Make available globally
+if (typeof window !== 'undefined') {
+  window.Cedict = Cedict;
+}
@@ -0,0 +1,141 @@
+// Minimal SVG charts for the dashboard (no external libraries, works offline)
+// Each function takes points [{ label, value }] and returns an <svg> element.
+
+const Charts = {
+  SVG_NS: 'http://www.w3.org/2000/svg',
+  WIDTH: 640,
+  HEIGHT: 220,
+  PADDING: { top: 12, right: 12, bottom: 28, left: 44 },
+  COLOR: '#667eea',
+
+  _el(name, attributes = {}, text = null) {
+    const element = document.createElementNS(this.SVG_NS, name);
+    Object.entries(attributes).forEach(([key, value]) => element.setAttribute(key, value));
+    if (text !== null) element.textContent = text;
+    return element;
+  },
+
+  _svg(height = this.HEIGHT) {
+    return this._el('svg', {
+      viewBox: `0 0 ${this.WIDTH} ${height}`,
+      class: 'chart',
+      role: 'img'
+    });
+  },
+
+  _formatValue(value) {
+    if (value >= 1000) return `${Math.round(value / 100) / 10}k`;
+    return Number.isInteger(value) ? String(value) : value.toFixed(value < 1 ? 4 : 2);
+  },
+
+  // Y axis with gridlines at 0, half and max; returns the value -> y function
+  _axis(svg, max) {
+    const { top, bottom, left, right } = this.PADDING;
+    const plotHeight = this.HEIGHT - top - bottom;
+    const y = value => top + plotHeight - (max > 0 ? (value / max) * plotHeight : 0);
+
+    [0, max / 2, max].forEach(value => {
+      svg.appendChild(this._el('line', {
+        x1: left, x2: this.WIDTH - right, y1: y(value), y2: y(value), class: 'chart-grid'
+      }));
+      svg.appendChild(this._el('text', {
+        x: left - 6, y: y(value) + 4, 'text-anchor': 'end', class: 'chart-label'
+      }, this._formatValue(value)));
+    });
+    return y;
+  },
+
+  // X labels: first, last and a few evenly spaced in between
+  _xLabels(svg, points, x) {
+    const step = Math.max(1, Math.ceil(points.length / 6));
+    points.forEach((point, index) => {
+      if (index % step !== 0 && index !== points.length - 1) return;
+      svg.appendChild(this._el('text', {
+        x: x(index), y: this.HEIGHT - 8, 'text-anchor': 'middle', class: 'chart-label'
+      }, point.label));
+    });
+  },
+
+  // Vertical bars, e.g. words added per day
+  bar(points) {
+    const svg = this._svg();
+    const { left, right } = this.PADDING;
+    const max = Math.max(0, ...points.map(point => point.value));
+    const y = this._axis(svg, max);
+    const slot = (this.WIDTH - left - right) / Math.max(1, points.length);
+    const x = index => left + slot * index + slot / 2;
+
+    points.forEach((point, index) => {
+      const rect = this._el('rect', {
+        x: left + slot * index + slot * 0.1,
+        y: y(point.value),
+        width: Math.max(1, slot * 0.8),
+        height: y(0) - y(point.value),
+        fill: this.COLOR
+      });
+      rect.appendChild(this._el('title', {}, `${point.label}: ${this._formatValue(point.value)}`));
+      svg.appendChild(rect);
+    });
+
+    this._xLabels(svg, points, x);
+    return svg;
+  },
+
+  // Line with dots, e.g. cumulative vocabulary size
+  line(points) {
+    const svg = this._svg();
+    const { left, right } = this.PADDING;
+    const max = Math.max(0, ...points.map(point => point.value));
+    const y = this._axis(svg, max);
+    const span = this.WIDTH - left - right;
+    const x = index => left + (points.length > 1 ? (span * index) / (points.length - 1) : span / 2);
+
+    svg.appendChild(this._el('polyline', {
+      points: points.map((point, index) => `${x(index)},${y(point.value)}`).join(' '),
+      fill: 'none',
+      stroke: this.COLOR,
+      'stroke-width': 2
+    }));
+
+    // Dots only while they don't merge into the line
+    if (points.length <= 60) {
+      points.forEach((point, index) => {
+        const dot = this._el('circle', { cx: x(index), cy: y(point.value), r: 3, fill: this.COLOR });
+        dot.appendChild(this._el('title', {}, `${point.label}: ${this._formatValue(point.value)}`));
+        svg.appendChild(dot);
+      });
+    }
+
+    this._xLabels(svg, points, x);
+    return svg;
+  },
+
+  // Horizontal bars with labels, e.g. exposures per site
+  hbar(points) {
+    const rowHeight = 22;
+    const labelWidth = 160;
+    const height = Math.max(1, points.length) * rowHeight + 4;
+    const svg = this._svg(height);
+    const max = Math.max(0, ...points.map(point => point.value));
+    const span = this.WIDTH - labelWidth - 60;
+
+    points.forEach((point, index) => {
+      const top = index * rowHeight + 2;
+      const width = max > 0 ? Math.max(1, (point.value / max) * span) : 0;
+      svg.appendChild(this._el('text', {
+        x: labelWidth - 8, y: top + 15, 'text-anchor': 'end', class: 'chart-label'
+      }, point.label.length > 24 ? `${point.label.slice(0, 23)}…` : point.label));
+      svg.appendChild(this._el('rect', { x: labelWidth, y: top + 3, width, height: rowHeight - 6, fill: this.COLOR }));
+      svg.appendChild(this._el('text', {
+        x: labelWidth + width + 6, y: top + 15, class: 'chart-label'
+      }, this._formatValue(point.value)));
+    });
+
+    return svg;
+  }
+};
+
+// Make available globally
+if (typeof window !== 'undefined') {
+  window.Charts = Charts;
+}
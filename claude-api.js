@@ -209,6 +209,22 @@ MIXED OUTPUT:`;
     return mappings;
   },
 
+  /**
+   * Plain completion of a single prompt (used by translation-providers.js)
+   * @returns {Promise<string>} - The reply text
+   */
+  async complete(prompt, apiKey, model = this.MODELS.HAIKU) {
+    const response = await this._makeRequest({
+      model: model,
+      max_tokens: 1024,
+      temperature: 0.2,
+      messages: [{ role: 'user', content: prompt }]
+    }, apiKey);
+
+    this._trackUsage(response.usage, model);
+    return response.content[0].text.trim();
+  },
+
   /**
    * Make API request to Claude
    */
@@ -233,7 +249,7 @@ MIXED OUTPUT:`;
         errorData = await response.json();
       } catch (e) {
         // If we can't parse the error response, throw a generic error
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        throw RequestScheduler.httpError(response, `HTTP ${response.status}: ${response.statusText}`);
       }
 
       // Extract detailed error information
@@ -245,7 +261,7 @@ MIXED OUTPUT:`;
       console.error('[CLAUDE API] Error type:', errorType);
 
       // Throw a detailed error message
-      throw new Error(`${errorType}: ${errorMessage} (HTTP ${response.status})`);
+      throw RequestScheduler.httpError(response, `${errorType}: ${errorMessage} (HTTP ${response.status})`);
     }
 
     return await response.json();
@@ -275,6 +291,11 @@ MIXED OUTPUT:`;
     this.usage.totalInputTokens += usage.input_tokens;
     this.usage.totalOutputTokens += usage.output_tokens;
     this.usage.totalCost += this._calculateCost(usage, model);
+
+    // Persist for the dashboard's spend history (see usage.js)
+    if (typeof ApiUsage !== 'undefined') {
+      ApiUsage.recordTokens('anthropic', usage.input_tokens, usage.output_tokens, this._calculateCost(usage, model));
+    }
   },
 
   /**
@@ -5,7 +5,8 @@
   'use strict';
 
   // State
-  let knownWords = {};
+  let knownWords = {}; // words being learned (learn mode translates these)
+  let targetForms = []; // target-language forms of every entry, including known words (practice mode)
   let settings = {};
   let isInitialized = false;
   let processedNodes = new WeakSet();
@@ -15,10 +16,18 @@
   // Pattern caching for performance optimization
   let cachedPatterns = null;
   let cachedKnownWordsHash = null;
+  let wordForms = {}; // matched form -> saved word key, e.g. 'ran' -> 'run' (see lemmatizer.js)
 
   // Debounce timeout for storage changes
   let storageChangeTimeout = null;
 
+  // Page exposures waiting to be sent to the background worker (see exposures.js)
+  const EXPOSURE_FLUSH_MS = 10000;
+  let pendingExposures = {};   // word key -> occurrences not sent yet
+  let reportedExposures = {};  // word key -> occurrences counted on this page
+  let reportedUrl = window.location.href;
+  let exposureTimeout = null;
+
   // Notification element
   let notificationElement = null;
 
@@ -85,16 +94,20 @@
     console.log('Language Learning Extension: Ready');
   }
 
-  // Load settings and known words from storage
+  // Load settings and the active profile's known words from storage
   async function loadData() {
-    return new Promise((resolve) => {
-      chrome.storage.local.get(['settings', 'knownWords'], (data) => {
-        settings = data.settings || {};
-        knownWords = data.knownWords || {};
-        console.log(`Loaded ${Object.keys(knownWords).length} known words`);
-        resolve();
-      });
+    settings = await StorageManager.getSettings();
+    const words = await StorageManager.getKnownWords();
+
+    // Known words have no source-language form to translate
+    knownWords = {};
+    Object.entries(words).forEach(([key, entry]) => {
+      if (StorageManager.getKnowledge(entry) === 'learning') knownWords[key] = entry;
     });
+    targetForms = Object.values(words)
+      .flatMap(w => typeof Senses !== 'undefined' ? Senses.getActiveSenses(w).map(sense => sense.translation) : [w.translation])
+      .filter(Boolean);
+    console.log(`Loaded ${Object.keys(knownWords).length} known words`);
   }
 
   // Process the entire page
@@ -115,6 +128,7 @@
     if (mode === 'learn') {
       // Translate known words to target language
       stats = translateKnownWords();
+      recordExposures(stats, true);
       modeLabel = `Learn (${settings.sourceLanguage || 'auto'} → ${settings.targetLanguage || 'target'})`;
     } else if (mode === 'practice') {
       // Translate all words except known ones
@@ -227,7 +241,7 @@
 
     console.log('Practice mode: Marking known words...');
 
-    const wordList = Object.keys(knownWords).map(w => knownWords[w].translation);
+    const wordList = targetForms;
     if (wordList.length === 0) {
       console.log('No known words to preserve');
       return;
@@ -294,16 +308,14 @@
 
         const currentMatch = uniqueMatches[i];
         const matchedWord = currentMatch.text;
-        const wordKey = matchedWord.toLowerCase();
-        const wordData = knownWords[wordKey];
+        const { wordKey, wordData } = lookupWord(matchedWord);
 
         if (!wordData) continue;
 
         // Check if this is part of a compound word with following words
         const chineseWords = [wordData.translation];
         for (let j = i + 1; j < uniqueMatches.length && j <= i + 2; j++) {
-          const nextWord = uniqueMatches[j].text.toLowerCase();
-          const nextData = knownWords[nextWord];
+          const nextData = lookupWord(uniqueMatches[j].text).wordData;
           if (nextData) {
             chineseWords.push(nextData.translation);
           }
@@ -329,7 +341,7 @@
           // Track statistics for all words in compound
           if (stats) {
             for (let j = i; j < i + compoundLength && j < uniqueMatches.length; j++) {
-              const word = uniqueMatches[j].text.toLowerCase();
+              const word = lookupWord(uniqueMatches[j].text).wordKey;
               stats.totalOccurrences = (stats.totalOccurrences || 0) + 1;
               stats.uniqueWords = stats.uniqueWords || new Set();
               stats.uniqueWords.add(word);
@@ -380,18 +392,17 @@
             stats.wordFrequency[wordKey] = (stats.wordFrequency[wordKey] || 0) + 1;
           }
 
+          const sense = pickSense(wordData, matchedWord, originalText, currentMatch.index);
           const span = document.createElement('span');
           span.className = 'lang-learner-translated';
-          span.textContent = wordData.translation;
+          span.textContent = sense.translation;
           span.setAttribute('data-original', matchedWord);
           span.setAttribute('data-translated', 'true');
           span.style.cssText = 'text-decoration: underline dotted; cursor: help; color: inherit;';
+          applyReviewState(span, wordData);
 
           if (settings.showTooltips) {
-            let tooltipText = matchedWord;
-            if (wordData.pinyin) {
-              tooltipText = `${matchedWord}\n${wordData.pinyin}`;
-            }
+            const tooltipText = buildTooltipText(matchedWord, sense, wordData);
 
             span.addEventListener('mouseover', (e) => {
               clearTimeout(tooltipTimeout);
@@ -414,8 +425,7 @@
       // No compound words support - use already collected matches
       for (const match of uniqueMatches) {
         const matchedWord = match.text;
-        const wordKey = matchedWord.toLowerCase();
-        const wordData = knownWords[wordKey];
+        const { wordKey, wordData } = lookupWord(matchedWord);
 
         if (!wordData) continue;
 
@@ -435,21 +445,20 @@
           );
         }
 
-        // Create translated span
+        // Create translated span with the sense that fits this occurrence
+        const sense = pickSense(wordData, matchedWord, originalText, match.index);
         const span = document.createElement('span');
         span.className = 'lang-learner-translated';
-        span.textContent = wordData.translation;
+        span.textContent = sense.translation;
         span.setAttribute('data-original', matchedWord);
         span.setAttribute('data-translated', 'true');
         span.style.cssText = 'text-decoration: underline dotted; cursor: help; color: inherit;';
+        applyReviewState(span, wordData);
 
         // Add tooltip on hover
         if (settings.showTooltips) {
-          // Prepare tooltip text with Pinyin if available
-          let tooltipText = matchedWord;
-          if (wordData.pinyin) {
-            tooltipText = `${matchedWord}\n${wordData.pinyin}`;
-          }
+          // Prepare tooltip text with part of speech and Pinyin if available
+          const tooltipText = buildTooltipText(matchedWord, sense, wordData);
 
           // Custom tooltip with mouseover/mouseout (works inside links)
           span.addEventListener('mouseover', (e) => {
@@ -480,6 +489,114 @@
     textNode.parentNode.replaceChild(fragment, textNode);
   }
 
+  // Saved word for a matched form - inflected forms count as their lemma,
+  // so exposures and stats roll up to the saved word
+  function lookupWord(matchedWord) {
+    const form = matchedWord.toLowerCase();
+    const wordKey = wordForms[form] || form;
+    return { wordKey, wordData: knownWords[wordKey] };
+  }
+
+  // Choose the sense to show for this occurrence of a word (falls back to the entry itself)
+  function pickSense(wordData, matchedWord, text, index) {
+    if (typeof Senses === 'undefined') return wordData;
+    return Senses.pick(wordData, matchedWord, text.slice(Math.max(0, index - 40), index)) || wordData;
+  }
+
+  const TOOLTIP_SENTENCE_LENGTH = 120;
+
+  // Tooltip text: the form seen on the page (with the saved word if it was
+  // an inflection), part of speech and Pinyin of the shown sense, and the
+  // latest sentence the word was saved from
+  function buildTooltipText(matchedWord, sense, wordData) {
+    let tooltipText = matchedWord;
+    if (wordData && wordData.original && wordData.original.toLowerCase() !== matchedWord.toLowerCase()) {
+      tooltipText += ` → ${wordData.original}`;
+    }
+    if (sense.partOfSpeech && typeof Senses !== 'undefined') {
+      tooltipText += ` (${Senses.abbreviate(sense.partOfSpeech)})`;
+    }
+    if (sense.pinyin) {
+      tooltipText += `\n${sense.pinyin}`;
+    }
+
+    const context = wordData && Array.isArray(wordData.contexts) ? wordData.contexts[0] : null;
+    if (context && context.sentence) {
+      const sentence = context.sentence.length > TOOLTIP_SENTENCE_LENGTH
+        ? `${context.sentence.slice(0, TOOLTIP_SENTENCE_LENGTH - 1)}…`
+        : context.sentence;
+      tooltipText += `\n“${sentence}”`;
+      if (context.title) tooltipText += ` — ${context.title}`;
+    }
+    return tooltipText;
+  }
+
+  // Mark a translated span with the word's review state:
+  // due words get a solid orange underline, mature words drop the underline
+  function applyReviewState(span, wordData) {
+    if (settings.showReviewState === false || typeof SRS === 'undefined') return;
+
+    const state = SRS.getState(wordData);
+    span.classList.add(`lang-learner-${state}`);
+    span.setAttribute('data-review-state', state);
+
+    if (state === 'due' || state === 'new') {
+      span.style.textDecorationStyle = 'solid';
+      span.style.textDecorationColor = '#FF9800';
+    } else if (state === 'mature') {
+      span.style.textDecoration = 'none';
+    }
+  }
+
+  // Count saved words seen on the page. A full page pass reports the page's
+  // totals, so processing the page again (e.g. after a storage change) only adds
+  // what is new; subtree passes report newly added content as is.
+  function recordExposures(stats, fullPage = false) {
+    const frequency = (stats && stats.wordFrequency) || {};
+
+    if (window.location.href !== reportedUrl) {
+      reportedUrl = window.location.href;
+      reportedExposures = {};
+    }
+
+    Object.entries(frequency).forEach(([wordKey, count]) => {
+      const reported = reportedExposures[wordKey] || 0;
+      const added = fullPage ? count - reported : count;
+      if (added <= 0) return;
+
+      reportedExposures[wordKey] = reported + added;
+      pendingExposures[wordKey] = (pendingExposures[wordKey] || 0) + added;
+    });
+
+    if (Object.keys(pendingExposures).length > 0 && !exposureTimeout) {
+      exposureTimeout = setTimeout(flushExposures, EXPOSURE_FLUSH_MS);
+    }
+  }
+
+  // Send pending exposures to the background worker as one batch of events
+  function flushExposures() {
+    clearTimeout(exposureTimeout);
+    exposureTimeout = null;
+
+    const wordKeys = Object.keys(pendingExposures);
+    if (wordKeys.length === 0 || typeof StorageManager === 'undefined') return;
+
+    const domain = window.location.hostname || null;
+    const date = Date.now();
+    const events = wordKeys.map(word => ({ word, count: pendingExposures[word], domain, date }));
+    pendingExposures = {};
+
+    StorageManager.recordExposures(events).catch(error => {
+      console.error('Lingua-Lens: Failed to record exposures:', error);
+    });
+  }
+
+  // Don't lose the last batch when the tab is hidden or closed
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') flushExposures();
+  });
+  window.addEventListener('pagehide', flushExposures);
+
   // Highlight known words in practice mode
   function highlightKnownWords(textNode, originalText, pattern) {
     const fragment = document.createDocumentFragment();
@@ -596,6 +713,7 @@
         const stats = { totalOccurrences: 0, uniqueWords: new Set(), wordFrequency: {} };
         replaceTextNode(textNode, originalText, patterns, 'learn', stats);
         processedNodes.add(textNode);
+        recordExposures(stats);
       });
     }
   }
@@ -815,10 +933,14 @@
       return cachedPatterns;
     }
 
-    console.log('[Performance] Compiling new regex patterns for', wordList.length, 'words');
+    // Every inflected form of the saved words is matched too
+    wordForms = typeof Lemmatizer !== 'undefined' ? Lemmatizer.buildIndex(knownWords) : {};
+    const forms = Object.keys(wordForms).length > 0 ? Object.keys(wordForms) : wordList;
+
+    console.log('[Performance] Compiling new regex patterns for', wordList.length, 'words,', forms.length, 'forms');
 
     // Compile new patterns
-    const escapedWords = wordList.map(w => escapeRegex(w));
+    const escapedWords = forms.map(w => escapeRegex(w));
     const patterns = [];
     const CHUNK_SIZE = 200;
 
@@ -839,15 +961,27 @@
   // ============================================
 
   let chineseKnownWords = new Set();
+  let chineseWordLevels = {}; // word -> level tag (e.g. 'HSK 3') for words in the bundled lists
   let chineseHighlightStyle = 'underline';
   let chineseProcessedNodes = new WeakSet();
 
-  // Load Chinese known words from storage
+  // Load Chinese known words. The background derives them from the vocabulary,
+  // expands levels marked as known into words and adds level tags.
   async function loadChineseKnownWords() {
+    const result = await chrome.storage.sync.get(['chineseHighlightStyle']);
+    chineseWordLevels = {};
+    chineseHighlightStyle = result.chineseHighlightStyle || 'underline';
+
     return new Promise((resolve) => {
-      chrome.storage.sync.get(['chineseKnownWords', 'chineseHighlightStyle'], function(result) {
-        chineseKnownWords = new Set(result.chineseKnownWords || []);
-        chineseHighlightStyle = result.chineseHighlightStyle || 'underline';
+      chrome.runtime.sendMessage({ action: 'getKnownChineseWords' }, (response) => {
+        if (chrome.runtime.lastError || !response || !response.success) {
+          console.warn('[Chinese Highlighting] Known words unavailable');
+        } else {
+          chineseKnownWords = new Set(Object.keys(response.words));
+          Object.entries(response.words).forEach(([word, level]) => {
+            if (level) chineseWordLevels[word] = level;
+          });
+        }
         console.log(`[Chinese Highlighting] Loaded ${chineseKnownWords.size} known Chinese words`);
         resolve();
       });
@@ -963,7 +1097,12 @@
           span.className = 'chinese-known-word ' + chineseHighlightStyle;
           span.textContent = match.word;
           span.dataset.word = match.word;
-          span.title = 'Known word';
+          if (chineseWordLevels[match.word]) {
+            span.dataset.level = chineseWordLevels[match.word];
+            span.title = `Known word · ${chineseWordLevels[match.word]}`;
+          } else {
+            span.title = 'Known word';
+          }
           fragment.appendChild(span);
 
           lastIndex = match.end;
@@ -988,14 +1127,15 @@
   // Listen for Chinese known words storage changes
   chrome.storage.onChanged.addListener(function(changes, namespace) {
     // Invalidate pattern cache when known words change
-    if (namespace === 'local' && changes.knownWords) {
+    if (namespace === 'local' && StorageManager.isVocabularyChange(changes)) {
       console.log('[Performance] Invalidating pattern cache due to knownWords change');
       cachedPatterns = null;
       cachedKnownWordsHash = null;
     }
 
     // Re-highlight Chinese words when they change (debounced)
-    if (namespace === 'sync' && (changes.chineseKnownWords || changes.chineseHighlightStyle)) {
+    if ((namespace === 'local' && changes[StorageManager.REVISION_KEY]) ||
+        (namespace === 'sync' && (changes.chineseKnownLevels || changes.chineseHighlightStyle))) {
       clearTimeout(storageChangeTimeout);
 
       storageChangeTimeout = setTimeout(() => {
@@ -1008,6 +1148,27 @@
     }
   });
 
+  // Text of a node with translated spans replaced by their original words
+  function extractOriginalText(node) {
+    if (node.nodeType === Node.TEXT_NODE) {
+      return node.textContent;
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE && node.nodeType !== Node.DOCUMENT_FRAGMENT_NODE) {
+      return '';
+    }
+
+    // Use the original English instead of the Chinese translation
+    if (node.classList && node.classList.contains('lang-learner-translated')) {
+      return (node.getAttribute('data-original') || node.textContent) + ' ';
+    }
+
+    let text = '';
+    for (let child of node.childNodes) {
+      text += extractOriginalText(child);
+    }
+    return text;
+  }
+
   // Extract original text from selection (handles auto-translated text)
   function getOriginalTextFromSelection(selectedText) {
     try {
@@ -1017,43 +1178,7 @@
       }
 
       const range = selection.getRangeAt(0);
-      const container = range.cloneContents();
-
-      // Recursively extract original text from nodes
-      function extractFromNode(node) {
-        let text = '';
-
-        if (node.nodeType === Node.TEXT_NODE) {
-          // Regular text node - add it
-          text += node.textContent;
-        } else if (node.nodeType === Node.ELEMENT_NODE) {
-          // Check if this is a translated span
-          if (node.classList && node.classList.contains('lang-learner-translated')) {
-            const original = node.getAttribute('data-original');
-            if (original) {
-              // Use original English instead of Chinese translation
-              text += original + ' ';
-            } else {
-              // No original attribute, use text content
-              text += node.textContent + ' ';
-            }
-          } else {
-            // Not a translated span - process children
-            for (let child of node.childNodes) {
-              text += extractFromNode(child);
-            }
-          }
-        }
-
-        return text;
-      }
-
-      let originalText = '';
-      for (let child of container.childNodes) {
-        originalText += extractFromNode(child);
-      }
-
-      const result = originalText.replace(/\s+/g, ' ').trim();
+      const result = extractOriginalText(range.cloneContents()).replace(/\s+/g, ' ').trim();
       console.log('[ORIGINAL TEXT] Extracted:', result);
       return result || selectedText;
     } catch (error) {
@@ -1062,6 +1187,55 @@
     }
   }
 
+  const SENTENCE_END = /[.!?。！？]/;
+  const BLOCK_TAGS = ['P', 'LI', 'TD', 'TH', 'DD', 'DT', 'BLOCKQUOTE', 'PRE', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'ARTICLE', 'SECTION', 'DIV', 'BODY'];
+
+  // The sentence around the current selection (original words, not translations),
+  // with the page title and URL, for saving alongside the word
+  function getSelectionContext() {
+    const context = { sentence: null, title: document.title || null, url: location.href, savedAt: Date.now() };
+
+    try {
+      const selection = window.getSelection();
+      if (!selection || selection.rangeCount === 0 || !selection.toString().trim()) {
+        return context;
+      }
+
+      const range = selection.getRangeAt(0);
+      let block = range.commonAncestorContainer;
+      if (block.nodeType !== Node.ELEMENT_NODE) block = block.parentElement;
+      while (block && block.parentElement && !BLOCK_TAGS.includes(block.tagName)) {
+        block = block.parentElement;
+      }
+      if (!block) return context;
+
+      // Text before and after the selection within its block
+      const beforeRange = document.createRange();
+      beforeRange.setStart(block, 0);
+      beforeRange.setEnd(range.startContainer, range.startOffset);
+      const afterRange = document.createRange();
+      afterRange.setStart(range.endContainer, range.endOffset);
+      afterRange.setEnd(block, block.childNodes.length);
+
+      const before = extractOriginalText(beforeRange.cloneContents());
+      const selected = extractOriginalText(range.cloneContents());
+      const after = extractOriginalText(afterRange.cloneContents());
+
+      // Cut at the nearest sentence ends on either side
+      let start = before.length;
+      while (start > 0 && !SENTENCE_END.test(before[start - 1])) start--;
+      let end = 0;
+      while (end < after.length && !SENTENCE_END.test(after[end])) end++;
+      if (end < after.length) end++;
+
+      context.sentence = `${before.slice(start)}${selected}${after.slice(0, end)}`.replace(/\s+/g, ' ').trim() || null;
+    } catch (error) {
+      console.error('[CONTEXT] Error extracting sentence:', error);
+    }
+
+    return context;
+  }
+
   // Listen for messages from background script
   chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     if (request.action === 'refreshTranslations') {
@@ -1075,7 +1249,9 @@
     } else if (request.action === 'showNotification') {
       showNotification(request.message, request.type, request.duration);
     } else if (request.action === 'storageChanged') {
-      // Reload data when storage changes
+      // Reload data when the words or settings change - not on cache or queue writes
+      const keys = request.keys || [];
+      if (!keys.includes(StorageManager.REVISION_KEY) && !keys.includes('settings')) return;
       loadData().then(() => {
         processedNodes = new WeakSet();
         processPage();
@@ -1101,6 +1277,8 @@
     } else if (request.action === 'getSelection') {
       const selection = window.getSelection().toString().trim();
       sendResponse({ selection: selection });
+    } else if (request.action === 'getSelectionContext') {
+      sendResponse({ context: getSelectionContext() });
     }
   });
 
@@ -0,0 +1,232 @@
+// CSV/TSV conversion for vocabulary lists
+// Parsing (RFC 4180 quoting), delimiter and encoding detection, and
+// mapping spreadsheet columns to word fields
+
+const CSV = {
+  // Word fields a column can be mapped to
+  FIELDS: ['original', 'translation', 'pinyin', 'tags', 'notes'],
+
+  // Header names recognised for each field (lowercase)
+  HEADER_ALIASES: {
+    original: ['original', 'word', 'term', 'front', 'expression', 'source', 'english'],
+    translation: ['translation', 'translations', 'meaning', 'definition', 'back', 'target', 'chinese'],
+    pinyin: ['pinyin', 'reading', 'pronunciation', 'romanization'],
+    tags: ['tags', 'tag', 'labels', 'deck', 'category'],
+    notes: ['notes', 'note', 'comment', 'comments']
+  },
+
+  DELIMITERS: ['\t', ',', ';', '|'],
+
+  // Several translations or pinyin readings in one cell are separated by this
+  VALUE_SEPARATOR: ';',
+
+  // Tags may be separated by any of these
+  TAG_SEPARATOR: /[;,|]/,
+
+  // Decode file bytes, detecting the encoding from the BOM or content.
+  // Returns { text, encoding }.
+  decode(buffer) {
+    const bytes = new Uint8Array(buffer);
+
+    if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) {
+      return { text: new TextDecoder('utf-8').decode(bytes.subarray(3)), encoding: 'utf-8' };
+    }
+    if (bytes[0] === 0xFF && bytes[1] === 0xFE) {
+      return { text: new TextDecoder('utf-16le').decode(bytes.subarray(2)), encoding: 'utf-16le' };
+    }
+    if (bytes[0] === 0xFE && bytes[1] === 0xFF) {
+      return { text: new TextDecoder('utf-16be').decode(bytes.subarray(2)), encoding: 'utf-16be' };
+    }
+
+    // UTF-16 without BOM: mostly-ASCII text has a zero byte in every other position
+    const sample = bytes.subarray(0, 512);
+    let evenZeros = 0;
+    let oddZeros = 0;
+    sample.forEach((byte, index) => {
+      if (byte === 0) {
+        if (index % 2 === 0) evenZeros++;
+        else oddZeros++;
+      }
+    });
+    if (sample.length >= 4 && Math.max(evenZeros, oddZeros) > sample.length / 4) {
+      const encoding = oddZeros > evenZeros ? 'utf-16le' : 'utf-16be';
+      return { text: new TextDecoder(encoding).decode(bytes), encoding };
+    }
+
+    try {
+      return { text: new TextDecoder('utf-8', { fatal: true }).decode(bytes), encoding: 'utf-8' };
+    } catch (error) {
+      // Not valid UTF-8 - spreadsheet apps on Windows default to this
+      return { text: new TextDecoder('windows-1252').decode(bytes), encoding: 'windows-1252' };
+    }
+  },
+
+  // Parse delimited text into rows of cells. Handles quoted cells with
+  // embedded delimiters, quotes ("") and line breaks. Blank lines are skipped.
+  parse(text, delimiter = ',') {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+
+    const endRow = () => {
+      row.push(cell);
+      if (row.length > 1 || row[0] !== '') {
+        rows.push(row);
+      }
+      row = [];
+      cell = '';
+    };
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (inQuotes) {
+        if (char === '"') {
+          if (text[i + 1] === '"') {
+            cell += '"';
+            i++;
+          } else {
+            inQuotes = false;
+          }
+        } else {
+          cell += char;
+        }
+      } else if (char === '"' && cell === '') {
+        inQuotes = true;
+      } else if (char === delimiter) {
+        row.push(cell);
+        cell = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') i++;
+        endRow();
+      } else {
+        cell += char;
+      }
+    }
+
+    if (cell !== '' || row.length > 0) {
+      endRow();
+    }
+
+    return rows;
+  },
+
+  // Pick the delimiter that splits the first lines into the same number (> 1) of columns
+  detectDelimiter(text) {
+    const sample = text.split(/\r?\n/).filter(line => line.trim()).slice(0, 10).join('\n');
+    let best = { delimiter: ',', score: 0 };
+
+    this.DELIMITERS.forEach(delimiter => {
+      const counts = this.parse(sample, delimiter).map(row => row.length);
+      if (counts.length === 0 || Math.min(...counts) < 2) return;
+
+      const consistent = counts.filter(count => count === counts[0]).length / counts.length;
+      const score = consistent * 100 + counts[0];
+      if (score > best.score) {
+        best = { delimiter, score };
+      }
+    });
+
+    return best.delimiter;
+  },
+
+  // Turn rows back into delimited text
+  stringify(rows, delimiter = ',') {
+    return rows.map(row => row.map(value => {
+      const text = value === null || value === undefined ? '' : String(value);
+      const needsQuotes = text.includes(delimiter) || /["\r\n]/.test(text) || text !== text.trim();
+      return needsQuotes ? `"${text.replace(/"/g, '""')}"` : text;
+    }).join(delimiter)).join('\r\n');
+  },
+
+  // Field for a header cell, or null if it isn't recognised
+  matchHeader(cell) {
+    const name = String(cell || '').trim().toLowerCase();
+    return this.FIELDS.find(field => this.HEADER_ALIASES[field].includes(name)) || null;
+  },
+
+  // Guess whether the first row is a header and how columns map to fields.
+  // Returns { hasHeader, mapping } where mapping[columnIndex] is a field or null.
+  guessMapping(rows) {
+    const firstRow = rows[0] || [];
+    const fromHeader = firstRow.map(cell => this.matchHeader(cell));
+
+    if (fromHeader.some(field => field !== null)) {
+      return { hasHeader: true, mapping: fromHeader };
+    }
+
+    // No recognisable header: assume word, translation, pinyin
+    const defaults = ['original', 'translation', 'pinyin'];
+    return { hasHeader: false, mapping: firstRow.map((cell, index) => defaults[index] || null) };
+  },
+
+  _splitValues(cell, separator) {
+    return String(cell || '').split(separator).map(value => value.trim()).filter(Boolean);
+  },
+
+  // Build word entries from rows using a column mapping.
+  // Translations and pinyin may hold several values separated by ';' (one sense each).
+  // Returns { words: { key: entry }, skipped } - rows without a word are skipped.
+  rowsToWords(rows, mapping, hasHeader = false) {
+    const words = {};
+    let skipped = 0;
+
+    rows.slice(hasHeader ? 1 : 0).forEach(row => {
+      const values = {};
+      mapping.forEach((field, index) => {
+        if (field && row[index] !== undefined && values[field] === undefined) {
+          values[field] = row[index].trim();
+        }
+      });
+
+      if (!values.original) {
+        skipped++;
+        return;
+      }
+
+      const translations = this._splitValues(values.translation, this.VALUE_SEPARATOR);
+      // Pinyin keeps empty slots so readings stay aligned with translations
+      const pinyins = String(values.pinyin || '').split(this.VALUE_SEPARATOR).map(value => value.trim());
+
+      words[values.original.toLowerCase()] = {
+        original: values.original,
+        translation: translations[0] || '',
+        pinyin: pinyins[0] || null,
+        senses: translations.map((translation, index) => Senses.createSense({
+          translation,
+          pinyin: pinyins[index] || null
+        })),
+        tags: this._splitValues(values.tags, this.TAG_SEPARATOR),
+        notes: values.notes || null
+      };
+    });
+
+    return { words, skipped };
+  },
+
+  // Rows (with header) for a words map, one word per row
+  wordsToRows(words) {
+    const rows = [this.FIELDS.slice()];
+
+    Object.values(words).forEach(entry => {
+      const senses = Senses.getActiveSenses(entry);
+      rows.push([
+        entry.original,
+        senses.map(sense => sense.translation).join(`${this.VALUE_SEPARATOR} `),
+        senses.some(sense => sense.pinyin)
+          ? senses.map(sense => sense.pinyin || '').join(`${this.VALUE_SEPARATOR} `)
+          : '',
+        (entry.tags || []).join(`${this.VALUE_SEPARATOR} `),
+        entry.notes || ''
+      ]);
+    });
+
+    return rows;
+  }
+};
+
+// Make available globally
+if (typeof window !== 'undefined') {
+  window.CSV = CSV;
+}
@@ -0,0 +1,178 @@
+// Learning dashboard data
+// Pure functions turning the vocabulary, exposure history and API usage ledger
+// into the rows behind each dashboard chart. A range is { from, to } as local
+// day keys ('2026-10-19'), both inclusive; rows are what the CSV export writes.
+
+const DashboardStats = {
+  // Date range presets (days back from today; null = since the first saved word)
+  PRESETS: {
+    7: 'Last 7 days',
+    30: 'Last 30 days',
+    90: 'Last 90 days',
+    365: 'Last 12 months',
+    all: 'All time'
+  },
+
+  DEFAULT_PRESET: '30',
+
+  // Range of a preset, ending today
+  presetRange(preset, words = {}, now = Date.now()) {
+    const to = Exposures.dayKey(now);
+    if (preset === 'all') {
+      const first = Math.min(now, ...Object.values(words).map(entry => entry.dateAdded || now));
+      return { from: Exposures.dayKey(first), to };
+    }
+    return { from: Exposures.dayKey(now - (Number(preset) - 1) * SRS.DAY_MS), to };
+  },
+
+  // Every day of a range, in order
+  days(range) {
+    const days = [];
+    // Noon avoids skipping or repeating a day across daylight saving changes
+    const date = new Date(`${range.from}T12:00:00`);
+    for (let day = range.from; day <= range.to; day = Exposures.dayKey(date)) {
+      days.push(day);
+      date.setDate(date.getDate() + 1);
+    }
+    return days;
+  },
+
+  inRange(day, range) {
+    return day >= range.from && day <= range.to;
+  },
+
+  // Words saved per day: [{ day, added }]
+  wordsAdded(words, range) {
+    const counts = {};
+    Object.values(words).forEach(entry => {
+      const day = Exposures.dayKey(entry.dateAdded);
+      counts[day] = (counts[day] || 0) + 1;
+    });
+    return this.days(range).map(day => ({ day, added: counts[day] || 0 }));
+  },
+
+  // Vocabulary size at the end of each day: [{ day, total }]
+  growth(words, range) {
+    const added = {};
+    let total = 0;
+    Object.values(words).forEach(entry => {
+      const day = Exposures.dayKey(entry.dateAdded);
+      if (day < range.from) {
+        total++;
+      } else {
+        added[day] = (added[day] || 0) + 1;
+      }
+    });
+    return this.days(range).map(day => {
+      total += added[day] || 0;
+      return { day, total };
+    });
+  },
+
+  // Page exposures per day, from the words' exposure history: [{ day, exposures }]
+  exposuresByDay(words, range) {
+    const counts = {};
+    Object.values(words).forEach(entry => {
+      Exposures.getHistory(entry).forEach(bucket => {
+        counts[bucket.day] = (counts[bucket.day] || 0) + bucket.count;
+      });
+    });
+    return this.days(range).map(day => ({ day, exposures: counts[day] || 0 }));
+  },
+
+  // Page exposures per site, most first: [{ site, exposures }]
+  exposuresBySite(words, range, limit = 20) {
+    const counts = {};
+    Object.values(words).forEach(entry => {
+      Exposures.getHistory(entry)
+        .filter(bucket => this.inRange(bucket.day, range))
+        .forEach(bucket => {
+          const site = bucket.domain || 'unknown site';
+          counts[site] = (counts[site] || 0) + bucket.count;
+        });
+    });
+    return Object.entries(counts)
+      .map(([site, exposures]) => ({ site, exposures }))
+      .sort((a, b) => b.exposures - a.exposures)
+      .slice(0, limit);
+  },
+
+  // Words seen most on pages in the range: [{ word, translation, exposures, timesEncountered }]
+  topWords(words, range, limit = 20) {
+    return Object.values(words)
+      .map(entry => ({
+        word: entry.original,
+        translation: Senses.summarize(entry) || entry.translation || '',
+        exposures: Exposures.getHistory(entry)
+          .filter(bucket => this.inRange(bucket.day, range))
+          .reduce((total, bucket) => total + bucket.count, 0),
+        timesEncountered: entry.timesEncountered || 0
+      }))
+      .filter(row => row.exposures > 0)
+      .sort((a, b) => b.exposures - a.exposures || b.timesEncountered - a.timesEncountered)
+      .slice(0, limit);
+  },
+
+  // Review states of the words saved in the range, plus the words marked as
+  // known (which aren't reviewed): [{ state, words }]
+  mastery(words, range, now = Date.now()) {
+    const states = [...VocabFilter.STATES, 'known'];
+    const counts = {};
+    states.forEach(state => {
+      counts[state] = 0;
+    });
+    Object.values(words)
+      .filter(entry => this.inRange(Exposures.dayKey(entry.dateAdded), range))
+      .forEach(entry => {
+        counts[StorageManager.getKnowledge(entry) === 'known' ? 'known' : SRS.getState(entry, now)]++;
+      });
+    return states.map(state => ({ state, words: counts[state] }));
+  },
+
+  // Chinese words known at the end of the range: saved vocabulary up to then
+  // plus the highlight list and known levels (which carry no dates)
+  knownChineseWords(words, highlighted, range) {
+    const known = new Set(highlighted);
+    Object.values(words)
+      .filter(entry => Exposures.dayKey(entry.dateAdded) <= range.to)
+      .forEach(entry => {
+        known.add(entry.original);
+        Senses.getActiveSenses(entry).forEach(sense => known.add(sense.translation));
+      });
+    return known;
+  },
+
+  // Estimated API spend per day: [{ day, cost, requests }]
+  spendByDay(usageRows, range) {
+    const totals = {};
+    usageRows.forEach(row => {
+      const day = totals[row.day] = totals[row.day] || { cost: 0, requests: 0 };
+      day.cost += row.cost;
+      day.requests += row.requests;
+    });
+    return this.days(range).map(day => ({
+      day,
+      cost: Math.round(((totals[day] || {}).cost || 0) * 1e6) / 1e6,
+      requests: (totals[day] || {}).requests || 0
+    }));
+  },
+
+  // Usage per provider over the range: [{ provider, requests, characters, inputTokens, outputTokens, cost }]
+  spendByProvider(usageRows, range) {
+    const totals = {};
+    usageRows
+      .filter(row => this.inRange(row.day, range))
+      .forEach(row => {
+        const provider = totals[row.provider] = totals[row.provider] || { provider: row.provider };
+        ApiUsage.FIELDS.forEach(field => {
+          provider[field] = (provider[field] || 0) + row[field];
+        });
+      });
+    return Object.values(totals).sort((a, b) => b.cost - a.cost);
+  }
+};
+
+// Make available globally
+if (typeof window !== 'undefined') {
+  window.DashboardStats = DashboardStats;
+}
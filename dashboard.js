@@ -0,0 +1,264 @@
+// Learning dashboard (extension options page)
+// One card per view, each with its own date range, an offline SVG chart (see
+// charts.js) or table, and a CSV export of the rows behind it (see dashboard-stats.js).
+
+// Data of the active vocabulary profile, reloaded when it changes
+let words = {};
+let highlightedWords = [];
+let usageRows = [];
+
+// Selected range per view id
+const viewRanges = {};
+
+// Views: rows(range) returns the exported rows; chart picks the columns to draw
+const VIEWS = [
+  {
+    id: 'wordsAdded',
+    title: 'Words added per day',
+    chart: { type: 'bar', label: 'day', value: 'added' },
+    rows: range => DashboardStats.wordsAdded(words, range)
+  },
+  {
+    id: 'growth',
+    title: 'Vocabulary growth',
+    chart: { type: 'line', label: 'day', value: 'total' },
+    rows: range => DashboardStats.growth(words, range)
+  },
+  {
+    id: 'exposuresByDay',
+    title: 'Page exposures per day',
+    note: `Exposure history is kept for ${Exposures.HISTORY_DAYS} days.`,
+    chart: { type: 'bar', label: 'day', value: 'exposures' },
+    rows: range => DashboardStats.exposuresByDay(words, range)
+  },
+  {
+    id: 'exposuresBySite',
+    title: 'Page exposures per site',
+    chart: { type: 'hbar', label: 'site', value: 'exposures' },
+    rows: range => DashboardStats.exposuresBySite(words, range)
+  },
+  {
+    id: 'topWords',
+    title: 'Most encountered words',
+    note: 'Exposures in the range; "total" also counts saves and older exposures.',
+    columns: { word: 'Word', translation: 'Translation', exposures: 'Exposures', timesEncountered: 'Total' },
+    rows: range => DashboardStats.topWords(words, range)
+  },
+  {
+    id: 'mastery',
+    title: 'Mastery of words added in range',
+    chart: { type: 'hbar', label: 'state', value: 'words' },
+    rows: range => DashboardStats.mastery(words, range)
+  },
+  {
+    id: 'hskCoverage',
+    title: 'HSK coverage',
+    note: 'Known at the end of the range: saved words plus the Chinese highlight list and known levels.',
+    chart: { type: 'hbar', label: 'level', value: 'percent' },
+    rows: async range => {
+      const known = DashboardStats.knownChineseWords(words, highlightedWords, range);
+      const coverage = await WordLists.getCoverage('hsk', known);
+      return coverage.map(({ tag, known: knownCount, total }) => ({
+        level: tag,
+        known: knownCount,
+        total,
+        percent: total > 0 ? Math.round((knownCount / total) * 1000) / 10 : 0
+      }));
+    }
+  },
+  {
+    id: 'spendByDay',
+    title: 'API spend per day (USD, estimated)',
+    chart: { type: 'bar', label: 'day', value: 'cost' },
+    rows: range => DashboardStats.spendByDay(usageRows, range)
+  },
+  {
+    id: 'spendByProvider',
+    title: 'API usage per provider',
+    columns: {
+      provider: 'Provider',
+      requests: 'Requests',
+      characters: 'Characters',
+      inputTokens: 'Input tokens',
+      outputTokens: 'Output tokens',
+      cost: 'Cost (USD)'
+    },
+    rows: range => DashboardStats.spendByProvider(usageRows, range).map(row => ({
+      ...row,
+      provider: ApiUsage.PROVIDERS[row.provider] || row.provider,
+      cost: Math.round(row.cost * 1e6) / 1e6
+    }))
+  }
+];
+
+document.addEventListener('DOMContentLoaded', async () => {
+  await loadData();
+  VIEWS.forEach(view => {
+    document.getElementById('views').appendChild(createCard(view));
+    renderView(view);
+  });
+
+  // Follow vocabulary changes and profile switches made elsewhere
+  chrome.storage.onChanged.addListener(async (changes, areaName) => {
+    if (areaName !== 'local') return;
+    if (StorageManager.isVocabularyChange(changes) || changes[ApiUsage.STORAGE_KEY]) {
+      await loadData();
+      VIEWS.forEach(renderView);
+    }
+  });
+});
+
+async function loadData() {
+  const profile = await StorageManager.getActiveProfile();
+  [words, highlightedWords, usageRows] = await Promise.all([
+    StorageManager.getKnownWords(),
+    WordLists.getKnownChineseWords().then(Object.keys).catch(() => []),
+    ApiUsage.getDaily()
+  ]);
+
+  document.getElementById('profileName').textContent =
+    `${profile.sourceLanguage} → ${profile.targetLanguage} · ${Object.keys(words).length} words`;
+}
+
+// Card with a range picker (presets or custom dates) and a CSV button
+function createCard(view) {
+  const card = document.createElement('section');
+  card.className = 'card';
+  card.id = `view-${view.id}`;
+
+  const header = document.createElement('header');
+  const title = document.createElement('h2');
+  title.textContent = view.title;
+  header.appendChild(title);
+
+  const controls = document.createElement('div');
+  controls.className = 'card-controls';
+
+  const preset = document.createElement('select');
+  Object.entries(DashboardStats.PRESETS).forEach(([value, label]) => {
+    preset.appendChild(new Option(label, value));
+  });
+  preset.appendChild(new Option('Custom…', 'custom'));
+  preset.value = DashboardStats.DEFAULT_PRESET;
+
+  const from = document.createElement('input');
+  from.type = 'date';
+  const to = document.createElement('input');
+  to.type = 'date';
+  [from, to].forEach(input => {
+    input.hidden = true;
+    input.addEventListener('change', () => {
+      if (from.value && to.value && from.value <= to.value) {
+        viewRanges[view.id] = { from: from.value, to: to.value };
+        renderView(view);
+      }
+    });
+  });
+
+  preset.addEventListener('change', () => {
+    const custom = preset.value === 'custom';
+    from.hidden = !custom;
+    to.hidden = !custom;
+    if (custom) {
+      const range = getRange(view);
+      from.value = range.from;
+      to.value = range.to;
+      viewRanges[view.id] = range;
+    } else {
+      delete viewRanges[view.id];
+    }
+    card.dataset.preset = preset.value;
+    renderView(view);
+  });
+
+  const exportBtn = document.createElement('button');
+  exportBtn.textContent = 'CSV';
+  exportBtn.title = 'Download the data behind this view';
+  exportBtn.addEventListener('click', () => exportView(view));
+
+  controls.append(preset, from, to, exportBtn);
+  header.appendChild(controls);
+  card.appendChild(header);
+
+  const body = document.createElement('div');
+  body.className = 'card-body';
+  card.appendChild(body);
+
+  if (view.note) {
+    const note = document.createElement('p');
+    note.className = 'card-note';
+    note.textContent = view.note;
+    card.appendChild(note);
+  }
+
+  card.dataset.preset = preset.value;
+  return card;
+}
+
+// Custom range of a view, or its preset ending today
+function getRange(view) {
+  if (viewRanges[view.id]) return viewRanges[view.id];
+  const preset = document.getElementById(`view-${view.id}`).dataset.preset || DashboardStats.DEFAULT_PRESET;
+  return DashboardStats.presetRange(preset, words);
+}
+
+async function renderView(view) {
+  const body = document.querySelector(`#view-${view.id} .card-body`);
+
+  try {
+    const rows = await view.rows(getRange(view));
+    body.innerHTML = '';
+
+    if (rows.length === 0 || (view.chart && rows.every(row => !row[view.chart.value]))) {
+      body.innerHTML = '<p class="empty-state">No data in this range.</p>';
+      return;
+    }
+
+    if (view.chart) {
+      const points = rows.map(row => ({ label: String(row[view.chart.label]), value: row[view.chart.value] }));
+      body.appendChild(Charts[view.chart.type](points));
+    } else {
+      body.appendChild(renderTable(view.columns, rows));
+    }
+  } catch (error) {
+    console.error(`Failed to render ${view.id}:`, error);
+    body.textContent = `Could not load: ${error.message}`;
+  }
+}
+
+function renderTable(columns, rows) {
+  const table = document.createElement('table');
+  const head = table.createTHead().insertRow();
+  Object.values(columns).forEach(label => {
+    const cell = document.createElement('th');
+    cell.textContent = label;
+    head.appendChild(cell);
+  });
+
+  const body = table.createTBody();
+  rows.forEach(row => {
+    const tableRow = body.insertRow();
+    Object.keys(columns).forEach(key => {
+      tableRow.insertCell().textContent = row[key];
+    });
+  });
+  return table;
+}
+
+async function exportView(view) {
+  const range = getRange(view);
+  const rows = await view.rows(range);
+  const columns = view.columns ? Object.keys(view.columns) : Object.keys(rows[0] || {});
+  const text = CSV.stringify([columns, ...rows.map(row => columns.map(column => row[column]))]);
+
+  // BOM so spreadsheet apps open the file as UTF-8
+  const blob = new Blob(['\ufeff' + text], { type: 'text/csv' });
+  const url = URL.createObjectURL(blob);
+
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `lingua-lens-${view.id}-${range.from}-to-${range.to}.csv`;
+  a.click();
+
+  URL.revokeObjectURL(url);
+}
@@ -0,0 +1,77 @@
+// Page exposures of saved words
+// Content scripts count how often saved words appear on pages and send them to
+// the background worker in batches of events { word, count, domain, date }.
+// Each event adds to the word's timesEncountered, to a per-day, per-site
+// history and may push a due review back (see SRS.applyExposure).
+
+const Exposures = {
+  // Days of per-site history kept per word
+  HISTORY_DAYS: 90,
+
+  // Upper bound for one event's count (a page repeating a word hundreds of times)
+  MAX_COUNT: 100,
+
+  // Local calendar day of a timestamp, e.g. '2026-10-19'
+  dayKey(timestamp) {
+    const date = new Date(timestamp);
+    const pad = number => String(number).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  },
+
+  // Drop malformed events and clamp counts and dates. Returns events with lowercase words.
+  normalizeEvents(events, now = Date.now()) {
+    if (!Array.isArray(events)) return [];
+
+    return events
+      .filter(event => event && typeof event.word === 'string' && event.word.trim() &&
+        Number.isFinite(event.count) && event.count > 0)
+      .map(event => ({
+        word: event.word.trim().toLowerCase(),
+        count: Math.min(Math.round(event.count), this.MAX_COUNT) || 1,
+        domain: typeof event.domain === 'string' && event.domain ? event.domain.toLowerCase() : null,
+        date: Number.isFinite(event.date) ? Math.min(event.date, now) : now
+      }));
+  },
+
+  // Exposure history of an entry, newest day first: [{ day, domain, count }]
+  getHistory(entry) {
+    return entry && Array.isArray(entry.exposures) ? entry.exposures : [];
+  },
+
+  // Add an event to an entry's total and history, forgetting days past HISTORY_DAYS
+  apply(entry, event, now = Date.now()) {
+    const oldest = this.dayKey(now - this.HISTORY_DAYS * SRS.DAY_MS);
+    const day = this.dayKey(event.date);
+    const history = this.getHistory(entry)
+      .filter(bucket => bucket.day > oldest)
+      .map(bucket => ({ ...bucket }));
+
+    const bucket = history.find(existing => existing.day === day && existing.domain === event.domain);
+    if (bucket) {
+      bucket.count += event.count;
+    } else {
+      history.push({ day, domain: event.domain, count: event.count });
+    }
+
+    entry.exposures = history.sort((a, b) => b.day.localeCompare(a.day));
+    entry.timesEncountered = (entry.timesEncountered || 0) + event.count;
+    return entry;
+  },
+
+  // Exposures per site over the kept history, most first: [{ domain, count }]
+  byDomain(entry) {
+    const totals = {};
+    this.getHistory(entry).forEach(bucket => {
+      const domain = bucket.domain || 'unknown site';
+      totals[domain] = (totals[domain] || 0) + bucket.count;
+    });
+    return Object.entries(totals)
+      .map(([domain, count]) => ({ domain, count }))
+      .sort((a, b) => b.count - a.count);
+  }
+};
+
+// Make available globally
+if (typeof window !== 'undefined') {
+  window.Exposures = Exposures;
+}
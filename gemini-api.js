@@ -224,6 +224,20 @@ MIXED OUTPUT:`;
     return mappings;
   },
 
+  /**
+   * Plain completion of a single prompt (used by translation-providers.js)
+   * @returns {Promise<string>} - The reply text
+   */
+  async complete(prompt, apiKey, model = this.MODELS.FLASH_LITE) {
+    const response = await this._makeRequest({
+      contents: [{ parts: [{ text: prompt }] }],
+      generationConfig: { temperature: 0.2, maxOutputTokens: 1024 }
+    }, apiKey, model);
+
+    this._trackUsage(response.usageMetadata || {}, model);
+    return response.candidates[0].content.parts[0].text.trim();
+  },
+
   /**
    * Make API request to Gemini
    */
@@ -248,7 +262,7 @@ MIXED OUTPUT:`;
       try {
         errorData = await response.json();
       } catch (e) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        throw RequestScheduler.httpError(response, `HTTP ${response.status}: ${response.statusText}`);
       }
 
       const errorMessage = errorData.error?.message || response.statusText;
@@ -258,7 +272,7 @@ MIXED OUTPUT:`;
       console.error('[GEMINI API] Status:', response.status);
       console.error('[GEMINI API] Error status:', errorStatus);
 
-      throw new Error(`${errorStatus}: ${errorMessage} (HTTP ${response.status})`);
+      throw RequestScheduler.httpError(response, `${errorStatus}: ${errorMessage} (HTTP ${response.status})`);
     }
 
     return await response.json();
@@ -291,6 +305,11 @@ MIXED OUTPUT:`;
     this.usage.totalInputTokens += usage.promptTokenCount || 0;
     this.usage.totalOutputTokens += usage.candidatesTokenCount || 0;
     this.usage.totalCost += this._calculateCost(usage, model);
+
+    // Persist for the dashboard's spend history (see usage.js)
+    if (typeof ApiUsage !== 'undefined') {
+      ApiUsage.recordTokens('gemini', usage.promptTokenCount || 0, usage.candidatesTokenCount || 0, this._calculateCost(usage, model));
+    }
   },
 
   /**
@@ -0,0 +1,300 @@
+// English inflections for saved words
+// Generates the inflected forms of a saved lemma ("run" -> runs, ran, running)
+// from spelling rules plus a table of irregular forms, so pages can match any
+// form of a saved word. Fully offline. Which forms are generated follows the
+// parts of speech of the word's senses; words without one get noun and verb forms.
+
+const Lemmatizer = {
+  // Irregular forms by lemma. Verbs list their past forms (the -s and -ing forms
+  // still follow the rules), nouns their plurals, adjectives their comparatives.
+  IRREGULAR: {
+    // Verbs
+    be: ['am', 'is', 'are', 'was', 'were', 'been', 'being'],
+    have: ['has', 'had', 'having'],
+    do: ['does', 'did', 'done', 'doing'],
+    go: ['goes', 'went', 'gone', 'going'],
+    arise: ['arose', 'arisen'],
+    awake: ['awoke', 'awoken'],
+    bear: ['bore', 'borne', 'born'],
+    beat: ['beat', 'beaten'],
+    become: ['became', 'become'],
+    begin: ['began', 'begun'],
+    bend: ['bent'],
+    bet: ['bet'],
+    bind: ['bound'],
+    bite: ['bit', 'bitten'],
+    bleed: ['bled'],
+    blow: ['blew', 'blown'],
+    break: ['broke', 'broken'],
+    breed: ['bred'],
+    bring: ['brought'],
+    build: ['built'],
+    burn: ['burnt', 'burned'],
+    burst: ['burst'],
+    buy: ['bought'],
+    catch: ['caught'],
+    choose: ['chose', 'chosen'],
+    cling: ['clung'],
+    come: ['came', 'come'],
+    cost: ['cost'],
+    creep: ['crept'],
+    cut: ['cut'],
+    deal: ['dealt'],
+    dig: ['dug'],
+    draw: ['drew', 'drawn'],
+    dream: ['dreamt', 'dreamed'],
+    drink: ['drank', 'drunk'],
+    drive: ['drove', 'driven'],
+    eat: ['ate', 'eaten'],
+    fall: ['fell', 'fallen'],
+    feed: ['fed'],
+    feel: ['felt'],
+    fight: ['fought'],
+    find: ['found'],
+    flee: ['fled'],
+    fling: ['flung'],
+    fly: ['flew', 'flown', 'flies'],
+    forbid: ['forbade', 'forbidden'],
+    forget: ['forgot', 'forgotten'],
+    forgive: ['forgave', 'forgiven'],
+    freeze: ['froze', 'frozen'],
+    get: ['got', 'gotten'],
+    give: ['gave', 'given'],
+    grind: ['ground'],
+    grow: ['grew', 'grown'],
+    hang: ['hung', 'hanged'],
+    hear: ['heard'],
+    hide: ['hid', 'hidden'],
+    hit: ['hit'],
+    hold: ['held'],
+    hurt: ['hurt'],
+    keep: ['kept'],
+    kneel: ['knelt'],
+    know: ['knew', 'known'],
+    lay: ['laid'],
+    lead: ['led'],
+    lean: ['leant', 'leaned'],
+    leap: ['leapt', 'leaped'],
+    learn: ['learnt', 'learned'],
+    leave: ['left'],
+    lend: ['lent'],
+    let: ['let'],
+    lie: ['lay', 'lain', 'lied', 'lying'],
+    light: ['lit', 'lighted'],
+    lose: ['lost'],
+    make: ['made'],
+    mean: ['meant'],
+    meet: ['met'],
+    pay: ['paid'],
+    put: ['put'],
+    quit: ['quit'],
+    read: ['read'],
+    ride: ['rode', 'ridden'],
+    ring: ['rang', 'rung'],
+    rise: ['rose', 'risen'],
+    run: ['ran', 'run'],
+    say: ['said'],
+    see: ['saw', 'seen'],
+    seek: ['sought'],
+    sell: ['sold'],
+    send: ['sent'],
+    set: ['set'],
+    shake: ['shook', 'shaken'],
+    shine: ['shone'],
+    shoot: ['shot'],
+    show: ['showed', 'shown'],
+    shrink: ['shrank', 'shrunk'],
+    shut: ['shut'],
+    sing: ['sang', 'sung'],
+    sink: ['sank', 'sunk'],
+    sit: ['sat'],
+    sleep: ['slept'],
+    slide: ['slid'],
+    speak: ['spoke', 'spoken'],
+    speed: ['sped'],
+    spend: ['spent'],
+    spin: ['spun'],
+    spit: ['spat'],
+    split: ['split'],
+    spread: ['spread'],
+    spring: ['sprang', 'sprung'],
+    stand: ['stood'],
+    steal: ['stole', 'stolen'],
+    stick: ['stuck'],
+    sting: ['stung'],
+    stink: ['stank', 'stunk'],
+    strike: ['struck'],
+    swear: ['swore', 'sworn'],
+    sweep: ['swept'],
+    swim: ['swam', 'swum'],
+    swing: ['swung'],
+    take: ['took', 'taken'],
+    teach: ['taught'],
+    tear: ['tore', 'torn'],
+    tell: ['told'],
+    think: ['thought'],
+    throw: ['threw', 'thrown'],
+    understand: ['understood'],
+    wake: ['woke', 'woken'],
+    wear: ['wore', 'worn'],
+    weep: ['wept'],
+    win: ['won'],
+    wind: ['wound'],
+    withdraw: ['withdrew', 'withdrawn'],
+    write: ['wrote', 'written'],
+
+    // Nouns
+    child: ['children'],
+    man: ['men'],
+    woman: ['women'],
+    person: ['people', 'persons'],
+    foot: ['feet'],
+    tooth: ['teeth'],
+    goose: ['geese'],
+    mouse: ['mice'],
+    ox: ['oxen'],
+    die: ['dice', 'died', 'dies', 'dying'],
+    knife: ['knives'],
+    wife: ['wives'],
+    life: ['lives'],
+    leaf: ['leaves'],
+    half: ['halves'],
+    wolf: ['wolves'],
+    shelf: ['shelves'],
+    thief: ['thieves'],
+    loaf: ['loaves'],
+    calf: ['calves'],
+    self: ['selves'],
+    analysis: ['analyses'],
+    crisis: ['crises'],
+    thesis: ['theses'],
+    phenomenon: ['phenomena'],
+    criterion: ['criteria'],
+    cactus: ['cacti', 'cactuses'],
+    fungus: ['fungi'],
+    datum: ['data'],
+    medium: ['media', 'mediums'],
+
+    // Adjectives and adverbs
+    good: ['better', 'best'],
+    well: ['better', 'best'],
+    bad: ['worse', 'worst'],
+    badly: ['worse', 'worst'],
+    far: ['farther', 'farthest', 'further', 'furthest'],
+    little: ['less', 'least'],
+    many: ['more', 'most'],
+    much: ['more', 'most']
+  },
+
+  // Words that never take endings
+  UNINFLECTED: ['sheep', 'fish', 'deer', 'series', 'species', 'news', 'aircraft'],
+
+  VOWELS: 'aeiou',
+
+  _isConsonant(char) {
+    return Boolean(char) && !this.VOWELS.includes(char);
+  },
+
+  // Short words ending consonant-vowel-consonant double the last letter (stop -> stopped)
+  _doublesFinal(word) {
+    return /^[^aeiou]*[aeiou][bdgklmnprtv]$/.test(word);
+  },
+
+  // Plural / third person singular
+  _sForms(word) {
+    if (/(s|x|z|ch|sh)$/.test(word)) return [`${word}es`];
+    if (word.endsWith('y') && this._isConsonant(word[word.length - 2])) return [`${word.slice(0, -1)}ies`];
+    if (word.endsWith('o') && this._isConsonant(word[word.length - 2])) return [`${word}es`, `${word}s`];
+    return [`${word}s`];
+  },
+
+  // Past tense / past participle
+  _edForms(word) {
+    if (word.endsWith('e')) return [`${word}d`];
+    if (word.endsWith('y') && this._isConsonant(word[word.length - 2])) return [`${word.slice(0, -1)}ied`];
+    if (this._doublesFinal(word)) return [`${word}${word[word.length - 1]}ed`];
+    return [`${word}ed`];
+  },
+
+  // Present participle
+  _ingForms(word) {
+    if (word.endsWith('ie')) return [`${word.slice(0, -2)}ying`];
+    if (word.endsWith('e') && !/(ee|ye|oe)$/.test(word) && word.length > 2) return [`${word.slice(0, -1)}ing`];
+    if (this._doublesFinal(word)) return [`${word}${word[word.length - 1]}ing`];
+    return [`${word}ing`];
+  },
+
+  // Comparative / superlative
+  _comparativeForms(word) {
+    if (word.endsWith('e')) return [`${word}r`, `${word}st`];
+    if (word.endsWith('y') && this._isConsonant(word[word.length - 2])) {
+      const stem = word.slice(0, -1);
+      return [`${stem}ier`, `${stem}iest`];
+    }
+    if (this._doublesFinal(word)) {
+      const last = word[word.length - 1];
+      return [`${word}${last}er`, `${word}${last}est`];
+    }
+    return [`${word}er`, `${word}est`];
+  },
+
+  // Parts of speech of a saved word's active senses (null for senses without one)
+  partsOfSpeech(entry) {
+    const parts = Senses.getActiveSenses(entry).map(sense => sense.partOfSpeech || null);
+    return parts.length > 0 ? [...new Set(parts)] : [null];
+  },
+
+  // Inflected forms of a lemma (lowercase, without the lemma itself).
+  // Phrases and words with non-letters are not inflected.
+  inflect(lemma, partsOfSpeech = [null]) {
+    const word = String(lemma || '').toLowerCase();
+    if (!/^[a-z]{2,}$/.test(word) || this.UNINFLECTED.includes(word)) return [];
+
+    const irregular = this.IRREGULAR[word];
+    const forms = new Set(irregular || []);
+
+    partsOfSpeech.forEach(partOfSpeech => {
+      const isNoun = partOfSpeech === 'noun' || partOfSpeech === null;
+      const isVerb = partOfSpeech === 'verb' || partOfSpeech === null;
+
+      // An irregular table entry replaces the regular plural / past / comparative
+      if (isNoun && !irregular) {
+        this._sForms(word).forEach(form => forms.add(form));
+      }
+      if (isVerb) {
+        this._sForms(word).forEach(form => forms.add(form));
+        this._ingForms(word).forEach(form => forms.add(form));
+        if (!irregular) this._edForms(word).forEach(form => forms.add(form));
+      }
+      if (partOfSpeech === 'adjective' && !irregular) {
+        this._comparativeForms(word).forEach(form => forms.add(form));
+      }
+    });
+
+    forms.delete(word);
+    return [...forms];
+  },
+
+  // Map every form of the saved words to its word key ({ form: key }).
+  // Saved words always map to themselves; a form shared by two saved
+  // words goes to the first one.
+  buildIndex(words) {
+    const index = {};
+    Object.keys(words).forEach(key => {
+      index[key] = key;
+    });
+
+    Object.entries(words).forEach(([key, entry]) => {
+      this.inflect(key, this.partsOfSpeech(entry)).forEach(form => {
+        if (!(form in index)) index[form] = key;
+      });
+    });
+
+    return index;
+  }
+};
+
+// Make available globally
+if (typeof window !== 'undefined') {
+  window.Lemmatizer = Lemmatizer;
+}
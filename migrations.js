@@ -0,0 +1,461 @@
+// Versioned storage migrations
+// Upgrades knownWords, settings, translationCache and chineseKnownWords step by step
+// Runs in the background worker on install/update; normalizers are shared with import.
+// Where the data is stored is part of the snapshot (data.storage): steps that move
+// data change it, and saveData() writes to wherever it points. From INDEXEDDB_VERSION
+// on, words and the translation cache live in VocabDB instead of chrome.storage.local.
+// chineseKnownWords moved to chrome.storage.local at CHINESE_LOCAL_VERSION and into
+// the vocabulary itself at UNIFIED_VOCABULARY_VERSION.
+
+const StorageMigrations = {
+  SCHEMA_VERSION_KEY: 'schemaVersion',
+  BACKUP_KEY: 'migrationBackup',
+  ERROR_KEY: 'migrationError',
+
+  // First schema version that keeps words and the translation cache in IndexedDB
+  INDEXEDDB_VERSION: 7,
+
+  // First schema version that keeps chineseKnownWords in chrome.storage.local
+  // (synced in shards by vocab-sync.js) instead of one chrome.storage.sync item
+  CHINESE_LOCAL_VERSION: 9,
+
+  // First schema version without a separate chineseKnownWords list: its words
+  // are 'known' entries in a Chinese profile (see StorageManager.KNOWLEDGE_STATES)
+  UNIFIED_VOCABULARY_VERSION: 10,
+
+  // Ordered migration steps. Each step mutates the data snapshot
+  // ({ knownWords, profiles, settings, translationCache, chineseKnownWords, secrets, storage }) in place.
+  // knownWords is the legacy single vocabulary; profiles maps profile id -> { meta, words }.
+  // storage is { vocabulary: 'local' | 'indexedDB', chineseKnownWords: 'sync' | 'local' | null }:
+  // where words and the translation cache, and the chineseKnownWords list, are kept.
+  // Never edit a released step - add a new one with the next version number.
+  steps: [
+    {
+      version: 1,
+      description: 'Rename deprecated Gemini 1.5 model ids to the 2.5 series',
+      migrate(data) {
+        const oldToNewModels = {
+          'gemini-1.5-flash-8b-latest': 'gemini-2.5-flash-lite',
+          'gemini-1.5-flash-latest': 'gemini-2.5-flash',
+          'gemini-1.5-flash': 'gemini-2.5-flash',
+          'gemini-1.5-pro-latest': 'gemini-2.5-pro',
+          'gemini-1.5-pro': 'gemini-2.5-pro'
+        };
+
+        if (data.settings.geminiModel && oldToNewModels[data.settings.geminiModel]) {
+          data.settings.geminiModel = oldToNewModels[data.settings.geminiModel];
+        }
+      }
+    },
+    {
+      version: 2,
+      description: 'Fill missing settings with defaults',
+      migrate(data) {
+        data.settings = { ...StorageManager.defaultSettings, ...data.settings };
+        if (!Array.isArray(data.settings.excludedUrls)) {
+          data.settings.excludedUrls = [];
+        }
+      }
+    },
+    {
+      version: 3,
+      description: 'Normalize knownWords entries (keys, timestamps, pinyin, review schedule)',
+      migrate(data) {
+        data.knownWords = StorageMigrations.normalizeWords(data.knownWords).words;
+      }
+    },
+    {
+      version: 4,
+      description: 'Drop malformed translationCache entries and dedupe chineseKnownWords',
+      migrate(data) {
+        const cache = {};
+        Object.entries(data.translationCache).forEach(([key, entry]) => {
+          if (entry && typeof entry.translation === 'string' && Number.isFinite(entry.timestamp)) {
+            cache[key] = entry;
+          }
+        });
+        data.translationCache = cache;
+
+        data.chineseKnownWords = [...new Set(
+          data.chineseKnownWords
+            .filter(word => typeof word === 'string')
+            .map(word => word.trim())
+            .filter(word => word.length > 0)
+        )];
+      }
+    },
+    {
+      version: 5,
+      description: 'Move the single knownWords map into a per-language-pair profile',
+      migrate(data) {
+        const sourceLanguage = data.settings.sourceLanguage || StorageManager.defaultSettings.sourceLanguage;
+        const targetLanguage = data.settings.targetLanguage || StorageManager.defaultSettings.targetLanguage;
+        const id = StorageManager.getProfileId(sourceLanguage, targetLanguage);
+
+        if (!data.profiles[id]) {
+          data.profiles[id] = {
+            meta: { id, sourceLanguage, targetLanguage, createdAt: Date.now() },
+            words: {}
+          };
+        }
+
+        // Words already in the profile win over legacy entries with the same key
+        data.profiles[id].words = { ...(data.knownWords || {}), ...data.profiles[id].words };
+        data.knownWords = null;
+      }
+    },
+    {
+      version: 6,
+      description: 'Turn single translations into a list of senses',
+      migrate(data) {
+        Object.values(data.profiles).forEach(profile => {
+          profile.words = StorageMigrations.normalizeWords(profile.words).words;
+        });
+      }
+    },
+    {
+      version: 7,
+      description: 'Move words and the translation cache from chrome.storage.local into IndexedDB',
+      migrate(data) {
+        data.storage.vocabulary = 'indexedDB';
+      }
+    },
+    {
+      version: 8,
+      description: 'Move API keys from settings into the secrets vault',
+      migrate(data) {
+        data.secrets = data.secrets || {};
+        if (data.settings.apiKey) {
+          data.secrets.google = data.settings.apiKey;
+        }
+        if (data.settings.ankiConnect && data.settings.ankiConnect.apiKey) {
+          data.secrets.ankiConnect = data.settings.ankiConnect.apiKey;
+        }
+        data.settings = StorageManager.withoutSecrets(data.settings);
+      }
+    },
+    {
+      version: 9,
+      description: 'Move chineseKnownWords out of its single chrome.storage.sync item',
+      migrate(data) {
+        // vocab-sync.js shards the local list for syncing
+        data.storage.chineseKnownWords = 'local';
+      }
+    },
+    {
+      version: 10,
+      description: 'Turn chineseKnownWords into known entries of a Chinese vocabulary profile',
+      migrate(data) {
+        const now = Date.now();
+        const wordsByProfile = {};
+        Object.entries(data.profiles).forEach(([id, profile]) => {
+          wordsByProfile[id] = profile.words;
+        });
+        const highlighted = new Set(StorageManager.chineseWordsOf(wordsByProfile));
+        const missing = data.chineseKnownWords.filter(word => !highlighted.has(word));
+
+        if (missing.length > 0) {
+          const target = StorageManager.getChineseProfile(data.settings);
+          const profile = data.profiles[target.id] = data.profiles[target.id] || {
+            meta: { ...target, createdAt: now },
+            words: {}
+          };
+          missing.forEach(word => {
+            profile.words[word.toLowerCase()] = profile.words[word.toLowerCase()] ||
+              StorageManager.createKnownEntry(word, [], now);
+          });
+        }
+        data.chineseKnownWords = [];
+        data.storage.chineseKnownWords = null;
+      }
+    }
+  ],
+
+  _ready: null,
+
+  // Run the migrations once per worker start (an install or update starts the
+  // worker too). Jobs that read or write stored words wait for this, so a step's
+  // replaceProfile can't overwrite what they have just written.
+  ready() {
+    if (!this._ready) {
+      this._ready = this.run('startup');
+    }
+    return this._ready;
+  },
+
+  get latestVersion() {
+    return this.steps[this.steps.length - 1].version;
+  },
+
+  // Read everything the migrations touch, from wherever the stored schema keeps it
+  async loadData() {
+    const local = await chrome.storage.local.get([
+      'knownWords', 'vocabProfiles', 'settings', 'translationCache', StorageManager.CHINESE_WORDS_KEY,
+      this.SCHEMA_VERSION_KEY
+    ]);
+    const schemaVersion = local[this.SCHEMA_VERSION_KEY] || 0;
+    const storage = this.storageOf(schemaVersion);
+    const inIndexedDB = storage.vocabulary === 'indexedDB';
+    const chineseWordsArea = storage.chineseKnownWords === 'sync'
+      ? await chrome.storage.sync.get([StorageManager.CHINESE_WORDS_KEY])
+      : local;
+
+    const vocabProfiles = local.vocabProfiles || {};
+    const profileKeys = Object.keys(vocabProfiles).map(id => StorageManager.getWordsKey(id));
+    const profileData = !inIndexedDB && profileKeys.length > 0 ? await chrome.storage.local.get(profileKeys) : {};
+
+    const profiles = {};
+    for (const meta of Object.values(vocabProfiles)) {
+      const words = inIndexedDB
+        ? await VocabDB.getAllWords(meta.id)
+        : profileData[StorageManager.getWordsKey(meta.id)] || {};
+      profiles[meta.id] = { meta, words };
+    }
+
+    return {
+      schemaVersion,
+      data: {
+        // null without a legacy map; step 3's normalizeWords() reads that as empty
+        knownWords: local.knownWords || null,
+        profiles,
+        settings: local.settings || {},
+        translationCache: inIndexedDB ? await VocabDB.getAllCache() : local.translationCache || {},
+        chineseKnownWords: chineseWordsArea[StorageManager.CHINESE_WORDS_KEY] || [],
+        secrets: {},
+        storage
+      }
+    };
+  },
+
+  // Where a schema version keeps its data (see data.storage)
+  storageOf(schemaVersion) {
+    let chineseKnownWords = 'sync';
+    if (schemaVersion >= this.UNIFIED_VOCABULARY_VERSION) {
+      chineseKnownWords = null;
+    } else if (schemaVersion >= this.CHINESE_LOCAL_VERSION) {
+      chineseKnownWords = 'local';
+    }
+    return {
+      vocabulary: schemaVersion >= this.INDEXEDDB_VERSION ? 'indexedDB' : 'local',
+      chineseKnownWords
+    };
+  },
+
+  // Write migrated data to where its steps moved it (migrated.storage) and
+  // remove the copies they moved it from
+  async saveData(migrated) {
+    const { storage } = migrated;
+    const inIndexedDB = storage.vocabulary === 'indexedDB';
+    const updates = {
+      vocabProfiles: {},
+      settings: migrated.settings
+    };
+
+    for (const { meta, words } of Object.values(migrated.profiles)) {
+      updates.vocabProfiles[meta.id] = meta;
+      if (inIndexedDB) {
+        await VocabDB.replaceProfile(meta.id, words);
+      } else {
+        updates[StorageManager.getWordsKey(meta.id)] = words;
+      }
+    }
+
+    if (inIndexedDB) {
+      await VocabDB.replaceCache(migrated.translationCache);
+    } else {
+      updates.translationCache = migrated.translationCache;
+    }
+    if (migrated.knownWords) {
+      updates.knownWords = migrated.knownWords;
+    }
+    if (storage.chineseKnownWords === 'local') {
+      updates[StorageManager.CHINESE_WORDS_KEY] = migrated.chineseKnownWords;
+    }
+    if (Object.keys(migrated.secrets || {}).length > 0) {
+      await Secrets.setMany(migrated.secrets);
+    }
+
+    // Schema version last, so an interrupted write is redone from the old data
+    await chrome.storage.local.set(updates);
+    await chrome.storage.local.set({ [this.SCHEMA_VERSION_KEY]: this.latestVersion });
+
+    const obsolete = migrated.knownWords ? [] : ['knownWords'];
+    if (inIndexedDB) {
+      obsolete.push('translationCache', ...Object.keys(migrated.profiles).map(id => StorageManager.getWordsKey(id)));
+    }
+    if (storage.chineseKnownWords !== 'local') {
+      obsolete.push(StorageManager.CHINESE_WORDS_KEY);
+    }
+    await chrome.storage.local.remove(obsolete);
+
+    if (storage.chineseKnownWords === 'sync') {
+      await chrome.storage.sync.set({ [StorageManager.CHINESE_WORDS_KEY]: migrated.chineseKnownWords });
+    } else {
+      try {
+        await chrome.storage.sync.remove([StorageManager.CHINESE_WORDS_KEY]);
+      } catch (error) {
+        console.warn('[MIGRATION] Could not remove chineseKnownWords from sync storage:', error.message);
+      }
+    }
+  },
+
+  // Apply all steps newer than fromVersion to a copy of data.
+  // Pure apart from logging, so a failure can be replayed from the backup.
+  migrateData(data, fromVersion) {
+    const migrated = JSON.parse(JSON.stringify(data));
+    const applied = [];
+
+    for (const step of this.steps) {
+      if (step.version <= fromVersion) continue;
+
+      try {
+        step.migrate(migrated);
+      } catch (error) {
+        error.migrationStep = step.version;
+        error.migrationDescription = step.description;
+        throw error;
+      }
+
+      applied.push(step.version);
+      console.log(`[MIGRATION] v${step.version}: ${step.description}`);
+    }
+
+    return { data: migrated, applied };
+  },
+
+  // Upgrade stored data to the latest schema version.
+  // Takes a backup first and writes nothing unless every step succeeds.
+  async run(reason = 'startup') {
+    const { schemaVersion, data } = await this.loadData();
+
+    if (schemaVersion >= this.latestVersion) {
+      console.log(`[MIGRATION] Schema v${schemaVersion} is up to date`);
+      return { migrated: false, version: schemaVersion };
+    }
+
+    // The backup stays in chrome.storage.local, so it never holds API keys
+    const backup = {
+      reason,
+      fromVersion: schemaVersion,
+      toVersion: this.latestVersion,
+      extensionVersion: chrome.runtime.getManifest().version,
+      createdAt: Date.now(),
+      data: { ...data, settings: StorageManager.withoutSecrets(data.settings) }
+    };
+    await chrome.storage.local.set({ [this.BACKUP_KEY]: backup });
+
+    let result;
+    try {
+      result = this.migrateData(data, schemaVersion);
+    } catch (error) {
+      const report = {
+        reason,
+        fromVersion: schemaVersion,
+        failedVersion: error.migrationStep || null,
+        description: error.migrationDescription || null,
+        message: error.message,
+        stack: error.stack || null,
+        extensionVersion: backup.extensionVersion,
+        backupKey: this.BACKUP_KEY,
+        timestamp: Date.now()
+      };
+      await chrome.storage.local.set({ [this.ERROR_KEY]: report });
+      console.error(`[MIGRATION] Failed at v${report.failedVersion}: ${report.message}. ` +
+        'Input data kept in storage; run StorageMigrations.replay() to reproduce.');
+      throw error;
+    }
+
+    const migrated = result.data;
+    await this.saveData(migrated);
+    await chrome.storage.local.remove([this.ERROR_KEY]);
+
+    console.log(`[MIGRATION] Upgraded storage v${schemaVersion} → v${this.latestVersion} (${reason})`);
+    return { migrated: true, from: schemaVersion, version: this.latestVersion, applied: result.applied };
+  },
+
+  // Re-run the migration from the stored backup without writing anything
+  async replay() {
+    const result = await chrome.storage.local.get([this.BACKUP_KEY]);
+    const backup = result[this.BACKUP_KEY];
+    if (!backup) {
+      throw new Error('No migration backup found');
+    }
+    return this.migrateData(backup.data, backup.fromVersion);
+  },
+
+  // Diagnostic report for a failed migration (secrets stripped from the backup)
+  async getReport() {
+    const result = await chrome.storage.local.get([this.ERROR_KEY, this.BACKUP_KEY]);
+    const error = result[this.ERROR_KEY];
+    if (!error) return null;
+
+    const backup = result[this.BACKUP_KEY] ? JSON.parse(JSON.stringify(result[this.BACKUP_KEY])) : null;
+    if (backup && backup.data && backup.data.settings) {
+      Object.keys(backup.data.settings).forEach(key => {
+        if (/apikey|token|secret/i.test(key)) {
+          backup.data.settings[key] = backup.data.settings[key] ? '[redacted]' : '';
+        }
+      });
+    }
+
+    return { error, backup };
+  },
+
+  // Bring a single word entry to the current shape. Returns null for unusable entries.
+  normalizeWord(key, entry, now = Date.now()) {
+    if (!entry || typeof entry !== 'object') return null;
+
+    const original = typeof entry.original === 'string' && entry.original.trim()
+      ? entry.original.trim()
+      : String(key || '').trim();
+    if (!original) return null;
+
+    const dateAdded = Number.isFinite(entry.dateAdded) ? entry.dateAdded : now;
+
+    const word = Senses.syncPrimary({
+      ...entry,
+      original,
+      translation: typeof entry.translation === 'string' ? entry.translation : String(entry.translation ?? ''),
+      pinyin: entry.pinyin || null,
+      senses: Array.isArray(entry.senses)
+        ? entry.senses.filter(sense => sense && typeof sense.translation === 'string' && sense.translation.trim())
+        : undefined,
+      sourceText: entry.sourceText || null,
+      sourceLanguage: entry.sourceLanguage || null,
+      dateAdded,
+      lastSeen: Number.isFinite(entry.lastSeen) ? entry.lastSeen : dateAdded,
+      timesEncountered: Number.isFinite(entry.timesEncountered) && entry.timesEncountered > 0
+        ? entry.timesEncountered
+        : 1,
+      review: SRS.getSchedule(entry, now)
+    });
+
+    // Known words have no review schedule
+    if (StorageManager.getKnowledge(entry) === 'known') {
+      delete word.review;
+    }
+    return word;
+  },
+
+  // Normalize a whole knownWords map, re-keying entries by lowercased original
+  normalizeWords(words, now = Date.now()) {
+    const normalized = {};
+    const dropped = [];
+
+    Object.entries(words || {}).forEach(([key, entry]) => {
+      const word = this.normalizeWord(key, entry, now);
+      if (!word) {
+        dropped.push(key);
+        return;
+      }
+      normalized[word.original.toLowerCase()] = word;
+    });
+
+    return { words: normalized, dropped };
+  }
+};
+
+// Make available globally
+if (typeof window !== 'undefined') {
+  window.StorageMigrations = StorageMigrations;
+}
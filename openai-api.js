@@ -206,6 +206,22 @@ MIXED OUTPUT:`;
     return mappings;
   },
 
+  /**
+   * Plain completion of a single prompt (used by translation-providers.js)
+   * @returns {Promise<string>} - The reply text
+   */
+  async complete(prompt, apiKey, model = this.MODELS.GPT4O_MINI) {
+    const response = await this._makeRequest({
+      model: model,
+      max_tokens: 1024,
+      temperature: 0.2,
+      messages: [{ role: 'user', content: prompt }]
+    }, apiKey);
+
+    this._trackUsage(response.usage, model);
+    return response.choices[0].message.content.trim();
+  },
+
   /**
    * Make API request to OpenAI
    */
@@ -228,7 +244,7 @@ MIXED OUTPUT:`;
       try {
         errorData = await response.json();
       } catch (e) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        throw RequestScheduler.httpError(response, `HTTP ${response.status}: ${response.statusText}`);
       }
 
       const errorMessage = errorData.error?.message || response.statusText;
@@ -238,7 +254,7 @@ MIXED OUTPUT:`;
       console.error('[OPENAI API] Status:', response.status);
       console.error('[OPENAI API] Error type:', errorType);
 
-      throw new Error(`${errorType}: ${errorMessage} (HTTP ${response.status})`);
+      throw RequestScheduler.httpError(response, `${errorType}: ${errorMessage} (HTTP ${response.status})`);
     }
 
     return await response.json();
@@ -268,6 +284,11 @@ MIXED OUTPUT:`;
     this.usage.totalInputTokens += usage.prompt_tokens;
     this.usage.totalOutputTokens += usage.completion_tokens;
     this.usage.totalCost += this._calculateCost(usage, model);
+
+    // Persist for the dashboard's spend history (see usage.js)
+    if (typeof ApiUsage !== 'undefined') {
+      ApiUsage.recordTokens('openai', usage.prompt_tokens, usage.completion_tokens, this._calculateCost(usage, model));
+    }
   },
 
   /**
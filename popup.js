@@ -1,60 +1,266 @@
 // Popup UI logic for Language Learning Extension
 
+const LANGUAGE_NAMES = {
+  'en': 'English',
+  'es': 'Spanish',
+  'fr': 'French',
+  'de': 'German',
+  'ja': 'Japanese',
+  'ko': 'Korean',
+  'it': 'Italian',
+  'pt': 'Portuguese',
+  'ru': 'Russian',
+  'zh-CN': 'Chinese (Simplified)',
+  'zh-TW': 'Chinese (Traditional)',
+  'ar': 'Arabic',
+  'hi': 'Hindi'
+};
+
 document.addEventListener('DOMContentLoaded', async () => {
   // Load settings and words
   await loadSettings();
+  await loadProfiles();
   await loadWords();
   await updateStats();
+  await loadReview();
+  await loadLastImport();
+  await loadSavedFilters();
+  await loadTrash();
+  await loadBackups();
+  await loadVocabSyncStatus();
 
   // Set up event listeners
   setupEventListeners();
+
+  // Surface a failed storage migration
+  await checkMigrationStatus();
 });
 
+// Show a warning with a downloadable report if the last storage migration failed
+async function checkMigrationStatus() {
+  const report = await chrome.runtime.sendMessage({ action: 'getMigrationReport' });
+  if (!report) return;
+
+  document.getElementById('migrationWarning').style.display = 'block';
+  document.getElementById('downloadMigrationReport').addEventListener('click', (e) => {
+    e.preventDefault();
+
+    const blob = new Blob([JSON.stringify(report, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `lingua-lens-migration-report-${Date.now()}.json`;
+    a.click();
+
+    URL.revokeObjectURL(url);
+  });
+}
+
 // Load settings from storage
 async function loadSettings() {
   const settings = await StorageManager.getSettings();
 
   document.getElementById('targetLanguage').value = settings.targetLanguage || 'zh-CN';
   document.getElementById('sourceLanguage').value = settings.sourceLanguage || 'en';
-  document.getElementById('apiKey').value = settings.apiKey || '';
   document.getElementById('autoTranslate').checked = settings.autoTranslate !== false;
   document.getElementById('showTooltips').checked = settings.showTooltips !== false;
+  document.getElementById('showReviewState').checked = settings.showReviewState !== false;
   document.getElementById('youtubeSubtitles').checked = settings.youtubeSubtitles !== false;
 
   // Load excluded URLs
   const excludedUrls = settings.excludedUrls || [];
   document.getElementById('excludedUrls').value = excludedUrls.join('\n');
 
+  document.getElementById('azureRegion').value = settings.azureRegion || '';
+  renderProviderSelects(settings.translationProviders || {});
+  const { libreTranslate, localLlm } = readServerSettings(settings);
+  document.getElementById('libreTranslateUrl').value = libreTranslate.url;
+  document.getElementById('localLlmUrl').value = localLlm.url;
+  document.getElementById('localLlmModel').value = localLlm.model;
+
   // Update language hint
   updateLanguageHint(settings.sourceLanguage, settings.targetLanguage);
+
+  await loadKeyStatus();
+}
+
+// One provider picker per translation feature (see translation-providers.js)
+function renderProviderSelects(chosen) {
+  const container = document.getElementById('translationProviders');
+  container.innerHTML = '';
+
+  Object.entries(TranslationProviders.FEATURES).forEach(([feature, label]) => {
+    const group = document.createElement('div');
+    group.className = 'form-group';
+
+    const select = document.createElement('select');
+    select.id = `provider-${feature}`;
+    select.dataset.feature = feature;
+    TranslationProviders.list(feature).forEach(provider => {
+      const isDefault = provider.id === TranslationProviders.DEFAULTS[feature];
+      select.appendChild(new Option(isDefault ? `${provider.name} (default)` : provider.name, provider.id));
+    });
+    select.value = TranslationProviders.forFeature(feature, { translationProviders: chosen }).id;
+
+    const labelElement = document.createElement('label');
+    labelElement.htmlFor = select.id;
+    labelElement.textContent = label;
+
+    group.append(labelElement, select);
+    container.appendChild(group);
+  });
+}
+
+// Self-hosted server settings, from saved settings or (without them) the form
+function readServerSettings(settings = null) {
+  if (settings) {
+    return {
+      libreTranslate: TranslationProviders.get('libreTranslate').getConfig(settings),
+      localLlm: TranslationProviders.get('localLlm').getConfig(settings)
+    };
+  }
+  return {
+    libreTranslate: { url: document.getElementById('libreTranslateUrl').value.trim() },
+    localLlm: {
+      url: document.getElementById('localLlmUrl').value.trim(),
+      model: document.getElementById('localLlmModel').value.trim()
+    }
+  };
+}
+
+// Check a self-hosted server with the URL, model and key in the form (saved or not)
+function testTranslationProvider(event) {
+  const btn = event.currentTarget;
+  const provider = btn.dataset.provider;
+  const result = document.getElementById('providerTestResult');
+  btn.disabled = true;
+  result.textContent = 'Testing...';
+
+  chrome.runtime.sendMessage({
+    action: 'testTranslationProvider',
+    provider,
+    settings: readServerSettings(),
+    apiKey: document.getElementById(KEY_INPUTS[provider]).value.trim()
+  }, (response) => {
+    btn.disabled = false;
+
+    if (!response || !response.success) {
+      result.textContent = '';
+      showStatus(`Connection failed: ${response ? response.error : 'Unknown error'}`, 'error');
+      return;
+    }
+
+    if (response.models) {
+      setOptions('localLlmModelOptions', response.models);
+    }
+
+    const parts = [response.detail];
+    if (response.sample !== undefined) {
+      parts.push(`"hello" → "${response.sample}" in ${response.latencyMs} ms`);
+    }
+    if (response.recent) {
+      parts.push(`recent translations took ${response.recent.averageMs} ms on average (${response.recent.calls} calls)`);
+    }
+    result.textContent = parts.filter(Boolean).join('. ');
+    showStatus('Connected', 'success');
+  });
+}
+
+// Feature -> provider id picked in the settings form. Defaults are left out, so
+// features without a key of their own can fall back to the offline dictionary.
+function getProviderSelections() {
+  const selections = {};
+  document.querySelectorAll('#translationProviders select').forEach(select => {
+    if (select.value !== TranslationProviders.DEFAULTS[select.dataset.feature]) {
+      selections[select.dataset.feature] = select.value;
+    }
+  });
+  return selections;
+}
+
+// Populate the vocabulary profile switcher
+async function loadProfiles() {
+  const profiles = await StorageManager.getProfiles();
+  const select = document.getElementById('profileSelect');
+  select.innerHTML = '';
+
+  profiles
+    .sort((a, b) => a.id.localeCompare(b.id))
+    .forEach(profile => {
+      const option = document.createElement('option');
+      option.value = profile.id;
+      option.textContent = `${LANGUAGE_NAMES[profile.sourceLanguage] || profile.sourceLanguage} → ` +
+        `${LANGUAGE_NAMES[profile.targetLanguage] || profile.targetLanguage} (${profile.wordCount})`;
+      option.selected = profile.active;
+      select.appendChild(option);
+    });
+}
+
+// Reload everything that depends on the active profile
+async function refreshActiveProfile() {
+  await loadSettings();
+  await loadProfiles();
+  await loadWords();
+  await updateStats();
+  await loadReview();
 }
 
-// Load and display known words
+// Load and display known words (narrowed by the current filter and search text)
 async function loadWords() {
   const knownWords = await StorageManager.getKnownWords();
-  displayWords(knownWords);
+  updateFilterOptions(knownWords);
+  displayWords(VocabFilter.apply(knownWords, currentFilter), document.getElementById('searchWords').value);
 }
 
 // Update language hint display
 function updateLanguageHint(sourceLang, targetLang) {
-  const languageNames = {
-    'en': 'English',
-    'es': 'Spanish',
-    'fr': 'French',
-    'de': 'German',
-    'ja': 'Japanese',
-    'ko': 'Korean',
-    'it': 'Italian',
-    'pt': 'Portuguese',
-    'ru': 'Russian',
-    'zh-CN': 'Chinese (Simplified)',
-    'zh-TW': 'Chinese (Traditional)',
-    'ar': 'Arabic',
-    'hi': 'Hindi'
-  };
+  document.getElementById('sourceLangName').textContent = LANGUAGE_NAMES[sourceLang] || sourceLang;
+  document.getElementById('targetLangName').textContent = LANGUAGE_NAMES[targetLang] || targetLang;
+}
+
+// Collapsible list of the contexts a word was saved in
+function renderContexts(contexts) {
+  const details = document.createElement('details');
+  details.className = 'word-contexts';
+
+  const summary = document.createElement('summary');
+  summary.textContent = `${contexts.length} context${contexts.length !== 1 ? 's' : ''}`;
+  details.appendChild(summary);
 
-  document.getElementById('sourceLangName').textContent = languageNames[sourceLang] || sourceLang;
-  document.getElementById('targetLangName').textContent = languageNames[targetLang] || targetLang;
+  contexts.forEach(context => {
+    const item = document.createElement('div');
+    item.className = 'word-context';
+
+    if (context.sentence) {
+      const sentence = document.createElement('div');
+      sentence.className = 'word-context-sentence';
+      sentence.textContent = `“${context.sentence}”`;
+      item.appendChild(sentence);
+    }
+
+    const source = document.createElement('div');
+    source.className = 'word-context-source';
+    if (context.url && /^https?:/.test(context.url)) {
+      const link = document.createElement('a');
+      link.href = context.url;
+      link.target = '_blank';
+      link.rel = 'noopener';
+      link.textContent = context.title || new URL(context.url).hostname;
+      link.title = context.url;
+      source.appendChild(link);
+    } else if (context.title) {
+      source.appendChild(document.createTextNode(context.title));
+    }
+    if (context.savedAt) {
+      source.appendChild(document.createTextNode(` • ${new Date(context.savedAt).toLocaleDateString()}`));
+    }
+    item.appendChild(source);
+
+    details.appendChild(item);
+  });
+
+  return details;
 }
 
 // Display words in the list
@@ -65,15 +271,17 @@ function displayWords(knownWords, filterText = '') {
   const words = Object.values(knownWords);
 
   if (words.length === 0) {
-    wordsList.innerHTML = '<p class="empty-state">No words saved yet. Select and translate words on any webpage to get started!</p>';
+    wordsList.innerHTML = VocabFilter.isEmpty(currentFilter)
+      ? '<p class="empty-state">No words saved yet. Select and translate words on any webpage to get started!</p>'
+      : '<p class="empty-state">No words match this view.</p>';
     return;
   }
 
-  // Filter words if search text provided
+  // Filter words if search text provided (matches any sense)
   const filteredWords = filterText
     ? words.filter(w =>
         w.original.toLowerCase().includes(filterText.toLowerCase()) ||
-        (w.translation && w.translation.toLowerCase().includes(filterText.toLowerCase()))
+        Senses.getSenses(w).some(sense => sense.translation.toLowerCase().includes(filterText.toLowerCase()))
       )
     : words;
 
@@ -92,22 +300,67 @@ function displayWords(knownWords, filterText = '') {
     original.className = 'word-original';
     original.textContent = wordData.original;
 
+    // Known words are their own translation and aren't reviewed
+    const known = StorageManager.getKnowledge(wordData) === 'known';
+
     const translation = document.createElement('div');
     translation.className = 'word-translation';
-    translation.textContent = wordData.translation;
+    translation.textContent = known ? 'Known word' : Senses.summarize(wordData) || wordData.translation;
 
     const meta = document.createElement('div');
     meta.className = 'word-meta';
-    meta.textContent = `Seen ${wordData.timesEncountered} time${wordData.timesEncountered !== 1 ? 's' : ''}`;
+    meta.textContent = `Seen ${wordData.timesEncountered} time${wordData.timesEncountered !== 1 ? 's' : ''} • ` +
+      (known ? 'Highlighted on Chinese pages' : `Review ${SRS.formatDue(wordData)}`);
+
+    // Where the word was seen recently, on hover
+    const sites = Exposures.byDomain(wordData);
+    if (sites.length > 0) {
+      meta.title = `Seen on pages in the last ${Exposures.HISTORY_DAYS} days:\n` +
+        sites.map(site => `${site.domain}: ${site.count}`).join('\n');
+    }
 
     wordInfo.appendChild(original);
     wordInfo.appendChild(translation);
     wordInfo.appendChild(meta);
 
+    // Deck and tags - click one to filter by it
+    const deck = VocabFilter.getDeck(wordData);
+    const tags = VocabFilter.getTags(wordData);
+    if (deck || tags.length > 0) {
+      const tagList = document.createElement('div');
+      tagList.className = 'word-tags';
+
+      if (deck) {
+        const chip = document.createElement('span');
+        chip.className = 'word-tag deck';
+        chip.textContent = deck;
+        chip.title = 'Show this deck';
+        chip.addEventListener('click', () => applyFilter({ ...currentFilter, deck }));
+        tagList.appendChild(chip);
+      }
+
+      tags.forEach(tag => {
+        const chip = document.createElement('span');
+        chip.className = 'word-tag';
+        chip.textContent = tag;
+        chip.title = 'Show words with this tag';
+        chip.addEventListener('click', () => applyFilter({ ...currentFilter, tags: [tag] }));
+        tagList.appendChild(chip);
+      });
+
+      wordInfo.appendChild(tagList);
+    }
+
+    // Sentences and pages the word was saved from
+    const contexts = WordContexts.get(wordData);
+    if (contexts.length > 0) {
+      wordInfo.appendChild(renderContexts(contexts));
+    }
+
     const editBtn = document.createElement('button');
     editBtn.className = 'word-edit';
     editBtn.innerHTML = '✎';
-    editBtn.title = 'Edit translation';
+    editBtn.title = 'Edit senses';
     editBtn.addEventListener('click', () => {
       editWord(wordItem, wordData);
     });
@@ -115,13 +368,16 @@ function displayWords(knownWords, filterText = '') {
     const deleteBtn = document.createElement('button');
     deleteBtn.className = 'word-delete';
     deleteBtn.innerHTML = '×';
-    deleteBtn.title = 'Remove word';
+    deleteBtn.title = 'Move to trash';
     deleteBtn.addEventListener('click', async () => {
-      await StorageManager.removeWord(wordData.original);
+      const batch = await StorageManager.removeWord(wordData.original);
       await loadWords();
       await updateStats();
-      showStatus('Word removed', 'success');
+      await loadTrash();
       notifyContentScripts();
+      if (batch) {
+        showUndoToast(`Removed "${wordData.original}"`, () => restoreWords({ batch }));
+      }
     });
 
     wordItem.appendChild(wordInfo);
@@ -135,7 +391,7 @@ function displayWords(knownWords, filterText = '') {
   }
 }
 
-// Edit a word's translation
+// Edit a word's senses: change, add, reorder and retire meanings
 function editWord(wordItem, wordData) {
   // Prevent multiple edits
   if (wordItem.classList.contains('editing')) {
@@ -144,62 +400,1131 @@ function editWord(wordItem, wordData) {
 
   wordItem.classList.add('editing');
 
-  // Create edit form
-  const editForm = document.createElement('div');
-  editForm.className = 'edit-inputs';
+  // Work on a copy so Cancel leaves the stored word untouched
+  const senses = Senses.getSenses(wordData).map(sense => ({ ...sense }));
+
+  // Create edit form
+  const editForm = document.createElement('div');
+  editForm.className = 'edit-inputs';
+
+  const senseList = document.createElement('div');
+  senseList.className = 'sense-list';
+
+  function renderSenses() {
+    senseList.innerHTML = '';
+
+    senses.forEach((sense, index) => {
+      const row = document.createElement('div');
+      row.className = `sense-row${sense.retired ? ' retired' : ''}`;
+
+      const translationInput = document.createElement('input');
+      translationInput.type = 'text';
+      translationInput.value = sense.translation;
+      translationInput.placeholder = 'Translation';
+      translationInput.addEventListener('input', () => {
+        sense.translation = translationInput.value;
+      });
+
+      const posSelect = document.createElement('select');
+      posSelect.appendChild(new Option('—', ''));
+      Object.entries(Senses.PARTS_OF_SPEECH).forEach(([pos, abbreviation]) => {
+        posSelect.appendChild(new Option(abbreviation, pos));
+      });
+      posSelect.value = sense.partOfSpeech || '';
+      posSelect.title = 'Part of speech';
+      posSelect.addEventListener('change', () => {
+        sense.partOfSpeech = posSelect.value || null;
+      });
+
+      const upBtn = document.createElement('button');
+      upBtn.className = 'sense-action';
+      upBtn.textContent = '↑';
+      upBtn.title = 'Move up';
+      upBtn.disabled = index === 0;
+      upBtn.addEventListener('click', () => {
+        [senses[index - 1], senses[index]] = [senses[index], senses[index - 1]];
+        renderSenses();
+      });
+
+      const retireBtn = document.createElement('button');
+      retireBtn.className = 'sense-action';
+      retireBtn.textContent = sense.retired ? '↺' : '×';
+      retireBtn.title = sense.retired ? 'Restore sense' : 'Retire sense';
+      retireBtn.addEventListener('click', () => {
+        sense.retired = !sense.retired;
+        renderSenses();
+      });
+
+      const details = document.createElement('div');
+      details.className = 'sense-details';
+
+      const pinyinInput = document.createElement('input');
+      pinyinInput.type = 'text';
+      pinyinInput.value = sense.pinyin || '';
+      pinyinInput.placeholder = 'Pinyin';
+      pinyinInput.addEventListener('input', () => {
+        sense.pinyin = pinyinInput.value.trim() || null;
+      });
+
+      const exampleInput = document.createElement('input');
+      exampleInput.type = 'text';
+      exampleInput.value = sense.example || '';
+      exampleInput.placeholder = 'Example (optional)';
+      exampleInput.addEventListener('input', () => {
+        sense.example = exampleInput.value.trim() || null;
+      });
+
+      const main = document.createElement('div');
+      main.className = 'sense-main';
+      main.appendChild(translationInput);
+      main.appendChild(posSelect);
+      main.appendChild(upBtn);
+      main.appendChild(retireBtn);
+
+      details.appendChild(pinyinInput);
+      details.appendChild(exampleInput);
+
+      row.appendChild(main);
+      row.appendChild(details);
+      senseList.appendChild(row);
+    });
+  }
+
+  renderSenses();
+
+  const tagInputs = document.createElement('div');
+  tagInputs.className = 'tag-inputs';
+
+  const tagsInput = document.createElement('input');
+  tagsInput.type = 'text';
+  tagsInput.value = VocabFilter.getTags(wordData).join(', ');
+  tagsInput.placeholder = 'Tags (comma separated)';
+
+  const deckInput = document.createElement('input');
+  deckInput.type = 'text';
+  deckInput.value = VocabFilter.getDeck(wordData) || '';
+  deckInput.placeholder = 'Deck';
+
+  tagInputs.appendChild(tagsInput);
+  tagInputs.appendChild(deckInput);
+
+  const addSenseBtn = document.createElement('button');
+  addSenseBtn.className = 'btn btn-secondary add-sense';
+  addSenseBtn.textContent = '+ Add sense';
+  addSenseBtn.addEventListener('click', () => {
+    senses.push(Senses.createSense({ translation: '' }));
+    renderSenses();
+    senseList.lastChild.querySelector('input').focus();
+  });
+
+  const editActions = document.createElement('div');
+  editActions.className = 'edit-actions';
+
+  const saveBtn = document.createElement('button');
+  saveBtn.className = 'btn btn-primary';
+  saveBtn.textContent = 'Save';
+  saveBtn.addEventListener('click', async () => {
+    // Fill in pinyin for Chinese senses that don't have any yet
+    senses.forEach(sense => {
+      if (!sense.pinyin && PinyinHelper && PinyinHelper.containsChinese(sense.translation)) {
+        sense.pinyin = PinyinHelper.generatePinyin(sense.translation);
+      }
+    });
+
+    try {
+      await StorageManager.updateSenses(wordData.original, senses);
+      await StorageManager.updateTags(wordData.original, VocabFilter.buildTags(tagsInput.value.split(','), deckInput.value));
+    } catch (error) {
+      showStatus(error.message, 'error');
+      return;
+    }
+
+    await loadWords();
+    showStatus('Word updated', 'success');
+    notifyContentScripts();
+  });
+
+  const cancelBtn = document.createElement('button');
+  cancelBtn.className = 'btn btn-secondary';
+  cancelBtn.textContent = 'Cancel';
+  cancelBtn.addEventListener('click', async () => {
+    await loadWords();
+  });
+
+  editActions.appendChild(saveBtn);
+  editActions.appendChild(cancelBtn);
+  editForm.appendChild(senseList);
+  editForm.appendChild(addSenseBtn);
+  editForm.appendChild(tagInputs);
+  editForm.appendChild(editActions);
+
+  wordItem.appendChild(editForm);
+
+  // Focus the primary translation
+  const firstInput = senseList.querySelector('input');
+  if (firstInput) {
+    firstInput.focus();
+    firstInput.select();
+  }
+}
+
+// Update statistics
+async function updateStats() {
+  const stats = await StorageManager.getStats();
+
+  document.getElementById('wordCount').textContent = stats.totalWords;
+  document.getElementById('dueCount').textContent = stats.dueWords;
+}
+
+// ============================================
+// Tags, Decks and Filter Views
+// ============================================
+
+// Filter applied to the word list, exports and review
+let currentFilter = VocabFilter.createFilter();
+
+// Fill a filter <select> keeping its first ("All ...") option and the current value
+function fillFilterSelect(selectId, values, selected) {
+  const select = document.getElementById(selectId);
+  const first = select.options[0];
+  select.innerHTML = '';
+  select.appendChild(first);
+  values.forEach(value => select.appendChild(new Option(value, value)));
+  if (selected && !values.includes(selected)) {
+    select.appendChild(new Option(selected, selected));
+  }
+  select.value = selected || '';
+}
+
+// Offer the tags and decks in use
+function updateFilterOptions(knownWords) {
+  const { tags, decks } = VocabFilter.collect(knownWords);
+  fillFilterSelect('filterTag', tags, currentFilter.tags[0]);
+  fillFilterSelect('filterDeck', decks, currentFilter.deck);
+}
+
+function readFilterForm() {
+  const tag = document.getElementById('filterTag').value;
+  const state = document.getElementById('filterState').value;
+
+  return VocabFilter.createFilter({
+    tags: tag ? [tag] : [],
+    deck: document.getElementById('filterDeck').value || null,
+    from: document.getElementById('filterFrom').value || null,
+    to: document.getElementById('filterTo').value || null,
+    states: state ? [state] : []
+  });
+}
+
+function setFilterForm(filter) {
+  document.getElementById('filterTag').value = filter.tags[0] || '';
+  document.getElementById('filterDeck').value = filter.deck || '';
+  document.getElementById('filterFrom').value = filter.from || '';
+  document.getElementById('filterTo').value = filter.to || '';
+  document.getElementById('filterState').value = filter.states[0] || '';
+}
+
+// Apply a filter everywhere in the popup
+async function applyFilter(filter) {
+  currentFilter = VocabFilter.createFilter(filter);
+  document.getElementById('filterSummary').textContent = VocabFilter.describe(currentFilter);
+
+  const reviewFilter = document.getElementById('reviewFilter');
+  reviewFilter.textContent = `Reviewing: ${VocabFilter.describe(currentFilter)}`;
+  reviewFilter.style.display = VocabFilter.isEmpty(currentFilter) ? 'none' : 'block';
+
+  await loadWords();
+  setFilterForm(currentFilter);
+  if (!currentReviewWord || !VocabFilter.matches(currentReviewWord, currentFilter)) {
+    await loadReview();
+  }
+}
+
+async function loadSavedFilters(selectedName = '') {
+  const views = await VocabFilter.getSavedFilters();
+  const select = document.getElementById('savedFilters');
+  const first = select.options[0];
+  select.innerHTML = '';
+  select.appendChild(first);
+  views.forEach(view => select.appendChild(new Option(view.name, view.name)));
+  select.value = selectedName;
+  document.getElementById('deleteFilter').disabled = !selectedName;
+}
+
+async function selectSavedFilter() {
+  const name = document.getElementById('savedFilters').value;
+  document.getElementById('deleteFilter').disabled = !name;
+  if (!name) return;
+
+  const view = (await VocabFilter.getSavedFilters()).find(candidate => candidate.name === name);
+  if (view) {
+    await applyFilter(view.filter);
+  }
+}
+
+async function saveFilterView() {
+  if (VocabFilter.isEmpty(currentFilter)) {
+    showStatus('Choose a tag, deck, date or state to save a view', 'error');
+    return;
+  }
+
+  const name = prompt('Name for this view:', document.getElementById('savedFilters').value || '');
+  if (name === null) return;
+
+  try {
+    await VocabFilter.saveFilter(name, currentFilter);
+    await loadSavedFilters(name.trim());
+    showStatus(`Saved view "${name.trim()}"`, 'success');
+  } catch (error) {
+    showStatus(error.message, 'error');
+  }
+}
+
+async function deleteFilterView() {
+  const name = document.getElementById('savedFilters').value;
+  if (!name) return;
+
+  await VocabFilter.deleteFilter(name);
+  await loadSavedFilters();
+  showStatus(`Deleted view "${name}"`, 'success');
+}
+
+// ============================================
+// Review Session
+// ============================================
+
+let currentReviewWord = null;
+
+// Show the next due word, or the empty state when nothing is due
+async function loadReview() {
+  const [nextWord] = await StorageManager.getDueWords(1, currentFilter);
+  currentReviewWord = nextWord || null;
+
+  const card = document.getElementById('reviewCard');
+  const empty = document.getElementById('reviewEmpty');
+
+  if (!currentReviewWord) {
+    card.style.display = 'none';
+    empty.style.display = 'block';
+    return;
+  }
+
+  empty.style.display = 'none';
+  card.style.display = 'block';
+
+  document.getElementById('reviewWord').textContent = currentReviewWord.original;
+  document.getElementById('reviewTranslation').textContent = Senses.summarize(currentReviewWord) || currentReviewWord.translation;
+  document.getElementById('reviewPinyin').textContent = currentReviewWord.pinyin || '';
+
+  document.getElementById('reviewAnswer').style.display = 'none';
+  document.getElementById('reviewGrades').style.display = 'none';
+  document.getElementById('showAnswer').style.display = 'block';
+}
+
+// Reveal the answer and grade buttons
+function showReviewAnswer() {
+  document.getElementById('reviewAnswer').style.display = 'block';
+  document.getElementById('reviewGrades').style.display = 'flex';
+  document.getElementById('showAnswer').style.display = 'none';
+}
+
+// Grade the current word and move on
+async function gradeReview(grade) {
+  if (!currentReviewWord) return;
+
+  const updated = await StorageManager.reviewWord(currentReviewWord.original, grade);
+  if (updated) {
+    showStatus(`Next review ${SRS.formatDue(updated)}`, 'info');
+  }
+
+  await loadReview();
+  await updateStats();
+  notifyContentScripts();
+}
+
+// ============================================
+// Import Preview and Undo
+// ============================================
+
+let pendingImport = null;
+
+// Maximum rows listed in the preview details
+const IMPORT_DETAIL_LIMIT = 50;
+
+// Show the dry-run diff of an import file
+function showImportPreview(preview) {
+  document.getElementById('importNewCount').textContent = preview.new.length;
+  document.getElementById('importChangedCount').textContent = preview.changed.length;
+  document.getElementById('importIdenticalCount').textContent = preview.identical.length;
+  document.getElementById('importInvalidCount').textContent = preview.invalid.length;
+
+  const rows = [
+    ...preview.invalid.map(({ key, errors }) => ({
+      text: `${key}: ${errors.map(error => `${error.field} ${error.message}`).join('; ')}`,
+      className: 'invalid'
+    })),
+    ...preview.changed.map(({ key, fields }) => ({ text: `${key}: ${fields.join(', ')} differ` })),
+    ...preview.new.map(key => ({ text: `${key}: new` }))
+  ];
+
+  const details = document.getElementById('importDetails');
+  details.innerHTML = '';
+  rows.slice(0, IMPORT_DETAIL_LIMIT).forEach(row => {
+    const li = document.createElement('li');
+    li.textContent = row.text;
+    if (row.className) li.className = row.className;
+    details.appendChild(li);
+  });
+  if (rows.length > IMPORT_DETAIL_LIMIT) {
+    const li = document.createElement('li');
+    li.textContent = `…and ${rows.length - IMPORT_DETAIL_LIMIT} more`;
+    details.appendChild(li);
+  }
+
+  const nothingToImport = preview.new.length === 0 && preview.changed.length === 0;
+  document.getElementById('applyImport').disabled = nothingToImport;
+  document.getElementById('importPreview').style.display = 'block';
+}
+
+function hideImportPreview() {
+  pendingImport = null;
+  document.getElementById('importPreview').style.display = 'none';
+}
+
+// Merge the previewed file using the chosen strategy
+async function applyImport() {
+  if (!pendingImport) return;
+
+  try {
+    const strategy = document.getElementById('importStrategy').value;
+    const result = await StorageManager.importWords(pendingImport, strategy);
+    hideImportPreview();
+
+    await loadWords();
+    await updateStats();
+    await loadLastImport();
+
+    if (result.added + result.updated > 0) {
+      showUndoToast(`Imported ${result.added} new and ${result.updated} updated words`, () => undoImport(false));
+    } else {
+      showStatus('Nothing to import', 'info');
+    }
+
+    // Notify content scripts
+    notifyContentScripts();
+  } catch (error) {
+    showStatus(error.message, 'error');
+  }
+}
+
+// Offer to undo the last import
+async function loadLastImport() {
+  const lastImport = await StorageManager.getLastImport();
+  const container = document.getElementById('lastImport');
+
+  if (!lastImport) {
+    container.style.display = 'none';
+    return;
+  }
+
+  document.getElementById('lastImportText').textContent =
+    `Last import (${new Date(lastImport.at).toLocaleString()}): ${lastImport.added} new, ${lastImport.updated} updated.`;
+  container.style.display = 'block';
+}
+
+async function undoImport(askFirst = true) {
+  if (askFirst && !confirm('Undo the last import? Words it added are removed and words it changed are restored.')) {
+    return;
+  }
+
+  try {
+    const count = await StorageManager.undoLastImport();
+    await loadWords();
+    await updateStats();
+    await loadLastImport();
+    showStatus(`Restored ${count} words`, 'success');
+    notifyContentScripts();
+  } catch (error) {
+    showStatus(`Undo failed: ${error.message}`, 'error');
+  }
+}
+
+// ============================================
+// API Keys (kept by the background worker, see secrets.js)
+// ============================================
+
+// Secret name -> password input
+const KEY_INPUTS = {
+  google: 'apiKey',
+  anthropic: 'anthropicApiKey',
+  openai: 'openaiApiKey',
+  gemini: 'geminiApiKey',
+  deepl: 'deeplApiKey',
+  azure: 'azureApiKey',
+  libreTranslate: 'libreTranslateApiKey',
+  localLlm: 'localLlmApiKey',
+  ankiConnect: 'ankiApiKey'
+};
+
+// Call a Secrets method in the background worker and return its result
+async function callSecrets(method, ...args) {
+  const response = await chrome.runtime.sendMessage({ action: 'secrets', method, args });
+  if (!response || response.error) {
+    throw new Error((response && response.error) || 'No response from background');
+  }
+  return response.result;
+}
+
+// Key inputs stay empty; the placeholder tells whether a key is saved
+async function loadKeyStatus() {
+  const status = await callSecrets('getStatus');
+
+  Object.entries(KEY_INPUTS).forEach(([name, inputId]) => {
+    const input = document.getElementById(inputId);
+    if (!input.dataset.emptyPlaceholder) {
+      input.dataset.emptyPlaceholder = input.placeholder;
+    }
+    input.value = '';
+    input.placeholder = status[name] ? 'Saved - type a new key to replace it' : input.dataset.emptyPlaceholder;
+  });
+  return status;
+}
+
+// Save the keys typed into the given inputs (empty inputs keep the saved key)
+async function saveKeyInputs(names) {
+  for (const name of names) {
+    const value = document.getElementById(KEY_INPUTS[name]).value.trim();
+    if (value) {
+      await callSecrets('set', name, value);
+    }
+  }
+  await loadKeyStatus();
+}
+
+async function forgetKeys() {
+  if (!confirm('Remove all saved API keys from this browser?')) {
+    return;
+  }
+
+  for (const name of Object.keys(KEY_INPUTS)) {
+    await callSecrets('remove', name);
+  }
+  await loadKeyStatus();
+  showStatus('API keys removed', 'success');
+}
+
+// Download all keys encrypted with a passphrase
+async function exportKeys() {
+  const passphrase = prompt('Passphrase to encrypt the key file (at least 8 characters):');
+  if (passphrase === null) return;
+  if (prompt('Repeat the passphrase:') !== passphrase) {
+    showStatus('Passphrases do not match', 'error');
+    return;
+  }
+
+  try {
+    const fileData = await callSecrets('exportEncrypted', passphrase);
+    const blob = new Blob([fileData], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `lingua-lens-keys-${Date.now()}.json`;
+    a.click();
+
+    URL.revokeObjectURL(url);
+    showStatus('Encrypted key file exported', 'success');
+  } catch (error) {
+    showStatus(`Export failed: ${error.message}`, 'error');
+  }
+}
+
+async function importKeys(file) {
+  const passphrase = prompt('Passphrase of the key file:');
+  if (passphrase === null) return;
+
+  try {
+    const count = await callSecrets('importEncrypted', await file.text(), passphrase);
+    await loadKeyStatus();
+    showStatus(`Imported ${count} API key${count !== 1 ? 's' : ''}`, 'success');
+  } catch (error) {
+    showStatus(`Import failed: ${error.message}`, 'error');
+  }
+}
+
+// ============================================
+// Trash and Undo
+// ============================================
+
+// How long the undo toast stays up
+const UNDO_TOAST_MS = 8000;
+
+let undoToastTimer = null;
+
+// Offer to undo a destructive action for a few seconds
+function showUndoToast(message, undo) {
+  document.getElementById('undoToastText').textContent = message;
+  document.getElementById('undoToast').classList.add('visible');
+
+  document.getElementById('undoToastButton').onclick = async () => {
+    hideUndoToast();
+    try {
+      await undo();
+    } catch (error) {
+      showStatus(`Undo failed: ${error.message}`, 'error');
+    }
+  };
+
+  clearTimeout(undoToastTimer);
+  undoToastTimer = setTimeout(hideUndoToast, UNDO_TOAST_MS);
+}
+
+function hideUndoToast() {
+  clearTimeout(undoToastTimer);
+  document.getElementById('undoToast').classList.remove('visible');
+  document.getElementById('undoToastButton').onclick = null;
+}
+
+// Restore trashed words (by trash id or deletion batch)
+async function restoreWords(selection) {
+  const count = await StorageManager.restoreWords(selection);
+  await loadWords();
+  await updateStats();
+  await loadTrash();
+  showStatus(`Restored ${count} word${count !== 1 ? 's' : ''}`, 'success');
+  notifyContentScripts();
+}
+
+// Show the trash with restore / delete-forever buttons
+async function loadTrash() {
+  const [trash, settings] = await Promise.all([StorageManager.getTrash(), StorageManager.getSettings()]);
+
+  document.getElementById('trashCount').textContent = trash.length;
+  document.getElementById('trashRetentionDays').value =
+    settings.trashRetentionDays ?? StorageManager.defaultSettings.trashRetentionDays;
+  document.getElementById('restoreAll').disabled = trash.length === 0;
+  document.getElementById('emptyTrash').disabled = trash.length === 0;
+
+  const list = document.getElementById('trashList');
+  list.innerHTML = '';
+
+  if (trash.length === 0) {
+    list.innerHTML = '<p class="empty-state">Trash is empty.</p>';
+    return;
+  }
+
+  trash.forEach(item => {
+    const wordItem = document.createElement('div');
+    wordItem.className = 'word-item';
+
+    const wordInfo = document.createElement('div');
+    wordInfo.className = 'word-info';
+
+    const original = document.createElement('div');
+    original.className = 'word-original';
+    original.textContent = item.entry.original;
+
+    const translation = document.createElement('div');
+    translation.className = 'word-translation';
+    translation.textContent = Senses.summarize(item.entry) || item.entry.translation;
+
+    const meta = document.createElement('div');
+    meta.className = 'word-meta';
+    meta.textContent = `Deleted ${formatTime(item.deletedAt)}`;
+
+    wordInfo.appendChild(original);
+    wordInfo.appendChild(translation);
+    wordInfo.appendChild(meta);
+
+    const restoreBtn = document.createElement('button');
+    restoreBtn.className = 'trash-restore';
+    restoreBtn.textContent = '↺';
+    restoreBtn.title = 'Restore word';
+    restoreBtn.addEventListener('click', () => restoreWords({ ids: [item.id] }));
+
+    const deleteBtn = document.createElement('button');
+    deleteBtn.className = 'word-delete';
+    deleteBtn.innerHTML = '×';
+    deleteBtn.title = 'Delete permanently';
+    deleteBtn.addEventListener('click', async () => {
+      await StorageManager.purgeTrash([item.id]);
+      await loadTrash();
+    });
+
+    wordItem.appendChild(wordInfo);
+    wordItem.appendChild(restoreBtn);
+    wordItem.appendChild(deleteBtn);
+    list.appendChild(wordItem);
+  });
+}
+
+async function emptyTrash() {
+  if (!confirm('Permanently delete all words in the trash? This cannot be undone.')) {
+    return;
+  }
+
+  const count = await StorageManager.purgeTrash();
+  await loadTrash();
+  showStatus(`Permanently deleted ${count} words`, 'success');
+}
+
+async function updateTrashRetention() {
+  const days = parseInt(document.getElementById('trashRetentionDays').value, 10);
+  if (!days || days < 1) {
+    showStatus('Keep deleted words for at least 1 day', 'error');
+    return;
+  }
+
+  await StorageManager.updateSettings({ trashRetentionDays: days });
+  showStatus(`Deleted words are kept for ${days} days`, 'success');
+}
+
+// ============================================
+// Backups
+// ============================================
+
+// List snapshots with compare / restore / delete buttons
+async function loadBackups() {
+  const list = document.getElementById('backupList');
+  const backups = await Backups.list();
+  list.innerHTML = '';
+
+  if (backups.length === 0) {
+    list.innerHTML = '<p class="empty-state">No backups yet.</p>';
+    return;
+  }
+
+  backups.forEach(backup => {
+    const item = document.createElement('div');
+    item.className = 'backup-item';
+
+    const info = document.createElement('div');
+    info.className = 'backup-info';
+
+    const kind = document.createElement('div');
+    kind.className = 'backup-kind';
+    kind.textContent = `${Backups.KINDS[backup.kind].label} · ${new Date(backup.createdAt).toLocaleString()}`;
+
+    const meta = document.createElement('div');
+    meta.className = 'backup-meta';
+    meta.textContent = `${backup.summary.words} words in ${backup.summary.profiles} profile${backup.summary.profiles !== 1 ? 's' : ''}, ` +
+      `${backup.summary.chineseWords} Chinese known words`;
+
+    info.appendChild(kind);
+    info.appendChild(meta);
+
+    const compareBtn = document.createElement('button');
+    compareBtn.textContent = 'Compare';
+    compareBtn.addEventListener('click', () => showBackupDiff(backup.id));
+
+    const restoreBtn = document.createElement('button');
+    restoreBtn.textContent = 'Restore';
+    restoreBtn.addEventListener('click', () => restoreBackup(backup));
+
+    const deleteBtn = document.createElement('button');
+    deleteBtn.className = 'word-delete';
+    deleteBtn.innerHTML = '×';
+    deleteBtn.title = 'Delete backup';
+    deleteBtn.addEventListener('click', async () => {
+      await Backups.remove(backup.id);
+      document.getElementById('backupDiff').style.display = 'none';
+      await loadBackups();
+    });
+
+    item.appendChild(info);
+    item.appendChild(compareBtn);
+    item.appendChild(restoreBtn);
+    item.appendChild(deleteBtn);
+    list.appendChild(item);
+  });
+}
+
+async function createBackup() {
+  try {
+    await Backups.create('manual');
+    await loadBackups();
+    showStatus('Backup created', 'success');
+  } catch (error) {
+    console.error('Backup error:', error);
+    showStatus(`Backup failed: ${error.message}`, 'error');
+  }
+}
+
+// "3 words (a, b, c)" with the first few words
+function describeWords(words) {
+  const preview = words.slice(0, 5).join(', ') + (words.length > 5 ? ', …' : '');
+  return `${words.length} word${words.length !== 1 ? 's' : ''} (${preview})`;
+}
+
+// Show what restoring a snapshot would change
+async function showBackupDiff(id) {
+  const panel = document.getElementById('backupDiff');
+  panel.style.display = 'block';
+  panel.textContent = 'Comparing...';
+
+  try {
+    const diff = await Backups.diff(id);
+    const lines = [];
+
+    diff.profiles.forEach(profile => {
+      const parts = [];
+      if (profile.missing.length) parts.push(`brings back ${describeWords(profile.missing)}`);
+      if (profile.added.length) parts.push(`removes ${describeWords(profile.added)} added since`);
+      if (profile.changed.length) parts.push(`reverts ${describeWords(profile.changed)}`);
+      lines.push(`${profile.id}: ${parts.join('; ')}`);
+    });
+
+    if (diff.chinese.missing.length || diff.chinese.added.length) {
+      const parts = [];
+      if (diff.chinese.missing.length) parts.push(`brings back ${describeWords(diff.chinese.missing)}`);
+      if (diff.chinese.added.length) parts.push(`removes ${describeWords(diff.chinese.added)}`);
+      lines.push(`Chinese known words: ${parts.join('; ')}`);
+    }
+
+    if (diff.settings.length) {
+      lines.push(`Settings: changes ${diff.settings.join(', ')}`);
+    }
+
+    panel.innerHTML = '';
+    const title = document.createElement('strong');
+    title.textContent = `Restoring the backup from ${new Date(diff.backup.createdAt).toLocaleString()}`;
+    panel.appendChild(title);
+
+    if (lines.length === 0) {
+      panel.appendChild(document.createTextNode(' changes nothing - it matches the current data.'));
+      return;
+    }
+
+    const list = document.createElement('ul');
+    lines.forEach(line => {
+      const item = document.createElement('li');
+      item.textContent = line;
+      list.appendChild(item);
+    });
+    panel.appendChild(list);
+  } catch (error) {
+    panel.textContent = `Could not compare: ${error.message}`;
+  }
+}
+
+async function restoreBackup(backup) {
+  const date = new Date(backup.createdAt).toLocaleString();
+  if (!confirm(`Restore the backup from ${date}? Words, Chinese known words and settings are replaced; API keys are kept. The current state is backed up first.`)) {
+    return;
+  }
+
+  try {
+    await Backups.restore(backup.id);
+    await loadSettings();
+    await loadProfiles();
+    await loadWords();
+    await updateStats();
+    await loadChineseWords();
+    await loadBackups();
+    document.getElementById('backupDiff').style.display = 'none';
+    notifyContentScripts();
+    refreshChineseHighlights();
+    showStatus(`Restored backup from ${date}`, 'success');
+  } catch (error) {
+    console.error('Restore error:', error);
+    showStatus(`Restore failed: ${error.message}`, 'error');
+  }
+}
+
+// ============================================
+// CSV / TSV Import and Export
+// ============================================
+
+// Parsed file waiting for its columns to be mapped: { rows, mapping, delimiter, encoding }
+let csvImport = null;
+
+// Data rows shown in the mapping preview
+const CSV_PREVIEW_ROWS = 5;
+
+// Words per translateBatch message when filling in missing translations (the
+// background splits them further into requests the provider accepts)
+const CSV_TRANSLATE_CHUNK = 500;
+
+const DELIMITER_NAMES = { '\t': 'Tab', ',': 'Comma', ';': 'Semicolon', '|': 'Pipe' };
+
+// Decode and parse a CSV/TSV file and show the column mapping
+async function openCsvImport(file) {
+  const { text, encoding } = CSV.decode(await file.arrayBuffer());
+  const delimiter = CSV.detectDelimiter(text);
+  const rows = CSV.parse(text, delimiter);
+
+  if (rows.length === 0) {
+    throw new Error('The file contains no rows');
+  }
+
+  const { hasHeader, mapping } = CSV.guessMapping(rows);
+  csvImport = { rows, mapping, delimiter, encoding };
+
+  document.getElementById('csvHasHeader').checked = hasHeader;
+  document.getElementById('csvDetected').textContent =
+    `${rows.length} rows · ${DELIMITER_NAMES[delimiter]}-separated · ${encoding}`;
+
+  hideImportPreview();
+  renderCsvPreview();
+  document.getElementById('csvMapping').style.display = 'block';
+}
+
+// Preview table with a field picker above every column
+function renderCsvPreview() {
+  const table = document.getElementById('csvPreview');
+  const hasHeader = document.getElementById('csvHasHeader').checked;
+  const visibleRows = csvImport.rows.slice(0, CSV_PREVIEW_ROWS + (hasHeader ? 1 : 0));
+  const columnCount = Math.max(...visibleRows.map(row => row.length));
+
+  table.innerHTML = '';
+
+  const mappingRow = document.createElement('tr');
+  for (let column = 0; column < columnCount; column++) {
+    const th = document.createElement('th');
+    const select = document.createElement('select');
+
+    ['', ...CSV.FIELDS].forEach(field => {
+      const option = document.createElement('option');
+      option.value = field;
+      option.textContent = field || 'Ignore';
+      select.appendChild(option);
+    });
+    select.value = csvImport.mapping[column] || '';
+    select.addEventListener('change', () => {
+      csvImport.mapping[column] = select.value || null;
+    });
+
+    th.appendChild(select);
+    mappingRow.appendChild(th);
+  }
+  table.appendChild(mappingRow);
+
+  visibleRows.forEach((row, index) => {
+    const tr = document.createElement('tr');
+    if (hasHeader && index === 0) {
+      tr.className = 'header-row';
+    }
+    for (let column = 0; column < columnCount; column++) {
+      const td = document.createElement('td');
+      td.textContent = row[column] || '';
+      td.title = row[column] || '';
+      tr.appendChild(td);
+    }
+    table.appendChild(tr);
+  });
+}
+
+function hideCsvImport() {
+  csvImport = null;
+  document.getElementById('csvMapping').style.display = 'none';
+}
+
+// Build words from the mapped columns, fill in gaps and hand over to the import preview
+async function continueCsvImport() {
+  if (!csvImport) return;
+
+  if (!csvImport.mapping.includes('original')) {
+    showStatus('Map one column to "original"', 'error');
+    return;
+  }
+
+  const button = document.getElementById('csvContinue');
+  button.disabled = true;
+  button.textContent = 'Preparing...';
+
+  try {
+    const hasHeader = document.getElementById('csvHasHeader').checked;
+    const { words, skipped } = CSV.rowsToWords(csvImport.rows, csvImport.mapping, hasHeader);
+    const settings = await StorageManager.getSettings();
+
+    let untranslated = [];
+    if (document.getElementById('csvFillTranslations').checked) {
+      untranslated = await fillMissingTranslations(words);
+    }
+    if (document.getElementById('csvFillPinyin').checked) {
+      fillMissingPinyin(words, settings);
+    }
+
+    // Same path as JSON imports: validation, dry-run diff and merge strategies
+    const profile = await StorageManager.getActiveProfile();
+    const importJson = JSON.stringify({ version: '1.0.0', profile, words });
+    const preview = await StorageManager.previewImport(importJson);
+
+    hideCsvImport();
+    pendingImport = importJson;
+    showImportPreview(preview);
+
+    const notes = [];
+    if (skipped > 0) {
+      notes.push(`Skipped ${skipped} rows without a word`);
+    }
+    if (untranslated.length > 0) {
+      const first = untranslated[0];
+      notes.push(`${untranslated.length} words could not be translated (${first.word}: ${first.error || 'no translation'})`);
+    }
+    if (notes.length > 0) {
+      showStatus(notes.join('. '), 'info');
+    }
+  } catch (error) {
+    showStatus(error.message, 'error');
+  } finally {
+    button.disabled = false;
+    button.textContent = 'Continue';
+  }
+}
+
+// Translate words that came without a translation (via TranslatorAPI.translateBatch in the background).
+// Returns the words that could not be translated; they stay without a translation.
+async function fillMissingTranslations(words) {
+  const missing = Object.values(words).filter(entry => entry.senses.length === 0);
+  const failed = [];
+
+  for (let i = 0; i < missing.length; i += CSV_TRANSLATE_CHUNK) {
+    const chunk = missing.slice(i, i + CSV_TRANSLATE_CHUNK);
+    const response = await chrome.runtime.sendMessage({
+      action: 'translateBatch',
+      texts: chunk.map(entry => entry.original)
+    });
+
+    if (!response || response.error) {
+      throw new Error(`Auto-translate failed: ${(response && response.error) || 'no response'}`);
+    }
+
+    response.results.forEach((result, index) => {
+      if (result && result.translatedText) {
+        chunk[index].senses = [Senses.createSense({ translation: result.translatedText })];
+        Senses.syncPrimary(chunk[index]);
+      } else {
+        failed.push({ word: chunk[index].original, error: result && result.error });
+      }
+    });
+  }
+  return failed;
+}
+
+// Generate pinyin for Chinese translations that have none
+function fillMissingPinyin(words, settings) {
+  if (!PinyinHelper || !PinyinHelper.shouldGeneratePinyin(settings.targetLanguage)) return;
+
+  Object.values(words).forEach(entry => {
+    entry.senses.forEach(sense => {
+      if (!sense.pinyin && PinyinHelper.containsChinese(sense.translation)) {
+        sense.pinyin = PinyinHelper.generatePinyin(sense.translation);
+      }
+    });
+    Senses.syncPrimary(entry);
+  });
+}
+
+// Download the active profile's words as CSV or TSV
+async function exportDelimited(delimiter, extension) {
+  try {
+    const words = await StorageManager.getKnownWords(currentFilter);
+    const text = CSV.stringify(CSV.wordsToRows(words), delimiter);
+
+    // BOM so spreadsheet apps open the file as UTF-8
+    const blob = new Blob(['\ufeff' + text], {
+      type: delimiter === '\t' ? 'text/tab-separated-values' : 'text/csv'
+    });
+    const url = URL.createObjectURL(blob);
+
+    const a = document.createElement('a');
+    a.href = url;
+    const profile = await StorageManager.getActiveProfile();
+    a.download = `language-learner-words-${profile.id}-${Date.now()}.${extension}`;
+    a.click();
 
-  const translationInput = document.createElement('input');
-  translationInput.type = 'text';
-  translationInput.value = wordData.translation;
-  translationInput.placeholder = 'New translation';
+    URL.revokeObjectURL(url);
 
-  const editActions = document.createElement('div');
-  editActions.className = 'edit-actions';
+    showStatus(`Exported ${Object.keys(words).length} words`, 'success');
+  } catch (error) {
+    showStatus(`Export failed: ${error.message}`, 'error');
+  }
+}
 
-  const saveBtn = document.createElement('button');
-  saveBtn.className = 'btn btn-primary';
-  saveBtn.textContent = 'Save';
-  saveBtn.addEventListener('click', async () => {
-    const newTranslation = translationInput.value.trim();
-    if (!newTranslation) {
-      showStatus('Translation cannot be empty', 'error');
-      return;
-    }
+// Download the active profile's words as an Anki package (.apkg), built offline
+async function exportAnki() {
+  const button = document.getElementById('exportAnki');
+  button.disabled = true;
 
-    await StorageManager.updateWord(wordData.original, newTranslation);
-    await loadWords();
-    showStatus('Translation updated', 'success');
-    notifyContentScripts();
-  });
+  try {
+    const words = await StorageManager.getKnownWords(currentFilter);
+    const profile = await StorageManager.getActiveProfile();
+    const sourceName = LANGUAGE_NAMES[profile.sourceLanguage] || profile.sourceLanguage;
+    const targetName = LANGUAGE_NAMES[profile.targetLanguage] || profile.targetLanguage;
+
+    const apkg = await AnkiExport.buildPackage(words, {
+      deckName: `Lingua Lens::${sourceName} → ${targetName}${currentFilter.deck ? `::${currentFilter.deck}` : ''}`,
+      profileId: profile.id
+    });
 
-  const cancelBtn = document.createElement('button');
-  cancelBtn.className = 'btn btn-secondary';
-  cancelBtn.textContent = 'Cancel';
-  cancelBtn.addEventListener('click', async () => {
-    await loadWords();
-  });
+    const blob = new Blob([apkg], { type: 'application/octet-stream' });
+    const url = URL.createObjectURL(blob);
 
-  editActions.appendChild(saveBtn);
-  editActions.appendChild(cancelBtn);
-  editForm.appendChild(translationInput);
-  editForm.appendChild(editActions);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `language-learner-${profile.id}-${Date.now()}.apkg`;
+    a.click();
 
-  wordItem.appendChild(editForm);
+    URL.revokeObjectURL(url);
 
-  // Focus the input
-  translationInput.focus();
-  translationInput.select();
+    showStatus(`Exported ${Object.keys(words).length} words to an Anki deck`, 'success');
+  } catch (error) {
+    showStatus(`Anki export failed: ${error.message}`, 'error');
+  } finally {
+    button.disabled = false;
+  }
 }
 
-// Update statistics
-async function updateStats() {
-  const stats = await StorageManager.getStats();
+// Set up event listeners
+// Other meanings of a word just added (the offline dictionary for Chinese);
+// clicking one saves it as another sense of the word
+async function showAlternatives(word, translation, settings) {
+  const response = await chrome.runtime.sendMessage({
+    action: 'getAlternatives',
+    text: word,
+    sourceLang: settings.sourceLanguage,
+    targetLang: settings.targetLanguage
+  });
+  const alternatives = response && response.success
+    ? response.alternatives.filter(alternative => alternative !== translation)
+    : [];
+  if (alternatives.length === 0) return;
+
+  const list = document.getElementById('quickAlternativeList');
+  list.innerHTML = '';
+  alternatives.forEach(alternative => {
+    const btn = document.createElement('button');
+    btn.textContent = alternative;
+    btn.addEventListener('click', async () => {
+      btn.disabled = true;
+      const pinyin = PinyinHelper && PinyinHelper.containsChinese(alternative)
+        ? PinyinHelper.generatePinyin(alternative)
+        : null;
+      await StorageManager.addWord(word, alternative, null, pinyin, {
+        tags: VocabFilter.sourceTags('popup')
+      });
+      await loadWords();
+      showStatus(`Added meaning: ${word} → ${alternative}`, 'success');
+      notifyContentScripts();
+    });
+    list.appendChild(btn);
+  });
+  document.getElementById('quickAlternatives').style.display = 'block';
+}
 
-  document.getElementById('wordCount').textContent = stats.totalWords;
+function hideAlternatives() {
+  document.getElementById('quickAlternatives').style.display = 'none';
+  document.getElementById('quickAlternativeList').innerHTML = '';
 }
 
-// Set up event listeners
 function setupEventListeners() {
+  // Full-page dashboard (the extension's options page)
+  document.getElementById('openDashboard').addEventListener('click', (e) => {
+    e.preventDefault();
+    chrome.runtime.openOptionsPage();
+  });
+
   // Save settings button
   document.getElementById('saveSettings').addEventListener('click', async () => {
     // Parse excluded URLs
@@ -211,18 +1536,29 @@ function setupEventListeners() {
     const settings = {
       targetLanguage: document.getElementById('targetLanguage').value,
       sourceLanguage: document.getElementById('sourceLanguage').value,
-      apiKey: document.getElementById('apiKey').value.trim(),
       autoTranslate: document.getElementById('autoTranslate').checked,
       showTooltips: document.getElementById('showTooltips').checked,
+      showReviewState: document.getElementById('showReviewState').checked,
       youtubeSubtitles: document.getElementById('youtubeSubtitles').checked,
+      translationProviders: getProviderSelections(),
+      azureRegion: document.getElementById('azureRegion').value.trim(),
+      ...readServerSettings(),
       excludedUrls: excludedUrls
     };
 
+    try {
+      await saveKeyInputs(['google', 'anthropic', 'openai', 'gemini', 'deepl', 'azure', 'libreTranslate', 'localLlm']);
+    } catch (error) {
+      showStatus(`Could not save API keys: ${error.message}`, 'error');
+      return;
+    }
+
     await StorageManager.updateSettings(settings);
+    await StorageManager.ensureProfile(settings.sourceLanguage, settings.targetLanguage);
     showStatus('Settings saved successfully!', 'success');
 
-    // Update language hint
-    updateLanguageHint(settings.sourceLanguage, settings.targetLanguage);
+    // The language pair picks the vocabulary profile
+    await refreshActiveProfile();
 
     // Notify content scripts to refresh
     notifyContentScripts();
@@ -238,10 +1574,7 @@ function setupEventListeners() {
     }
 
     const settings = await StorageManager.getSettings();
-    if (!settings.apiKey) {
-      showStatus('Please add Google Translate API key in settings first', 'error');
-      return;
-    }
+    hideAlternatives();
 
     try {
       // Show loading state
@@ -259,7 +1592,9 @@ function setupEventListeners() {
       });
 
       if (response.error) {
-        throw new Error(response.error);
+        const error = new Error(response.error);
+        error.kind = response.errorKind;
+        throw error;
       }
 
       const translation = response.result.translatedText;
@@ -273,8 +1608,11 @@ function setupEventListeners() {
       // Fill translation field
       document.getElementById('quickTranslation').value = translation;
 
-      // Add to storage with Pinyin
-      await StorageManager.addWord(word, translation, null, pinyin);
+      // Add to storage with Pinyin (a different translation of a saved word becomes a new sense)
+      await StorageManager.addWord(word, translation, null, pinyin, {
+        partOfSpeech: document.getElementById('quickPartOfSpeech').value || null,
+        tags: VocabFilter.sourceTags('popup')
+      });
 
       // Clear inputs
       document.getElementById('quickWord').value = '';
@@ -284,14 +1622,22 @@ function setupEventListeners() {
       await loadWords();
       await updateStats();
 
-      showStatus(`Added: ${word} → ${response.result.translatedText}`, 'success');
+      showStatus(`Added: ${word} → ${response.result.translatedText}` +
+        (response.result.fallbackError ? ` (offline dictionary - ${response.result.fallbackError})` : ''), 'success');
       notifyContentScripts();
+      showAlternatives(word, translation, settings).catch(error => {
+        console.warn('Could not load alternatives:', error);
+      });
 
       // Restore button
       btn.textContent = originalText;
       btn.disabled = false;
     } catch (error) {
       showStatus(`Translation failed: ${error.message}`, 'error');
+      // Key and configuration problems are fixed in the provider settings
+      if (error.kind === 'auth' || error.kind === 'badRequest') {
+        document.getElementById('providerSettings').open = true;
+      }
       const btn = document.getElementById('translateAndAdd');
       btn.textContent = 'Translate & Add';
       btn.disabled = false;
@@ -313,8 +1659,15 @@ function setupEventListeners() {
       return;
     }
 
-    // Add to storage
-    await StorageManager.addWord(word, translation);
+    // Add to storage (a different translation of a saved word becomes a new sense)
+    let pinyin = null;
+    if (PinyinHelper && PinyinHelper.containsChinese(translation)) {
+      pinyin = PinyinHelper.generatePinyin(translation);
+    }
+    await StorageManager.addWord(word, translation, null, pinyin, {
+      partOfSpeech: document.getElementById('quickPartOfSpeech').value || null,
+      tags: VocabFilter.sourceTags('popup')
+    });
 
     // Clear inputs
     document.getElementById('quickWord').value = '';
@@ -328,17 +1681,43 @@ function setupEventListeners() {
     notifyContentScripts();
   });
 
+  // Switch vocabulary profile
+  document.getElementById('profileSelect').addEventListener('change', async (e) => {
+    const profile = await StorageManager.switchProfile(e.target.value);
+    await refreshActiveProfile();
+    showStatus(`Switched to ${LANGUAGE_NAMES[profile.targetLanguage] || profile.targetLanguage} vocabulary`, 'success');
+    notifyContentScripts();
+  });
+
+  // Review session
+  document.getElementById('showAnswer').addEventListener('click', showReviewAnswer);
+  document.querySelectorAll('#reviewGrades button').forEach(btn => {
+    btn.addEventListener('click', () => gradeReview(btn.dataset.grade));
+  });
+
   // Search words
-  document.getElementById('searchWords').addEventListener('input', async (e) => {
-    const filterText = e.target.value;
-    const knownWords = await StorageManager.getKnownWords();
-    displayWords(knownWords, filterText);
+  document.getElementById('searchWords').addEventListener('input', loadWords);
+
+  // Filter views
+  ['filterTag', 'filterDeck', 'filterState', 'filterFrom', 'filterTo'].forEach(id => {
+    document.getElementById(id).addEventListener('change', () => {
+      document.getElementById('savedFilters').value = '';
+      document.getElementById('deleteFilter').disabled = true;
+      applyFilter(readFilterForm());
+    });
   });
+  document.getElementById('clearFilter').addEventListener('click', async () => {
+    await loadSavedFilters();
+    await applyFilter(VocabFilter.createFilter());
+  });
+  document.getElementById('savedFilters').addEventListener('change', selectSavedFilter);
+  document.getElementById('saveFilter').addEventListener('click', saveFilterView);
+  document.getElementById('deleteFilter').addEventListener('click', deleteFilterView);
 
   // Export words
   document.getElementById('exportWords').addEventListener('click', async () => {
     try {
-      const jsonData = await StorageManager.exportWords();
+      const jsonData = await StorageManager.exportWords(currentFilter);
 
       // Create blob and download
       const blob = new Blob([jsonData], { type: 'application/json' });
@@ -346,7 +1725,8 @@ function setupEventListeners() {
 
       const a = document.createElement('a');
       a.href = url;
-      a.download = `language-learner-words-${Date.now()}.json`;
+      const profile = await StorageManager.getActiveProfile();
+      a.download = `language-learner-words-${profile.id}-${Date.now()}.json`;
       a.click();
 
       URL.revokeObjectURL(url);
@@ -357,46 +1737,111 @@ function setupEventListeners() {
     }
   });
 
-  // Import words
+  // Import words - show a dry-run preview first, nothing is written until confirmed
   document.getElementById('importFile').addEventListener('change', async (e) => {
     const file = e.target.files[0];
     if (!file) return;
 
     try {
-      const text = await file.text();
-      const count = await StorageManager.importWords(text);
-
-      await loadWords();
-      await updateStats();
-
-      showStatus(`Successfully imported ${count} words!`, 'success');
+      // Spreadsheet files get a column mapping step first
+      if (!/\.json$/i.test(file.name)) {
+        await openCsvImport(file);
+        return;
+      }
 
-      // Clear file input
-      e.target.value = '';
+      const text = await file.text();
+      const preview = await StorageManager.previewImport(text);
+
+      // Imports always go into the active profile - confirm if the file came from another one
+      const fileProfile = preview.fileProfile;
+      const activeProfile = preview.profile;
+      if (fileProfile && fileProfile.id && fileProfile.id !== activeProfile.id &&
+          !confirm(`This file was exported from the ${fileProfile.sourceLanguage} → ${fileProfile.targetLanguage} ` +
+            `vocabulary. Import it into the active ${activeProfile.sourceLanguage} → ${activeProfile.targetLanguage} vocabulary?`)) {
+        return;
+      }
 
-      // Notify content scripts
-      notifyContentScripts();
+      hideCsvImport();
+      pendingImport = text;
+      showImportPreview(preview);
     } catch (error) {
-      showStatus(`Import failed: ${error.message}`, 'error');
+      showStatus(error.message, 'error');
+    } finally {
+      // Clear file input so the same file can be picked again
+      e.target.value = '';
     }
   });
 
-  // Clear all words
+  // CSV / TSV
+  document.getElementById('exportCsv').addEventListener('click', () => exportDelimited(',', 'csv'));
+  document.getElementById('exportTsv').addEventListener('click', () => exportDelimited('\t', 'tsv'));
+  document.getElementById('exportAnki').addEventListener('click', exportAnki);
+  document.getElementById('csvHasHeader').addEventListener('change', renderCsvPreview);
+  document.getElementById('csvContinue').addEventListener('click', continueCsvImport);
+  document.getElementById('csvCancel').addEventListener('click', hideCsvImport);
+
+  document.getElementById('applyImport').addEventListener('click', applyImport);
+  document.getElementById('cancelImport').addEventListener('click', hideImportPreview);
+  document.getElementById('undoImport').addEventListener('click', (e) => {
+    e.preventDefault();
+    undoImport();
+  });
+
+  // Clear all words (moves them to the trash)
   document.getElementById('clearWords').addEventListener('click', async () => {
-    if (confirm('Are you sure you want to delete all saved words? This cannot be undone.')) {
-      await StorageManager.clearAllWords();
+    if (confirm('Move all saved words to the trash? You can restore them from the trash.')) {
+      const { batch, count } = await StorageManager.clearAllWords();
       await loadWords();
       await updateStats();
-      showStatus('All words cleared', 'success');
+      await loadTrash();
       notifyContentScripts();
+      showUndoToast(`Moved ${count} words to the trash`, () => restoreWords({ batch }));
     }
   });
 
+  // Trash
+  document.getElementById('restoreAll').addEventListener('click', async () => {
+    const trash = await StorageManager.getTrash();
+    await restoreWords({ ids: trash.map(item => item.id) });
+  });
+  document.getElementById('emptyTrash').addEventListener('click', emptyTrash);
+
+  // API keys
+  document.getElementById('exportKeys').addEventListener('click', exportKeys);
+  document.getElementById('forgetKeys').addEventListener('click', forgetKeys);
+  document.getElementById('importKeysFile').addEventListener('change', async (e) => {
+    const file = e.target.files[0];
+    if (file) await importKeys(file);
+    e.target.value = '';
+  });
+
+  // Backups
+  document.getElementById('createBackup').addEventListener('click', createBackup);
+  document.getElementById('trashRetentionDays').addEventListener('change', updateTrashRetention);
+
+  // Browser sync
+  document.getElementById('syncVocabulary').addEventListener('change', toggleVocabSync);
+  document.getElementById('vocabSyncNow').addEventListener('click', runVocabSync);
+
   // Listen for storage changes
   chrome.storage.onChanged.addListener(async (changes, areaName) => {
-    if (areaName === 'local' && changes.knownWords) {
+    if (areaName === 'local' && StorageManager.isVocabularyChange(changes)) {
       await loadWords();
+      await loadProfiles();
       await updateStats();
+      await loadTrash();
+      await loadChineseWords();
+      if (!currentReviewWord) {
+        await loadReview();
+      }
+    }
+
+    if (areaName === 'local' && (changes[AnkiConnect.QUEUE_KEY] || changes[AnkiConnect.STATUS_KEY])) {
+      await loadAnkiStatus();
+    }
+
+    if (areaName === 'local' && changes[VocabSync.STATUS_KEY]) {
+      await loadVocabSyncStatus();
     }
   });
 
@@ -435,19 +1880,211 @@ let chineseKnownWords = [];
 
 // Load Chinese known words
 async function loadChineseWords() {
-  return new Promise((resolve) => {
-    chrome.storage.sync.get(['chineseKnownWords', 'chineseHighlightStyle'], (result) => {
-      chineseKnownWords = result.chineseKnownWords || [];
-      const highlightStyle = result.chineseHighlightStyle || 'underline';
+  chineseKnownWords = await StorageManager.getChineseKnownWords();
+  const { chineseHighlightStyle } = await chrome.storage.sync.get(['chineseHighlightStyle']);
 
-      document.getElementById('chineseWordCount').textContent = chineseKnownWords.length;
-      document.getElementById('highlightStyle').value = highlightStyle;
+  document.getElementById('chineseWordCount').textContent = chineseKnownWords.length;
+  document.getElementById('highlightStyle').value = chineseHighlightStyle || 'underline';
+  renderChineseWords();
 
-      resolve();
+  // Level coverage (also counts words from levels marked as known)
+  await loadWordLists();
+}
+
+// List the individually marked words, each with a remove button
+function renderChineseWords() {
+  const list = document.getElementById('chineseWordsList');
+  list.innerHTML = '';
+
+  if (chineseKnownWords.length === 0) {
+    list.innerHTML = '<p class="empty-state">No words marked yet.</p>';
+    return;
+  }
+
+  chineseKnownWords.forEach(word => {
+    const chip = document.createElement('span');
+    chip.className = 'chinese-word-chip';
+    chip.textContent = word;
+
+    const removeBtn = document.createElement('button');
+    removeBtn.textContent = '×';
+    removeBtn.title = 'Remove from known words';
+    removeBtn.addEventListener('click', () => removeChineseWord(word));
+
+    chip.appendChild(removeBtn);
+    list.appendChild(chip);
+  });
+}
+
+// Remove a word from the highlight list. The saved words it comes from go to
+// the trash with it (undo restores them).
+async function removeChineseWord(word) {
+  const { batch, count } = await StorageManager.removeChineseKnownWords([word]);
+  if (count === 0) return;
+
+  await loadChineseWords();
+  await loadWords();
+  await updateStats();
+  await loadTrash();
+  refreshChineseHighlights();
+
+  const message = count > 1 ? `Removed "${word}" (${count} saved words)` : `Removed "${word}"`;
+  showUndoToast(message, async () => {
+    await restoreWords({ batch });
+    await loadChineseWords();
+    refreshChineseHighlights();
+  });
+}
+
+// Ask open tabs to re-highlight Chinese words
+function refreshChineseHighlights() {
+  chrome.tabs.query({}, (tabs) => {
+    tabs.forEach((tab) => {
+      chrome.tabs.sendMessage(tab.id, { action: 'refreshChineseHighlights' }).catch(() => {});
     });
   });
 }
 
+// ============================================
+// Word Lists (HSK levels)
+// ============================================
+
+// Fill the list picker once, then show level coverage
+async function loadWordLists() {
+  const select = document.getElementById('wordList');
+  if (select.options.length === 0) {
+    WordLists.LISTS.forEach(list => {
+      const option = document.createElement('option');
+      option.value = list.id;
+      option.textContent = list.name;
+      select.appendChild(option);
+    });
+  }
+
+  try {
+    await renderWordListLevels(select.value);
+  } catch (error) {
+    console.error('Failed to load word lists:', error);
+    document.getElementById('wordListLevels').textContent = `Could not load word lists: ${error.message}`;
+  }
+}
+
+async function renderWordListLevels(listId) {
+  const container = document.getElementById('wordListLevels');
+  const list = WordLists.getList(listId);
+
+  // Lists the extension doesn't bundle can be imported (or re-imported)
+  document.getElementById('importWordList').style.display = list.levels ? '' : 'none';
+  if (!(await WordLists.isAvailable(listId))) {
+    container.textContent = `${list.name} isn't bundled - import a CSV of the official list ` +
+      `(levels ${list.levels.join(', ')}). Missing pinyin and glosses are filled in from CC-CEDICT.`;
+    return;
+  }
+
+  // Known: highlight list, levels marked as known and saved vocabulary
+  const highlighted = Object.keys(await WordLists.getKnownChineseWords());
+  const known = new Set(highlighted);
+  Object.values(await StorageManager.getKnownWords()).forEach(entry => {
+    known.add(entry.original);
+    Senses.getActiveSenses(entry).forEach(sense => known.add(sense.translation));
+  });
+
+  const [coverage, knownLevels] = await Promise.all([
+    WordLists.getCoverage(listId, known),
+    WordLists.getKnownLevels()
+  ]);
+
+  document.getElementById('chineseWordCount').textContent = highlighted.length;
+
+  container.innerHTML = '';
+  coverage.forEach(({ level, tag, total, known: knownCount }) => {
+    const percent = Math.round((knownCount / total) * 100);
+
+    const row = document.createElement('div');
+    row.className = 'word-list-level';
+
+    const name = document.createElement('span');
+    name.className = 'level-name';
+    name.textContent = tag;
+
+    const bar = document.createElement('div');
+    bar.className = 'level-coverage';
+    bar.title = `${knownCount} of ${total} words known`;
+    const fill = document.createElement('div');
+    fill.className = 'level-coverage-bar';
+    fill.style.width = `${percent}%`;
+    const text = document.createElement('span');
+    text.className = 'level-coverage-text';
+    text.textContent = `${knownCount}/${total} (${percent}%)`;
+    bar.append(fill, text);
+
+    const knownLabel = document.createElement('label');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = knownLevels.includes(`${listId}:${level}`);
+    checkbox.addEventListener('change', () => setLevelKnown(listId, level, checkbox.checked));
+    knownLabel.append(checkbox, 'Known');
+
+    const addBtn = document.createElement('button');
+    addBtn.className = 'btn btn-secondary';
+    addBtn.textContent = '+ Words';
+    addBtn.title = `Add ${tag} to Known Words with English glosses`;
+    addBtn.addEventListener('click', () => addLevelToVocabulary(listId, level, addBtn));
+
+    row.append(name, bar, knownLabel, addBtn);
+    container.appendChild(row);
+  });
+}
+
+// Import the selected list from a CSV/TSV file: word, level, pinyin, gloss
+async function importWordList(file) {
+  const listId = document.getElementById('wordList').value;
+  const { name } = WordLists.getList(listId);
+
+  const { text } = CSV.decode(await file.arrayBuffer());
+  const rows = CSV.parse(text, CSV.detectDelimiter(text));
+
+  showStatus(`Importing ${name}...`, 'info');
+  const response = await chrome.runtime.sendMessage({ action: 'importWordList', listId, rows });
+  if (!response || !response.success) {
+    throw new Error(response ? response.error : 'No response from the background worker');
+  }
+
+  const counts = Object.entries(response.levels).map(([level, count]) => `${level}: ${count}`).join(', ');
+  const skipped = response.skipped ? `, skipped ${response.skipped} rows` : '';
+  showStatus(`${name}: imported ${response.words} words (${counts})${skipped}`, 'success');
+  WordLists.forget(listId);
+  refreshChineseHighlights();
+  await renderWordListLevels(listId);
+}
+
+async function setLevelKnown(listId, level, known) {
+  const tag = WordLists.levelTag(listId, level);
+  await WordLists.setLevelKnown(listId, level, known);
+  showStatus(known ? `${tag} marked as known` : `${tag} no longer marked as known`, 'success');
+  await renderWordListLevels(listId);
+}
+
+async function addLevelToVocabulary(listId, level, button) {
+  const tag = WordLists.levelTag(listId, level);
+  button.disabled = true;
+
+  try {
+    const settings = await StorageManager.getSettings();
+    const words = await WordLists.getLevelWords(listId, level);
+    const entries = WordLists.toVocabulary(words, settings.sourceLanguage, settings.targetLanguage);
+
+    const { added, updated } = await StorageManager.addWordList(entries, tag);
+    showStatus(`${tag}: added ${added} words, updated ${updated}`, 'success');
+    notifyContentScripts();
+    await renderWordListLevels(listId);
+  } catch (error) {
+    showStatus(error.message, 'error');
+  } finally {
+    button.disabled = false;
+  }
+}
+
 // Add Chinese word
 async function addChineseWord() {
   const input = document.getElementById('chineseWord');
@@ -468,11 +2105,12 @@ async function addChineseWord() {
     return;
   }
 
-  chineseKnownWords.push(word);
-  await chrome.storage.sync.set({ chineseKnownWords });
+  await StorageManager.addChineseKnownWords([word]);
 
   input.value = '';
   await loadChineseWords();
+  await loadWords();
+  await updateStats();
 
   // Refresh content scripts
   chrome.tabs.query({}, (tabs) => {
@@ -497,55 +2135,71 @@ function updateHighlightStyle() {
   });
 }
 
-// Sync all known word translations to Chinese known words
-async function syncKnownWordsToChinese() {
-  const btn = document.getElementById('syncKnownWords');
-  const originalText = btn.textContent;
-  btn.textContent = 'Syncing...';
-  btn.disabled = true;
+// ============================================
+// Browser Sync
+// ============================================
 
-  try {
-    // Get all known words
-    const knownWords = await StorageManager.getWords();
-
-    // Get current Chinese known words
-    const result = await chrome.storage.sync.get(['chineseKnownWords']);
-    let chineseKnownWords = result.chineseKnownWords || [];
-
-    let addedCount = 0;
-
-    // Add all Chinese translations
-    for (const [key, wordData] of Object.entries(knownWords)) {
-      const translation = wordData.translation;
-      // Check if translation contains Chinese characters
-      if (translation && /[\u4e00-\u9fff]/.test(translation)) {
-        if (!chineseKnownWords.includes(translation)) {
-          chineseKnownWords.push(translation);
-          addedCount++;
-        }
-      }
-    }
+// Sync quota usage and the outcome of the last run
+async function loadVocabSyncStatus() {
+  const settings = await StorageManager.getSettings();
+  document.getElementById('syncVocabulary').checked = settings.syncVocabulary !== false;
+
+  const { status, usage } = await chrome.runtime.sendMessage({ action: 'getVocabSyncStatus' }) || {};
+  const statusEl = document.getElementById('vocabSyncStatus');
+
+  if (usage) {
+    const percent = Math.min(100, Math.round((usage.bytesInUse / usage.quotaBytes) * 100));
+    const fill = document.getElementById('vocabSyncQuotaFill');
+    fill.style.width = `${percent}%`;
+    fill.classList.toggle('quota-high', percent >= 90);
+    document.getElementById('vocabSyncQuota').textContent =
+      `${(usage.bytesInUse / 1024).toFixed(1)} of ${usage.quotaBytes / 1024} KB used (${percent}%) • ` +
+      `${usage.items} of ${usage.maxItems} items`;
+  }
 
-    // Save updated list
-    await chrome.storage.sync.set({ chineseKnownWords });
+  if (!status) {
+    statusEl.textContent = 'Not synced yet';
+    statusEl.className = 'vocab-sync-status status-never';
+  } else if (status.state === 'disabled') {
+    statusEl.textContent = 'Sync is off';
+    statusEl.className = 'vocab-sync-status status-never';
+  } else if (status.state === 'ok') {
+    statusEl.textContent = `Up to date • ${formatTime(status.at)}`;
+    statusEl.className = 'vocab-sync-status status-success';
+  } else if (status.state === 'partial') {
+    statusEl.textContent = `Sync storage is full - not synced: ${status.skipped.join(', ')}. ` +
+      'Remove words or profiles you no longer need; they stay on this device.';
+    statusEl.className = 'vocab-sync-status status-error';
+  } else {
+    statusEl.textContent = `${status.message} • ${formatTime(status.at)}`;
+    statusEl.className = 'vocab-sync-status status-error';
+  }
 
-    // Reload Chinese words display
-    await loadChineseWords();
+  if (status && (status.tooLarge || []).length > 0) {
+    statusEl.textContent += ` Too large to sync: ${status.tooLarge.join(', ')}.`;
+  }
+}
 
-    // Refresh content scripts
-    chrome.tabs.query({}, (tabs) => {
-      tabs.forEach((tab) => {
-        chrome.tabs.sendMessage(tab.id, { action: 'refreshChineseHighlights' }).catch(() => {});
-      });
-    });
+async function toggleVocabSync() {
+  const enabled = document.getElementById('syncVocabulary').checked;
+  await StorageManager.updateSettings({ syncVocabulary: enabled });
+  await runVocabSync();
+}
 
-    showStatus(`Added ${addedCount} Chinese words to highlight list!`, 'success');
-  } catch (error) {
-    console.error('Sync error:', error);
-    showStatus('Failed to sync words', 'error');
+async function runVocabSync() {
+  const btn = document.getElementById('vocabSyncNow');
+  btn.disabled = true;
+  btn.textContent = 'Syncing...';
+
+  try {
+    const status = await chrome.runtime.sendMessage({ action: 'vocabSyncNow' });
+    if (status && status.pulled > 0) {
+      showStatus(`Synced ${status.pulled} change${status.pulled !== 1 ? 's' : ''} from other browsers`, 'success');
+    }
   } finally {
-    btn.textContent = originalText;
     btn.disabled = false;
+    btn.textContent = 'Sync Now';
+    await loadVocabSyncStatus();
   }
 }
 
@@ -725,6 +2379,173 @@ function visitWebsite() {
   chrome.tabs.create({ url: WEBSITE_URL });
 }
 
+// ============================================
+// AnkiConnect
+// ============================================
+
+// Fill the Anki form from settings
+async function loadAnkiSettings() {
+  const config = AnkiConnect.getConfig(await StorageManager.getSettings());
+
+  document.getElementById('ankiEnabled').checked = config.enabled;
+  document.getElementById('ankiUrl').value = config.url;
+  document.getElementById('ankiDeck').value = config.deck;
+  document.getElementById('ankiNoteType').value = config.noteType;
+
+  const fieldMap = document.getElementById('ankiFieldMap');
+  fieldMap.innerHTML = '';
+  Object.entries(AnkiConnect.SOURCES).forEach(([source, label]) => {
+    const name = document.createElement('label');
+    name.htmlFor = `ankiField-${source}`;
+    name.textContent = label;
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.id = `ankiField-${source}`;
+    input.dataset.source = source;
+    input.setAttribute('list', 'ankiFieldOptions');
+    input.value = config.fieldMap[source] || '';
+
+    fieldMap.append(name, input);
+  });
+
+  await loadAnkiStatus();
+}
+
+// Anki config from the form
+function readAnkiForm() {
+  const fieldMap = {};
+  document.querySelectorAll('#ankiFieldMap input').forEach(input => {
+    fieldMap[input.dataset.source] = input.value.trim();
+  });
+
+  return {
+    enabled: document.getElementById('ankiEnabled').checked,
+    url: document.getElementById('ankiUrl').value.trim() || AnkiConnect.DEFAULT_CONFIG.url,
+    deck: document.getElementById('ankiDeck').value.trim() || AnkiConnect.DEFAULT_CONFIG.deck,
+    noteType: document.getElementById('ankiNoteType').value.trim() || AnkiConnect.DEFAULT_CONFIG.noteType,
+    fieldMap
+  };
+}
+
+async function saveAnkiSettings() {
+  const config = readAnkiForm();
+  if (config.enabled && !Object.values(config.fieldMap).some(Boolean)) {
+    showStatus('Map at least one Anki field', 'error');
+    return;
+  }
+
+  try {
+    await saveKeyInputs(['ankiConnect']);
+  } catch (error) {
+    showStatus(`Could not save the AnkiConnect key: ${error.message}`, 'error');
+    return;
+  }
+
+  await StorageManager.updateSettings({ ankiConnect: config });
+  showStatus('Anki settings saved', 'success');
+  await loadAnkiStatus();
+}
+
+// Fill a datalist with suggestions
+function setOptions(datalistId, values) {
+  const datalist = document.getElementById(datalistId);
+  datalist.innerHTML = '';
+  values.forEach(value => {
+    const option = document.createElement('option');
+    option.value = value;
+    datalist.appendChild(option);
+  });
+}
+
+// Check the connection and offer the decks, note types and fields Anki has
+function testAnkiConnection() {
+  const btn = document.getElementById('testAnki');
+  btn.disabled = true;
+
+  // A key typed but not saved yet is tested too; otherwise the saved key is used
+  const config = { ...readAnkiForm(), apiKey: document.getElementById('ankiApiKey').value.trim() };
+
+  chrome.runtime.sendMessage({ action: 'testAnkiConnect', config }, (response) => {
+    btn.disabled = false;
+
+    if (!response || !response.success) {
+      showStatus(`Anki connection failed: ${response ? response.error : 'Unknown error'}`, 'error');
+      return;
+    }
+
+    setOptions('ankiDeckOptions', response.decks);
+    setOptions('ankiNoteTypeOptions', response.noteTypes);
+    setOptions('ankiFieldOptions', response.fields);
+
+    const noteType = document.getElementById('ankiNoteType').value.trim();
+    if (response.fields.length === 0) {
+      showStatus(`Connected to AnkiConnect v${response.version}, but note type "${noteType}" was not found`, 'error');
+    } else {
+      showStatus(`Connected to AnkiConnect v${response.version}`, 'success');
+    }
+  });
+}
+
+// Show pending and failed pushes
+function loadAnkiStatus() {
+  return new Promise(resolve => {
+    chrome.runtime.sendMessage({ action: 'getAnkiStatus' }, (status) => {
+      const textEl = document.getElementById('ankiStatusText');
+      const failedEl = document.getElementById('ankiFailed');
+      failedEl.innerHTML = '';
+
+      if (!status) {
+        textEl.textContent = 'Status unavailable';
+        textEl.className = 'status-never';
+        resolve();
+        return;
+      }
+
+      const parts = [];
+      if (status.pending > 0) parts.push(`${status.pending} pending`);
+      if (status.failed.length > 0) parts.push(`${status.failed.length} failed`);
+
+      if (!status.enabled) {
+        textEl.textContent = parts.length > 0 ? `Not enabled • ${parts.join(', ')}` : 'Not enabled';
+        textEl.className = 'status-never';
+      } else if (parts.length > 0) {
+        const error = status.lastError ? ` • ${status.lastError}` : '';
+        textEl.textContent = `${parts.join(', ')}${error}`;
+        textEl.className = status.failed.length > 0 ? 'status-error' : 'status-never';
+      } else {
+        textEl.textContent = `Up to date • last push ${formatTime(status.lastSync)}`;
+        textEl.className = 'status-success';
+      }
+
+      status.failed.forEach(({ word, lastError }) => {
+        const li = document.createElement('li');
+        li.textContent = `${word}: ${lastError}`;
+        failedEl.appendChild(li);
+      });
+
+      resolve();
+    });
+  });
+}
+
+function retryAnki() {
+  const btn = document.getElementById('retryAnki');
+  btn.disabled = true;
+
+  chrome.runtime.sendMessage({ action: 'retryAnki' }, async (response) => {
+    btn.disabled = false;
+
+    if (response && response.success && !response.lastError) {
+      showStatus(`Pushed ${response.pushed} words to Anki`, 'success');
+    } else {
+      const error = response ? (response.error || response.lastError) : 'Unknown error';
+      showStatus(`Anki push failed: ${error}`, 'error');
+    }
+    await loadAnkiStatus();
+  });
+}
+
 // Event listeners for Chinese words
 document.getElementById('addChineseWord').addEventListener('click', addChineseWord);
 document.getElementById('chineseWord').addEventListener('keypress', (e) => {
@@ -732,8 +2553,20 @@ document.getElementById('chineseWord').addEventListener('keypress', (e) => {
     addChineseWord();
   }
 });
-document.getElementById('syncKnownWords').addEventListener('click', syncKnownWordsToChinese);
 document.getElementById('highlightStyle').addEventListener('change', updateHighlightStyle);
+document.getElementById('wordList').addEventListener('change', loadWordLists);
+document.getElementById('importWordListFile').addEventListener('change', async (e) => {
+  const file = e.target.files[0];
+  if (!file) return;
+
+  try {
+    await importWordList(file);
+  } catch (error) {
+    showStatus(`Import failed: ${error.message}`, 'error');
+  } finally {
+    e.target.value = '';
+  }
+});
 
 // Event listeners for sync
 document.getElementById('loginBtn').addEventListener('click', loginToServer);
@@ -741,6 +2574,13 @@ document.getElementById('logoutBtn').addEventListener('click', logout);
 document.getElementById('syncNow').addEventListener('click', syncNow);
 document.getElementById('autoSync').addEventListener('change', toggleAutoSync);
 
+// Event listeners for Anki
+document.getElementById('saveAnki').addEventListener('click', saveAnkiSettings);
+document.getElementById('testAnki').addEventListener('click', testAnkiConnection);
+document.getElementById('testLibreTranslate').addEventListener('click', testTranslationProvider);
+document.getElementById('testLocalLlm').addEventListener('click', testTranslationProvider);
+document.getElementById('retryAnki').addEventListener('click', retryAnki);
+
 // Allow Enter key to submit login
 document.getElementById('syncPassword').addEventListener('keypress', (e) => {
   if (e.key === 'Enter') {
@@ -756,6 +2596,7 @@ document.getElementById('syncUsernameInput').addEventListener('keypress', (e) =>
 // Load Chinese words and sync status on popup open
 loadChineseWords();
 loadSyncStatus();
+loadAnkiSettings();
 
 // Auto-refresh sync status every 5 seconds
 setInterval(loadSyncStatus, 5000);
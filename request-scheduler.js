@@ -0,0 +1,187 @@
+// Request scheduler for translation providers
+// Every provider call from TranslatorAPI goes through run(): per-provider
+// concurrency and rate limits, identical in-flight requests share one call,
+// and 429 / 5xx answers and network failures are retried with exponential
+// backoff (honouring Retry-After). Failed calls end in an error with a kind the UI can act on.
+
+const RequestScheduler = {
+  // Limits for providers that don't declare their own `limits`
+  DEFAULT_LIMITS: {
+    concurrency: 4,
+    requestsPerSecond: 10
+  },
+
+  // Retries after the first attempt, and their backoff
+  MAX_RETRIES: 3,
+  BASE_DELAY_MS: 1000,
+  MAX_DELAY_MS: 30000,
+
+  // A longer Retry-After means the quota is gone for now - fail instead of waiting
+  MAX_RETRY_AFTER_MS: 60000,
+
+  // Error kinds -> what the user can do about them
+  ERROR_KINDS: {
+    auth: 'Add or check the API key in the extension settings, or choose another provider.',
+    quota: 'The quota or rate limit is used up - try again later or choose another provider.',
+    network: 'The service could not be reached or failed - check the connection and try again.',
+    badRequest: 'Check the provider settings in the extension settings.'
+  },
+
+  // providerId -> { active, queue, nextStart, pausedUntil, timer }
+  _states: {},
+
+  // Coalescing key -> promise of the call in flight
+  _inFlight: new Map(),
+
+  _state(providerId) {
+    if (!this._states[providerId]) {
+      this._states[providerId] = { active: 0, queue: [], nextStart: 0, pausedUntil: 0, timer: null };
+    }
+    return this._states[providerId];
+  },
+
+  _limits(provider) {
+    return { ...this.DEFAULT_LIMITS, ...(provider.limits || {}) };
+  },
+
+  // Run task() for a provider under its limits. Calls with the same key made
+  // while one is in flight get that call's result instead of a request of their own.
+  run(provider, key, task) {
+    const inFlightKey = key ? `${provider.id}|${key}` : null;
+    if (inFlightKey && this._inFlight.has(inFlightKey)) {
+      return this._inFlight.get(inFlightKey);
+    }
+
+    const promise = this._runWithRetries(provider, task);
+    if (inFlightKey) {
+      this._inFlight.set(inFlightKey, promise);
+      promise.then(() => this._inFlight.delete(inFlightKey), () => this._inFlight.delete(inFlightKey));
+    }
+    return promise;
+  },
+
+  async _runWithRetries(provider, task) {
+    for (let attempt = 0; ; attempt++) {
+      await this._acquire(provider);
+      let delay;
+      try {
+        return await task();
+      } catch (error) {
+        delay = this._retryDelay(error, attempt);
+        if (delay === null) {
+          throw this.classify(error);
+        }
+
+        // Rate limited: hold back the provider's other queued calls as well
+        if (error.status === 429) {
+          const state = this._state(provider.id);
+          state.pausedUntil = Math.max(state.pausedUntil, Date.now() + delay);
+        }
+        console.warn(`[RequestScheduler] ${provider.name} failed (${error.message}), retrying in ${delay} ms`);
+      } finally {
+        this._release(provider);
+      }
+
+      // Wait without holding a slot
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  },
+
+  // Milliseconds to wait before retrying, or null if the error isn't worth a retry
+  _retryDelay(error, attempt) {
+    const retryable = error.status === 429 || error.status >= 500 || this.classify(error).kind === 'network';
+    if (!retryable || attempt >= this.MAX_RETRIES) return null;
+
+    const retryAfter = this.parseRetryAfter(error.retryAfter);
+    if (retryAfter !== null) {
+      return retryAfter <= this.MAX_RETRY_AFTER_MS ? retryAfter : null;
+    }
+    const backoff = this.BASE_DELAY_MS * 2 ** attempt;
+    return Math.min(this.MAX_DELAY_MS, backoff + Math.round(Math.random() * backoff / 2));
+  },
+
+  // Retry-After header (seconds or an HTTP date) in milliseconds, or null
+  parseRetryAfter(value, now = Date.now()) {
+    if (value === null || value === undefined || value === '') return null;
+    if (/^\d+(\.\d+)?$/.test(String(value).trim())) {
+      return Math.round(Number(value) * 1000);
+    }
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - now);
+  },
+
+  // Wait for a free slot that respects the provider's concurrency and rate
+  _acquire(provider) {
+    return new Promise(resolve => {
+      const state = this._state(provider.id);
+      state.queue.push(resolve);
+      this._pump(provider);
+    });
+  },
+
+  _release(provider) {
+    this._state(provider.id).active -= 1;
+    this._pump(provider);
+  },
+
+  // Start queued calls while slots are free; wait out the rate limit otherwise
+  _pump(provider) {
+    const state = this._state(provider.id);
+    const { concurrency, requestsPerSecond } = this._limits(provider);
+
+    while (state.queue.length > 0 && state.active < concurrency) {
+      const now = Date.now();
+      const wait = Math.max(state.nextStart, state.pausedUntil) - now;
+      if (wait > 0) {
+        if (!state.timer) {
+          state.timer = setTimeout(() => {
+            state.timer = null;
+            this._pump(provider);
+          }, wait);
+        }
+        return;
+      }
+
+      state.active += 1;
+      state.nextStart = requestsPerSecond > 0 ? now + 1000 / requestsPerSecond : now;
+      state.queue.shift()();
+    }
+  },
+
+  // Error for a failed response, with its HTTP status and Retry-After header
+  // for classify() and the retry delay
+  httpError(response, message) {
+    const error = new Error(message);
+    error.status = response.status;
+    error.retryAfter = response.headers.get('Retry-After');
+    return error;
+  },
+
+  // The error with a kind: 'auth', 'quota', 'network' or 'badRequest'
+  classify(error) {
+    if (!error.kind) {
+      const status = error.status;
+      if (status === 401 || status === 403 || (status === 400 && /api key/i.test(error.message))) {
+        error.kind = 'auth';
+      } else if (status === 402 || status === 429 || status === 456) {
+        error.kind = 'quota';
+      } else if (status >= 500 || (!status && (error.name === 'TypeError' || error.name === 'AbortError'))) {
+        error.kind = 'network';
+      } else {
+        error.kind = 'badRequest';
+      }
+    }
+    return error;
+  },
+
+  // Error message followed by what to do about it
+  describe(error) {
+    const hint = this.ERROR_KINDS[error.kind];
+    return hint ? `${error.message.replace(/\.$/, '')}. ${hint}` : error.message;
+  }
+};
+
+// Make available globally
+if (typeof window !== 'undefined') {
+  window.RequestScheduler = RequestScheduler;
+}
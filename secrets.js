@@ -0,0 +1,172 @@
+// Secrets vault for API keys
+// Keys live in their own IndexedDB store, out of chrome.storage (which content
+// scripts can read) and out of settings, exports, backups and storage broadcasts.
+// Only the background worker reads them; extension pages set and remove keys
+// through 'secrets' messages and only ever learn which keys are set.
+
+const Secrets = {
+  // Key name -> label
+  KEYS: {
+    google: 'Google Translate',
+    anthropic: 'Anthropic',
+    openai: 'OpenAI',
+    gemini: 'Gemini',
+    deepl: 'DeepL',
+    azure: 'Azure Translator',
+    libreTranslate: 'LibreTranslate',
+    localLlm: 'Local LLM server',
+    ankiConnect: 'AnkiConnect'
+  },
+
+  // Methods extension pages may call through messages (no plain-text reads)
+  MESSAGE_METHODS: ['getStatus', 'set', 'remove', 'exportEncrypted', 'importEncrypted'],
+
+  // Passphrase-encrypted export (PBKDF2-SHA-256 -> AES-256-GCM)
+  EXPORT_FORMAT: 'lingua-lens-secrets',
+  EXPORT_VERSION: 1,
+  PBKDF2_ITERATIONS: 310000,
+  MIN_PASSPHRASE_LENGTH: 8,
+
+  _checkName(name) {
+    if (!this.KEYS[name]) {
+      throw new Error(`Unknown API key: ${name}`);
+    }
+  },
+
+  // Plain key for a provider ('' if not set). Background worker only.
+  async get(name) {
+    this._checkName(name);
+    return (await VocabDB.getSecret(name)) || '';
+  },
+
+  // Store a key; an empty value removes it
+  async set(name, value) {
+    this._checkName(name);
+    await VocabDB.putSecrets({ [name]: String(value || '').trim() });
+  },
+
+  async remove(name) {
+    await this.set(name, '');
+  },
+
+  // Store several keys at once ({ name: value }), skipping unknown names
+  async setMany(values) {
+    const known = {};
+    Object.entries(values).forEach(([name, value]) => {
+      if (this.KEYS[name]) known[name] = String(value || '').trim();
+    });
+    await VocabDB.putSecrets(known);
+    return Object.values(known).filter(Boolean).length;
+  },
+
+  // Which keys are set ({ name: true | false })
+  async getStatus() {
+    const names = await VocabDB.getSecretNames();
+    const status = {};
+    Object.keys(this.KEYS).forEach(name => {
+      status[name] = names.includes(name);
+    });
+    return status;
+  },
+
+  // Only pages of this extension may manage keys - not content scripts
+  // (their sender URL is the web page) and not other extensions
+  isTrustedSender(sender) {
+    return Boolean(sender) &&
+      sender.id === chrome.runtime.id &&
+      typeof sender.url === 'string' &&
+      sender.url.startsWith(chrome.runtime.getURL(''));
+  },
+
+  // ============================================
+  // Encrypted export
+  // ============================================
+
+  async _deriveKey(passphrase, salt, iterations) {
+    const material = await crypto.subtle.importKey(
+      'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+    );
+    return crypto.subtle.deriveKey(
+      { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+      material,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['encrypt', 'decrypt']
+    );
+  },
+
+  _toBase64(bytes) {
+    let binary = '';
+    new Uint8Array(bytes).forEach(byte => {
+      binary += String.fromCharCode(byte);
+    });
+    return btoa(binary);
+  },
+
+  _fromBase64(text) {
+    return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+  },
+
+  // All stored keys encrypted with a passphrase, as a JSON file
+  async exportEncrypted(passphrase) {
+    if (String(passphrase || '').length < this.MIN_PASSPHRASE_LENGTH) {
+      throw new Error(`Use a passphrase of at least ${this.MIN_PASSPHRASE_LENGTH} characters`);
+    }
+
+    const keys = {};
+    for (const name of await VocabDB.getSecretNames()) {
+      if (this.KEYS[name]) keys[name] = await VocabDB.getSecret(name);
+    }
+    if (Object.keys(keys).length === 0) {
+      throw new Error('No API keys saved');
+    }
+
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const key = await this._deriveKey(passphrase, salt, this.PBKDF2_ITERATIONS);
+    const ciphertext = await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv }, key, new TextEncoder().encode(JSON.stringify(keys))
+    );
+
+    return JSON.stringify({
+      format: this.EXPORT_FORMAT,
+      version: this.EXPORT_VERSION,
+      exportDate: new Date().toISOString(),
+      names: Object.keys(keys),
+      kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: this.PBKDF2_ITERATIONS, salt: this._toBase64(salt) },
+      cipher: { name: 'AES-GCM', iv: this._toBase64(iv) },
+      data: this._toBase64(ciphertext)
+    }, null, 2);
+  },
+
+  // Decrypt an exported file and store its keys. Returns the number of keys imported.
+  async importEncrypted(jsonString, passphrase) {
+    let file;
+    try {
+      file = JSON.parse(jsonString);
+    } catch (error) {
+      throw new Error('Not a valid key file');
+    }
+    if (!file || file.format !== this.EXPORT_FORMAT || file.version !== this.EXPORT_VERSION) {
+      throw new Error('Not a Lingua Lens key file');
+    }
+
+    let keys;
+    try {
+      const key = await this._deriveKey(passphrase, this._fromBase64(file.kdf.salt), file.kdf.iterations);
+      const plaintext = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: this._fromBase64(file.cipher.iv) }, key, this._fromBase64(file.data)
+      );
+      keys = JSON.parse(new TextDecoder().decode(plaintext));
+    } catch (error) {
+      throw new Error('Wrong passphrase or damaged key file');
+    }
+
+    return this.setMany(keys);
+  }
+};
+
+// Make available globally
+if (typeof window !== 'undefined') {
+  window.Secrets = Secrets;
+}
@@ -0,0 +1,143 @@
+// Word senses - several meanings per saved word, each with its own
+// translation, part of speech, pinyin and example sentence.
+// entry.translation / entry.pinyin mirror the primary (first active) sense
+// so code that only knows about a single translation keeps working.
+
+const Senses = {
+  PARTS_OF_SPEECH: {
+    noun: 'n.',
+    verb: 'v.',
+    adjective: 'adj.',
+    adverb: 'adv.',
+    pronoun: 'pron.',
+    preposition: 'prep.',
+    conjunction: 'conj.',
+    interjection: 'interj.',
+    phrase: 'phr.'
+  },
+
+  // Words that hint at the part of speech of the word right after them
+  POS_HINTS: {
+    noun: ['a', 'an', 'the', 'my', 'your', 'his', 'her', 'its', 'our', 'their', 'this', 'that',
+      'these', 'those', 'some', 'any', 'no', 'every', 'each', 'of'],
+    verb: ['to', 'will', 'would', 'can', 'could', 'should', 'must', 'might', 'may', 'shall',
+      'do', 'does', 'did', "don't", "doesn't", "didn't", 'i', 'we', 'you', 'they', 'he', 'she', 'it'],
+    adjective: ['very', 'so', 'too', 'quite', 'really', 'more', 'most', 'less', 'least', 'is', 'are', 'was', 'were']
+  },
+
+  // Build a new sense
+  createSense({ translation, partOfSpeech = null, pinyin = null, example = null } = {}) {
+    return {
+      id: `s${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+      translation: (translation || '').trim(),
+      partOfSpeech: partOfSpeech || null,
+      pinyin: pinyin || null,
+      example: example || null,
+      retired: false,
+      addedAt: Date.now()
+    };
+  },
+
+  // All senses of an entry (builds one from the legacy translation field if needed)
+  getSenses(entry) {
+    if (!entry) return [];
+    if (Array.isArray(entry.senses) && entry.senses.length > 0) {
+      return entry.senses;
+    }
+    if (!entry.translation) return [];
+
+    return [{
+      ...this.createSense({ translation: entry.translation, pinyin: entry.pinyin }),
+      id: 's0',
+      addedAt: entry.dateAdded || Date.now()
+    }];
+  },
+
+  // Senses that are still in use, in display order
+  getActiveSenses(entry) {
+    return this.getSenses(entry).filter(sense => !sense.retired);
+  },
+
+  // Ensure entry.senses exists and the legacy fields mirror the primary sense
+  syncPrimary(entry) {
+    entry.senses = this.getSenses(entry);
+
+    const primary = entry.senses.find(sense => !sense.retired) || entry.senses[0];
+    if (primary) {
+      entry.translation = primary.translation;
+      entry.pinyin = primary.pinyin || null;
+    }
+    return entry;
+  },
+
+  // Add a sense to an entry. A sense with the same translation is merged
+  // (filling in missing details and un-retiring it) instead of duplicated.
+  // Returns true if a new sense was added.
+  addSense(entry, senseData) {
+    entry.senses = this.getSenses(entry);
+    const translation = (senseData.translation || '').trim();
+    if (!translation) return false;
+
+    const existing = entry.senses.find(sense => sense.translation === translation);
+    if (existing) {
+      existing.retired = false;
+      existing.partOfSpeech = existing.partOfSpeech || senseData.partOfSpeech || null;
+      existing.pinyin = existing.pinyin || senseData.pinyin || null;
+      existing.example = existing.example || senseData.example || null;
+      this.syncPrimary(entry);
+      return false;
+    }
+
+    entry.senses.push(this.createSense({ ...senseData, translation }));
+    this.syncPrimary(entry);
+    return true;
+  },
+
+  // Guess the part of speech of a word from the word right before it
+  guessPartOfSpeech(surfaceForm, textBefore = '') {
+    if (/ly$/i.test(surfaceForm)) {
+      return 'adverb';
+    }
+
+    const previousWord = (textBefore.match(/([A-Za-z']+)\s*$/) || [])[1];
+    if (!previousWord) return null;
+
+    const previous = previousWord.toLowerCase();
+    return Object.keys(this.POS_HINTS).find(pos => this.POS_HINTS[pos].includes(previous)) || null;
+  },
+
+  // Choose which sense to show for an occurrence of the word.
+  // Prefers an active sense whose part of speech fits the surrounding text,
+  // otherwise the primary sense.
+  pick(entry, surfaceForm = '', textBefore = '') {
+    const active = this.getActiveSenses(entry);
+    if (active.length <= 1) {
+      return active[0] || this.getSenses(entry)[0] || null;
+    }
+
+    const guessed = this.guessPartOfSpeech(surfaceForm, textBefore);
+    if (guessed) {
+      const match = active.find(sense => sense.partOfSpeech === guessed);
+      if (match) return match;
+    }
+
+    return active[0];
+  },
+
+  // Short label like "n." for a part of speech
+  abbreviate(partOfSpeech) {
+    return this.PARTS_OF_SPEECH[partOfSpeech] || partOfSpeech || '';
+  },
+
+  // One-line summary of all active senses, e.g. "(n.) 银行 · (v.) 依靠"
+  summarize(entry) {
+    return this.getActiveSenses(entry)
+      .map(sense => sense.partOfSpeech ? `(${this.abbreviate(sense.partOfSpeech)}) ${sense.translation}` : sense.translation)
+      .join(' · ');
+  }
+};
+
+// Make available globally
+if (typeof window !== 'undefined') {
+  window.Senses = Senses;
+}
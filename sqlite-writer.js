@@ -0,0 +1,344 @@
+// Minimal SQLite database file writer
+// Builds a complete database image (tables only, no indexes) from rows in memory,
+// following the SQLite file format: https://www.sqlite.org/fileformat2.html
+// Used to create the collection inside Anki packages without any network or wasm.
+
+const SQLiteWriter = {
+  PAGE_SIZE: 4096,
+
+  // Page types
+  TABLE_INTERIOR: 0x05,
+  TABLE_LEAF: 0x0D,
+
+  // Version number written into the header (the library version that "last wrote" the file)
+  SQLITE_VERSION_NUMBER: 3045000,
+
+  // Build a database file.
+  // tables: [{ name, sql, rowidColumn, rows }]
+  //   sql         - CREATE TABLE statement stored in sqlite_master
+  //   rowidColumn - index of the INTEGER PRIMARY KEY column (stored as NULL, used as rowid), or null
+  //   rows        - arrays of column values (number, string, Uint8Array, boolean or null)
+  // Returns a Uint8Array with the file contents.
+  build(tables) {
+    const pages = [null]; // page 1 (schema) is written last, once root pages are known
+    const allocate = () => {
+      pages.push(null);
+      return pages.length;
+    };
+
+    const schemaRows = tables.map(table => {
+      const cells = this._tableCells(table, pages, allocate);
+      const rootPage = this._buildBtree(cells, pages, allocate);
+      return ['table', table.name, table.name, rootPage, table.sql];
+    });
+
+    // sqlite_master always lives on page 1, after the 100-byte file header
+    const schemaCells = schemaRows.map((row, index) => this._leafCell(index + 1, this.encodeRecord(row), pages, allocate));
+    const page1 = this._writePage(this.TABLE_LEAF, schemaCells, 100);
+    if (!page1) {
+      throw new Error('Schema does not fit on the first page');
+    }
+    pages[0] = page1;
+    this._writeHeader(page1, pages.length);
+
+    const file = new Uint8Array(pages.length * this.PAGE_SIZE);
+    pages.forEach((page, index) => file.set(page, index * this.PAGE_SIZE));
+    return file;
+  },
+
+  // ============================================
+  // Records
+  // ============================================
+
+  // SQLite varint: big-endian, 7 bits per byte, high bit set on all but the last byte.
+  // Only used for non-negative values below 2^53 (sizes and rowids), which fit in 8 bytes.
+  varint(value) {
+    const bytes = [];
+    let remaining = value;
+    do {
+      bytes.unshift(remaining % 128);
+      remaining = Math.floor(remaining / 128);
+    } while (remaining > 0);
+
+    for (let i = 0; i < bytes.length - 1; i++) {
+      bytes[i] |= 0x80;
+    }
+    return bytes;
+  },
+
+  // Serial type and body bytes for one column value
+  _serialize(value) {
+    if (value === null || value === undefined) {
+      return { type: 0, body: [] };
+    }
+    if (typeof value === 'boolean') {
+      value = value ? 1 : 0;
+    }
+
+    if (typeof value === 'number') {
+      if (!Number.isInteger(value)) {
+        const body = new Uint8Array(8);
+        new DataView(body.buffer).setFloat64(0, value);
+        return { type: 7, body: Array.from(body) };
+      }
+
+      // Smallest two's complement size that holds the integer
+      const sizes = [[1, 1], [2, 2], [3, 3], [4, 4], [5, 6], [6, 8]];
+      for (const [type, length] of sizes) {
+        const limit = 2 ** (length * 8 - 1);
+        if (value >= -limit && value < limit) {
+          return { type, body: this._intBytes(value, length) };
+        }
+      }
+      throw new Error(`Integer out of range: ${value}`);
+    }
+
+    if (typeof value === 'string') {
+      const body = Array.from(new TextEncoder().encode(value));
+      return { type: body.length * 2 + 13, body };
+    }
+
+    if (value instanceof Uint8Array) {
+      return { type: value.length * 2 + 12, body: Array.from(value) };
+    }
+
+    throw new Error(`Unsupported column value: ${typeof value}`);
+  },
+
+  // Big-endian two's complement bytes of an integer
+  _intBytes(value, length) {
+    let big = BigInt(value);
+    if (big < 0n) {
+      big += 1n << BigInt(length * 8);
+    }
+
+    const bytes = new Array(length);
+    for (let i = length - 1; i >= 0; i--) {
+      bytes[i] = Number(big & 0xFFn);
+      big >>= 8n;
+    }
+    return bytes;
+  },
+
+  // Record format: header size, serial types, then the column bodies
+  encodeRecord(values) {
+    const serialized = values.map(value => this._serialize(value));
+    const types = serialized.flatMap(({ type }) => this.varint(type));
+
+    let headerSize = types.length + 1;
+    while (this.varint(headerSize).length + types.length > headerSize) {
+      headerSize++;
+    }
+
+    return Uint8Array.from([
+      ...this.varint(headerSize),
+      ...types,
+      ...serialized.flatMap(({ body }) => body)
+    ]);
+  },
+
+  // ============================================
+  // B-tree pages
+  // ============================================
+
+  // Leaf cells for a table's rows, in rowid order
+  _tableCells(table, pages, allocate) {
+    const cells = table.rows.map((row, index) => {
+      let rowid = index + 1;
+      let values = row;
+
+      if (table.rowidColumn !== null && table.rowidColumn !== undefined) {
+        rowid = row[table.rowidColumn];
+        values = row.slice();
+        values[table.rowidColumn] = null;
+      }
+
+      return { rowid, record: this.encodeRecord(values) };
+    });
+
+    cells.sort((a, b) => a.rowid - b.rowid);
+    cells.forEach((cell, index) => {
+      if (index > 0 && cell.rowid === cells[index - 1].rowid) {
+        throw new Error(`Duplicate rowid ${cell.rowid} in ${table.name}`);
+      }
+    });
+
+    return cells.map(({ rowid, record }) => this._leafCell(rowid, record, pages, allocate));
+  },
+
+  // Table leaf cell, spilling the end of large payloads into overflow pages
+  _leafCell(rowid, payload, pages, allocate) {
+    const usable = this.PAGE_SIZE;
+    const maxLocal = usable - 35;
+    const minLocal = Math.floor((usable - 12) * 32 / 255) - 23;
+
+    let localSize = payload.length;
+    if (payload.length > maxLocal) {
+      const k = minLocal + ((payload.length - minLocal) % (usable - 4));
+      localSize = k <= maxLocal ? k : minLocal;
+    }
+
+    const header = [...this.varint(payload.length), ...this.varint(rowid)];
+    const hasOverflow = localSize < payload.length;
+    const bytes = new Uint8Array(header.length + localSize + (hasOverflow ? 4 : 0));
+    bytes.set(header, 0);
+    bytes.set(payload.subarray(0, localSize), header.length);
+
+    if (hasOverflow) {
+      const firstOverflow = this._writeOverflow(payload.subarray(localSize), pages, allocate);
+      new DataView(bytes.buffer).setUint32(header.length + localSize, firstOverflow);
+    }
+
+    return { key: rowid, bytes };
+  },
+
+  // Chain of overflow pages: 4-byte next page number, then content. Returns the first page.
+  _writeOverflow(data, pages, allocate) {
+    const chunkSize = this.PAGE_SIZE - 4;
+    const pageNumbers = [];
+    for (let offset = 0; offset < data.length; offset += chunkSize) {
+      pageNumbers.push(allocate());
+    }
+
+    pageNumbers.forEach((pageNumber, index) => {
+      const page = new Uint8Array(this.PAGE_SIZE);
+      new DataView(page.buffer).setUint32(0, pageNumbers[index + 1] || 0);
+      page.set(data.subarray(index * chunkSize, (index + 1) * chunkSize), 4);
+      pages[pageNumber - 1] = page;
+    });
+
+    return pageNumbers[0];
+  },
+
+  // Lay cells out into leaf pages and interior levels. Returns the root page number.
+  _buildBtree(cells, pages, allocate) {
+    // Leaves
+    let level = [];
+    let group = [];
+    let used = 8;
+
+    const flushLeaf = () => {
+      const pageNumber = allocate();
+      pages[pageNumber - 1] = this._writePage(this.TABLE_LEAF, group, 0);
+      level.push({ page: pageNumber, key: group.length > 0 ? group[group.length - 1].key : 0 });
+      group = [];
+      used = 8;
+    };
+
+    cells.forEach(cell => {
+      if (group.length > 0 && used + cell.bytes.length + 2 > this.PAGE_SIZE) {
+        flushLeaf();
+      }
+      group.push(cell);
+      used += cell.bytes.length + 2;
+    });
+    flushLeaf();
+
+    // Interior levels until a single root remains. Each interior page points to
+    // its children with cells (left child, largest rowid in it) plus a right-most child.
+    while (level.length > 1) {
+      const next = [];
+      let children = [];
+      used = 12;
+
+      const flushInterior = () => {
+        const right = children[children.length - 1];
+        const interiorCells = children.slice(0, -1).map(child => {
+          const bytes = new Uint8Array(4 + this.varint(child.key).length);
+          new DataView(bytes.buffer).setUint32(0, child.page);
+          bytes.set(this.varint(child.key), 4);
+          return { key: child.key, bytes };
+        });
+
+        const pageNumber = allocate();
+        pages[pageNumber - 1] = this._writePage(this.TABLE_INTERIOR, interiorCells, 0, right.page);
+        next.push({ page: pageNumber, key: right.key });
+        children = [];
+        used = 12;
+      };
+
+      level.forEach(child => {
+        if (children.length > 0) {
+          // Adding a child turns the current right-most child into a cell
+          const previous = children[children.length - 1];
+          const cellSize = 4 + this.varint(previous.key).length + 2;
+          if (used + cellSize > this.PAGE_SIZE) {
+            flushInterior();
+          } else {
+            used += cellSize;
+          }
+        }
+        children.push(child);
+      });
+      flushInterior();
+
+      level = next;
+    }
+
+    return level[0].page;
+  },
+
+  // Write a b-tree page: header, cell pointer array, cells packed at the end.
+  // Returns null if the cells don't fit.
+  _writePage(type, cells, headerOffset, rightChild = null) {
+    const page = new Uint8Array(this.PAGE_SIZE);
+    const view = new DataView(page.buffer);
+    const headerSize = type === this.TABLE_INTERIOR ? 12 : 8;
+
+    let contentStart = this.PAGE_SIZE;
+    let pointer = headerOffset + headerSize;
+
+    for (const cell of cells) {
+      contentStart -= cell.bytes.length;
+      if (contentStart < pointer + 2) return null;
+
+      page.set(cell.bytes, contentStart);
+      view.setUint16(pointer, contentStart);
+      pointer += 2;
+    }
+
+    view.setUint8(headerOffset, type);
+    view.setUint16(headerOffset + 1, 0);               // first freeblock
+    view.setUint16(headerOffset + 3, cells.length);
+    view.setUint16(headerOffset + 5, contentStart);
+    view.setUint8(headerOffset + 7, 0);                // fragmented free bytes
+    if (type === this.TABLE_INTERIOR) {
+      view.setUint32(headerOffset + 8, rightChild);
+    }
+
+    return page;
+  },
+
+  // 100-byte database header at the start of page 1
+  _writeHeader(page, pageCount) {
+    const view = new DataView(page.buffer);
+
+    page.set(new TextEncoder().encode('SQLite format 3\0'), 0);
+    view.setUint16(16, this.PAGE_SIZE);
+    view.setUint8(18, 1);                  // file format write version (legacy)
+    view.setUint8(19, 1);                  // file format read version (legacy)
+    view.setUint8(20, 0);                  // reserved bytes per page
+    view.setUint8(21, 64);                 // max embedded payload fraction
+    view.setUint8(22, 32);                 // min embedded payload fraction
+    view.setUint8(23, 32);                 // leaf payload fraction
+    view.setUint32(24, 1);                 // file change counter
+    view.setUint32(28, pageCount);         // database size in pages
+    view.setUint32(32, 0);                 // first freelist trunk page
+    view.setUint32(36, 0);                 // freelist page count
+    view.setUint32(40, 1);                 // schema cookie
+    view.setUint32(44, 4);                 // schema format number
+    view.setUint32(48, 0);                 // default page cache size
+    view.setUint32(52, 0);                 // no auto-vacuum
+    view.setUint32(56, 1);                 // text encoding: UTF-8
+    view.setUint32(60, 0);                 // user version
+    view.setUint32(64, 0);                 // incremental vacuum off
+    view.setUint32(68, 0);                 // application id
+    view.setUint32(92, 1);                 // version-valid-for (matches change counter)
+    view.setUint32(96, this.SQLITE_VERSION_NUMBER);
+  }
+};
+
+// Make available globally
+if (typeof window !== 'undefined') {
+  window.SQLiteWriter = SQLiteWriter;
+}
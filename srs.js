@@ -0,0 +1,141 @@
+// Spaced repetition scheduler for saved words (SM-2)
+// Shared by the popup, content scripts and background worker
+
+const SRS = {
+  DAY_MS: 24 * 60 * 60 * 1000,
+
+  // SM-2 parameters
+  DEFAULT_EASE: 2.5,
+  MIN_EASE: 1.3,
+
+  // Interval (days) from which a word counts as mature
+  MATURE_INTERVAL: 21,
+
+  // Share of the current interval an in-page exposure pushes a due word back
+  EXPOSURE_FACTOR: 0.2,
+
+  // Review buttons mapped to SM-2 quality grades (0-5)
+  GRADES: {
+    again: 1,
+    hard: 3,
+    good: 4,
+    easy: 5
+  },
+
+  // Fresh schedule for a newly saved word (due immediately)
+  createSchedule(now = Date.now()) {
+    return {
+      ease: this.DEFAULT_EASE,
+      interval: 0,
+      repetitions: 0,
+      due: now,
+      lapses: 0,
+      lastReviewed: null,
+      lastExposure: null
+    };
+  },
+
+  // Return the word's schedule, creating one for words saved before scheduling existed
+  getSchedule(wordData, now = Date.now()) {
+    if (wordData && wordData.review) {
+      return wordData.review;
+    }
+    return this.createSchedule((wordData && wordData.dateAdded) || now);
+  },
+
+  // Apply a review grade ('again' | 'hard' | 'good' | 'easy' or 0-5) and return the new schedule
+  review(schedule, grade, now = Date.now()) {
+    const quality = typeof grade === 'number' ? grade : this.GRADES[grade];
+    if (quality === undefined || quality < 0 || quality > 5) {
+      throw new Error(`Invalid review grade: ${grade}`);
+    }
+
+    const next = { ...this.createSchedule(now), ...schedule };
+
+    if (quality < 3) {
+      // Failed recall: start the repetition sequence over
+      if (next.repetitions > 0) {
+        next.lapses++;
+      }
+      next.repetitions = 0;
+      next.interval = 1;
+    } else {
+      next.repetitions++;
+      if (next.repetitions === 1) {
+        next.interval = 1;
+      } else if (next.repetitions === 2) {
+        next.interval = 6;
+      } else {
+        next.interval = Math.round(next.interval * next.ease);
+      }
+    }
+
+    next.ease = Math.max(
+      this.MIN_EASE,
+      next.ease + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02))
+    );
+    next.due = now + next.interval * this.DAY_MS;
+    next.lastReviewed = now;
+
+    return next;
+  },
+
+  // Record that the word was seen on a page. Counts at most once per day and
+  // only moves the due date of words that are already due, never the ease.
+  // Returns null when the schedule is unchanged.
+  applyExposure(schedule, now = Date.now()) {
+    if (schedule.lastExposure && this.isSameDay(schedule.lastExposure, now)) {
+      return null;
+    }
+
+    const next = { ...schedule, lastExposure: now };
+
+    if (next.repetitions > 0 && next.due <= now) {
+      const delayDays = Math.max(1, Math.round(next.interval * this.EXPOSURE_FACTOR));
+      next.due = now + delayDays * this.DAY_MS;
+    }
+
+    return next;
+  },
+
+  // Classify a word: 'new' (never reviewed), 'due', 'learning' or 'mature'
+  getState(wordData, now = Date.now()) {
+    const schedule = this.getSchedule(wordData, now);
+
+    if (schedule.repetitions === 0 && !schedule.lastReviewed) {
+      return 'new';
+    }
+    if (schedule.due <= now) {
+      return 'due';
+    }
+    if (schedule.interval >= this.MATURE_INTERVAL) {
+      return 'mature';
+    }
+    return 'learning';
+  },
+
+  isDue(wordData, now = Date.now()) {
+    return this.getSchedule(wordData, now).due <= now;
+  },
+
+  // Human-readable time until next review, e.g. "now", "in 3 days"
+  formatDue(wordData, now = Date.now()) {
+    const due = this.getSchedule(wordData, now).due;
+    if (due <= now) return 'now';
+
+    const days = Math.round((due - now) / this.DAY_MS);
+    if (days < 1) return 'today';
+    if (days === 1) return 'tomorrow';
+    if (days < 60) return `in ${days} days`;
+    return `in ${Math.round(days / 30)} months`;
+  },
+
+  isSameDay(a, b) {
+    return new Date(a).toDateString() === new Date(b).toDateString();
+  }
+};
+
+// Make available globally
+if (typeof window !== 'undefined') {
+  window.SRS = SRS;
+}
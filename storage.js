@@ -1,34 +1,72 @@
 // Storage module for managing known words and settings
-// Can be used in both content script and popup contexts
+// Can be used in both content script and popup contexts.
+// Words live in IndexedDB (see vocab-db.js); settings stay in chrome.storage.local.
+// Content scripts can't reach the extension's IndexedDB, so their word calls
+// are forwarded to the background worker (see REMOTE_METHODS).
 
 const StorageManager = {
   // Default settings
   defaultSettings: {
     targetLanguage: 'zh-CN',  // Chinese (Simplified)
     sourceLanguage: 'en',      // English
-    apiKey: '',                // Google Translate API key
     mode: 'learn',             // 'learn' = translate known words, 'practice' = translate unknown words
     autoTranslate: true,       // Enable automatic translation
     showTooltips: true,        // Show original text on hover
+    showReviewState: true,     // Mark due / mature words differently on pages
+    youtubeSubtitles: true,    // Translate known words in YouTube subtitles
+    trashRetentionDays: 30,    // Deleted words stay restorable this long
+    syncVocabulary: true,      // Sync words across browsers through chrome.storage.sync
+    translationProviders: {},  // Provider id per translation feature; unset ones use the defaults
+    azureRegion: '',           // Region of the Azure Translator resource
     excludedUrls: []           // List of URLs where extension won't run
   },
 
+  // Prefix for the pre-IndexedDB per-profile vocabulary keys, e.g. 'knownWords_en_zh-CN'
+  WORDS_KEY_PREFIX: 'knownWords_',
+
+  // Settings that held credentials before they moved to the secrets vault
+  // (see secrets.js); stripped wherever settings leave the extension
+  SECRET_SETTINGS: ['apiKey'],
+
+  // chrome.storage.local key bumped whenever words change
+  REVISION_KEY: 'vocabRevision',
+
+  // Legacy key of the separate Chinese highlight list (a chrome.storage.sync item,
+  // later chrome.storage.local), folded into the vocabulary by migration step 10
+  CHINESE_WORDS_KEY: 'chineseKnownWords',
+
+  // Knowledge state of a word entry:
+  // 'learning' - a source-language word being learned: learn mode shows its
+  //              translation and it is reviewed (the default)
+  // 'known'    - a target-language word known outright (e.g. marked on a Chinese
+  //              page); original is the target form, it has no review schedule
+  // Chinese highlighting uses the target forms (active senses) of both.
+  KNOWLEDGE_STATES: ['learning', 'known'],
+
+  // chrome.storage.local key holding the undo snapshot of the last import
+  LAST_IMPORT_KEY: 'lastImport',
+
+  // Methods that need IndexedDB and are proxied through the background worker
+  // when called from a content script
+  REMOTE_METHODS: [
+    'getProfiles', 'getKnownWords', 'getWord', 'addWord', 'addWordList', 'updateWord', 'updateSenses',
+    'updateTags', 'getChineseKnownWords', 'addChineseKnownWords', 'removeChineseKnownWords', 'removeWord', 'getTrash', 'restoreWords', 'purgeTrash', 'reviewWord', 'recordExposures', 'getDueWords', 'clearAllWords',
+    'exportWords', 'previewImport', 'importWords', 'undoLastImport', 'getStats'
+  ],
+
+  // The REMOTE_METHODS a web page's content script may call: reading words, adding
+  // and reviewing them. Editing, deleting and importing need an extension page.
+  CONTENT_SCRIPT_METHODS: [
+    'getProfiles', 'getKnownWords', 'getWord', 'getChineseKnownWords', 'getDueWords',
+    'addWord', 'reviewWord', 'recordExposures'
+  ],
+
   // Initialize storage with defaults if needed
   async initialize() {
     return new Promise((resolve) => {
-      chrome.storage.local.get(['knownWords', 'settings'], (data) => {
-        const updates = {};
-
-        if (!data.knownWords) {
-          updates.knownWords = {};
-        }
-
+      chrome.storage.local.get(['settings'], (data) => {
         if (!data.settings) {
-          updates.settings = this.defaultSettings;
-        }
-
-        if (Object.keys(updates).length > 0) {
-          chrome.storage.local.set(updates, () => resolve(true));
+          chrome.storage.local.set({ settings: this.defaultSettings }, () => resolve(true));
         } else {
           resolve(true);
         }
@@ -36,120 +74,553 @@ const StorageManager = {
     });
   },
 
-  // Get all known words
-  async getKnownWords() {
-    return new Promise((resolve) => {
-      chrome.storage.local.get(['knownWords'], (data) => {
-        resolve(data.knownWords || {});
-      });
+  // ============================================
+  // Vocabulary Profiles (one per source/target language pair)
+  // ============================================
+
+  // Profile id for a language pair, e.g. 'en_zh-CN'
+  getProfileId(sourceLanguage, targetLanguage) {
+    return `${sourceLanguage || 'auto'}_${targetLanguage}`;
+  },
+
+  // Storage key holding a profile's words
+  getWordsKey(profileId) {
+    return `${this.WORDS_KEY_PREFIX}${profileId}`;
+  },
+
+  // The active profile follows the source/target languages in settings
+  async getActiveProfile() {
+    const settings = await this.getSettings();
+    const sourceLanguage = settings.sourceLanguage || this.defaultSettings.sourceLanguage;
+    const targetLanguage = settings.targetLanguage || this.defaultSettings.targetLanguage;
+
+    return {
+      id: this.getProfileId(sourceLanguage, targetLanguage),
+      sourceLanguage,
+      targetLanguage
+    };
+  },
+
+  // List all known profiles with their word counts
+  async getProfiles() {
+    const { vocabProfiles } = await chrome.storage.local.get(['vocabProfiles']);
+    const profiles = Object.values(vocabProfiles || {});
+    const active = await this.getActiveProfile();
+
+    if (!profiles.some(p => p.id === active.id)) {
+      profiles.push({ ...active, createdAt: null });
+    }
+
+    const counts = await Promise.all(profiles.map(p => VocabDB.countWords(p.id)));
+
+    return profiles.map((p, index) => ({
+      ...p,
+      active: p.id === active.id,
+      wordCount: counts[index]
+    }));
+  },
+
+  // Register a profile so it shows up in the switcher even before it has words
+  async ensureProfile(sourceLanguage, targetLanguage) {
+    const id = this.getProfileId(sourceLanguage, targetLanguage);
+    const { vocabProfiles = {} } = await chrome.storage.local.get(['vocabProfiles']);
+
+    if (!vocabProfiles[id]) {
+      vocabProfiles[id] = { id, sourceLanguage, targetLanguage, createdAt: Date.now() };
+      await chrome.storage.local.set({ vocabProfiles });
+    }
+
+    return vocabProfiles[id];
+  },
+
+  // Switch the active profile by switching the language pair in settings
+  async switchProfile(profileId) {
+    const { vocabProfiles = {} } = await chrome.storage.local.get(['vocabProfiles']);
+    const profile = vocabProfiles[profileId];
+    if (!profile) {
+      throw new Error(`Unknown vocabulary profile: ${profileId}`);
+    }
+
+    await this.updateSettings({
+      sourceLanguage: profile.sourceLanguage,
+      targetLanguage: profile.targetLanguage
     });
+    return profile;
+  },
+
+  // True for profiles whose target language is Chinese (their target forms are highlighted)
+  isChineseProfile(profileId) {
+    return profileId.slice(profileId.indexOf('_') + 1).startsWith('zh');
+  },
+
+  // Profile that holds words marked as known in Chinese: the active profile if it
+  // targets Chinese, otherwise the Simplified Chinese one for the same source language
+  getChineseProfile(settings) {
+    const sourceLanguage = settings.sourceLanguage || this.defaultSettings.sourceLanguage;
+    const targetLanguage = settings.targetLanguage || this.defaultSettings.targetLanguage;
+    return {
+      id: this.getProfileId(sourceLanguage, targetLanguage.startsWith('zh') ? targetLanguage : 'zh-CN'),
+      sourceLanguage,
+      targetLanguage: targetLanguage.startsWith('zh') ? targetLanguage : 'zh-CN'
+    };
+  },
+
+  // True if a storage change affects the active vocabulary
+  // (words were written, or settings switched to another language pair)
+  isVocabularyChange(changes) {
+    if (changes[this.REVISION_KEY]) {
+      return true;
+    }
+
+    if (changes.settings) {
+      const oldSettings = changes.settings.oldValue || {};
+      const newSettings = changes.settings.newValue || {};
+      return oldSettings.sourceLanguage !== newSettings.sourceLanguage ||
+        oldSettings.targetLanguage !== newSettings.targetLanguage;
+    }
+
+    return false;
+  },
+
+  // Profile the word methods operate on; registers it on first write
+  async _writableProfile() {
+    const profile = await this.getActiveProfile();
+    await this.ensureProfile(profile.sourceLanguage, profile.targetLanguage);
+    return profile;
+  },
+
+  // Tell other contexts the vocabulary changed.
+  // IndexedDB has no change events, so a small marker in chrome.storage.local
+  // is bumped and picked up by isVocabularyChange().
+  async _notifyChange(profileId) {
+    await chrome.storage.local.set({ [this.REVISION_KEY]: { profile: profileId, at: Date.now() } });
+  },
+
+  // ============================================
+  // Words (always in the active profile)
+  // ============================================
+
+  // Get all known words, optionally narrowed by a VocabFilter filter
+  async getKnownWords(filter = null) {
+    const profile = await this.getActiveProfile();
+    const words = await VocabDB.getAllWords(profile.id);
+    return filter ? VocabFilter.apply(words, filter) : words;
   },
 
   // Get a specific word translation
   async getWord(word) {
-    const words = await this.getKnownWords();
-    return words[word.toLowerCase()] || null;
+    const profile = await this.getActiveProfile();
+    return VocabDB.getWord(profile.id, word.toLowerCase());
   },
 
-  // Add a new word with translation and optional pinyin
-  async addWord(word, translation, sourceText = null, pinyin = null) {
-    return new Promise((resolve) => {
-      chrome.storage.local.get(['knownWords'], (data) => {
-        const knownWords = data.knownWords || {};
-        const wordKey = word.toLowerCase();
-
-        if (knownWords[wordKey]) {
-          // Update existing word
-          knownWords[wordKey].translation = translation;
-          if (pinyin) {
-            knownWords[wordKey].pinyin = pinyin;
-          }
-          knownWords[wordKey].timesEncountered++;
-          knownWords[wordKey].lastSeen = Date.now();
-        } else {
-          // Add new word
-          knownWords[wordKey] = {
-            original: word,
-            translation: translation,
-            pinyin: pinyin,
-            sourceText: sourceText,
-            dateAdded: Date.now(),
-            lastSeen: Date.now(),
-            timesEncountered: 1
-          };
-        }
+  // Add a new word with translation and optional pinyin.
+  // Saving a different translation for an existing word adds it as another sense.
+  // details holds extra fields for new entries (e.g. detected sourceLanguage),
+  // optional sense fields (partOfSpeech, example), tags added to the word and
+  // the context it was saved in ({ sentence, title, url, savedAt }).
+  async addWord(word, translation, sourceText = null, pinyin = null, details = {}) {
+    const profile = await this._writableProfile();
+    const { partOfSpeech = null, example = null, tags = [], context = null, ...entryDetails } = details;
+    const senseData = { translation, pinyin, partOfSpeech, example };
+    const wordContext = context ? WordContexts.create(context) : null;
 
-        chrome.storage.local.set({ knownWords }, async () => {
-          // Also add Chinese translation to chineseKnownWords for highlighting
-          if (translation && /[\u4e00-\u9fff]/.test(translation)) {
-            chrome.storage.sync.get(['chineseKnownWords'], (result) => {
-              const chineseKnownWords = result.chineseKnownWords || [];
-              if (!chineseKnownWords.includes(translation)) {
-                chineseKnownWords.push(translation);
-                chrome.storage.sync.set({ chineseKnownWords });
-                console.log(`[Auto-sync] Added '${translation}' to Chinese known words`);
-              }
-            });
-          }
-          resolve(knownWords[wordKey]);
-        });
+    const entry = await VocabDB.updateWord(profile.id, word.toLowerCase(), (existing) => {
+      if (existing) {
+        // Update existing word
+        Senses.addSense(existing, senseData);
+        existing.tags = [...new Set([...(existing.tags || []), ...tags])];
+        existing.timesEncountered++;
+        existing.lastSeen = Date.now();
+        existing.review = SRS.getSchedule(existing);
+        WordContexts.add(existing, wordContext);
+        return existing;
+      }
+
+      // Add new word
+      const entry = Senses.syncPrimary({
+        ...entryDetails,
+        original: word,
+        senses: [Senses.createSense(senseData)],
+        tags: [...new Set(tags)],
+        sourceText: sourceText || (wordContext && wordContext.sentence) || null,
+        dateAdded: Date.now(),
+        lastSeen: Date.now(),
+        timesEncountered: 1,
+        review: SRS.createSchedule()
       });
+      WordContexts.add(entry, wordContext);
+      return entry;
     });
+    await this._notifyChange(profile.id);
+    return entry;
   },
 
-  // Update an existing word's translation
+  // Add many words at once, e.g. a whole word-list level.
+  // entries: [{ original, senses: [{ translation, pinyin, partOfSpeech }] }]
+  // Existing words gain any new senses; every word gets the tag.
+  // Returns { added, updated }.
+  async addWordList(entries, tag) {
+    const profile = await this._writableProfile();
+    const byKey = {};
+    entries.forEach(entry => {
+      const key = entry.original.toLowerCase();
+      byKey[key] = byKey[key]
+        ? { ...byKey[key], senses: [...byKey[key].senses, ...entry.senses] }
+        : entry;
+    });
+
+    let added = 0;
+    let updated = 0;
+    const now = Date.now();
+
+    await VocabDB.updateWords(profile.id, Object.keys(byKey), (existing, key) => {
+      const incoming = byKey[key];
+      const entry = existing || {
+        original: incoming.original,
+        senses: [],
+        sourceText: null,
+        dateAdded: now,
+        lastSeen: now,
+        timesEncountered: 0,
+        review: SRS.createSchedule()
+      };
+
+      const before = JSON.stringify([entry.senses, entry.tags]);
+      incoming.senses.forEach(sense => Senses.addSense(entry, sense));
+      entry.tags = [...new Set([...(entry.tags || []), tag])];
+
+      if (!existing) {
+        added++;
+        return entry;
+      }
+      if (JSON.stringify([entry.senses, entry.tags]) === before) return null;
+      updated++;
+      return entry;
+    });
+
+    if (added + updated > 0) {
+      await this._notifyChange(profile.id);
+    }
+    return { added, updated };
+  },
+
+  // Update an existing word's primary translation
   async updateWord(originalWord, newTranslation) {
-    return new Promise((resolve) => {
-      chrome.storage.local.get(['knownWords'], (data) => {
-        const knownWords = data.knownWords || {};
-        const wordKey = originalWord.toLowerCase();
-
-        if (knownWords[wordKey]) {
-          knownWords[wordKey].translation = newTranslation;
-          knownWords[wordKey].lastSeen = Date.now();
-          chrome.storage.local.set({ knownWords }, () => {
-            // Also add Chinese translation to chineseKnownWords for highlighting
-            if (newTranslation && /[\u4e00-\u9fff]/.test(newTranslation)) {
-              chrome.storage.sync.get(['chineseKnownWords'], (result) => {
-                const chineseKnownWords = result.chineseKnownWords || [];
-                if (!chineseKnownWords.includes(newTranslation)) {
-                  chineseKnownWords.push(newTranslation);
-                  chrome.storage.sync.set({ chineseKnownWords });
-                  console.log(`[Auto-sync] Added '${newTranslation}' to Chinese known words`);
-                }
-              });
-            }
-            resolve(knownWords[wordKey]);
-          });
-        } else {
-          resolve(null);
-        }
+    const profile = await this.getActiveProfile();
+
+    const entry = await VocabDB.updateWord(profile.id, originalWord.toLowerCase(), (existing) => {
+      if (!existing) return null;
+
+      Senses.syncPrimary(existing);
+      const primary = existing.senses.find(sense => !sense.retired) || existing.senses[0];
+      if (primary) {
+        primary.translation = newTranslation;
+      } else {
+        existing.senses.push(Senses.createSense({ translation: newTranslation }));
+      }
+      Senses.syncPrimary(existing);
+      existing.lastSeen = Date.now();
+      return existing;
+    });
+    if (!entry) return null;
+    await this._notifyChange(profile.id);
+    return entry;
+  },
+
+  // Replace a word's senses (add, reorder and retire from the popup).
+  // The first active sense becomes the primary translation.
+  async updateSenses(originalWord, senses) {
+    const activeSenses = (senses || []).filter(sense => !sense.retired && sense.translation && sense.translation.trim());
+    if (activeSenses.length === 0) {
+      throw new Error('A word needs at least one active sense');
+    }
+
+    const profile = await this.getActiveProfile();
+
+    const entry = await VocabDB.updateWord(profile.id, originalWord.toLowerCase(), (existing) => {
+      if (!existing) return null;
+
+      existing.senses = senses
+        .filter(sense => sense.translation && sense.translation.trim())
+        .map(sense => ({
+          ...Senses.createSense(sense),
+          ...sense,
+          translation: sense.translation.trim()
+        }));
+      Senses.syncPrimary(existing);
+      existing.lastSeen = Date.now();
+      return existing;
+    });
+    if (!entry) return null;
+    await this._notifyChange(profile.id);
+    return entry;
+  },
+
+  // Replace a word's tags (including its 'deck:' tag)
+  async updateTags(originalWord, tags) {
+    const profile = await this.getActiveProfile();
+
+    const entry = await VocabDB.updateWord(profile.id, originalWord.toLowerCase(), (existing) => {
+      if (!existing) return null;
+      existing.tags = [...new Set(tags.map(tag => String(tag).trim()).filter(Boolean))];
+      return existing;
+    });
+    if (!entry) return null;
+    await this._notifyChange(profile.id);
+
+    return entry;
+  },
+
+  // ============================================
+  // Chinese known words (derived from the vocabulary)
+  // ============================================
+
+  getKnowledge(entry) {
+    return (entry && entry.knowledge) || 'learning';
+  },
+
+  // Entry for a target-language word known outright
+  createKnownEntry(word, tags = [], now = Date.now()) {
+    return Senses.syncPrimary({
+      original: word,
+      knowledge: 'known',
+      senses: [Senses.createSense({ translation: word })],
+      tags: [...new Set(tags)],
+      sourceText: null,
+      dateAdded: now,
+      lastSeen: now,
+      timesEncountered: 0
+    });
+  },
+
+  // Chinese words to highlight, oldest first: the active target forms of every
+  // entry in a Chinese profile ({ profileId: { key: entry } } as from VocabDB)
+  chineseWordsOf(wordsByProfile) {
+    const entries = Object.entries(wordsByProfile)
+      .filter(([profileId]) => this.isChineseProfile(profileId))
+      .flatMap(([, words]) => Object.values(words))
+      .sort((a, b) => (a.dateAdded || 0) - (b.dateAdded || 0));
+
+    const words = new Set();
+    entries.forEach(entry => {
+      Senses.getActiveSenses(entry).forEach(sense => {
+        if (/[\u4e00-\u9fff]/.test(sense.translation)) words.add(sense.translation);
       });
     });
+    return [...words];
+  },
+
+  async getChineseKnownWords() {
+    return this.chineseWordsOf(await VocabDB.getWordsByProfile());
+  },
+
+  // Mark Chinese words as known, as new entries carrying the tags. Words already
+  // highlighted are left alone. Returns the number added.
+  async addChineseKnownWords(words, tags = []) {
+    const candidates = [...new Set(words.map(word => String(word).trim()))]
+      .filter(word => /[\u4e00-\u9fff]/.test(word));
+    if (candidates.length === 0) return 0;
+
+    const known = new Set(await this.getChineseKnownWords());
+    const missing = candidates.filter(word => !known.has(word));
+    if (missing.length === 0) return 0;
+
+    const profile = this.getChineseProfile(await this.getSettings());
+    await this.ensureProfile(profile.sourceLanguage, profile.targetLanguage);
+    const now = Date.now();
+
+    const added = await VocabDB.updateWords(profile.id, missing.map(word => word.toLowerCase()), (existing, key) => {
+      if (existing) return null;
+      return this.createKnownEntry(missing.find(word => word.toLowerCase() === key), tags, now);
+    });
+
+    const count = Object.keys(added).length;
+    if (count > 0) {
+      await this._notifyChange(profile.id);
+    }
+    return count;
+  },
+
+  // Stop highlighting Chinese words: every entry that has one of them as an active
+  // target form goes to the trash, in whichever Chinese profile it is. With
+  // knownWithTag, only known entries carrying that tag are removed.
+  // Returns { batch, count } to undo with restoreWords({ batch }).
+  async removeChineseKnownWords(words, { knownWithTag = null } = {}) {
+    const targets = new Set(words);
+    const batch = this._newBatchId();
+    let count = 0;
+    const matches = entry => !knownWithTag ||
+      (this.getKnowledge(entry) === 'known' && (entry.tags || []).includes(knownWithTag));
+
+    const wordsByProfile = await VocabDB.getWordsByProfile();
+    for (const [profileId, entries] of Object.entries(wordsByProfile)) {
+      if (!this.isChineseProfile(profileId)) continue;
+
+      const keys = Object.keys(entries).filter(key =>
+        matches(entries[key]) && Senses.getActiveSenses(entries[key]).some(sense => targets.has(sense.translation))
+      );
+      if (keys.length === 0) continue;
+
+      count += await VocabDB.trashWords(profileId, keys, batch);
+      await this._notifyChange(profileId);
+    }
+    return { batch, count };
   },
 
-  // Remove a word
+  // Make the known entries carrying a tag match a list, e.g. the words known on
+  // the Chinese Word Map server. Words that were already known elsewhere don't
+  // get the tag, so the list never removes them.
+  // Returns { added, removed }.
+  async mirrorChineseKnownWords(words, tag) {
+    const listed = new Set(words);
+    const wordsByProfile = await VocabDB.getWordsByProfile();
+    const stale = Object.entries(wordsByProfile)
+      .filter(([profileId]) => this.isChineseProfile(profileId))
+      .flatMap(([, entries]) => Object.values(entries))
+      .filter(entry => this.getKnowledge(entry) === 'known' && (entry.tags || []).includes(tag) && !listed.has(entry.original))
+      .map(entry => entry.original);
+
+    const { count: removed } = stale.length > 0
+      ? await this.removeChineseKnownWords(stale, { knownWithTag: tag })
+      : { count: 0 };
+    const added = await this.addChineseKnownWords(words, [tag]);
+    return { added, removed };
+  },
+
+  // Id shared by words deleted together, so they can be restored together
+  _newBatchId() {
+    return `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+  },
+
+  // Move a word to the trash. Returns the batch id to restore it, or null if it wasn't saved.
   async removeWord(word) {
-    return new Promise((resolve) => {
-      chrome.storage.local.get(['knownWords'], (data) => {
-        const knownWords = data.knownWords || {};
-        const wordKey = word.toLowerCase();
+    const profile = await this.getActiveProfile();
+    const batch = this._newBatchId();
+    const removed = await VocabDB.trashWords(profile.id, [word.toLowerCase()], batch);
 
-        if (knownWords[wordKey]) {
-          delete knownWords[wordKey];
-          chrome.storage.local.set({ knownWords }, () => resolve(true));
-        } else {
-          resolve(false);
+    if (removed === 0) return null;
+    await this._notifyChange(profile.id);
+    return batch;
+  },
+
+  // ============================================
+  // Trash (deleted words, restorable until purged)
+  // ============================================
+
+  // Trashed words of the active profile: [{ id, key, batch, deletedAt, entry }]
+  async getTrash() {
+    const profile = await this.getActiveProfile();
+    return VocabDB.getTrash(profile.id);
+  },
+
+  // Restore trashed words by trash id, or every word of a deletion batch.
+  // A word saved again since it was deleted keeps the trashed review history
+  // and gains the new copy's senses. Returns the number of words restored.
+  async restoreWords({ ids = [], batch = null } = {}) {
+    const trashIds = batch ? await VocabDB.getTrashBatch(batch) : ids;
+    const restored = await VocabDB.restoreTrash(trashIds, (current, trashed) =>
+      current ? VocabImport.merge(trashed, current, 'union') || trashed : trashed
+    );
+
+    const profiles = new Set(restored.map(item => item.profile));
+    for (const profileId of profiles) {
+      await this._notifyChange(profileId);
+    }
+    return restored.length;
+  },
+
+  // Permanently delete trashed words (all of the active profile's if no ids are given)
+  async purgeTrash(ids = null) {
+    const trashIds = ids || (await this.getTrash()).map(item => item.id);
+    await VocabDB.deleteTrash(trashIds);
+    return trashIds.length;
+  },
+
+  // Permanently delete words trashed longer than the retention setting ago
+  async purgeExpiredTrash() {
+    const settings = await this.getSettings();
+    const days = settings.trashRetentionDays ?? this.defaultSettings.trashRetentionDays;
+    const purged = await VocabDB.purgeTrashBefore(Date.now() - days * 24 * 60 * 60 * 1000);
+    if (purged > 0) {
+      console.log(`[Trash] Purged ${purged} words deleted more than ${days} days ago`);
+    }
+    return purged;
+  },
+
+  // Grade a review of a word ('again' | 'hard' | 'good' | 'easy')
+  async reviewWord(word, grade) {
+    const profile = await this.getActiveProfile();
+    const now = Date.now();
+
+    const entry = await VocabDB.updateWord(profile.id, word.toLowerCase(), (existing) => {
+      if (!existing) return null;
+
+      existing.review = SRS.review(SRS.getSchedule(existing, now), grade, now);
+      existing.lastSeen = now;
+      return existing;
+    });
+    if (!entry) return null;
+
+    await this._notifyChange(profile.id);
+    return entry;
+  },
+
+  // Record a batch of page exposures from a content script
+  // ([{ word, count, domain, date }], see exposures.js). Counts add to
+  // timesEncountered and the word's history; schedules move at most once a day.
+  // Other contexts are only notified when a schedule changed, so counting alone
+  // doesn't make every open tab re-process its page. Returns the number of words updated.
+  async recordExposures(events) {
+    const now = Date.now();
+    const byWord = {};
+    Exposures.normalizeEvents(events, now).forEach(event => {
+      (byWord[event.word] = byWord[event.word] || []).push(event);
+    });
+    const keys = Object.keys(byWord);
+    if (keys.length === 0) return 0;
+
+    const profile = await this.getActiveProfile();
+    let rescheduled = false;
+
+    const changed = await VocabDB.updateWords(profile.id, keys, (wordData, wordKey) => {
+      if (!wordData) return null;
+
+      byWord[wordKey].forEach(event => {
+        Exposures.apply(wordData, event, now);
+        const schedule = SRS.applyExposure(SRS.getSchedule(wordData, event.date), event.date);
+        if (schedule) {
+          wordData.review = schedule;
+          rescheduled = true;
         }
       });
+      return wordData;
     });
+
+    if (rescheduled) {
+      await this._notifyChange(profile.id);
+    }
+    return Object.keys(changed).length;
+  },
+
+  // Get words due for review, most overdue first
+  async getDueWords(limit = 0, filter = null) {
+    const profile = await this.getActiveProfile();
+    const now = Date.now();
+    if (!filter || VocabFilter.isEmpty(filter)) {
+      return VocabDB.getDueWords(profile.id, now, limit);
+    }
+
+    const due = (await VocabDB.getDueWords(profile.id, now)).filter(entry => VocabFilter.matches(entry, filter, now));
+    return limit > 0 ? due.slice(0, limit) : due;
   },
 
-  // Clear all words
+  // Move all words of the active profile to the trash. Returns { batch, count }.
   async clearAllWords() {
-    return new Promise((resolve) => {
-      chrome.storage.local.set({ knownWords: {} }, () => resolve(true));
-    });
+    const profile = await this.getActiveProfile();
+    const batch = this._newBatchId();
+    const count = await VocabDB.trashWords(profile.id, null, batch);
+    await this._notifyChange(profile.id);
+    return { batch, count };
   },
 
   // Get settings
@@ -171,52 +642,147 @@ const StorageManager = {
     });
   },
 
-  // Export words to JSON
-  async exportWords() {
-    const knownWords = await this.getKnownWords();
+  // Settings with credentials removed (including the AnkiConnect key)
+  withoutSecrets(settings) {
+    const safe = { ...settings };
+    this.SECRET_SETTINGS.forEach(name => delete safe[name]);
+    if (safe.ankiConnect) {
+      const { apiKey, ...ankiConnect } = safe.ankiConnect;
+      safe.ankiConnect = ankiConnect;
+    }
+    return safe;
+  },
+
+  // Export the active profile's words to JSON
+  async exportWords(filter = null) {
+    const profile = await this.getActiveProfile();
+    const knownWords = await this.getKnownWords(filter);
     const settings = await this.getSettings();
 
+    const { schemaVersion } = await chrome.storage.local.get(['schemaVersion']);
+
     const exportData = {
       version: '1.0.0',
+      schemaVersion: schemaVersion || 0,
       exportDate: new Date().toISOString(),
+      profile: profile,
+      ...(filter && !VocabFilter.isEmpty(filter) ? { filter } : {}),
       wordCount: Object.keys(knownWords).length,
-      settings: settings,
+      settings: this.withoutSecrets(settings),
       words: knownWords
     };
 
     return JSON.stringify(exportData, null, 2);
   },
 
-  // Import words from JSON
-  async importWords(jsonString) {
+  // Parse and validate an export file
+  _parseImport(jsonString) {
+    let importData;
     try {
-      const importData = JSON.parse(jsonString);
+      importData = JSON.parse(jsonString);
+    } catch (error) {
+      throw new Error(`Invalid JSON: ${error.message}`);
+    }
+    return { importData, ...VocabImport.validate(importData) };
+  },
 
-      if (!importData.words || typeof importData.words !== 'object') {
-        throw new Error('Invalid import format: missing words object');
-      }
+  // Dry run of an import: which words are new, changed, identical or invalid
+  async previewImport(jsonString) {
+    try {
+      const { importData, words, invalid } = this._parseImport(jsonString);
+      const profile = await this.getActiveProfile();
+      const currentWords = await VocabDB.getAllWords(profile.id);
+
+      return {
+        fileProfile: importData.profile || null,
+        profile,
+        ...VocabImport.diff(currentWords, words),
+        invalid
+      };
+    } catch (error) {
+      throw new Error(`Import failed: ${error.message}`);
+    }
+  },
+
+  // Merge words from an export file into the active profile.
+  // strategy decides conflicts: 'mine' | 'theirs' | 'newest' | 'union'.
+  // The previous state of every touched word is kept so the import can be undone.
+  async importWords(jsonString, strategy = VocabImport.DEFAULT_STRATEGY) {
+    try {
+      const { words, invalid } = this._parseImport(jsonString);
+      const profile = await this._writableProfile();
+      const previous = {};
+
+      const importTag = VocabFilter.SOURCE_TAGS.import;
 
-      return new Promise((resolve, reject) => {
-        chrome.storage.local.set({ knownWords: importData.words }, () => {
-          if (chrome.runtime.lastError) {
-            reject(chrome.runtime.lastError);
-          } else {
-            resolve(Object.keys(importData.words).length);
+      const changed = await VocabDB.updateWords(profile.id, Object.keys(words), (mine, key) => {
+        const merged = VocabImport.merge(mine, words[key], strategy);
+        if (merged) {
+          previous[key] = mine ? JSON.parse(JSON.stringify(mine)) : null;
+          if (!mine) {
+            merged.tags = [...new Set([...(merged.tags || []), importTag])];
           }
-        });
+        }
+        return merged;
       });
+
+      const keys = Object.keys(changed);
+      const result = {
+        added: keys.filter(key => previous[key] === null).length,
+        updated: keys.filter(key => previous[key] !== null).length,
+        unchanged: Object.keys(words).length - keys.length,
+        invalid: invalid.length
+      };
+
+      if (keys.length > 0) {
+        await chrome.storage.local.set({
+          [this.LAST_IMPORT_KEY]: { profile: profile.id, strategy, at: Date.now(), ...result, previous }
+        });
+        await this._notifyChange(profile.id);
+      }
+
+      return result;
     } catch (error) {
       throw new Error(`Import failed: ${error.message}`);
     }
   },
 
+  // Summary of the last import that can still be undone (null if none)
+  async getLastImport() {
+    const data = await chrome.storage.local.get([this.LAST_IMPORT_KEY]);
+    const lastImport = data[this.LAST_IMPORT_KEY];
+    if (!lastImport) return null;
+
+    const { previous, ...summary } = lastImport;
+    return summary;
+  },
+
+  // Put every word touched by the last import back the way it was
+  async undoLastImport() {
+    const data = await chrome.storage.local.get([this.LAST_IMPORT_KEY]);
+    const lastImport = data[this.LAST_IMPORT_KEY];
+    if (!lastImport) {
+      throw new Error('Nothing to undo');
+    }
+
+    await VocabDB.applyChanges(lastImport.profile, lastImport.previous);
+    await chrome.storage.local.remove([this.LAST_IMPORT_KEY]);
+    await this._notifyChange(lastImport.profile);
+
+    return Object.keys(lastImport.previous).length;
+  },
+
   // Get statistics
   async getStats() {
     const knownWords = await this.getKnownWords();
     const wordArray = Object.values(knownWords);
+    const now = Date.now();
+    const states = wordArray.map(w => SRS.getState(w, now));
 
     return {
       totalWords: wordArray.length,
+      dueWords: states.filter(s => s === 'new' || s === 'due').length,
+      matureWords: states.filter(s => s === 'mature').length,
       totalEncounters: wordArray.reduce((sum, w) => sum + w.timesEncountered, 0),
       oldestWord: wordArray.length > 0 ?
         Math.min(...wordArray.map(w => w.dateAdded)) : null,
@@ -225,9 +791,32 @@ const StorageManager = {
       mostEncountered: wordArray.length > 0 ?
         wordArray.reduce((max, w) => w.timesEncountered > max.timesEncountered ? w : max) : null
     };
+  },
+
+  // Run a StorageManager method in the background worker (used by content scripts)
+  _callBackground(method, args) {
+    return new Promise((resolve, reject) => {
+      chrome.runtime.sendMessage({ action: 'storage', method, args }, (response) => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+        } else if (!response || response.error) {
+          reject(new Error((response && response.error) || `Storage call ${method} failed`));
+        } else {
+          resolve(response.result);
+        }
+      });
+    });
   }
 };
 
+// Outside the extension origin (content scripts) word storage is reached via the background
+if (typeof chrome !== 'undefined' && chrome.runtime &&
+    (typeof VocabDB === 'undefined' || !VocabDB.isAvailable())) {
+  StorageManager.REMOTE_METHODS.forEach(method => {
+    StorageManager[method] = (...args) => StorageManager._callBackground(method, args);
+  });
+}
+
 // Initialize storage when module loads
 if (typeof chrome !== 'undefined' && chrome.storage) {
   StorageManager.initialize();
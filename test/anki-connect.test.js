@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadModules } = require('./helpers');
+
+// chrome.storage.local in memory (values copied in and out, like the real one),
+// one profile, and AnkiConnect behind a fake fetch
+const stored = {};
+globalThis.chrome = {
+  storage: {
+    local: {
+      get: async keys => JSON.parse(JSON.stringify(
+        Object.fromEntries(keys.filter(key => key in stored).map(key => [key, stored[key]])))),
+      set: async items => Object.assign(stored, JSON.parse(JSON.stringify(items)))
+    }
+  }
+};
+
+const words = {
+  bank: { original: 'bank', translation: '银行', senses: [{ translation: '银行' }], tags: [] }
+};
+globalThis.StorageManager = {
+  getSettings: async () => ({ ankiConnect: { enabled: true } }),
+  getActiveProfile: async () => ({ id: 'en-zh' })
+};
+globalThis.VocabDB = { getWord: async (profileId, key) => words[key] || null };
+globalThis.Secrets = { get: async () => '' };
+
+// Each request is recorded; onAction[action] may throw or return a result
+let requests = [];
+let onAction = {};
+globalThis.fetch = async (url, { body }) => {
+  const { action, params } = JSON.parse(body);
+  requests.push({ action, params });
+  const result = onAction[action] ? await onAction[action](params) : { findNotes: [], version: 6 }[action] ?? null;
+  return { ok: true, json: async () => ({ result, error: null }) };
+};
+
+const { AnkiConnect } = loadModules('senses.js', 'word-contexts.js', 'anki-export.js', 'anki-connect.js');
+
+function reset() {
+  requests = [];
+  onAction = {};
+  delete stored[AnkiConnect.QUEUE_KEY];
+  delete stored[AnkiConnect.STATUS_KEY];
+}
+
+test('a saved word is added as a note and leaves the queue', async () => {
+  reset();
+  await AnkiConnect.pushSavedWord('Bank');
+
+  assert.deepEqual(requests.map(request => request.action), ['version', 'createDeck', 'findNotes', 'addNote']);
+  assert.deepEqual(requests[3].params.note.fields, { Front: 'bank', Back: '银行' });
+  assert.deepEqual(stored[AnkiConnect.QUEUE_KEY], []);
+  assert.equal(stored[AnkiConnect.STATUS_KEY].lastError, null);
+});
+
+test('a push that fails while Anki is closed backs off and succeeds on retry', async () => {
+  reset();
+  onAction.version = () => {
+    throw new Error('connection refused');
+  };
+  await AnkiConnect.pushSavedWord('bank');
+
+  const [item] = stored[AnkiConnect.QUEUE_KEY];
+  assert.equal(item.status, 'pending');
+  assert.equal(item.attempts, 1);
+  assert.ok(item.nextAttemptAt > Date.now());
+  assert.match(item.lastError, /not reachable/);
+
+  // Not due yet
+  requests = [];
+  await AnkiConnect.processQueue();
+  assert.equal(requests.length, 0);
+
+  delete onAction.version;
+  const result = await AnkiConnect.retryFailed();
+  assert.equal(result.pushed, 1);
+  assert.deepEqual(stored[AnkiConnect.QUEUE_KEY], []);
+});
+
+test('a word queued again during a run is pushed again, not dropped', async () => {
+  reset();
+  let requeued = false;
+  onAction.addNote = async () => {
+    if (!requeued) {
+      // Saved again (e.g. with a new translation) while the first push is in flight
+      requeued = true;
+      await AnkiConnect.enqueue('en-zh', 'bank');
+      AnkiConnect.processQueue();
+    }
+    return 1;
+  };
+
+  await AnkiConnect.pushSavedWord('bank');
+
+  assert.equal(requests.filter(request => request.action === 'addNote').length, 2);
+  assert.deepEqual(stored[AnkiConnect.QUEUE_KEY], []);
+});
@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createHash } = require('node:crypto');
+const { loadModules } = require('./helpers');
+const { readSQLite, readZip } = require('./file-readers');
+
+const { AnkiExport } = loadModules(
+  'senses.js', 'word-contexts.js', 'sqlite-writer.js', 'zip-writer.js', 'anki-export.js'
+);
+
+const NOW = Date.UTC(2026, 0, 1, 12);
+const words = {
+  bank: {
+    original: 'bank',
+    translation: '银行',
+    senses: [{ translation: '银行', pinyin: 'yín háng', example: 'I went to the bank.' }],
+    tags: ['finance', 'HSK 3']
+  },
+  'r&d': { original: 'R&D <lab>', translation: '研发', senses: [{ translation: '研发' }], tags: [] }
+};
+
+async function buildDeck() {
+  const entries = readZip(await AnkiExport.buildPackage(words, { deckName: 'English', profileId: 'en-zh', now: NOW }));
+  return { entries, db: readSQLite(entries[0].data) };
+}
+
+test('the package holds the collection and an empty media manifest', async () => {
+  const { entries, db } = await buildDeck();
+
+  assert.deepEqual(entries.map(entry => entry.name), ['collection.anki2', 'media']);
+  assert.equal(new TextDecoder().decode(entries[1].data), '{}');
+  assert.equal(db.pageSize, 4096);
+  assert.equal(entries[0].data.length, db.pageCount * db.pageSize);
+  assert.deepEqual(Object.keys(db.tables), ['col', 'notes', 'cards', 'revlog', 'graves']);
+  assert.equal(db.tables.notes.sql, AnkiExport.TABLES.notes);
+});
+
+test('the collection row describes the deck and the note type', async () => {
+  const { db } = await buildDeck();
+  const [{ rowid, values }] = db.tables.col.rows;
+  const [, , , , ver, , , , conf, models, decks] = values;
+  const deckId = AnkiExport.deckId('en-zh');
+
+  assert.equal(rowid, 1);
+  assert.equal(ver, AnkiExport.SCHEMA_VERSION);
+  assert.equal(JSON.parse(conf).curDeck, deckId);
+  assert.equal(JSON.parse(models)[AnkiExport.MODEL_ID].name, AnkiExport.MODEL_NAME);
+  assert.equal(JSON.parse(decks)[deckId].name, 'English');
+});
+
+test('every word is a note with escaped fields, tags and checksum, and one new card', async () => {
+  const { db } = await buildDeck();
+  const notes = db.tables.notes.rows;
+  const cards = db.tables.cards.rows;
+
+  assert.equal(notes.length, 2);
+  const [bank, lab] = notes.map(note => note.values);
+  assert.equal(bank[2], AnkiExport.MODEL_ID);
+  assert.equal(bank[5], ' finance HSK_3 ');
+  assert.deepEqual(bank[6].split(AnkiExport.FIELD_SEPARATOR), AnkiExport.noteFields(words.bank));
+  assert.equal(bank[6].split(AnkiExport.FIELD_SEPARATOR)[3], 'I went to the bank.');
+  assert.equal(lab[6].split(AnkiExport.FIELD_SEPARATOR)[0], 'R&amp;D &lt;lab&gt;');
+  assert.equal(lab[7], 'R&D <lab>');
+  assert.equal(lab[8], parseInt(createHash('sha1').update('R&D <lab>').digest('hex').slice(0, 8), 16));
+
+  assert.equal(cards.length, 2);
+  cards.forEach((card, index) => {
+    assert.equal(card.values[1], notes[index].rowid);
+    assert.equal(card.values[2], AnkiExport.deckId('en-zh'));
+    assert.equal(card.values[8], index + 1);
+  });
+  assert.deepEqual(db.tables.revlog.rows, []);
+});
+
+test('exporting again keeps the note guids, so Anki updates the notes', async () => {
+  const first = await buildDeck();
+  const second = readSQLite(readZip(await AnkiExport.buildPackage(words, {
+    deckName: 'English', profileId: 'en-zh', now: NOW + 60000
+  }))[0].data);
+  const other = readSQLite(readZip(await AnkiExport.buildPackage(words, {
+    deckName: 'English', profileId: 'en-fr', now: NOW
+  }))[0].data);
+
+  const guids = db => db.tables.notes.rows.map(note => note.values[1]);
+  assert.deepEqual(guids(second), guids(first.db));
+  assert.notDeepEqual(guids(other), guids(first.db));
+});
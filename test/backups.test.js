@@ -0,0 +1,133 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadModules } = require('./helpers');
+
+// chrome.storage areas (promise and callback style) and VocabDB's words and backups in memory
+function storageArea() {
+  const items = {};
+  return {
+    items,
+    get(keys, callback) {
+      const result = JSON.parse(JSON.stringify(
+        Object.fromEntries(keys.filter(key => key in items).map(key => [key, items[key]]))));
+      if (callback) callback(result);
+      return Promise.resolve(result);
+    },
+    set: async values => Object.assign(items, JSON.parse(JSON.stringify(values)))
+  };
+}
+
+const local = storageArea();
+const sync = storageArea();
+globalThis.chrome = { storage: { local, sync } };
+
+const copy = value => JSON.parse(JSON.stringify(value));
+let words = {};
+const backups = new Map();
+globalThis.VocabDB = {
+  isAvailable: () => true,
+  getWordsByProfile: async () => copy(words),
+  replaceProfile: async (profileId, profileWords) => {
+    words[profileId] = copy(profileWords);
+  },
+  putBackup: async backup => backups.set(backup.id, copy(backup)),
+  getBackup: async id => (backups.has(id) ? copy(backups.get(id)) : undefined),
+  getBackups: async () => [...backups.values()]
+    .sort((a, b) => b.createdAt - a.createdAt)
+    .map(({ data, ...meta }) => meta),
+  deleteBackups: async ids => ids.forEach(id => backups.delete(id))
+};
+
+const { Backups, SRS } = loadModules(
+  'srs.js', 'senses.js', 'word-contexts.js', 'storage.js', 'word-lists.js', 'backups.js'
+);
+
+const START = Date.UTC(2026, 0, 1);
+
+function reset() {
+  words = {
+    'en_zh-CN': {
+      bank: { original: 'bank', translation: '银行', senses: [{ translation: '银行' }], dateAdded: 1 }
+    }
+  };
+  backups.clear();
+  Object.keys(local.items).forEach(key => delete local.items[key]);
+  local.items.settings = { sourceLanguage: 'en', targetLanguage: 'zh-CN', apiKey: 'KEY', autoTranslate: true };
+}
+
+test('a snapshot holds the words and settings without credentials', async () => {
+  reset();
+  const meta = await Backups.create('manual', START);
+
+  assert.deepEqual(meta, {
+    id: `manual-${START}`, kind: 'manual', createdAt: START,
+    summary: { words: 1, profiles: 1, chineseWords: 1 }
+  });
+  const { data } = backups.get(meta.id);
+  assert.equal(data.words['en_zh-CN'].bank.translation, '银行');
+  assert.deepEqual(data.chineseKnownWords, ['银行']);
+  assert.equal(data.settings.apiKey, undefined);
+  await assert.rejects(Backups.create('hourly'), /Unknown backup kind: hourly/);
+});
+
+test('scheduled snapshots are taken when due and rotated per kind', async () => {
+  reset();
+  assert.deepEqual(await Backups.runScheduled(START), ['daily', 'weekly']);
+  assert.deepEqual(await Backups.runScheduled(START + 60 * 1000), []);
+
+  // Due a little early, as alarms drift
+  assert.deepEqual(await Backups.runScheduled(START + SRS.DAY_MS - Backups.SLACK_MS), ['daily']);
+
+  for (let day = 2; day <= 20; day++) {
+    await Backups.runScheduled(START + day * SRS.DAY_MS);
+  }
+
+  const list = await Backups.list();
+  const daily = list.filter(backup => backup.kind === 'daily');
+  const weekly = list.filter(backup => backup.kind === 'weekly');
+  assert.equal(daily.length, Backups.KINDS.daily.keep);
+  assert.equal(daily[0].createdAt, START + 20 * SRS.DAY_MS);
+  assert.deepEqual(weekly.map(backup => (backup.createdAt - START) / SRS.DAY_MS), [14, 7, 0]);
+});
+
+test('manual snapshots are never rotated away', async () => {
+  reset();
+  for (let index = 0; index < 12; index++) {
+    await Backups.create('manual', START + index);
+  }
+  assert.equal(await Backups.rotate('manual'), 0);
+  assert.equal((await Backups.list()).length, 12);
+});
+
+test('diff lists the words a restore brings back, drops and overwrites', async () => {
+  reset();
+  const { id } = await Backups.create('manual', START);
+
+  words['en_zh-CN'].bank.translation = '岸';
+  words['en_zh-CN'].cat = { original: 'cat', translation: '猫', senses: [{ translation: '猫' }], dateAdded: 2 };
+  local.items.settings.autoTranslate = false;
+  local.items.settings.apiKey = 'NEW KEY';
+
+  const diff = await Backups.diff(id);
+  assert.deepEqual(diff.profiles, [{ id: 'en_zh-CN', missing: [], added: ['cat'], changed: ['bank'] }]);
+  assert.deepEqual(diff.chinese, { missing: [], added: ['猫'] });
+  assert.deepEqual(diff.settings, ['autoTranslate']);
+  await assert.rejects(Backups.diff('manual-0'), /Backup not found/);
+});
+
+test('restore brings the snapshot back, keeps the current credentials and can be undone', async () => {
+  reset();
+  const { id } = await Backups.create('manual', START);
+
+  delete words['en_zh-CN'].bank;
+  local.items.settings = { ...local.items.settings, autoTranslate: false, apiKey: 'NEW KEY' };
+
+  assert.deepEqual(await Backups.restore(id), { words: 1, profiles: 1, chineseWords: 1 });
+  assert.equal(words['en_zh-CN'].bank.translation, '银行');
+  assert.equal(local.items.settings.autoTranslate, true);
+  assert.equal(local.items.settings.apiKey, 'NEW KEY');
+  assert.ok(local.items.vocabRevision);
+
+  const undo = (await Backups.list()).find(backup => backup.kind === 'restore');
+  assert.equal(undo.summary.words, 0);
+});
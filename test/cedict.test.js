@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadModules } = require('./helpers');
+
+// A small release file, and the dictionary store and HSK levels in memory
+const RELEASE = [
+  '# CC-CEDICT',
+  '#! date=2026-09-10T00:00:00Z',
+  '銀行 银行 [yin2 hang2] /bank/CL:家[jia1],個|个[ge4]/',
+  '河岸 河岸 [he2 an4] /riverbank/bank (of a river)/',
+  '爱 爱 [ai4] /to love; to be fond of/',
+  '愛 爱 [ai4] /variant of 爱/',
+  '女 女 [nu:3] /female/woman/',
+  'not a dictionary line'
+].join('\n');
+
+let fetches = 0;
+globalThis.fetch = async url => {
+  fetches++;
+  return { ok: true, status: 200, text: async () => RELEASE, url };
+};
+
+const stored = {};
+globalThis.chrome = {
+  runtime: {
+    getURL: path => `chrome-extension://id/${path}`,
+    getManifest: () => ({ version: '2.0.0' })
+  },
+  storage: {
+    local: {
+      get: async keys => JSON.parse(JSON.stringify(
+        Object.fromEntries(keys.filter(key => key in stored).map(key => [key, stored[key]])))),
+      set: async items => Object.assign(stored, JSON.parse(JSON.stringify(items))),
+      remove: async key => delete stored[key]
+    }
+  }
+};
+
+const dictionary = new Map();
+globalThis.VocabDB = {
+  clearDictionary: async () => dictionary.clear(),
+  putDictionaryEntries: async records => records.forEach(record => dictionary.set(record.s, record)),
+  getDictionaryEntries: async word => [...dictionary.values()].filter(record => record.s === word || record.t.includes(word)),
+  findDictionaryByEnglish: async key => [...dictionary.values()].filter(record => record.en.includes(key))
+};
+globalThis.WordLists = { load: async () => ({ levels: { 1: [['爱']], 3: [['银行']] } }) };
+
+const { Cedict, TranslationProviders } = loadModules('cedict.js', 'translation-providers.js');
+const cedict = TranslationProviders.get('cedict');
+
+test('release lines parse into headwords with tone-marked pinyin', () => {
+  assert.deepEqual(Cedict.parseLine('銀行 银行 [yin2 hang2] /bank/CL:家[jia1]/'), {
+    traditional: '銀行', simplified: '银行', pinyin: 'yín háng', senses: ['bank', 'CL:家[jia1]']
+  });
+  assert.equal(Cedict.parseLine('# comment'), null);
+  assert.equal(Cedict.toToneMarks('nu:3 lu:4 de5 xiu1 gou3'), 'nǚ lǜ de xiū gǒu');
+  assert.equal(Cedict.toToneMarks('Bei3 jing1 2'), 'Běi jīng 2');
+});
+
+test('English senses become lookup keys, skipping cross-references and explanations', () => {
+  assert.equal(Cedict.englishKey('to love (sb)'), 'love');
+  assert.equal(Cedict.englishKey('The Bank'), 'bank');
+  assert.equal(Cedict.englishKey('CL:家[jia1]'), null);
+  assert.equal(Cedict.englishKey('variant of 爱[ai4]'), null);
+  assert.equal(Cedict.englishKey('a word used when speaking to an elder'), null);
+  assert.deepEqual(Cedict.senseKeys('to love; to be fond of'), ['love', 'be fond of']);
+});
+
+test('entries sharing a simplified headword are stored as one record', () => {
+  const entries = RELEASE.split('\n').map(line => Cedict.parseLine(line)).filter(Boolean);
+  const records = Cedict.toRecords(entries, { 爱: 1 });
+  const love = records.find(record => record.s === '爱');
+
+  assert.equal(records.length, 4);
+  assert.deepEqual(love.t, ['爱', '愛']);
+  assert.deepEqual(love.en, ['love', 'be fond of']);
+  assert.equal(love.h, 1);
+  assert.deepEqual(Cedict.fromRecord(love).map(entry => entry.traditional), ['爱', '愛']);
+});
+
+test('the dictionary is stored once per extension version', async () => {
+  const meta = await Cedict.ensureLoaded();
+
+  assert.equal(meta.entries, 4);
+  assert.equal(meta.date, '2026-09-10T00:00:00Z');
+  assert.equal(dictionary.size, 4);
+  assert.equal(fetches, 1);
+
+  Cedict._loading = null;
+  await Cedict.ensureLoaded();
+  assert.equal(fetches, 1, 'a current dictionary is not read again');
+});
+
+test('lookups find traditional forms, and English matches rank early senses and HSK words first', async () => {
+  assert.deepEqual((await Cedict.lookup('銀行')).map(entry => entry.pinyin), ['yín háng']);
+  assert.deepEqual((await Cedict.lookup('愛')).map(entry => entry.traditional), ['爱', '愛']);
+  assert.deepEqual((await Cedict.lookupEnglish('the bank')).map(entry => entry.simplified), ['银行', '河岸']);
+  assert.deepEqual(await Cedict.lookupEnglish('CL:'), []);
+});
+
+test('the provider translates only between Chinese and English, in the target\'s script', async () => {
+  assert.equal(cedict.handles('en', 'zh-TW'), true);
+  assert.equal(cedict.handles('auto', 'en'), true);
+  assert.equal(cedict.handles('fr', 'zh-CN'), false);
+  assert.equal(TranslationProviders.offlineFor('translate', 'en', 'zh-CN'), cedict);
+  assert.equal(TranslationProviders.offlineFor('translate', 'en', 'fr'), null);
+
+  assert.equal((await cedict.translate('bank', { sourceLang: 'en', targetLang: 'zh-TW' })).translatedText, '銀行');
+  assert.equal((await cedict.translate('银行', { sourceLang: 'zh-CN', targetLang: 'en' })).translatedText, 'bank');
+  assert.deepEqual(await cedict.alternatives('bank', { sourceLang: 'en', targetLang: 'zh-CN' }), ['银行', '河岸']);
+  await assert.rejects(cedict.translate('mountain', { sourceLang: 'en', targetLang: 'zh-CN' }), /not in the dictionary/);
+  assert.deepEqual(
+    (await cedict.translateBatch(['love', 'mountain'], { sourceLang: 'en', targetLang: 'zh-CN' })).map(result => result.translatedText),
+    ['爱', '']
+  );
+});
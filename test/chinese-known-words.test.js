@@ -0,0 +1,129 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadModules } = require('./helpers');
+
+// chrome.storage.local (promise and callback style) and VocabDB's words and trash in memory
+const stored = {};
+globalThis.chrome = {
+  storage: {
+    local: {
+      get(keys, callback) {
+        const result = JSON.parse(JSON.stringify(
+          Object.fromEntries(keys.filter(key => key in stored).map(key => [key, stored[key]]))));
+        if (callback) callback(result);
+        return Promise.resolve(result);
+      },
+      set: async items => Object.assign(stored, JSON.parse(JSON.stringify(items)))
+    }
+  }
+};
+
+const copy = value => JSON.parse(JSON.stringify(value));
+let db = {};
+let trash = [];
+globalThis.VocabDB = {
+  isAvailable: () => true,
+  getWordsByProfile: async () => copy(db),
+  updateWords: async (profileId, keys, updater) => {
+    const words = db[profileId] = db[profileId] || {};
+    const changed = {};
+    keys.forEach(key => {
+      const updated = updater(words[key] ? copy(words[key]) : null, key);
+      if (updated) changed[key] = words[key] = updated;
+    });
+    return changed;
+  },
+  trashWords: async (profileId, keys, batch) => {
+    keys.forEach(key => {
+      trash.push({ profileId, key, batch });
+      delete db[profileId][key];
+    });
+    return keys.length;
+  }
+};
+
+const { StorageManager, Senses } = loadModules('srs.js', 'senses.js', 'word-contexts.js', 'storage.js');
+
+function learning(original, translations, dateAdded) {
+  return Senses.syncPrimary({ original, senses: translations.map(translation => Senses.createSense({ translation })), dateAdded });
+}
+
+function reset(settings = { sourceLanguage: 'en', targetLanguage: 'zh-CN' }) {
+  Object.keys(stored).forEach(key => delete stored[key]);
+  stored.settings = settings;
+  trash = [];
+  db = {
+    'en_zh-CN': { bank: learning('bank', ['银行', '河岸'], 2), cat: learning('cat', ['猫'], 1) },
+    'en_zh-TW': { hello: learning('hello', ['你好'], 3) },
+    en_fr: { bread: learning('bread', ['pain'], 0) }
+  };
+  db['en_zh-CN'].bank.senses[1].retired = true;
+}
+
+test('words are learned unless marked known', () => {
+  const entry = StorageManager.createKnownEntry('你好', ['HSK 1', 'HSK 1'], 7);
+
+  assert.equal(StorageManager.getKnowledge(entry), 'known');
+  assert.equal(StorageManager.getKnowledge({ original: 'bank' }), 'learning');
+  assert.equal(entry.translation, '你好');
+  assert.deepEqual(entry.tags, ['HSK 1']);
+  assert.equal(entry.dateAdded, 7);
+  assert.equal(entry.review, undefined);
+});
+
+test('Chinese profiles are found by target language', () => {
+  assert.equal(StorageManager.isChineseProfile('en_zh-TW'), true);
+  assert.equal(StorageManager.isChineseProfile('auto_zh-CN'), true);
+  assert.equal(StorageManager.isChineseProfile('zh-CN_en'), false);
+
+  assert.equal(StorageManager.getChineseProfile({ sourceLanguage: 'en', targetLanguage: 'zh-TW' }).id, 'en_zh-TW');
+  assert.deepEqual(StorageManager.getChineseProfile({ sourceLanguage: 'de', targetLanguage: 'fr' }),
+    { id: 'de_zh-CN', sourceLanguage: 'de', targetLanguage: 'zh-CN' });
+});
+
+test('the highlight list is the active Chinese senses of every Chinese profile, oldest first', () => {
+  reset();
+  assert.deepEqual(StorageManager.chineseWordsOf(db), ['猫', '银行', '你好']);
+});
+
+test('marking words known adds entries for the new ones only', async () => {
+  reset({ sourceLanguage: 'en', targetLanguage: 'fr' });
+
+  assert.equal(await StorageManager.addChineseKnownWords(['猫', ' 学习 ', '学习', 'hello'], ['HSK 1']), 1);
+  assert.equal(StorageManager.getKnowledge(db['en_zh-CN']['学习']), 'known');
+  assert.deepEqual(db['en_zh-CN']['学习'].tags, ['HSK 1']);
+  assert.ok(stored.vocabProfiles['en_zh-CN']);
+  assert.equal(stored[StorageManager.REVISION_KEY].profile, 'en_zh-CN');
+
+  assert.equal(await StorageManager.addChineseKnownWords(['学习', 'no chinese']), 0);
+});
+
+test('unmarking a word trashes every entry showing it, in one batch', async () => {
+  reset();
+  db['en_zh-TW'].cat = learning('cat', ['猫'], 4);
+
+  const { batch, count } = await StorageManager.removeChineseKnownWords(['猫', '河岸']);
+
+  assert.equal(count, 2);
+  assert.deepEqual(trash, [
+    { profileId: 'en_zh-CN', key: 'cat', batch },
+    { profileId: 'en_zh-TW', key: 'cat', batch }
+  ]);
+  assert.ok(db['en_zh-CN'].bank, 'a retired sense does not count');
+});
+
+test('mirroring a list only touches the known entries carrying its tag', async () => {
+  reset();
+  await StorageManager.addChineseKnownWords(['学习', '朋友'], ['Word Map']);
+  await StorageManager.addChineseKnownWords(['老师'], ['HSK 1']);
+
+  const result = await StorageManager.mirrorChineseKnownWords(['朋友', '猫', '电脑'], 'Word Map');
+
+  assert.deepEqual(result, { added: 1, removed: 1 });
+  const words = db['en_zh-CN'];
+  assert.equal(words['学习'], undefined);
+  assert.ok(words['老师']);
+  assert.ok(words.cat, 'words learned elsewhere are left alone');
+  assert.equal(words['猫'], undefined);
+  assert.deepEqual(words['电脑'].tags, ['Word Map']);
+});
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadModules } = require('./helpers');
+
+const { CSV } = loadModules('senses.js', 'csv.js');
+
+// Bytes of a string in an encoding, as File.arrayBuffer() would give them
+function bytes(...parts) {
+  return Uint8Array.from(parts.flatMap(part => [...part])).buffer;
+}
+
+test('parse handles quotes, embedded delimiters, line breaks and blank lines', () => {
+  const text = 'word,translation\r\n"bank, river","河岸"\n\n"say ""hi""","line\nbreak"\r\nlast,';
+  assert.deepEqual(CSV.parse(text), [
+    ['word', 'translation'],
+    ['bank, river', '河岸'],
+    ['say "hi"', 'line\nbreak'],
+    ['last', '']
+  ]);
+  assert.deepEqual(CSV.parse('a\tb', '\t'), [['a', 'b']]);
+  assert.deepEqual(CSV.parse(''), []);
+});
+
+test('stringify quotes only what needs it and parses back', () => {
+  const rows = [['plain', 'with, comma', 'with "quote"', ' padded', 'multi\nline', null]];
+  const text = CSV.stringify(rows);
+  assert.equal(text, 'plain,"with, comma","with ""quote"""," padded","multi\nline",');
+  assert.deepEqual(CSV.parse(text), [rows[0].map(value => value ?? '')]);
+});
+
+test('detectDelimiter picks the delimiter that splits lines consistently', () => {
+  assert.equal(CSV.detectDelimiter('word\ttranslation\nbank\t银行\n'), '\t');
+  assert.equal(CSV.detectDelimiter('word;translation\nbank;银行, 岸\n'), ';');
+  assert.equal(CSV.detectDelimiter('word|translation\nbank|银行'), '|');
+  assert.equal(CSV.detectDelimiter('word,translation\n"a, b",c'), ',');
+
+  // Nothing splits: comma
+  assert.equal(CSV.detectDelimiter('bank\nriver'), ',');
+});
+
+test('decode detects BOMs, BOM-less UTF-16 and Windows-1252', () => {
+  assert.deepEqual(CSV.decode(bytes([0xEF, 0xBB, 0xBF], Buffer.from('银行', 'utf8'))),
+    { text: '银行', encoding: 'utf-8' });
+  assert.deepEqual(CSV.decode(bytes([0xFF, 0xFE], Buffer.from('bank', 'utf16le'))),
+    { text: 'bank', encoding: 'utf-16le' });
+  assert.deepEqual(CSV.decode(bytes([0xFE, 0xFF], Buffer.from('bank', 'utf16le').swap16())),
+    { text: 'bank', encoding: 'utf-16be' });
+  assert.deepEqual(CSV.decode(bytes(Buffer.from('word,translation', 'utf16le'))),
+    { text: 'word,translation', encoding: 'utf-16le' });
+  assert.deepEqual(CSV.decode(bytes(Buffer.from('café', 'utf8'))), { text: 'café', encoding: 'utf-8' });
+  assert.deepEqual(CSV.decode(bytes(Buffer.from('café', 'latin1'))), { text: 'café', encoding: 'windows-1252' });
+});
+
+test('guessMapping reads known headers, else assumes word, translation, pinyin', () => {
+  assert.deepEqual(CSV.guessMapping([['Term', 'Meaning', 'Whatever']]),
+    { hasHeader: true, mapping: ['original', 'translation', null] });
+  assert.deepEqual(CSV.guessMapping([['bank', '银行', 'yín háng', 'x']]),
+    { hasHeader: false, mapping: ['original', 'translation', 'pinyin', null] });
+});
+
+test('rowsToWords builds one sense per translation and skips rows without a word', () => {
+  const rows = [
+    ['word', 'translation', 'pinyin', 'tags'],
+    ['Bank', '银行; 岸', 'yín háng; àn', 'finance, rivers'],
+    ['', '无', '', '']
+  ];
+  const { words, skipped } = CSV.rowsToWords(rows, ['original', 'translation', 'pinyin', 'tags'], true);
+
+  assert.equal(skipped, 1);
+  assert.deepEqual(Object.keys(words), ['bank']);
+  assert.deepEqual(words.bank.senses.map(sense => [sense.translation, sense.pinyin]), [['银行', 'yín háng'], ['岸', 'àn']]);
+  assert.deepEqual(words.bank.tags, ['finance', 'rivers']);
+
+  // And back: wordsToRows puts them in the same columns
+  assert.deepEqual(CSV.wordsToRows(words)[1], ['Bank', '银行; 岸', 'yín háng; àn', 'finance; rivers', '']);
+});
@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadModules } = require('./helpers');
+
+const stored = {};
+globalThis.chrome = {
+  storage: {
+    local: {
+      get: async keys => JSON.parse(JSON.stringify(
+        Object.fromEntries(keys.filter(key => key in stored).map(key => [key, stored[key]])))),
+      set: async items => Object.assign(stored, JSON.parse(JSON.stringify(items)))
+    }
+  }
+};
+globalThis.StorageManager = { getKnowledge: entry => entry.knowledge || 'learning' };
+
+const { ApiUsage, DashboardStats, SRS } = loadModules(
+  'srs.js', 'senses.js', 'exposures.js', 'vocab-filter.js', 'usage.js', 'dashboard-stats.js'
+);
+
+const NOW = new Date('2026-10-19T15:00:00').getTime();
+const daysAgo = days => NOW - days * SRS.DAY_MS;
+
+const words = {
+  bank: {
+    original: 'bank', translation: '银行', dateAdded: daysAgo(40), timesEncountered: 6,
+    exposures: [{ day: '2026-10-18', domain: 'news.example', count: 4 }, { day: '2026-10-01', domain: null, count: 2 }]
+  },
+  river: {
+    original: 'river', translation: '河', dateAdded: daysAgo(1), timesEncountered: 1,
+    exposures: [{ day: '2026-10-18', domain: 'news.example', count: 1 }]
+  },
+  tree: { original: 'tree', translation: '树', dateAdded: daysAgo(1), knowledge: 'known' }
+};
+
+test('usage is added up per day and provider, and old days are dropped', async () => {
+  stored.apiUsage = { '2025-01-01': { google: { requests: 9 } } };
+
+  await Promise.all([
+    ApiUsage.recordCharacters('deepl', ['abc', 'de'], 0.5),
+    ApiUsage.record('anthropic', { inputTokens: 10, outputTokens: 4, cost: 0.01 }, NOW),
+    ApiUsage.record('anthropic', { requests: 2, inputTokens: 5, outputTokens: NaN }, NOW)
+  ]);
+
+  const rows = await ApiUsage.getDaily();
+  const anthropic = rows.find(row => row.provider === 'anthropic');
+  assert.deepEqual(anthropic, {
+    day: '2026-10-19', provider: 'anthropic', requests: 3, characters: 0, inputTokens: 15, outputTokens: 4, cost: 0.01
+  });
+  const deepl = rows.find(row => row.provider === 'deepl');
+  assert.equal(deepl.characters, 5);
+  assert.equal(deepl.cost, 2.5);
+  assert.ok(!rows.some(row => row.day === '2025-01-01'));
+});
+
+test('ranges cover whole days, starting at the first saved word for all time', () => {
+  assert.deepEqual(DashboardStats.presetRange('7', words, NOW), { from: '2026-10-13', to: '2026-10-19' });
+  assert.deepEqual(DashboardStats.presetRange('all', words, NOW), { from: '2026-09-09', to: '2026-10-19' });
+  assert.deepEqual(DashboardStats.days({ from: '2026-10-24', to: '2026-10-27' }),
+    ['2026-10-24', '2026-10-25', '2026-10-26', '2026-10-27']);
+});
+
+test('growth counts words saved before the range as the starting total', () => {
+  const range = { from: '2026-10-17', to: '2026-10-19' };
+
+  assert.deepEqual(DashboardStats.wordsAdded(words, range).map(row => row.added), [0, 2, 0]);
+  assert.deepEqual(DashboardStats.growth(words, range).map(row => row.total), [1, 3, 3]);
+});
+
+test('exposures are summed per day, site and word within the range', () => {
+  const range = { from: '2026-10-13', to: '2026-10-19' };
+
+  assert.deepEqual(DashboardStats.exposuresByDay(words, range).map(row => row.exposures), [0, 0, 0, 0, 0, 5, 0]);
+  assert.deepEqual(DashboardStats.exposuresBySite(words, { from: '2026-10-01', to: '2026-10-19' }),
+    [{ site: 'news.example', exposures: 5 }, { site: 'unknown site', exposures: 2 }]);
+  assert.deepEqual(DashboardStats.topWords(words, range).map(row => [row.word, row.exposures]),
+    [['bank', 4], ['river', 1]]);
+});
+
+test('mastery puts known words apart from the review states', () => {
+  const mastery = DashboardStats.mastery(words, { from: '2026-10-13', to: '2026-10-19' }, NOW);
+
+  assert.equal(mastery.find(row => row.state === 'new').words, 1);
+  assert.equal(mastery.find(row => row.state === 'known').words, 1);
+  assert.equal(mastery.reduce((total, row) => total + row.words, 0), 2);
+  assert.deepEqual([...DashboardStats.knownChineseWords(words, ['你好'], { from: '2026-10-01', to: '2026-10-10' })],
+    ['你好', 'bank', '银行']);
+});
+
+test('spend is charted per day and per provider', () => {
+  const rows = [
+    { day: '2026-10-18', provider: 'google', requests: 2, characters: 100, inputTokens: 0, outputTokens: 0, cost: 0.002 },
+    { day: '2026-10-18', provider: 'openai', requests: 1, characters: 0, inputTokens: 50, outputTokens: 20, cost: 0.01 },
+    { day: '2026-09-01', provider: 'openai', requests: 1, characters: 0, inputTokens: 5, outputTokens: 5, cost: 1 }
+  ];
+  const range = { from: '2026-10-18', to: '2026-10-19' };
+
+  assert.deepEqual(DashboardStats.spendByDay(rows, range), [
+    { day: '2026-10-18', cost: 0.012, requests: 3 },
+    { day: '2026-10-19', cost: 0, requests: 0 }
+  ]);
+  assert.deepEqual(DashboardStats.spendByProvider(rows, range).map(row => [row.provider, row.cost]),
+    [['openai', 0.01], ['google', 0.002]]);
+});
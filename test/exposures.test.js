@@ -0,0 +1,119 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadModules } = require('./helpers');
+
+// One profile's words in VocabDB, and chrome.storage.local for settings and the revision
+const stored = { settings: { sourceLanguage: 'en', targetLanguage: 'zh-CN' } };
+globalThis.chrome = {
+  storage: {
+    local: {
+      get(keys, callback) {
+        const result = JSON.parse(JSON.stringify(
+          Object.fromEntries(keys.filter(key => key in stored).map(key => [key, stored[key]]))));
+        if (callback) callback(result);
+        return Promise.resolve(result);
+      },
+      set: async items => Object.assign(stored, JSON.parse(JSON.stringify(items)))
+    }
+  }
+};
+
+let words = {};
+const updateCalls = [];
+globalThis.VocabDB = {
+  isAvailable: () => true,
+  updateWords: async (profileId, keys, updater) => {
+    updateCalls.push({ profileId, keys });
+    const changed = {};
+    keys.forEach(key => {
+      const updated = updater(words[key] ? JSON.parse(JSON.stringify(words[key])) : null, key);
+      if (updated) changed[key] = words[key] = updated;
+    });
+    return changed;
+  }
+};
+
+const { Exposures, StorageManager, SRS } = loadModules(
+  'srs.js', 'senses.js', 'word-contexts.js', 'exposures.js', 'storage.js'
+);
+
+const NOW = new Date('2026-05-20T15:00:00').getTime();
+
+test('malformed events are dropped and counts and dates clamped', () => {
+  assert.deepEqual(Exposures.normalizeEvents([
+    { word: ' Bank ', count: 2.4, domain: 'News.example.com', date: NOW - 1000 },
+    { word: 'river', count: 5000, date: NOW + SRS.DAY_MS },
+    { word: '', count: 1 },
+    { word: 'tree', count: 0 },
+    { word: 'tree', count: NaN },
+    null
+  ], NOW), [
+    { word: 'bank', count: 2, domain: 'news.example.com', date: NOW - 1000 },
+    { word: 'river', count: Exposures.MAX_COUNT, domain: null, date: NOW }
+  ]);
+  assert.deepEqual(Exposures.normalizeEvents('bank', NOW), []);
+});
+
+test('events add up per day and site, and old days are forgotten', () => {
+  const entry = {
+    timesEncountered: 10,
+    exposures: [{ day: Exposures.dayKey(NOW - 200 * SRS.DAY_MS), domain: 'old.example', count: 10 }]
+  };
+  Exposures.apply(entry, { count: 2, domain: 'a.example', date: NOW }, NOW);
+  Exposures.apply(entry, { count: 3, domain: 'a.example', date: NOW }, NOW);
+  Exposures.apply(entry, { count: 1, domain: null, date: NOW - SRS.DAY_MS }, NOW);
+  Exposures.apply(entry, { count: 4, domain: 'b.example', date: NOW - SRS.DAY_MS }, NOW);
+
+  assert.equal(entry.timesEncountered, 20);
+  assert.deepEqual(entry.exposures, [
+    { day: '2026-05-20', domain: 'a.example', count: 5 },
+    { day: '2026-05-19', domain: null, count: 1 },
+    { day: '2026-05-19', domain: 'b.example', count: 4 }
+  ]);
+  assert.deepEqual(Exposures.byDomain(entry), [
+    { domain: 'a.example', count: 5 },
+    { domain: 'b.example', count: 4 },
+    { domain: 'unknown site', count: 1 }
+  ]);
+});
+
+test('a batch is written in one update, skipping words that are not saved', async () => {
+  words = {
+    bank: { original: 'bank', translation: '银行', dateAdded: NOW - 10 * SRS.DAY_MS, timesEncountered: 1 },
+    river: { original: 'river', translation: '河', dateAdded: NOW - 10 * SRS.DAY_MS }
+  };
+  updateCalls.length = 0;
+
+  const updated = await StorageManager.recordExposures([
+    { word: 'Bank', count: 2, domain: 'a.example' },
+    { word: 'bank', count: 1, domain: 'b.example' },
+    { word: 'river', count: 3 },
+    { word: 'unsaved', count: 9 }
+  ]);
+
+  assert.equal(updated, 2);
+  assert.deepEqual(updateCalls, [{ profileId: 'en_zh-CN', keys: ['bank', 'river', 'unsaved'] }]);
+  assert.equal(words.bank.timesEncountered, 4);
+  assert.equal(words.river.timesEncountered, 3);
+  assert.equal(words.unsaved, undefined);
+  assert.equal(await StorageManager.recordExposures([]), 0);
+  assert.equal(updateCalls.length, 1);
+});
+
+test('seeing a due word on a page pushes its review back once a day', async () => {
+  const reviewed = SRS.review(SRS.createSchedule(NOW - 20 * SRS.DAY_MS), 'good', NOW - 20 * SRS.DAY_MS);
+  words = { bank: { original: 'bank', translation: '银行', dateAdded: NOW - 20 * SRS.DAY_MS, review: reviewed } };
+  delete stored[StorageManager.REVISION_KEY];
+
+  await StorageManager.recordExposures([{ word: 'bank', count: 1 }]);
+  const due = words.bank.review.due;
+  assert.ok(due > Date.now());
+  assert.ok(stored[StorageManager.REVISION_KEY], 'the rescheduled word bumps the revision');
+
+  // Same day again: counted, not rescheduled
+  delete stored[StorageManager.REVISION_KEY];
+  await StorageManager.recordExposures([{ word: 'bank', count: 1 }]);
+  assert.equal(words.bank.review.due, due);
+  assert.equal(words.bank.timesEncountered, 2);
+  assert.equal(stored[StorageManager.REVISION_KEY], undefined);
+});
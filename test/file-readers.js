@@ -0,0 +1,158 @@
+// Readers for the files the export modules write (SQLite databases and ZIP
+// archives), independent of the writers, so tests can check what they produced.
+
+const zlib = require('node:zlib');
+
+// SQLite varint at offset -> [value, next offset]
+function readVarint(bytes, offset) {
+  let value = 0;
+  for (let i = 0; i < 9; i++) {
+    const byte = bytes[offset + i];
+    if (i === 8) return [value * 256 + byte, offset + 9];
+    value = value * 128 + (byte & 0x7F);
+    if (!(byte & 0x80)) return [value, offset + i + 1];
+  }
+  return [value, offset + 9];
+}
+
+// Column values of a record (https://www.sqlite.org/fileformat2.html#record_format)
+function readRecord(payload) {
+  const view = new DataView(payload.buffer, payload.byteOffset, payload.byteLength);
+  const [headerSize, start] = readVarint(payload, 0);
+  const types = [];
+  for (let offset = start; offset < headerSize;) {
+    let type;
+    [type, offset] = readVarint(payload, offset);
+    types.push(type);
+  }
+
+  let position = headerSize;
+  return types.map(type => {
+    if (type === 0) return null;
+    if (type === 8) return 0;
+    if (type === 9) return 1;
+    if (type === 7) {
+      position += 8;
+      return view.getFloat64(position - 8);
+    }
+    if (type <= 6) {
+      const length = [0, 1, 2, 3, 4, 6, 8][type];
+      let value = 0n;
+      for (let i = 0; i < length; i++) {
+        value = (value << 8n) | BigInt(payload[position + i]);
+      }
+      position += length;
+      return Number(BigInt.asIntN(length * 8, value));
+    }
+
+    const length = Math.floor((type - 12) / 2);
+    const body = payload.subarray(position, position + length);
+    position += length;
+    return type % 2 === 0 ? Uint8Array.from(body) : new TextDecoder().decode(body);
+  });
+}
+
+// Rows ({ rowid, values }) of the table b-tree rooted at a page, in rowid order
+function readTable(file, pageSize, pageNumber) {
+  const page = file.subarray((pageNumber - 1) * pageSize, pageNumber * pageSize);
+  const view = new DataView(page.buffer, page.byteOffset, page.byteLength);
+  const headerOffset = pageNumber === 1 ? 100 : 0;
+  const type = page[headerOffset];
+  const cellCount = view.getUint16(headerOffset + 3);
+  const pointers = headerOffset + (type === 0x05 ? 12 : 8);
+  const cells = Array.from({ length: cellCount }, (_, index) => view.getUint16(pointers + index * 2));
+
+  if (type === 0x05) {
+    const children = [...cells.map(cell => view.getUint32(cell)), view.getUint32(headerOffset + 8)];
+    return children.flatMap(child => readTable(file, pageSize, child));
+  }
+  if (type !== 0x0D) {
+    throw new Error(`Page ${pageNumber} is not a table b-tree page (type ${type})`);
+  }
+
+  const maxLocal = pageSize - 35;
+  const minLocal = Math.floor((pageSize - 12) * 32 / 255) - 23;
+  return cells.map(cell => {
+    const [payloadSize, afterSize] = readVarint(page, cell);
+    const [rowid, start] = readVarint(page, afterSize);
+
+    let localSize = payloadSize;
+    if (payloadSize > maxLocal) {
+      const k = minLocal + ((payloadSize - minLocal) % (pageSize - 4));
+      localSize = k <= maxLocal ? k : minLocal;
+    }
+
+    const payload = new Uint8Array(payloadSize);
+    payload.set(page.subarray(start, start + localSize));
+    let overflow = localSize < payloadSize ? view.getUint32(start + localSize) : 0;
+    for (let filled = localSize; overflow;) {
+      const overflowPage = file.subarray((overflow - 1) * pageSize, overflow * pageSize);
+      const chunk = overflowPage.subarray(4, 4 + Math.min(pageSize - 4, payloadSize - filled));
+      payload.set(chunk, filled);
+      filled += chunk.length;
+      overflow = new DataView(overflowPage.buffer, overflowPage.byteOffset).getUint32(0);
+    }
+
+    return { rowid, values: readRecord(payload) };
+  });
+}
+
+// { pageSize, pageCount, tables: { name: { sql, rootPage, rows } } }
+function readSQLite(file) {
+  const header = new TextDecoder().decode(file.subarray(0, 16));
+  if (header !== 'SQLite format 3\0') {
+    throw new Error('Not an SQLite database');
+  }
+  const view = new DataView(file.buffer, file.byteOffset, file.byteLength);
+  const pageSize = view.getUint16(16);
+  const pageCount = view.getUint32(28);
+
+  const tables = {};
+  readTable(file, pageSize, 1).forEach(({ values: [type, name, , rootPage, sql] }) => {
+    if (type === 'table') {
+      tables[name] = { sql, rootPage, rows: readTable(file, pageSize, rootPage) };
+    }
+  });
+  return { pageSize, pageCount, tables };
+}
+
+// Entries of a ZIP archive from its central directory:
+// [{ name, method, crc, compressedSize, size, offset, data }] (data uncompressed)
+function readZip(archive) {
+  const view = new DataView(archive.buffer, archive.byteOffset, archive.byteLength);
+  const end = archive.length - 22;
+  if (view.getUint32(end, true) !== 0x06054B50) {
+    throw new Error('No end of central directory record');
+  }
+  const count = view.getUint16(end + 10, true);
+  let position = view.getUint32(end + 16, true);
+
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    if (view.getUint32(position, true) !== 0x02014B50) {
+      throw new Error(`Bad central directory entry ${i}`);
+    }
+    const nameLength = view.getUint16(position + 28, true);
+    const entry = {
+      name: new TextDecoder().decode(archive.subarray(position + 46, position + 46 + nameLength)),
+      method: view.getUint16(position + 10, true),
+      crc: view.getUint32(position + 16, true),
+      compressedSize: view.getUint32(position + 20, true),
+      size: view.getUint32(position + 24, true),
+      offset: view.getUint32(position + 42, true)
+    };
+
+    if (view.getUint32(entry.offset, true) !== 0x04034B50) {
+      throw new Error(`No local header for ${entry.name}`);
+    }
+    const dataStart = entry.offset + 30 + view.getUint16(entry.offset + 26, true) + view.getUint16(entry.offset + 28, true);
+    const body = archive.subarray(dataStart, dataStart + entry.compressedSize);
+    entry.data = new Uint8Array(entry.method === 8 ? zlib.inflateRawSync(body) : body);
+
+    entries.push(entry);
+    position += 46 + nameLength + view.getUint16(position + 30, true) + view.getUint16(position + 32, true);
+  }
+  return entries;
+}
+
+module.exports = { readSQLite, readZip };
@@ -0,0 +1,22 @@
+// Test helpers: load the extension's plain-script modules the way the
+// background worker's importScripts does - one shared global scope, each
+// module exporting itself through window (see the end of every module).
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const ROOT = path.join(__dirname, '..');
+
+// Run module files (paths relative to the repository root) in this process's
+// global scope and return it, so tests can destructure the modules they need.
+// Each test file runs in its own process; load a module once per file.
+function loadModules(...files) {
+  globalThis.window = globalThis;
+  files.forEach(file => {
+    vm.runInThisContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), { filename: file });
+  });
+  return globalThis;
+}
+
+module.exports = { loadModules };
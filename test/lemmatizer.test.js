@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadModules } = require('./helpers');
+
+const { Lemmatizer } = loadModules('senses.js', 'lemmatizer.js');
+
+const sorted = forms => [...forms].sort();
+
+test('regular verbs get -s, -ed and -ing forms by the spelling rules', () => {
+  assert.deepEqual(sorted(Lemmatizer.inflect('walk', ['verb'])), ['walked', 'walking', 'walks']);
+  assert.deepEqual(sorted(Lemmatizer.inflect('stop', ['verb'])), ['stopped', 'stopping', 'stops']);
+  assert.deepEqual(sorted(Lemmatizer.inflect('carry', ['verb'])), ['carried', 'carries', 'carrying']);
+  assert.deepEqual(sorted(Lemmatizer.inflect('bake', ['verb'])), ['baked', 'bakes', 'baking']);
+  assert.deepEqual(sorted(Lemmatizer.inflect('tie', ['verb'])), ['tied', 'ties', 'tying']);
+  assert.deepEqual(sorted(Lemmatizer.inflect('watch', ['verb'])), ['watched', 'watches', 'watching']);
+});
+
+test('irregular verbs use the table for their past forms', () => {
+  assert.deepEqual(sorted(Lemmatizer.inflect('run', ['verb'])), ['ran', 'running', 'runs']);
+  assert.ok(Lemmatizer.inflect('go', ['verb']).includes('went'));
+  assert.ok(!Lemmatizer.inflect('go', ['verb']).includes('goed'));
+});
+
+test('nouns get plurals, adjectives comparatives', () => {
+  assert.deepEqual(sorted(Lemmatizer.inflect('city', ['noun'])), ['cities']);
+  assert.deepEqual(sorted(Lemmatizer.inflect('potato', ['noun'])), ['potatoes', 'potatos']);
+  assert.deepEqual(Lemmatizer.inflect('leaf', ['noun']), ['leaves']);
+  assert.deepEqual(sorted(Lemmatizer.inflect('big', ['adjective'])), ['bigger', 'biggest']);
+  assert.deepEqual(sorted(Lemmatizer.inflect('happy', ['adjective'])), ['happier', 'happiest']);
+  assert.deepEqual(sorted(Lemmatizer.inflect('good', ['adjective'])), ['best', 'better']);
+});
+
+test('words without a part of speech get noun and verb forms', () => {
+  assert.deepEqual(sorted(Lemmatizer.inflect('jump')), ['jumped', 'jumping', 'jumps']);
+});
+
+test('phrases, short words and uninflected words get no forms', () => {
+  assert.deepEqual(Lemmatizer.inflect('ice cream'), []);
+  assert.deepEqual(Lemmatizer.inflect('a'), []);
+  assert.deepEqual(Lemmatizer.inflect('sheep'), []);
+  assert.deepEqual(Lemmatizer.inflect('e-mail'), []);
+});
+
+test('buildIndex maps forms to saved words; saved words and earlier words win', () => {
+  const index = Lemmatizer.buildIndex({
+    run: { original: 'run', senses: [{ translation: '跑', partOfSpeech: 'verb' }] },
+    runs: { original: 'runs', senses: [{ translation: '连续', partOfSpeech: 'noun' }] },
+    better: { original: 'better', senses: [{ translation: '更好', partOfSpeech: 'adjective' }] },
+    good: { original: 'good', senses: [{ translation: '好', partOfSpeech: 'adjective' }] }
+  });
+
+  assert.equal(index.ran, 'run');
+  assert.equal(index.running, 'run');
+  assert.equal(index.runs, 'runs');
+  assert.equal(index.better, 'better');
+  assert.equal(index.best, 'good');
+});
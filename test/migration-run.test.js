@@ -0,0 +1,122 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadModules } = require('./helpers');
+
+// chrome.storage areas and VocabDB in memory
+function storageArea() {
+  const items = {};
+  return {
+    items,
+    get: async keys => JSON.parse(JSON.stringify(
+      Object.fromEntries(keys.filter(key => key in items).map(key => [key, items[key]])))),
+    set: async values => Object.assign(items, JSON.parse(JSON.stringify(values))),
+    remove: async keys => [].concat(keys).forEach(key => delete items[key])
+  };
+}
+
+const local = storageArea();
+const sync = storageArea();
+globalThis.chrome = {
+  runtime: { getManifest: () => ({ version: '1.2.0' }) },
+  storage: { local, sync }
+};
+
+const db = { words: {}, cache: {}, secrets: {} };
+globalThis.VocabDB = {
+  isAvailable: () => true,
+  getAllWords: async profileId => ({ ...(db.words[profileId] || {}) }),
+  getAllCache: async () => ({ ...db.cache }),
+  replaceProfile: async (profileId, words) => {
+    db.words[profileId] = JSON.parse(JSON.stringify(words));
+  },
+  replaceCache: async cache => {
+    db.cache = JSON.parse(JSON.stringify(cache));
+  },
+  putSecrets: async values => Object.assign(db.secrets, values)
+};
+
+const { StorageMigrations } = loadModules(
+  'srs.js', 'senses.js', 'word-contexts.js', 'storage.js', 'secrets.js', 'migrations.js'
+);
+
+function reset(items = {}) {
+  [local.items, sync.items].forEach(area => Object.keys(area).forEach(key => delete area[key]));
+  Object.assign(local.items, items);
+  Object.assign(db, { words: {}, cache: {}, secrets: {} });
+}
+
+test('a schema v0 store is backed up, migrated and written where the steps moved it', async () => {
+  reset({
+    knownWords: { Bank: { original: 'Bank', translation: '银行', dateAdded: 1 } },
+    settings: { sourceLanguage: 'en', targetLanguage: 'zh-CN', apiKey: 'KEY' },
+    translationCache: { 'google:bank:en:zh-CN': { translation: '银行', timestamp: 1 } }
+  });
+  sync.items.chineseKnownWords = ['你好'];
+
+  const result = await StorageMigrations.run('install');
+
+  assert.deepEqual(result, {
+    migrated: true, from: 0, version: StorageMigrations.latestVersion,
+    applied: StorageMigrations.steps.map(step => step.version)
+  });
+  assert.equal(local.items.schemaVersion, StorageMigrations.latestVersion);
+  assert.equal(local.items.knownWords, undefined);
+  assert.equal(local.items.translationCache, undefined);
+  assert.equal(sync.items.chineseKnownWords, undefined);
+  assert.deepEqual(Object.keys(db.words['en_zh-CN']).sort(), ['bank', '你好']);
+  assert.deepEqual(Object.keys(db.cache), ['google:bank:en:zh-CN']);
+  assert.equal(db.secrets.google, 'KEY');
+  assert.equal(local.items.settings.apiKey, undefined);
+
+  // The backup holds the input, without the API key
+  const backup = local.items[StorageMigrations.BACKUP_KEY];
+  assert.equal(backup.reason, 'install');
+  assert.equal(backup.fromVersion, 0);
+  assert.equal(backup.extensionVersion, '1.2.0');
+  assert.equal(backup.data.knownWords.Bank.translation, '银行');
+  assert.equal(backup.data.settings.apiKey, undefined);
+});
+
+test('an up-to-date store is left alone', async () => {
+  reset({ schemaVersion: StorageMigrations.latestVersion, settings: { targetLanguage: 'fr' } });
+
+  assert.deepEqual(await StorageMigrations.run(), { migrated: false, version: StorageMigrations.latestVersion });
+  assert.deepEqual(Object.keys(local.items), ['schemaVersion', 'settings']);
+});
+
+test('a failing step writes nothing but a report, and replays from the backup', async () => {
+  const fromVersion = StorageMigrations.latestVersion;
+  reset({ schemaVersion: fromVersion, settings: { targetLanguage: 'fr', deeplToken: 'secret' } });
+  StorageMigrations.steps.push({
+    version: fromVersion + 1,
+    description: 'Broken step',
+    migrate() {
+      throw new Error('cannot read words');
+    }
+  });
+
+  try {
+    await assert.rejects(StorageMigrations.run(), /cannot read words/);
+
+    assert.equal(local.items.schemaVersion, fromVersion);
+    const report = local.items[StorageMigrations.ERROR_KEY];
+    assert.equal(report.failedVersion, fromVersion + 1);
+    assert.equal(report.description, 'Broken step');
+    assert.equal(report.fromVersion, fromVersion);
+
+    await assert.rejects(StorageMigrations.replay(), error => error.migrationStep === fromVersion + 1);
+
+    const { error, backup } = await StorageMigrations.getReport();
+    assert.equal(error.message, 'cannot read words');
+    assert.equal(backup.data.settings.deeplToken, '[redacted]');
+    assert.equal(backup.data.settings.targetLanguage, 'fr');
+  } finally {
+    StorageMigrations.steps.pop();
+  }
+
+  // The next successful run clears the report
+  local.items.schemaVersion = fromVersion - 1;
+  await StorageMigrations.run();
+  assert.equal(local.items[StorageMigrations.ERROR_KEY], undefined);
+  assert.equal(await StorageMigrations.getReport(), null);
+});
@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadModules } = require('./helpers');
+
+const { StorageMigrations, StorageManager } = loadModules(
+  'srs.js', 'senses.js', 'word-contexts.js', 'storage.js', 'migrations.js'
+);
+
+// Snapshot as loadData() reads it from a schema version
+function snapshot(schemaVersion, overrides = {}) {
+  return {
+    knownWords: null,
+    profiles: {},
+    settings: { ...StorageManager.defaultSettings },
+    translationCache: {},
+    chineseKnownWords: [],
+    secrets: {},
+    storage: StorageMigrations.storageOf(schemaVersion),
+    ...overrides
+  };
+}
+
+test('steps run in order and cover every version up to the latest', () => {
+  const versions = StorageMigrations.steps.map(step => step.version);
+  assert.deepEqual(versions, versions.map((_, index) => index + 1));
+  assert.equal(StorageMigrations.latestVersion, versions[versions.length - 1]);
+});
+
+test('storageOf follows the versions that moved words, the cache and chineseKnownWords', () => {
+  assert.deepEqual(StorageMigrations.storageOf(0), { vocabulary: 'local', chineseKnownWords: 'sync' });
+  assert.deepEqual(StorageMigrations.storageOf(StorageMigrations.INDEXEDDB_VERSION),
+    { vocabulary: 'indexedDB', chineseKnownWords: 'sync' });
+  assert.deepEqual(StorageMigrations.storageOf(StorageMigrations.CHINESE_LOCAL_VERSION),
+    { vocabulary: 'indexedDB', chineseKnownWords: 'local' });
+  assert.deepEqual(StorageMigrations.storageOf(StorageMigrations.UNIFIED_VOCABULARY_VERSION),
+    { vocabulary: 'indexedDB', chineseKnownWords: null });
+});
+
+test('a schema v0 vocabulary ends up in an IndexedDB profile', () => {
+  const data = snapshot(0, {
+    knownWords: { Bank: { original: 'Bank', translation: '银行', dateAdded: 1 } },
+    settings: { sourceLanguage: 'en', targetLanguage: 'zh-CN', apiKey: 'KEY' },
+    translationCache: {
+      good: { translation: '好', timestamp: 1 },
+      broken: { translation: 42 }
+    },
+    chineseKnownWords: ['你好', ' 你好 ', 7]
+  });
+
+  const { data: migrated, applied } = StorageMigrations.migrateData(data, 0);
+
+  assert.deepEqual(applied, StorageMigrations.steps.map(step => step.version));
+  assert.deepEqual(migrated.storage, { vocabulary: 'indexedDB', chineseKnownWords: null });
+  assert.equal(migrated.knownWords, null);
+  assert.deepEqual(Object.keys(migrated.translationCache), ['good']);
+
+  // API keys moved to the vault
+  assert.equal(migrated.secrets.google, 'KEY');
+  assert.equal(migrated.settings.apiKey, undefined);
+
+  // Legacy words re-keyed by lowercased original, with senses and a schedule
+  const words = migrated.profiles['en_zh-CN'].words;
+  assert.equal(words.bank.translation, '银行');
+  assert.equal(words.bank.senses[0].translation, '银行');
+  assert.ok(words.bank.review);
+
+  // chineseKnownWords became known entries, once
+  assert.deepEqual(migrated.chineseKnownWords, []);
+  assert.equal(StorageManager.getKnowledge(words['你好']), 'known');
+  assert.equal(Object.keys(words).length, 2);
+
+  // The input snapshot is left alone, so a failed run can be replayed
+  assert.equal(data.knownWords.Bank.translation, '银行');
+  assert.deepEqual(data.storage, StorageMigrations.storageOf(0));
+});
+
+test('step 3 reads a missing legacy vocabulary as empty', () => {
+  const { data: migrated } = StorageMigrations.migrateData(snapshot(2), 2);
+  assert.equal(migrated.knownWords, null);
+  assert.deepEqual(Object.keys(migrated.profiles), ['en_zh-CN']);
+});
+
+test('only the steps after the stored version run', () => {
+  const data = snapshot(StorageMigrations.CHINESE_LOCAL_VERSION, { chineseKnownWords: ['猫'] });
+  const { data: migrated, applied } = StorageMigrations.migrateData(data, StorageMigrations.CHINESE_LOCAL_VERSION);
+
+  assert.deepEqual(applied, [StorageMigrations.UNIFIED_VOCABULARY_VERSION]);
+  assert.equal(migrated.storage.chineseKnownWords, null);
+  assert.equal(StorageManager.getKnowledge(migrated.profiles['en_zh-CN'].words['猫']), 'known');
+});
+
+test('a failing step is reported with its version', () => {
+  const data = snapshot(3, { translationCache: null });
+  assert.throws(() => StorageMigrations.migrateData(data, 3), error => error.migrationStep === 4);
+});
@@ -0,0 +1,131 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadModules } = require('./helpers');
+
+const { RequestScheduler } = loadModules('request-scheduler.js');
+
+// Short backoff so retries run quickly
+RequestScheduler.BASE_DELAY_MS = 5;
+
+function httpError(status, retryAfter = null) {
+  const error = new Error(`HTTP ${status}`);
+  error.status = status;
+  error.retryAfter = retryAfter;
+  return error;
+}
+
+let providers = 0;
+function provider(limits) {
+  providers++;
+  return { id: `provider${providers}`, name: `Provider ${providers}`, limits };
+}
+
+test('parseRetryAfter reads seconds and HTTP dates', () => {
+  const now = Date.UTC(2026, 0, 1);
+  assert.equal(RequestScheduler.parseRetryAfter('3', now), 3000);
+  assert.equal(RequestScheduler.parseRetryAfter('1.5', now), 1500);
+  assert.equal(RequestScheduler.parseRetryAfter(new Date(now + 10000).toUTCString(), now), 10000);
+  assert.equal(RequestScheduler.parseRetryAfter(new Date(now - 10000).toUTCString(), now), 0);
+  assert.equal(RequestScheduler.parseRetryAfter(null, now), null);
+  assert.equal(RequestScheduler.parseRetryAfter('soon', now), null);
+});
+
+test('classify maps statuses and network failures to error kinds', () => {
+  const kind = error => RequestScheduler.classify(error).kind;
+  assert.equal(kind(httpError(401)), 'auth');
+  assert.equal(kind(httpError(403)), 'auth');
+  assert.equal(kind(Object.assign(httpError(400), { message: 'API key not valid' })), 'auth');
+  assert.equal(kind(httpError(429)), 'quota');
+  assert.equal(kind(httpError(456)), 'quota');
+  assert.equal(kind(httpError(503)), 'network');
+  assert.equal(kind(new TypeError('Failed to fetch')), 'network');
+  assert.equal(kind(Object.assign(new Error('aborted'), { name: 'AbortError' })), 'network');
+  assert.equal(kind(httpError(400)), 'badRequest');
+  assert.equal(kind(new Error('Unexpected response')), 'badRequest');
+
+  // A kind set by the provider is kept
+  assert.equal(kind(Object.assign(httpError(400), { kind: 'quota' })), 'quota');
+});
+
+test('describe appends what to do about the error', () => {
+  const error = RequestScheduler.classify(httpError(401));
+  assert.equal(RequestScheduler.describe(error), `HTTP 401. ${RequestScheduler.ERROR_KINDS.auth}`);
+  assert.equal(RequestScheduler.describe(new Error('Plain.')), 'Plain.');
+});
+
+test('_retryDelay retries rate limits, server and network errors with growing backoff', () => {
+  const base = RequestScheduler.BASE_DELAY_MS;
+  [httpError(429), httpError(500), new TypeError('Failed to fetch')].forEach(error => {
+    const first = RequestScheduler._retryDelay(error, 0);
+    assert.ok(first >= base && first <= base * 1.5, `${error.message}: ${first}`);
+    const third = RequestScheduler._retryDelay(error, 2);
+    assert.ok(third >= base * 4 && third <= base * 6, `${error.message}: ${third}`);
+    assert.equal(RequestScheduler._retryDelay(error, RequestScheduler.MAX_RETRIES), null);
+  });
+
+  assert.equal(RequestScheduler._retryDelay(httpError(400), 0), null);
+  assert.equal(RequestScheduler._retryDelay(httpError(401), 0), null);
+});
+
+test('_retryDelay honours Retry-After, but not beyond MAX_RETRY_AFTER_MS', () => {
+  assert.equal(RequestScheduler._retryDelay(httpError(429, '2'), 0), 2000);
+  assert.equal(RequestScheduler._retryDelay(httpError(429, String(RequestScheduler.MAX_RETRY_AFTER_MS / 1000 + 1)), 0), null);
+});
+
+test('run retries a failing call and ends in a classified error', async () => {
+  let calls = 0;
+  const result = await RequestScheduler.run(provider(), null, async () => {
+    calls++;
+    if (calls < 3) throw new TypeError('Failed to fetch');
+    return 'ok';
+  });
+  assert.equal(result, 'ok');
+  assert.equal(calls, 3);
+
+  calls = 0;
+  await assert.rejects(
+    RequestScheduler.run(provider(), null, async () => {
+      calls++;
+      throw httpError(403);
+    }),
+    error => error.kind === 'auth'
+  );
+  assert.equal(calls, 1);
+});
+
+test('run shares one call between identical requests in flight', async () => {
+  const target = provider();
+  let calls = 0;
+  const task = async () => {
+    calls++;
+    await new Promise(resolve => setTimeout(resolve, 10));
+    return calls;
+  };
+
+  const results = await Promise.all([
+    RequestScheduler.run(target, 'hello', task),
+    RequestScheduler.run(target, 'hello', task),
+    RequestScheduler.run(target, 'other', task)
+  ]);
+  assert.deepEqual(results.slice(0, 2), [results[0], results[0]]);
+  assert.equal(calls, 2);
+
+  // Finished calls aren't reused
+  await RequestScheduler.run(target, 'hello', task);
+  assert.equal(calls, 3);
+});
+
+test('run keeps to the provider\'s concurrency limit', async () => {
+  const target = provider({ concurrency: 2, requestsPerSecond: 0 });
+  let active = 0;
+  let peak = 0;
+  const task = async () => {
+    active++;
+    peak = Math.max(peak, active);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    active--;
+  };
+
+  await Promise.all(Array.from({ length: 6 }, () => RequestScheduler.run(target, null, task)));
+  assert.equal(peak, 2);
+});
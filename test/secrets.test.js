@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadModules } = require('./helpers');
+
+// The vault's IndexedDB store in memory; putSecrets removes empty values like VocabDB does
+const vault = new Map();
+globalThis.VocabDB = {
+  isAvailable: () => true,
+  getSecret: async name => vault.get(name) || null,
+  getSecretNames: async () => [...vault.keys()],
+  putSecrets: async values => Object.entries(values).forEach(([name, value]) => {
+    if (value) vault.set(name, value);
+    else vault.delete(name);
+  })
+};
+globalThis.chrome = {
+  runtime: { id: 'lingua-lens-id', getURL: path => `chrome-extension://lingua-lens-id/${path}` }
+};
+
+const { Secrets, StorageManager } = loadModules('srs.js', 'senses.js', 'word-contexts.js', 'storage.js', 'secrets.js');
+
+// Fewer rounds keep the tests fast; the file records the count it was made with
+Secrets.PBKDF2_ITERATIONS = 1000;
+
+async function saveKeys() {
+  vault.clear();
+  await Secrets.set('google', ' AIza-google-key ');
+  await Secrets.set('ankiConnect', 'anki-secret');
+}
+
+test('exported keys are encrypted and import back with the passphrase', async () => {
+  await saveKeys();
+  const exported = await Secrets.exportEncrypted('correct horse');
+  const file = JSON.parse(exported);
+
+  assert.equal(file.format, Secrets.EXPORT_FORMAT);
+  assert.deepEqual(file.names, ['google', 'ankiConnect']);
+  assert.deepEqual(file.kdf, { name: 'PBKDF2', hash: 'SHA-256', iterations: 1000, salt: file.kdf.salt });
+  assert.equal(exported.includes('AIza-google-key'), false);
+  assert.equal(exported.includes('anki-secret'), false);
+
+  vault.clear();
+  assert.equal(await Secrets.importEncrypted(exported, 'correct horse'), 2);
+  assert.equal(await Secrets.get('google'), 'AIza-google-key');
+  assert.equal(await Secrets.get('ankiConnect'), 'anki-secret');
+});
+
+test('a wrong passphrase or a changed file imports nothing', async () => {
+  await saveKeys();
+  const exported = await Secrets.exportEncrypted('correct horse');
+  vault.clear();
+
+  await assert.rejects(Secrets.importEncrypted(exported, 'wrong horse'), /Wrong passphrase or damaged key file/);
+
+  const file = JSON.parse(exported);
+  const data = Secrets._fromBase64(file.data);
+  data[0] ^= 1;
+  file.data = Secrets._toBase64(data);
+  await assert.rejects(Secrets.importEncrypted(JSON.stringify(file), 'correct horse'), /Wrong passphrase/);
+
+  await assert.rejects(Secrets.importEncrypted('{"format":"other"}', 'correct horse'), /Not a Lingua Lens key file/);
+  assert.deepEqual(await Secrets.getStatus(), Object.fromEntries(Object.keys(Secrets.KEYS).map(name => [name, false])));
+});
+
+test('export needs a long enough passphrase and at least one key', async () => {
+  await saveKeys();
+  await assert.rejects(Secrets.exportEncrypted('short'), /at least 8 characters/);
+
+  vault.clear();
+  await assert.rejects(Secrets.exportEncrypted('correct horse'), /No API keys saved/);
+});
+
+test('unknown key names are refused, and skipped on import', async () => {
+  vault.clear();
+  await assert.rejects(Secrets.set('dropbox', 'x'), /Unknown API key: dropbox/);
+  assert.equal(await Secrets.setMany({ google: 'key', dropbox: 'x', deepl: '' }), 1);
+  assert.deepEqual([...vault.keys()], ['google']);
+});
+
+test('withoutSecrets drops the API key and the AnkiConnect key only', () => {
+  const settings = {
+    apiKey: 'legacy-google-key',
+    targetLanguage: 'zh-CN',
+    ankiConnect: { enabled: true, url: 'http://127.0.0.1:8765', apiKey: 'anki-secret' }
+  };
+
+  assert.deepEqual(StorageManager.withoutSecrets(settings), {
+    targetLanguage: 'zh-CN',
+    ankiConnect: { enabled: true, url: 'http://127.0.0.1:8765' }
+  });
+  // The settings passed in are left alone
+  assert.equal(settings.ankiConnect.apiKey, 'anki-secret');
+  assert.deepEqual(StorageManager.withoutSecrets({ autoTranslate: true }), { autoTranslate: true });
+});
+
+test('only pages of this extension are trusted senders', () => {
+  const page = { id: 'lingua-lens-id', url: 'chrome-extension://lingua-lens-id/popup.html' };
+
+  assert.equal(Secrets.isTrustedSender(page), true);
+  assert.equal(Secrets.isTrustedSender({ id: 'lingua-lens-id', url: 'https://example.com/', tab: {} }), false);
+  assert.equal(Secrets.isTrustedSender({ id: 'other-extension', url: page.url }), false);
+  assert.equal(Secrets.isTrustedSender(undefined), false);
+});
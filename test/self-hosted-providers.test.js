@@ -0,0 +1,124 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadModules } = require('./helpers');
+
+const { TranslationProviders } = loadModules('request-scheduler.js', 'translation-providers.js');
+
+const libreTranslate = TranslationProviders.get('libreTranslate');
+const localLlm = TranslationProviders.get('localLlm');
+
+// fetch answering every request with `reply` ({ status, body }, or an Error to
+// throw), recording { url, init, body } of each request
+function stubFetch(reply) {
+  const requests = [];
+  globalThis.fetch = async (url, init = {}) => {
+    requests.push({ url, init, body: init.body ? JSON.parse(init.body) : null });
+    if (reply instanceof Error) throw reply;
+    const { status = 200, body } = reply;
+    return {
+      ok: status >= 200 && status < 300,
+      status,
+      headers: { get: () => null },
+      json: async () => body
+    };
+  };
+  return requests;
+}
+
+const libreSettings = { libreTranslate: { url: 'https://translate.example.org/' } };
+
+test('LibreTranslate posts a batch to /translate with its own Chinese codes', async () => {
+  const requests = stubFetch({ body: { translatedText: ['你好', '世界'] } });
+
+  const results = await libreTranslate.translateBatch(['hello', 'world'], {
+    sourceLang: 'en', targetLang: 'zh-TW', settings: libreSettings
+  });
+
+  assert.equal(requests[0].url, 'https://translate.example.org/translate');
+  assert.equal(requests[0].init.method, 'POST');
+  assert.deepEqual(requests[0].body, { q: ['hello', 'world'], source: 'en', target: 'zt', format: 'text' });
+  assert.deepEqual(results, [
+    { translatedText: '你好', sourceLanguage: 'en' },
+    { translatedText: '世界', sourceLanguage: 'en' }
+  ]);
+});
+
+test('LibreTranslate sends the API key only when one is set', async () => {
+  const requests = stubFetch({ body: { translatedText: 'hola' } });
+  const options = { sourceLang: 'en', targetLang: 'es', settings: libreSettings };
+
+  await libreTranslate.translate('hello', options);
+  await libreTranslate.translate('hello', { ...options, apiKey: 'secret' });
+
+  assert.equal('api_key' in requests[0].body, false);
+  assert.equal(requests[1].body.api_key, 'secret');
+});
+
+test('LibreTranslate reports the server\'s error with the HTTP status', async () => {
+  stubFetch({ status: 403, body: { error: 'Invalid API key' } });
+
+  await assert.rejects(
+    libreTranslate.translate('hello', { sourceLang: 'en', targetLang: 'es', settings: libreSettings }),
+    error => error.message === 'Invalid API key' && error.status === 403
+  );
+});
+
+test('LibreTranslate needs a URL', async () => {
+  const requests = stubFetch({ body: {} });
+
+  await assert.rejects(
+    libreTranslate.translate('hello', { sourceLang: 'en', targetLang: 'es', settings: {} }),
+    /Set the LibreTranslate URL/
+  );
+  assert.equal(requests.length, 0);
+});
+
+const llmSettings = { localLlm: { url: 'http://localhost:8080/v1//', model: 'qwen2.5' } };
+
+test('the local LLM posts a chat completion to the custom base URL', async () => {
+  const requests = stubFetch({ body: { choices: [{ message: { content: ' ["你好"] ' } }] } });
+
+  const results = await localLlm.translateBatch(['hello'], {
+    sourceLang: 'en', targetLang: 'zh-CN', settings: llmSettings
+  });
+
+  assert.equal(requests[0].url, 'http://localhost:8080/v1/chat/completions');
+  assert.equal(requests[0].body.model, 'qwen2.5');
+  assert.equal(requests[0].body.stream, false);
+  assert.match(requests[0].body.messages[0].content, /\["hello"\]$/);
+  assert.equal(requests[0].init.headers.Authorization, undefined);
+  assert.deepEqual(results, [{ translatedText: '你好', sourceLanguage: 'en' }]);
+});
+
+test('the local LLM sends the API key as a bearer token when one is set', async () => {
+  const requests = stubFetch({ body: { choices: [{ message: { content: 'hola' } }] } });
+
+  await localLlm.translate('hello', { sourceLang: 'en', targetLang: 'es', apiKey: 'sk-local', settings: llmSettings });
+
+  assert.equal(requests[0].init.headers.Authorization, 'Bearer sk-local');
+});
+
+test('the local LLM maps unreachable servers, HTTP errors and empty replies', async () => {
+  const options = { sourceLang: 'en', targetLang: 'es', settings: llmSettings };
+
+  stubFetch(new TypeError('fetch failed'));
+  await assert.rejects(localLlm.translate('hello', options),
+    error => error.kind === 'network' && error.message === 'Could not reach http://localhost:8080');
+
+  stubFetch({ status: 404, body: { error: { message: 'model "qwen2.5" not found' } } });
+  await assert.rejects(localLlm.translate('hello', options),
+    error => error.status === 404 && /not found/.test(error.message));
+
+  stubFetch({ body: { choices: [] } });
+  await assert.rejects(localLlm.translate('hello', options), /no completion/);
+});
+
+test('the local LLM needs a model before it sends anything', async () => {
+  const requests = stubFetch({ body: {} });
+
+  await assert.rejects(
+    localLlm.translate('hello', { sourceLang: 'en', targetLang: 'es', settings: { localLlm: { url: 'http://localhost:11434/v1' } } }),
+    /Set the model/
+  );
+  assert.equal(requests.length, 0);
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadModules } = require('./helpers');
+
+const { Senses } = loadModules('senses.js');
+
+function bank() {
+  const entry = { original: 'bank', translation: '银行', pinyin: 'yín háng', dateAdded: 5 };
+  Senses.syncPrimary(entry);
+  Senses.addSense(entry, { translation: '河岸', partOfSpeech: 'noun' });
+  Senses.addSense(entry, { translation: '依靠', partOfSpeech: 'verb' });
+  return entry;
+}
+
+test('a legacy entry reads as one sense built from its translation', () => {
+  const [sense] = Senses.getSenses({ translation: '银行', pinyin: 'yín háng', dateAdded: 5 });
+
+  assert.equal(sense.id, 's0');
+  assert.equal(sense.translation, '银行');
+  assert.equal(sense.pinyin, 'yín háng');
+  assert.equal(sense.addedAt, 5);
+  assert.deepEqual(Senses.getSenses({ translation: '' }), []);
+  assert.deepEqual(Senses.getSenses(null), []);
+});
+
+test('adding a known translation fills in its details instead of duplicating it', () => {
+  const entry = bank();
+  entry.senses[1].retired = true;
+
+  assert.equal(Senses.addSense(entry, { translation: ' 河岸 ', example: 'the river bank' }), false);
+  assert.equal(entry.senses.length, 3);
+  assert.equal(entry.senses[1].retired, false);
+  assert.equal(entry.senses[1].partOfSpeech, 'noun');
+  assert.equal(entry.senses[1].example, 'the river bank');
+
+  assert.equal(Senses.addSense(entry, { translation: '  ' }), false);
+});
+
+test('the legacy fields mirror the first active sense', () => {
+  const entry = bank();
+  entry.senses[0].retired = true;
+  Senses.syncPrimary(entry);
+
+  assert.equal(entry.translation, '河岸');
+  assert.equal(entry.pinyin, null);
+  assert.deepEqual(Senses.getActiveSenses(entry).map(sense => sense.translation), ['河岸', '依靠']);
+});
+
+test('the sense shown follows the part of speech the text around the word suggests', () => {
+  const entry = bank();
+
+  assert.equal(Senses.pick(entry, 'bank', 'You can ').translation, '依靠');
+  assert.equal(Senses.pick(entry, 'bank', 'down by the ').translation, '河岸');
+  assert.equal(Senses.pick(entry, 'bank', 'Weird ').translation, '银行');
+
+  entry.senses[0].partOfSpeech = 'verb';
+  assert.equal(Senses.pick(entry, 'bank', 'they ').translation, '银行');
+  assert.equal(Senses.guessPartOfSpeech('quickly', 'the'), 'adverb');
+  assert.equal(Senses.guessPartOfSpeech('bank', ''), null);
+});
+
+test('summarize lists the active senses with part-of-speech labels', () => {
+  const entry = bank();
+  entry.senses[0].partOfSpeech = 'noun';
+  entry.senses[2].retired = true;
+
+  assert.equal(Senses.summarize(entry), '(n.) 银行 · (n.) 河岸');
+  assert.equal(Senses.abbreviate('phrase'), 'phr.');
+  assert.equal(Senses.abbreviate('particle'), 'particle');
+});
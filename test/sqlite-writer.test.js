@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadModules } = require('./helpers');
+const { readSQLite } = require('./file-readers');
+
+const { SQLiteWriter } = loadModules('sqlite-writer.js');
+
+test('the file starts with the SQLite header and is whole pages', () => {
+  const file = SQLiteWriter.build([{ name: 't', sql: 'CREATE TABLE t (a)', rowidColumn: null, rows: [[1]] }]);
+  const view = new DataView(file.buffer);
+
+  assert.equal(new TextDecoder().decode(file.subarray(0, 16)), 'SQLite format 3\0');
+  assert.equal(view.getUint16(16), 4096);
+  assert.equal(view.getUint32(56), 1, 'UTF-8 text encoding');
+  assert.equal(file.length, view.getUint32(28) * 4096);
+});
+
+test('sqlite_master lists every table with its statement and root page', () => {
+  const db = readSQLite(SQLiteWriter.build([
+    { name: 'first', sql: 'CREATE TABLE first (id integer primary key, name text)', rowidColumn: 0, rows: [] },
+    { name: 'second', sql: 'CREATE TABLE second (value)', rowidColumn: null, rows: [['x']] }
+  ]));
+
+  assert.deepEqual(Object.keys(db.tables), ['first', 'second']);
+  assert.equal(db.tables.first.sql, 'CREATE TABLE first (id integer primary key, name text)');
+  assert.ok(db.tables.first.rootPage > 1);
+  assert.notEqual(db.tables.first.rootPage, db.tables.second.rootPage);
+  assert.deepEqual(db.tables.first.rows, []);
+});
+
+test('column values of every type read back as written', () => {
+  const blob = Uint8Array.from([0, 255, 7]);
+  const row = [null, 0, 1, -1, 300, -40000, 2 ** 40, -(2 ** 50), 1.5, 'héllo 你好', blob, true, false];
+  const db = readSQLite(SQLiteWriter.build([{ name: 't', sql: 'CREATE TABLE t (a)', rowidColumn: null, rows: [row] }]));
+
+  const expected = row.map(value => (typeof value === 'boolean' ? Number(value) : value));
+  assert.deepEqual(db.tables.t.rows, [{ rowid: 1, values: expected }]);
+});
+
+test('the rowid column is stored as NULL and rows come back in rowid order', () => {
+  const db = readSQLite(SQLiteWriter.build([{
+    name: 'notes', sql: 'CREATE TABLE notes (id integer primary key, word text)', rowidColumn: 0,
+    rows: [[30, 'c'], [10, 'a'], [20, 'b']]
+  }]));
+
+  assert.deepEqual(db.tables.notes.rows, [
+    { rowid: 10, values: [null, 'a'] },
+    { rowid: 20, values: [null, 'b'] },
+    { rowid: 30, values: [null, 'c'] }
+  ]);
+});
+
+test('large tables get interior pages and large values overflow pages', () => {
+  const rows = Array.from({ length: 3000 }, (_, index) => [index + 1, `word ${index}`, 'x'.repeat(index % 50)]);
+  const long = 'long value '.repeat(2000);
+  const db = readSQLite(SQLiteWriter.build([
+    { name: 'words', sql: 'CREATE TABLE words (id integer primary key, word, padding)', rowidColumn: 0, rows },
+    { name: 'blobs', sql: 'CREATE TABLE blobs (text)', rowidColumn: null, rows: [[long], ['short']] }
+  ]));
+
+  assert.equal(db.tables.words.rows.length, 3000);
+  db.tables.words.rows.forEach(({ rowid, values }, index) => {
+    assert.equal(rowid, index + 1);
+    assert.equal(values[1], `word ${index}`);
+  });
+  assert.deepEqual(db.tables.blobs.rows.map(({ values }) => values[0]), [long, 'short']);
+});
+
+test('duplicate rowids are refused', () => {
+  assert.throws(() => SQLiteWriter.build([
+    { name: 't', sql: 'CREATE TABLE t (id integer primary key)', rowidColumn: 0, rows: [[1], [1]] }
+  ]), /Duplicate rowid 1 in t/);
+});
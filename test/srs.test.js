@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadModules } = require('./helpers');
+
+const { SRS } = loadModules('srs.js');
+
+const NOW = Date.UTC(2026, 0, 1);
+
+// Review a fresh schedule with each grade in turn
+function reviewAll(grades) {
+  let schedule = SRS.createSchedule(NOW);
+  let now = NOW;
+  grades.forEach(grade => {
+    schedule = SRS.review(schedule, grade, now);
+    now = schedule.due;
+  });
+  return schedule;
+}
+
+test('good reviews step through 1 day, 6 days, then interval times ease', () => {
+  const first = reviewAll(['good']);
+  assert.equal(first.interval, 1);
+  assert.equal(first.repetitions, 1);
+  assert.equal(first.due, NOW + SRS.DAY_MS);
+  assert.equal(first.lastReviewed, NOW);
+
+  assert.equal(reviewAll(['good', 'good']).interval, 6);
+
+  // 'good' (quality 4) leaves the ease at 2.5
+  const third = reviewAll(['good', 'good', 'good']);
+  assert.equal(third.ease, SRS.DEFAULT_EASE);
+  assert.equal(third.interval, 15);
+});
+
+test('ease rises on easy, falls on hard and never goes below the minimum', () => {
+  assert.equal(reviewAll(['easy']).ease, 2.6);
+  assert.ok(Math.abs(reviewAll(['hard']).ease - 2.36) < 1e-9);
+  assert.equal(reviewAll(Array(20).fill('again')).ease, SRS.MIN_EASE);
+});
+
+test('a failed review restarts the sequence and counts a lapse', () => {
+  const lapsed = reviewAll(['good', 'good', 'again']);
+  assert.equal(lapsed.repetitions, 0);
+  assert.equal(lapsed.interval, 1);
+  assert.equal(lapsed.lapses, 1);
+
+  // Failing a word that was never recalled isn't a lapse
+  assert.equal(reviewAll(['again']).lapses, 0);
+});
+
+test('numeric grades are accepted and invalid ones rejected', () => {
+  assert.deepEqual(SRS.review(SRS.createSchedule(NOW), 4, NOW), SRS.review(SRS.createSchedule(NOW), 'good', NOW));
+  assert.throws(() => SRS.review(SRS.createSchedule(NOW), 'perfect', NOW), /Invalid review grade/);
+  assert.throws(() => SRS.review(SRS.createSchedule(NOW), 6, NOW), /Invalid review grade/);
+});
+
+test('an exposure pushes back only due words, once a day', () => {
+  const learning = { ...reviewAll(['good', 'good', 'good']) };
+  const dueNow = learning.due;
+
+  const exposed = SRS.applyExposure(learning, dueNow);
+  assert.equal(exposed.due, dueNow + 3 * SRS.DAY_MS);
+  assert.equal(exposed.ease, learning.ease);
+  assert.equal(SRS.applyExposure(exposed, dueNow + 1000), null);
+
+  // Not due yet: only the exposure is recorded
+  const early = SRS.applyExposure(learning, dueNow - 2 * SRS.DAY_MS);
+  assert.equal(early.due, dueNow);
+});
+
+test('getState tells new, learning, due and mature words apart', () => {
+  assert.equal(SRS.getState({ dateAdded: NOW }, NOW), 'new');
+
+  const review = reviewAll(['good']);
+  assert.equal(SRS.getState({ review }, NOW), 'learning');
+  assert.equal(SRS.getState({ review }, review.due), 'due');
+
+  const mature = { ...review, interval: SRS.MATURE_INTERVAL, due: NOW + SRS.MATURE_INTERVAL * SRS.DAY_MS };
+  assert.equal(SRS.getState({ review: mature }, NOW), 'mature');
+});
@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadModules } = require('./helpers');
+
+const { TranslationProviders } = loadModules('translation-providers.js');
+
+// Translates only; no detection or alternatives
+const plain = TranslationProviders.register({
+  id: 'plain',
+  name: 'Plain',
+  async translate(text) {
+    return { translatedText: text, sourceLanguage: 'en' };
+  }
+});
+
+test('register rejects providers without an id, a name or a translate method', () => {
+  assert.throws(() => TranslationProviders.register({ name: 'No id', translate() {} }), /needs an id/);
+  assert.throws(() => TranslationProviders.register({ id: 'x', translate() {} }), /needs an id/);
+  assert.throws(() => TranslationProviders.register({ id: 'x', name: 'X' }), /needs an id/);
+  assert.equal(TranslationProviders.get('x'), null);
+  assert.equal(TranslationProviders.get('plain'), plain);
+});
+
+test('a provider supports a feature if it has the method the feature needs', () => {
+  assert.equal(TranslationProviders.supports(plain, 'translate'), true);
+  assert.equal(TranslationProviders.supports(plain, 'batch'), true);
+  assert.equal(TranslationProviders.supports(plain, 'detect'), false);
+  assert.equal(TranslationProviders.supports(plain, 'unknown'), false);
+  assert.equal(TranslationProviders.supports(null, 'translate'), false);
+
+  assert.ok(TranslationProviders.list('translate').includes(plain));
+  assert.ok(!TranslationProviders.list('detect').includes(plain));
+});
+
+test('forFeature uses the chosen provider, or the default if the choice can\'t do the feature', () => {
+  const settings = { translationProviders: { translate: 'plain', detect: 'plain', batch: 'removed' } };
+
+  assert.equal(TranslationProviders.forFeature('translate', settings), plain);
+  assert.equal(TranslationProviders.forFeature('detect', settings).id, TranslationProviders.DEFAULTS.detect);
+  assert.equal(TranslationProviders.forFeature('batch', settings).id, TranslationProviders.DEFAULTS.batch);
+  assert.equal(TranslationProviders.forFeature('translate').id, TranslationProviders.DEFAULTS.translate);
+  assert.throws(() => TranslationProviders.forFeature('speak', settings), /Unknown translation feature: speak/);
+});
+
+test('chunk keeps texts in order within maxItems and maxChars', () => {
+  assert.deepEqual(
+    TranslationProviders.chunk(['aaa', 'bb', 'c', 'dddddd', 'e'], { maxItems: 2, maxChars: 5 }),
+    [['aaa', 'bb'], ['c'], ['dddddd'], ['e']]
+  );
+  assert.deepEqual(
+    TranslationProviders.chunk(['a', 'b', 'c', 'd', 'e'], { maxItems: 2, maxChars: Infinity }),
+    [['a', 'b'], ['c', 'd'], ['e']]
+  );
+  assert.deepEqual(TranslationProviders.chunk([], { maxItems: 2, maxChars: 5 }), []);
+});
+
+test('chunk puts a text longer than maxChars in a request of its own', () => {
+  const long = 'x'.repeat(20);
+  assert.deepEqual(
+    TranslationProviders.chunk(['a', long, 'b'], { maxItems: 10, maxChars: 5 }),
+    [['a'], [long], ['b']]
+  );
+});
+
+test('every chunk of a large batch fits the provider\'s limits', () => {
+  const texts = Array.from({ length: 1000 }, (_, index) => `word number ${index}`);
+  TranslationProviders.list('batch').forEach(provider => {
+    const limits = TranslationProviders.batchLimits(provider);
+    const chunks = TranslationProviders.chunk(texts, limits);
+
+    assert.deepEqual(chunks.flat(), texts, provider.id);
+    chunks.forEach(chunk => {
+      assert.ok(chunk.length <= limits.maxItems, provider.id);
+      assert.ok(chunk.join('').length <= limits.maxChars, provider.id);
+    });
+  });
+});
+
+test('batchLimits merges the provider\'s own limits over the defaults', () => {
+  assert.deepEqual(TranslationProviders.batchLimits(TranslationProviders.get('google')),
+    { maxItems: 128, maxChars: TranslationProviders.BATCH_LIMITS.maxChars });
+  assert.deepEqual(TranslationProviders.batchLimits(TranslationProviders.get('localLlm')),
+    { maxItems: 20, maxChars: 1500 });
+  assert.deepEqual(TranslationProviders.batchLimits(TranslationProviders.get('libreTranslate')),
+    TranslationProviders.BATCH_LIMITS);
+
+  // Without a batch endpoint every text is a request of its own
+  assert.deepEqual(TranslationProviders.batchLimits({ id: 'single' }), { maxItems: 1, maxChars: Infinity });
+});
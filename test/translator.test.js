@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadModules } = require('./helpers');
+
+// Batch translation goes to a fake provider; the persistent cache is an in-memory VocabDB
+const cache = new Map();
+let prunes = 0;
+globalThis.VocabDB = {
+  getCache: async key => cache.get(key) || null,
+  deleteCache: async key => cache.delete(key),
+  putCacheEntries: async entries => Object.entries(entries).forEach(([key, entry]) => cache.set(key, entry)),
+  pruneCache: async () => {
+    prunes++;
+  }
+};
+globalThis.StorageManager = { getSettings: async () => ({ translationProviders: { batch: 'fake' } }) };
+globalThis.Secrets = { get: async () => '' };
+
+const { TranslatorAPI, TranslationProviders } = loadModules(
+  'request-scheduler.js', 'translation-providers.js', 'translator.js'
+);
+
+// Texts of each translateBatch request. The first request answers last, and a
+// request holding 'broken' is refused as unauthorised (not retried).
+let requests = [];
+TranslationProviders.register({
+  id: 'fake',
+  name: 'Fake',
+  limits: { concurrency: 4, requestsPerSecond: 0 },
+  batchLimits: { maxItems: 2, maxChars: 1000 },
+  async translate(text) {
+    return { translatedText: text.toUpperCase(), sourceLanguage: 'en' };
+  },
+  async translateBatch(texts) {
+    const delay = requests.length === 0 ? 30 : 0;
+    requests.push(texts);
+    await new Promise(resolve => setTimeout(resolve, delay));
+    if (texts.includes('broken')) {
+      const error = new Error('invalid key');
+      error.status = 403;
+      throw error;
+    }
+    return texts.map(text => ({ translatedText: text.toUpperCase(), sourceLanguage: 'en' }));
+  }
+});
+
+function reset() {
+  requests = [];
+  prunes = 0;
+  cache.clear();
+  TranslatorAPI.translationCache.clear();
+}
+
+test('chunks run in parallel and the results keep the input order', async () => {
+  reset();
+  const results = await TranslatorAPI.translateBatch(['one', 'two', 'three', 'four', 'five'], 'es', 'en');
+
+  assert.deepEqual(requests, [['one', 'two'], ['three', 'four'], ['five']]);
+  assert.deepEqual(results.map(result => result.translatedText), ['ONE', 'TWO', 'THREE', 'FOUR', 'FIVE']);
+  assert.deepEqual(results.map(result => result.originalText), ['one', 'two', 'three', 'four', 'five']);
+});
+
+test('cached texts need no request and duplicates are translated once', async () => {
+  reset();
+  await TranslatorAPI.translateBatch(['one', 'two'], 'es', 'en');
+  TranslatorAPI.translationCache.clear();
+  requests = [];
+
+  // 'one' and 'two' now come from the persistent cache
+  const results = await TranslatorAPI.translateBatch(['two', 'three', 'one', 'three'], 'es', 'en');
+
+  assert.deepEqual(requests, [['three']]);
+  assert.deepEqual(results.map(result => result.translatedText), ['TWO', 'THREE', 'ONE', 'THREE']);
+
+  requests = [];
+  await TranslatorAPI.translateBatch(['one', 'two', 'three'], 'es', 'en');
+  assert.deepEqual(requests, []);
+});
+
+test('a failed chunk fails only its own texts', async () => {
+  reset();
+  const results = await TranslatorAPI.translateBatch(['one', 'two', 'broken', 'three'], 'es', 'en');
+
+  assert.deepEqual(results.map(result => result.translatedText), ['ONE', 'TWO', '', '']);
+  assert.equal(results[2].errorKind, 'auth');
+  assert.equal(results[3].error, 'Fake: invalid key');
+  assert.equal(results[0].error, undefined);
+
+  // Only the translations are cached
+  assert.deepEqual([...cache.keys()], ['fake:one:en:es', 'fake:two:en:es']);
+});
+
+test('a batch where every text failed throws the error', async () => {
+  reset();
+  await assert.rejects(TranslatorAPI.translateBatch(['broken'], 'es', 'en'),
+    error => error.message === 'Fake: invalid key' && error.kind === 'auth');
+});
+
+test('the cache is pruned once per batch, not per chunk', async () => {
+  reset();
+  await TranslatorAPI.translateBatch(['one', 'two', 'three', 'four', 'five'], 'es', 'en');
+  assert.equal(prunes, 1);
+
+  // Nothing new to cache
+  await TranslatorAPI.translateBatch(['one', 'two'], 'es', 'en');
+  assert.equal(prunes, 1);
+});
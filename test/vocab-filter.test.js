@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadModules } = require('./helpers');
+
+const stored = {};
+globalThis.chrome = {
+  storage: {
+    local: {
+      get: async keys => JSON.parse(JSON.stringify(
+        Object.fromEntries(keys.filter(key => key in stored).map(key => [key, stored[key]])))),
+      set: async items => Object.assign(stored, JSON.parse(JSON.stringify(items)))
+    }
+  }
+};
+
+const { VocabFilter, SRS } = loadModules('srs.js', 'vocab-filter.js');
+
+const NOW = new Date('2026-03-15T12:00:00').getTime();
+const day = date => new Date(`${date}T09:30:00`).getTime();
+
+const words = {
+  bank: { original: 'bank', dateAdded: day('2026-03-01'), tags: ['finance', 'site:example.com', 'deck:Work'] },
+  river: {
+    original: 'river', dateAdded: day('2026-03-10'), tags: ['nature'],
+    review: { ...SRS.createSchedule(day('2026-03-10')), repetitions: 1, interval: 1, due: NOW - 1000, lastReviewed: day('2026-03-10') }
+  },
+  tree: { original: 'tree', dateAdded: day('2026-03-15'), tags: ['nature', 'deck:Home'] }
+};
+
+const keys = filter => Object.keys(VocabFilter.apply(words, VocabFilter.createFilter(filter), NOW));
+
+test('an empty filter keeps every word', () => {
+  assert.equal(VocabFilter.isEmpty(VocabFilter.createFilter()), true);
+  assert.equal(VocabFilter.isEmpty(null), true);
+  assert.equal(VocabFilter.apply(words, null), words);
+  assert.equal(VocabFilter.describe(VocabFilter.createFilter()), 'All words');
+});
+
+test('tags, deck, date range and review state must all match', () => {
+  assert.deepEqual(keys({ tags: ['nature'] }), ['river', 'tree']);
+  assert.deepEqual(keys({ tags: ['nature', 'finance'] }), []);
+  assert.deepEqual(keys({ deck: 'Work' }), ['bank']);
+  assert.deepEqual(keys({ states: ['new'] }), ['bank', 'tree']);
+  assert.deepEqual(keys({ states: ['due', 'mature'] }), ['river']);
+  assert.deepEqual(keys({ tags: ['nature'], states: ['new'] }), ['tree']);
+});
+
+test('date ranges are whole local days, open at either end', () => {
+  assert.deepEqual(keys({ from: '2026-03-10', to: '2026-03-10' }), ['river']);
+  assert.deepEqual(keys({ from: '2026-03-10' }), ['river', 'tree']);
+  assert.deepEqual(keys({ to: '2026-03-09' }), ['bank']);
+  assert.deepEqual(keys({ from: '2026-03-16' }), []);
+});
+
+test('the deck is a prefixed tag, at most one per word', () => {
+  assert.equal(VocabFilter.getDeck(words.bank), 'Work');
+  assert.equal(VocabFilter.getDeck(words.river), null);
+  assert.deepEqual(VocabFilter.getTags(words.bank), ['finance', 'site:example.com']);
+  assert.deepEqual(VocabFilter.buildTags([' work  notes ', 'deck:Sneaky', 'work notes', ''], ' HSK 3 '),
+    ['work notes', 'deck:HSK 3']);
+  assert.deepEqual(VocabFilter.buildTags(['a'], ''), ['a']);
+  assert.deepEqual(VocabFilter.collect(words), {
+    tags: ['finance', 'nature', 'site:example.com'],
+    decks: ['Home', 'Work']
+  });
+});
+
+test('words saved on a page get source and site tags', () => {
+  assert.deepEqual(VocabFilter.sourceTags('contextMenu', 'https://www.example.com/a?b'),
+    ['from context menu', 'site:example.com']);
+  assert.deepEqual(VocabFilter.sourceTags('contextMenu', 'https://m.youtube.com/watch?v=1'),
+    ['from YouTube', 'site:m.youtube.com']);
+  assert.deepEqual(VocabFilter.sourceTags('popup'), ['from popup']);
+  assert.equal(VocabFilter.siteTag('chrome://extensions'), null);
+  assert.equal(VocabFilter.siteTag('not a url'), null);
+});
+
+test('describe lists every part of the filter', () => {
+  assert.equal(
+    VocabFilter.describe(VocabFilter.createFilter({ tags: ['work'], deck: 'HSK3', from: '2026-01-01', states: ['due'] })),
+    'tag work · deck HSK3 · added 2026-01-01 – … · due'
+  );
+});
+
+test('saved views are kept sorted by name, and a name is replaced, not duplicated', async () => {
+  await VocabFilter.saveFilter('Work', { deck: 'Work' });
+  await VocabFilter.saveFilter(' Due ', { states: ['due'] });
+  const views = await VocabFilter.saveFilter('Work', { deck: 'Office' });
+
+  assert.deepEqual(views.map(view => view.name), ['Due', 'Work']);
+  assert.deepEqual(views[1].filter, VocabFilter.createFilter({ deck: 'Office' }));
+  await assert.rejects(VocabFilter.saveFilter('  ', {}), /needs a name/);
+
+  assert.deepEqual((await VocabFilter.deleteFilter('Due')).map(view => view.name), ['Work']);
+  assert.deepEqual((await VocabFilter.getSavedFilters()).map(view => view.name), ['Work']);
+});
@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadModules } = require('./helpers');
+
+const { VocabImport, StorageMigrations, StorageManager } = loadModules(
+  'srs.js', 'senses.js', 'word-contexts.js', 'storage.js', 'migrations.js', 'vocab-import.js'
+);
+
+const NOW = Date.UTC(2026, 0, 1);
+
+function word(original, translations, fields = {}) {
+  return StorageMigrations.normalizeWord(original, {
+    original,
+    translation: translations[0],
+    senses: translations.map(translation => ({ translation })),
+    dateAdded: NOW,
+    ...fields
+  }, NOW);
+}
+
+const mine = word('bank', ['银行'], { lastSeen: NOW + 1000, tags: ['finance'] });
+const theirs = word('bank', ['银行', '河岸'], { lastSeen: NOW + 2000, tags: ['rivers'], timesEncountered: 4 });
+
+test('new words are taken and identical ones skipped by every strategy', () => {
+  Object.keys(VocabImport.STRATEGIES).forEach(strategy => {
+    assert.equal(VocabImport.merge(null, theirs, strategy), theirs);
+    assert.equal(VocabImport.merge(mine, JSON.parse(JSON.stringify(mine)), strategy), null);
+  });
+});
+
+test('mine keeps the current entry, theirs takes the file', () => {
+  assert.equal(VocabImport.merge(mine, theirs, 'mine'), null);
+  assert.equal(VocabImport.merge(mine, theirs, 'theirs'), theirs);
+});
+
+test('newest takes whichever entry was seen last', () => {
+  assert.equal(VocabImport.merge(mine, theirs, 'newest'), theirs);
+  assert.equal(VocabImport.merge(theirs, mine, 'newest'), null);
+  assert.equal(VocabImport.DEFAULT_STRATEGY, 'newest');
+});
+
+test('union adds their senses and tags to my entry', () => {
+  const merged = VocabImport.merge(mine, theirs, 'union');
+
+  assert.deepEqual(merged.senses.map(sense => sense.translation), ['银行', '河岸']);
+  assert.deepEqual(merged.tags, ['finance', 'rivers']);
+  assert.equal(merged.timesEncountered, 4);
+  assert.equal(merged.lastSeen, NOW + 2000);
+  assert.deepEqual(merged.review, mine.review);
+
+  // Nothing of theirs to add: keep mine
+  assert.equal(VocabImport.merge(merged, mine, 'union'), null);
+});
+
+test('union keeps a word learning if either side is learning it', () => {
+  const known = word('cat', ['猫'], { knowledge: 'known' });
+  const learning = word('cat', ['猫'], { timesEncountered: 3 });
+
+  const merged = VocabImport.merge(known, learning, 'union');
+  assert.equal(StorageManager.getKnowledge(merged), 'learning');
+  assert.ok(merged.review);
+});
+
+test('unknown strategies are rejected', () => {
+  assert.throws(() => VocabImport.merge(mine, theirs, 'loudest'), /Unknown merge strategy/);
+});
+
+test('diff sorts incoming words into new, changed and identical', () => {
+  const result = VocabImport.diff(
+    { bank: mine, river: word('river', ['河']) },
+    { bank: theirs, river: word('river', ['河']), tree: word('tree', ['树']) }
+  );
+
+  assert.deepEqual(result.new, ['tree']);
+  assert.deepEqual(result.identical, ['river']);
+  assert.deepEqual(result.changed, [{ key: 'bank', fields: ['senses', 'tags', 'timesEncountered'] }]);
+});
+
+test('validate reports bad entries field by field and normalizes the rest', () => {
+  const { words, invalid } = VocabImport.validate({
+    version: '1.2.0',
+    words: {
+      Bank: { original: 'Bank', translation: '银行' },
+      broken: { original: 'broken', senses: [{ translation: '' }], tags: 'x' }
+    }
+  }, NOW);
+
+  assert.deepEqual(Object.keys(words), ['bank']);
+  assert.equal(words.bank.senses[0].translation, '银行');
+  assert.deepEqual(invalid[0].errors.map(error => error.field), ['senses[0].translation', 'translation', 'tags']);
+  assert.throws(() => VocabImport.validate({ version: 1, words: {} }), /version must be a string/);
+});
@@ -0,0 +1,166 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadModules } = require('./helpers');
+
+const { VocabSync, SRS } = loadModules(
+  'srs.js', 'senses.js', 'word-contexts.js', 'storage.js', 'vocab-sync.js'
+);
+
+const NOW = Date.UTC(2026, 0, 1);
+const HERE = 'here';
+const THERE = 'there';
+
+// Synced record of a learning word: senses as [translation, pinyin, pos, example, retired]
+function record(original, translations, { reviewedAt = null, tags } = {}) {
+  return {
+    o: original,
+    s: translations.map(translation => [translation, null, null, null, 0]),
+    a: NOW,
+    r: [2.5, 1, 1, NOW + SRS.DAY_MS, 0, reviewedAt],
+    ...(tags ? { t: tags } : {})
+  };
+}
+
+// State remembered for a record synced at time u by browser b
+function seen(localRecord, u = NOW - 1000, b = THERE) {
+  return { h: VocabSync._hash(localRecord), u, b };
+}
+
+function merge({ local = {}, previous = {}, remote = {} }) {
+  return VocabSync.mergeScope({ local, previous, remote, device: HERE, now: NOW });
+}
+
+test('a word added locally is sent with this browser\'s stamp', () => {
+  const bank = record('bank', ['银行']);
+  const { outgoing, localChanges, state } = merge({ local: { bank } });
+
+  assert.deepEqual(outgoing.bank, { ...bank, u: NOW, b: HERE });
+  assert.deepEqual(localChanges, {});
+  assert.deepEqual(state.bank, { h: VocabSync._hash(bank), u: NOW, b: HERE });
+});
+
+test('a word changed only remotely is taken', () => {
+  const before = record('bank', ['银行']);
+  const theirs = { ...record('bank', ['银行', '河岸']), u: NOW - 10, b: THERE };
+  const { outgoing, localChanges, state } = merge({
+    local: { bank: before },
+    previous: { bank: seen(before) },
+    remote: { bank: theirs }
+  });
+
+  assert.deepEqual(outgoing.bank, theirs);
+  assert.deepEqual(localChanges.bank, record('bank', ['银行', '河岸']));
+  assert.equal(state.bank.h, VocabSync._hash(localChanges.bank));
+  assert.equal(state.bank.u, NOW - 10);
+});
+
+test('unchanged words stay as they are, and are sent again if missing remotely', () => {
+  const bank = record('bank', ['银行']);
+  const stamped = { ...bank, u: NOW - 1000, b: THERE };
+
+  const same = merge({ local: { bank }, previous: { bank: seen(bank) }, remote: { bank: stamped } });
+  assert.deepEqual(same.outgoing.bank, stamped);
+  assert.deepEqual(same.localChanges, {});
+
+  const missing = merge({ local: { bank }, previous: { bank: seen(bank) } });
+  assert.deepEqual(missing.outgoing.bank, stamped);
+});
+
+test('a local deletion becomes a tombstone; a remote one deletes the local word', () => {
+  const bank = record('bank', ['银行']);
+  const stamped = { ...bank, u: NOW - 1000, b: THERE };
+
+  const deletedHere = merge({ previous: { bank: seen(bank) }, remote: { bank: stamped } });
+  assert.deepEqual(deletedHere.outgoing.bank, { x: 1, u: NOW, b: HERE });
+  assert.deepEqual(deletedHere.state.bank, { h: null, u: NOW, b: HERE });
+
+  const tombstone = { x: 1, u: NOW - 10, b: THERE };
+  const deletedThere = merge({ local: { bank }, previous: { bank: seen(bank) }, remote: { bank: tombstone } });
+  assert.equal(deletedThere.localChanges.bank, null);
+  assert.deepEqual(deletedThere.outgoing.bank, tombstone);
+
+  // A tombstone for a word this browser never had changes nothing locally
+  const unknown = merge({ remote: { bank: tombstone } });
+  assert.deepEqual(unknown.localChanges, {});
+});
+
+test('tombstones are dropped after TOMBSTONE_DAYS', () => {
+  const old = { x: 1, u: NOW - (VocabSync.TOMBSTONE_DAYS + 1) * SRS.DAY_MS, b: THERE };
+  const { outgoing, state } = merge({ previous: { bank: { h: null, u: old.u, b: THERE } }, remote: { bank: old } });
+  assert.deepEqual(outgoing, {});
+  assert.deepEqual(state, {});
+});
+
+test('an edit wins over a deletion made in the other browser', () => {
+  const before = record('bank', ['银行']);
+  const edited = record('bank', ['银行', '河岸']);
+  const tombstone = { x: 1, u: NOW - 10, b: THERE };
+
+  const editedHere = merge({ local: { bank: edited }, previous: { bank: seen(before) }, remote: { bank: tombstone } });
+  assert.deepEqual(editedHere.outgoing.bank, { ...edited, u: NOW, b: HERE });
+  assert.deepEqual(editedHere.localChanges, {});
+
+  const theirs = { ...edited, u: NOW - 10, b: THERE };
+  const editedThere = merge({ previous: { bank: seen(before) }, remote: { bank: theirs } });
+  assert.deepEqual(editedThere.localChanges.bank, edited);
+  assert.deepEqual(editedThere.outgoing.bank, { ...edited, u: NOW, b: HERE });
+});
+
+test('a word changed in both browsers is merged', () => {
+  const before = record('bank', ['银行']);
+  const mine = record('bank', ['银行', '岸'], { reviewedAt: NOW - 50, tags: ['finance'] });
+  const theirs = { ...record('bank', ['银行', '河岸'], { reviewedAt: NOW - 20, tags: ['rivers'] }), u: NOW - 10, b: THERE };
+
+  const { outgoing, localChanges, state } = merge({
+    local: { bank: mine },
+    previous: { bank: seen(before) },
+    remote: { bank: theirs }
+  });
+
+  const merged = localChanges.bank;
+  assert.deepEqual(merged.s.map(sense => sense[0]), ['银行', '岸', '河岸']);
+  assert.deepEqual(merged.t, ['finance', 'rivers']);
+  assert.equal(merged.r[5], NOW - 20, 'the schedule reviewed last wins');
+  assert.deepEqual(outgoing.bank, { ...merged, u: NOW, b: HERE });
+  assert.equal(state.bank.h, VocabSync._hash(merged));
+});
+
+test('mergeWordRecords keeps a word learning if either side is learning it', () => {
+  const known = { o: 'cat', s: [['猫', 'māo', null, null, 0]], a: NOW, k: 1 };
+  const learning = record('cat', ['猫']);
+
+  const merged = VocabSync.mergeWordRecords(known, learning);
+  assert.equal(merged.k, undefined);
+  assert.deepEqual(merged.r, learning.r);
+  assert.equal(merged.s[0][1], 'māo');
+
+  assert.equal(VocabSync.mergeWordRecords(known, { ...known }).k, 1);
+});
+
+test('word records survive a round trip through local entries', () => {
+  const bank = record('bank', ['银行', '河岸'], { tags: ['finance'] });
+  const entry = VocabSync.fromWordRecord(bank, null, NOW);
+
+  assert.equal(entry.translation, '银行');
+  assert.deepEqual(VocabSync.toWordRecord(entry), bank);
+});
+
+test('shards stay under SHARD_BYTES and read back into the same records', () => {
+  const records = {};
+  for (let i = 0; i < 300; i++) {
+    records[`word${i}`] = record(`word${i}`, [`翻译${i}`, `意思${i}`]);
+  }
+  records.huge = record('huge', ['x'.repeat(VocabSync.SHARD_BYTES)]);
+
+  const { shards, skipped } = VocabSync._pack('w:en_zh-CN', records);
+  assert.deepEqual(skipped, ['huge']);
+  assert.ok(Object.keys(shards).length > 1);
+  Object.values(shards).forEach(shard => {
+    assert.ok(VocabSync._bytes(JSON.stringify(shard)) <= VocabSync.SHARD_BYTES);
+  });
+
+  const { scopes, otherItems } = VocabSync._readRemote({ ...shards, highlightStyle: 'underline' });
+  delete records.huge;
+  assert.deepEqual(scopes['w:en_zh-CN'], records);
+  assert.equal(otherItems, 1);
+});
@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadModules } = require('./helpers');
+
+const { WordContexts } = loadModules('word-contexts.js');
+
+test('captured text is trimmed, and long sentences are shortened', () => {
+  const context = WordContexts.create({ sentence: '  The   bank\nclosed. ', title: ' ', url: 'https://example.com/a', savedAt: 5 });
+  assert.deepEqual(context, { sentence: 'The bank closed.', title: null, url: 'https://example.com/a', savedAt: 5 });
+
+  const long = WordContexts.create({ sentence: 'x'.repeat(1000) });
+  assert.equal(long.sentence.length, WordContexts.MAX_SENTENCE_LENGTH);
+  assert.ok(long.sentence.endsWith('…'));
+  assert.ok(Number.isFinite(long.savedAt));
+});
+
+test('saving the same sentence on the same page moves it to the front', () => {
+  const entry = {};
+  const at = (sentence, savedAt) => WordContexts.create({ sentence, url: 'https://example.com', savedAt });
+
+  assert.equal(WordContexts.add(entry, at('one', 1)), true);
+  WordContexts.add(entry, at('two', 2));
+  WordContexts.add(entry, at('one', 3));
+  assert.deepEqual(WordContexts.get(entry).map(context => context.savedAt), [3, 2]);
+
+  assert.equal(WordContexts.add(entry, WordContexts.create({ title: 'Only a title' })), false);
+  for (let index = 0; index < 10; index++) WordContexts.add(entry, at(`s${index}`, 10 + index));
+  assert.equal(entry.contexts.length, WordContexts.MAX_PER_WORD);
+  assert.equal(WordContexts.latest(entry).sentence, 's9');
+  assert.equal(WordContexts.latest({}), null);
+});
+
+test('merged contexts are newest first without duplicates', () => {
+  const a = { contexts: [{ sentence: 'one', url: 'u', savedAt: 1 }, { sentence: 'two', url: 'u', savedAt: 4 }] };
+  const b = { contexts: [{ sentence: 'one', url: 'u', savedAt: 3 }, { sentence: 'one', url: 'v', savedAt: 2 }] };
+
+  assert.deepEqual(WordContexts.merge(a, b).map(context => [context.sentence, context.url, context.savedAt]),
+    [['two', 'u', 4], ['one', 'u', 3], ['one', 'v', 2]]);
+  assert.deepEqual(WordContexts.merge(null, {}), []);
+});
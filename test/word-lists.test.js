@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadModules } = require('./helpers');
+
+// chrome.storage.local in memory, and the list files the extension ships (url -> data)
+const stored = {};
+globalThis.chrome = {
+  runtime: { getURL: file => `chrome-extension://test/${file}` },
+  storage: {
+    local: {
+      get: async keys => Object.fromEntries(keys.filter(key => key in stored).map(key => [key, stored[key]])),
+      set: async items => Object.assign(stored, JSON.parse(JSON.stringify(items)))
+    }
+  }
+};
+const bundled = {};
+globalThis.fetch = async url => (url in bundled
+  ? { ok: true, json: async () => JSON.parse(JSON.stringify(bundled[url])) }
+  : { ok: false, status: 404 });
+
+const { WordLists } = loadModules('word-lists.js');
+
+test('level names match with or without prefixes and spaces', () => {
+  const hsk3 = WordLists.getList('hsk3');
+  const tocfl = WordLists.getList('tocfl');
+
+  assert.equal(WordLists._matchLevel(hsk3, 'Band 3'), '3');
+  assert.equal(WordLists._matchLevel(hsk3, 'HSK 3.0 7 – 9'), '7-9');
+  assert.equal(WordLists._matchLevel(hsk3, '10'), null);
+  assert.equal(WordLists._matchLevel(tocfl, 'novice1'), 'Novice 1');
+  assert.equal(WordLists._matchLevel(tocfl, '2'), 'Level 2');
+  assert.equal(WordLists._matchLevel(tocfl, 'Band A'), null);
+});
+
+test('a bundled list file is loaded ahead of an imported copy', async () => {
+  const url = chrome.runtime.getURL(WordLists.getList('hsk3').file);
+  bundled[url] = { id: 'hsk3', name: 'HSK 3.0', levels: { 1: [['爱', 'ài', 'to love']] } };
+  stored[`${WordLists.IMPORTED_KEY_PREFIX}hsk3`] = { id: 'hsk3', levels: { 1: [['你', 'nǐ', 'you']] } };
+
+  assert.deepEqual(await WordLists.getLevelWords('hsk3', '1'), [{ word: '爱', pinyin: 'ài', gloss: 'to love' }]);
+
+  delete bundled[url];
+  WordLists.forget('hsk3');
+  assert.deepEqual(await WordLists.getLevelWords('hsk3', '1'), [{ word: '你', pinyin: 'nǐ', gloss: 'you' }]);
+  delete stored[`${WordLists.IMPORTED_KEY_PREFIX}hsk3`];
+  WordLists.forget('hsk3');
+});
+
+test('a list without a file or an import asks for the official list', async () => {
+  assert.equal(await WordLists.isAvailable('tocfl'), false);
+  await assert.rejects(WordLists.load('tocfl'), /import it from a CSV file of the official list/);
+});
+
+test('an imported list is stored in level order and loads like a bundled one', async () => {
+  const result = await WordLists.importList('tocfl', [
+    ['word', 'level', 'pinyin', 'gloss'],
+    ['學習', 'Level 1', 'xué xí', 'to learn; to study'],
+    ['你好', 'Novice 1', 'nǐ hǎo', 'hello'],
+    ['你好', 'Level 3', '', ''],
+    ['hello', 'Level 1', '', ''],
+    ['謝謝', 'Band 9', '', '']
+  ]);
+
+  assert.deepEqual(result, { words: 2, skipped: 3, levels: { 'Novice 1': 1, 'Level 1': 1 } });
+  assert.deepEqual(await WordLists.getLevels('tocfl'), ['Novice 1', 'Level 1']);
+  assert.deepEqual(await WordLists.getLevelWords('tocfl', 'Level 1'),
+    [{ word: '學習', pinyin: 'xué xí', gloss: 'to learn; to study' }]);
+  assert.equal(WordLists.levelTag('tocfl', 'Novice 1'), 'TOCFL Novice 1');
+
+  const index = await WordLists.getLevelIndex();
+  assert.equal(index['你好'], 'TOCFL Novice 1');
+});
+
+test('bundled lists and files without words are refused', async () => {
+  await assert.rejects(WordLists.importList('hsk', []), /bundled with the extension/);
+  await assert.rejects(WordLists.importList('hsk3', [['hello', '1']]), /No HSK 3.0 words found/);
+});
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadModules } = require('./helpers');
+const { readZip } = require('./file-readers');
+
+const { ZipWriter } = loadModules('zip-writer.js');
+
+const encoder = new TextEncoder();
+
+test('crc32 matches the standard check value', () => {
+  assert.equal(ZipWriter.crc32(encoder.encode('123456789')), 0xCBF43926);
+  assert.equal(ZipWriter.crc32(new Uint8Array(0)), 0);
+});
+
+test('the central directory lists every file with its CRC, sizes and offset', async () => {
+  const text = 'the same line again\n'.repeat(200);
+  const binary = Uint8Array.from({ length: 300 }, (_, index) => (index * 37) % 256);
+  const archive = await ZipWriter.build([
+    { name: 'words.txt', data: text },
+    { name: 'media', data: '{}' },
+    { name: 'données/图.bin', data: binary }
+  ], new Date(2026, 0, 2, 3, 4, 6));
+
+  const entries = readZip(archive);
+  assert.deepEqual(entries.map(entry => entry.name), ['words.txt', 'media', 'données/图.bin']);
+
+  const contents = [encoder.encode(text), encoder.encode('{}'), binary];
+  entries.forEach((entry, index) => {
+    assert.deepEqual(entry.data, contents[index], entry.name);
+    assert.equal(entry.size, contents[index].length, entry.name);
+    assert.equal(entry.crc, ZipWriter.crc32(contents[index]), entry.name);
+  });
+
+  // Repetitive text is deflated, two bytes are not worth it
+  assert.equal(entries[0].method, ZipWriter.DEFLATED);
+  assert.ok(entries[0].compressedSize < entries[0].size);
+  assert.equal(entries[1].method, ZipWriter.STORED);
+});
+
+test('without CompressionStream every file is stored', async () => {
+  const original = globalThis.CompressionStream;
+  delete globalThis.CompressionStream;
+  try {
+    const entries = readZip(await ZipWriter.build([{ name: 'a.txt', data: 'aaaa'.repeat(100) }]));
+    assert.equal(entries[0].method, ZipWriter.STORED);
+    assert.equal(new TextDecoder().decode(entries[0].data), 'aaaa'.repeat(100));
+  } finally {
+    globalThis.CompressionStream = original;
+  }
+});
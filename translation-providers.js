@@ -0,0 +1,743 @@
+// Translation providers
+// Every backend implements the same interface, so each translation feature can
+// use any provider that supports it. Methods get an options object
+// { sourceLang ('auto' if unknown), targetLang, apiKey, settings }:
+//   translate(text, options)       -> { translatedText, sourceLanguage }
+//   translateBatch(texts, options) -> [{ translatedText, sourceLanguage }]  (optional)
+//   detectLanguage(text, options)  -> { language, confidence, isReliable }  (optional)
+//   alternatives(text, options)    -> ['other translation', ...]          (optional)
+//   testConnection(options)        -> { detail, models?, ready? }          (optional)
+// Providers name their API key in `secret` (keyOptional if the server may run without one),
+// may limit the language pairs they take with handles(sourceLang, targetLang), and are
+// marked `offline` if they need no network (then they stand in when keys or APIs fail).
+// Online providers may set `limits` ({ concurrency, requestsPerSecond }) for request-scheduler.js,
+// and `batchLimits` ({ maxItems, maxChars }) for one translateBatch request.
+// Caching, API keys and error messages are shared in TranslatorAPI (translator.js).
+
+const TranslationProviders = {
+  // Feature -> label
+  FEATURES: {
+    translate: 'Word translation',
+    batch: 'Batch translation (imports)',
+    detect: 'Language detection',
+    alternatives: 'Alternative translations'
+  },
+
+  // Provider used for a feature until settings.translationProviders picks another
+  DEFAULTS: {
+    translate: 'google',
+    batch: 'google',
+    detect: 'google',
+    alternatives: 'cedict'
+  },
+
+  // Feature -> provider method it needs (batch falls back to translate)
+  REQUIRED_METHODS: {
+    translate: 'translate',
+    batch: 'translate',
+    detect: 'detectLanguage',
+    alternatives: 'alternatives'
+  },
+
+  // Alternatives asked for at most
+  MAX_ALTERNATIVES: 5,
+
+  // Texts and characters per translateBatch request for providers without batchLimits
+  BATCH_LIMITS: {
+    maxItems: 50,
+    maxChars: 5000
+  },
+
+  // Requests give up after this long (self-hosted servers may not answer at all)
+  REQUEST_TIMEOUT_MS: 30000,
+
+  _providers: {},
+
+  register(provider) {
+    if (!provider || !provider.id || !provider.name || typeof provider.translate !== 'function') {
+      throw new Error('A translation provider needs an id, a name and a translate method');
+    }
+    this._providers[provider.id] = provider;
+    return provider;
+  },
+
+  get(id) {
+    return this._providers[id] || null;
+  },
+
+  // Registered providers, optionally only those supporting a feature
+  list(feature = null) {
+    return Object.values(this._providers).filter(provider => !feature || this.supports(provider, feature));
+  },
+
+  supports(provider, feature) {
+    const method = this.REQUIRED_METHODS[feature];
+    return Boolean(provider && method && typeof provider[method] === 'function');
+  },
+
+  // Whether a provider can translate this language pair (providers without
+  // handles() take any pair)
+  handles(provider, sourceLang, targetLang) {
+    return !sourceLang || !targetLang || typeof provider.handles !== 'function' ||
+      provider.handles(sourceLang, targetLang);
+  },
+
+  // Provider chosen for a feature, or the default if the choice can't do it
+  // (or can't do the language pair, when given)
+  forFeature(feature, settings = {}, sourceLang = null, targetLang = null) {
+    if (!this.FEATURES[feature]) {
+      throw new Error(`Unknown translation feature: ${feature}`);
+    }
+    const usable = provider => this.supports(provider, feature) && this.handles(provider, sourceLang, targetLang);
+
+    const chosen = this.get((settings.translationProviders || {})[feature]);
+    if (usable(chosen)) return chosen;
+
+    const fallback = this.get(this.DEFAULTS[feature]);
+    if (usable(fallback)) return fallback;
+    return this.list(feature).find(usable) || null;
+  },
+
+  // Texts per request and characters per request a provider takes in translateBatch
+  // (providers without it translate one text per request)
+  batchLimits(provider) {
+    if (typeof provider.translateBatch !== 'function') {
+      return { maxItems: 1, maxChars: Infinity };
+    }
+    return { ...this.BATCH_LIMITS, ...(provider.batchLimits || {}) };
+  },
+
+  // Texts split into requests within the limits, in order. A text longer than
+  // maxChars goes in a request of its own.
+  chunk(texts, { maxItems, maxChars }) {
+    const chunks = [];
+    let current = [];
+    let chars = 0;
+    texts.forEach(text => {
+      if (current.length > 0 && (current.length >= maxItems || chars + text.length > maxChars)) {
+        chunks.push(current);
+        current = [];
+        chars = 0;
+      }
+      current.push(text);
+      chars += text.length;
+    });
+    if (current.length > 0) chunks.push(current);
+    return chunks;
+  },
+
+  // Offline provider that can stand in for a feature on a language pair, if any
+  offlineFor(feature, sourceLang, targetLang) {
+    return this.list(feature).find(provider =>
+      provider.offline && this.handles(provider, sourceLang, targetLang)
+    ) || null;
+  },
+
+  // fetch() that returns the JSON body and throws the API's own error message.
+  // Errors carry the HTTP status and Retry-After header for request-scheduler.js.
+  async fetchJson(url, init = {}, timeoutMs = this.REQUEST_TIMEOUT_MS) {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), timeoutMs);
+
+    let response;
+    try {
+      response = await fetch(url, { ...init, signal: controller.signal });
+    } catch (error) {
+      const networkError = new Error(controller.signal.aborted
+        ? `No answer from ${new URL(url).origin} within ${Math.round(timeoutMs / 1000)} s`
+        : `Could not reach ${new URL(url).origin}`);
+      networkError.kind = 'network';
+      throw networkError;
+    } finally {
+      clearTimeout(timeout);
+    }
+
+    let data = null;
+    try {
+      data = await response.json();
+    } catch (error) {
+      data = null;
+    }
+
+    if (!response.ok) {
+      const message = data && (data.error?.message || data.message ||
+        (typeof data.error === 'string' ? data.error : null));
+      throw RequestScheduler.httpError(response, message || `HTTP ${response.status}`);
+    }
+    return data;
+  },
+
+  // First JSON value in an LLM reply (models like to wrap it in prose or code fences)
+  parseJson(text) {
+    const match = String(text).match(/[[{][\s\S]*[\]}]/);
+    if (!match) {
+      throw new Error('No JSON in the reply');
+    }
+    return JSON.parse(match[0]);
+  },
+
+  // Server URL from settings without a trailing slash; fails if it isn't set
+  baseUrl(url, label) {
+    const trimmed = String(url || '').trim().replace(/\/+$/, '');
+    if (!/^https?:\/\//.test(trimmed)) {
+      throw new Error(`Set the ${label} URL in the extension settings`);
+    }
+    return trimmed;
+  },
+
+  // ============================================
+  // LLM providers (Anthropic, OpenAI, Gemini, local servers)
+  // ============================================
+
+  _languageOf(code) {
+    return code && code !== 'auto' ? `language code "${code}"` : 'the detected language';
+  },
+
+  // complete() of an LLM module with complete(prompt, apiKey) (claude-api.js etc.)
+  _moduleCompletion(module, name) {
+    return (prompt, options) => {
+      const api = globalThis[module];
+      if (!api) {
+        throw new Error(`${name} is only available in the background worker`);
+      }
+      return api.complete(prompt, options.apiKey);
+    };
+  },
+
+  // Translation methods built on complete(prompt, options) -> reply text
+  _llmProvider({ complete, ...provider }) {
+    return {
+      ...provider,
+
+      async translate(text, options) {
+        const reply = await complete(
+          `Translate the following text from ${TranslationProviders._languageOf(options.sourceLang)} ` +
+          `to ${TranslationProviders._languageOf(options.targetLang)}. ` +
+          `Reply with the translation only.\n\n${text}`,
+          options
+        );
+        return { translatedText: reply, sourceLanguage: options.sourceLang };
+      },
+
+      async translateBatch(texts, options) {
+        const reply = await complete(
+          `Translate each string of this JSON array from ${TranslationProviders._languageOf(options.sourceLang)} ` +
+          `to ${TranslationProviders._languageOf(options.targetLang)}. ` +
+          `Reply with a JSON array of the translations in the same order and nothing else.\n\n${JSON.stringify(texts)}`,
+          options
+        );
+        const translations = TranslationProviders.parseJson(reply);
+        if (!Array.isArray(translations) || translations.length !== texts.length) {
+          throw new Error(`Expected ${texts.length} translations`);
+        }
+        return translations.map(translation => ({
+          translatedText: String(translation),
+          sourceLanguage: options.sourceLang
+        }));
+      },
+
+      async detectLanguage(text, options) {
+        const reply = await complete(
+          `Which language is the following text in? Reply with its ISO 639-1 code only.\n\n${text}`,
+          options
+        );
+        return { language: reply.toLowerCase().replace(/[^a-z-]/g, ''), confidence: null, isReliable: false };
+      },
+
+      async alternatives(text, options) {
+        const reply = await complete(
+          `Give up to ${TranslationProviders.MAX_ALTERNATIVES} different translations of "${text}" from ` +
+          `${TranslationProviders._languageOf(options.sourceLang)} to ${TranslationProviders._languageOf(options.targetLang)}, ` +
+          `most common first. Reply with a JSON array of strings and nothing else.`,
+          options
+        );
+        const alternatives = TranslationProviders.parseJson(reply);
+        return Array.isArray(alternatives) ? alternatives.map(String) : [];
+      }
+    };
+  }
+};
+
+// ============================================
+// Google Cloud Translation (v2)
+// ============================================
+
+TranslationProviders.register({
+  id: 'google',
+  name: 'Google Translate',
+  secret: 'google',
+  API_URL: 'https://translation.googleapis.com/language/translate/v2',
+
+  // 128 segments per request; Google recommends at most 5,000 characters
+  batchLimits: { maxItems: 128, maxChars: 5000 },
+
+  async translate(text, options) {
+    const [result] = await this.translateBatch([text], options);
+    return result;
+  },
+
+  async translateBatch(texts, { targetLang, sourceLang, apiKey }) {
+    const data = await TranslationProviders.fetchJson(`${this.API_URL}?key=${apiKey}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        q: texts,
+        target: targetLang,
+        source: sourceLang === 'auto' ? undefined : sourceLang,
+        format: 'text'
+      })
+    });
+
+    const translations = data && data.data && data.data.translations;
+    if (!translations || translations.length === 0) {
+      throw new Error('No translation returned from API');
+    }
+    if (typeof ApiUsage !== 'undefined') ApiUsage.recordGoogle(texts);
+
+    return translations.map(translation => ({
+      translatedText: translation.translatedText,
+      sourceLanguage: translation.detectedSourceLanguage || sourceLang
+    }));
+  },
+
+  async detectLanguage(text, { apiKey }) {
+    const data = await TranslationProviders.fetchJson(`${this.API_URL}/detect?key=${apiKey}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ q: text })
+    });
+
+    const detection = data && data.data && data.data.detections && data.data.detections[0] && data.data.detections[0][0];
+    if (!detection) {
+      throw new Error('No language detection result');
+    }
+    return { language: detection.language, confidence: detection.confidence, isReliable: detection.isReliable };
+  }
+});
+
+// ============================================
+// DeepL (free keys end in ':fx' and use their own host)
+// ============================================
+
+TranslationProviders.register({
+  id: 'deepl',
+  name: 'DeepL',
+  secret: 'deepl',
+
+  // 50 texts per request, request bodies up to 128 KiB
+  batchLimits: { maxItems: 50, maxChars: 30000 },
+
+  // DeepL Pro: $25 per million characters (free keys cost nothing)
+  COST_PER_CHAR: 25 / 1000000,
+
+  _url(apiKey) {
+    return apiKey.endsWith(':fx')
+      ? 'https://api-free.deepl.com/v2/translate'
+      : 'https://api.deepl.com/v2/translate';
+  },
+
+  // DeepL wants upper-case codes and a regional variant for some targets
+  _targetCode(code) {
+    const targets = { 'zh-CN': 'ZH-HANS', 'zh-TW': 'ZH-HANT', zh: 'ZH-HANS', en: 'EN-US', pt: 'PT-PT' };
+    return targets[code] || code.toUpperCase();
+  },
+
+  async translate(text, options) {
+    const [result] = await this.translateBatch([text], options);
+    return result;
+  },
+
+  async translateBatch(texts, { targetLang, sourceLang, apiKey }) {
+    const data = await TranslationProviders.fetchJson(this._url(apiKey), {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `DeepL-Auth-Key ${apiKey}`
+      },
+      body: JSON.stringify({
+        text: texts,
+        target_lang: this._targetCode(targetLang),
+        source_lang: sourceLang === 'auto' ? undefined : sourceLang.split('-')[0].toUpperCase()
+      })
+    });
+
+    if (!data || !Array.isArray(data.translations) || data.translations.length === 0) {
+      throw new Error('No translation returned from API');
+    }
+    if (typeof ApiUsage !== 'undefined') {
+      ApiUsage.recordCharacters('deepl', texts, apiKey.endsWith(':fx') ? 0 : this.COST_PER_CHAR);
+    }
+
+    return data.translations.map(translation => ({
+      translatedText: translation.text,
+      sourceLanguage: translation.detected_source_language
+        ? translation.detected_source_language.toLowerCase()
+        : sourceLang
+    }));
+  }
+});
+
+// ============================================
+// Azure AI Translator (needs the resource's region in settings.azureRegion)
+// ============================================
+
+TranslationProviders.register({
+  id: 'azure',
+  name: 'Azure Translator',
+  secret: 'azure',
+  API_URL: 'https://api.cognitive.microsofttranslator.com',
+
+  // 1,000 texts and 50,000 characters per request
+  batchLimits: { maxItems: 1000, maxChars: 50000 },
+
+  // Standard tier: $10 per million characters
+  COST_PER_CHAR: 10 / 1000000,
+
+  // Azure names Chinese scripts instead of regions
+  _code(code) {
+    const codes = { 'zh-CN': 'zh-Hans', 'zh-TW': 'zh-Hant', zh: 'zh-Hans' };
+    return codes[code] || code;
+  },
+
+  async _request(path, params, body, { apiKey, settings }) {
+    const query = new URLSearchParams({ 'api-version': '3.0', ...params });
+    const headers = {
+      'Content-Type': 'application/json',
+      'Ocp-Apim-Subscription-Key': apiKey
+    };
+    if (settings && settings.azureRegion) {
+      headers['Ocp-Apim-Subscription-Region'] = settings.azureRegion;
+    }
+
+    return TranslationProviders.fetchJson(`${this.API_URL}${path}?${query}`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(body)
+    });
+  },
+
+  async translate(text, options) {
+    const [result] = await this.translateBatch([text], options);
+    return result;
+  },
+
+  async translateBatch(texts, options) {
+    const params = { to: this._code(options.targetLang) };
+    if (options.sourceLang !== 'auto') params.from = this._code(options.sourceLang);
+
+    const data = await this._request('/translate', params, texts.map(text => ({ Text: text })), options);
+    if (!Array.isArray(data) || data.length === 0) {
+      throw new Error('No translation returned from API');
+    }
+    if (typeof ApiUsage !== 'undefined') ApiUsage.recordCharacters('azure', texts, this.COST_PER_CHAR);
+
+    return data.map(item => ({
+      translatedText: item.translations[0].text,
+      sourceLanguage: item.detectedLanguage ? item.detectedLanguage.language : options.sourceLang
+    }));
+  },
+
+  async detectLanguage(text, options) {
+    const data = await this._request('/detect', {}, [{ Text: text }], options);
+    if (!Array.isArray(data) || !data[0]) {
+      throw new Error('No language detection result');
+    }
+    return { language: data[0].language, confidence: data[0].score, isReliable: data[0].score >= 0.8 };
+  },
+
+  // Dictionary lookup: other translations of a single word (needs a known source)
+  async alternatives(text, options) {
+    if (options.sourceLang === 'auto') {
+      throw new Error('Alternatives need a source language');
+    }
+
+    const data = await this._request('/dictionary/lookup', {
+      from: this._code(options.sourceLang),
+      to: this._code(options.targetLang)
+    }, [{ Text: text }], options);
+    if (typeof ApiUsage !== 'undefined') ApiUsage.recordCharacters('azure', [text], this.COST_PER_CHAR);
+
+    return ((data && data[0] && data[0].translations) || [])
+      .sort((a, b) => b.confidence - a.confidence)
+      .slice(0, TranslationProviders.MAX_ALTERNATIVES)
+      .map(translation => translation.displayTarget);
+  }
+});
+
+[
+  { id: 'anthropic', name: 'Anthropic (Claude)', module: 'ClaudeAPI' },
+  { id: 'openai', name: 'OpenAI', module: 'OpenAIAPI' },
+  { id: 'gemini', name: 'Gemini', module: 'GeminiAPI' }
+].forEach(({ id, name, module }) => TranslationProviders.register(TranslationProviders._llmProvider({
+  id,
+  name,
+  secret: id,
+  limits: { concurrency: 2, requestsPerSecond: 2 },
+  // Long JSON replies get cut off or lose items
+  batchLimits: { maxItems: 50, maxChars: 3000 },
+  complete: TranslationProviders._moduleCompletion(module, name)
+})));
+
+// ============================================
+// Self-hosted LibreTranslate (settings.libreTranslate: { url })
+// ============================================
+
+TranslationProviders.register({
+  id: 'libreTranslate',
+  name: 'LibreTranslate (self-hosted)',
+  secret: 'libreTranslate',
+  keyOptional: true,
+  limits: { concurrency: 2, requestsPerSecond: 0 },
+
+  DEFAULT_CONFIG: {
+    url: ''
+  },
+
+  getConfig(settings) {
+    return { ...this.DEFAULT_CONFIG, ...((settings && settings.libreTranslate) || {}) };
+  },
+
+  // LibreTranslate has one code per Chinese script
+  _code(code) {
+    const codes = { 'zh-CN': 'zh', 'zh-TW': 'zt' };
+    return codes[code] || code.split('-')[0];
+  },
+
+  async _request(path, body, { apiKey, settings }) {
+    const url = TranslationProviders.baseUrl(this.getConfig(settings).url, 'LibreTranslate');
+    return TranslationProviders.fetchJson(`${url}${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ...body, ...(apiKey ? { api_key: apiKey } : {}) })
+    });
+  },
+
+  _body(q, { sourceLang, targetLang }) {
+    return {
+      q,
+      source: sourceLang === 'auto' ? 'auto' : this._code(sourceLang),
+      target: this._code(targetLang),
+      format: 'text'
+    };
+  },
+
+  async translate(text, options) {
+    const [result] = await this.translateBatch([text], options);
+    return result;
+  },
+
+  async translateBatch(texts, options) {
+    const data = await this._request('/translate', this._body(texts, options), options);
+    const translations = data && [].concat(data.translatedText);
+    if (!translations || translations.length !== texts.length) {
+      throw new Error('No translation returned from server');
+    }
+    if (typeof ApiUsage !== 'undefined') ApiUsage.recordCharacters('libreTranslate', texts);
+
+    const detected = [].concat(data.detectedLanguage || []);
+    return translations.map((translatedText, index) => ({
+      translatedText,
+      sourceLanguage: detected[index] ? detected[index].language : options.sourceLang
+    }));
+  },
+
+  async detectLanguage(text, options) {
+    const data = await this._request('/detect', { q: text }, options);
+    if (!Array.isArray(data) || !data[0]) {
+      throw new Error('No language detection result');
+    }
+    // Confidence is a percentage
+    return { language: data[0].language, confidence: data[0].confidence / 100, isReliable: data[0].confidence >= 80 };
+  },
+
+  async alternatives(text, options) {
+    const data = await this._request('/translate', {
+      ...this._body(text, options),
+      alternatives: TranslationProviders.MAX_ALTERNATIVES
+    }, options);
+    if (typeof ApiUsage !== 'undefined') ApiUsage.recordCharacters('libreTranslate', [text]);
+    return [data.translatedText, ...(data.alternatives || [])].filter(Boolean);
+  },
+
+  async testConnection(options) {
+    const url = TranslationProviders.baseUrl(this.getConfig(options.settings).url, 'LibreTranslate');
+    const languages = await TranslationProviders.fetchJson(`${url}/languages`);
+    if (!Array.isArray(languages)) {
+      throw new Error(`${url} does not look like a LibreTranslate server`);
+    }
+
+    const codes = languages.map(language => language.code);
+    const missing = [options.sourceLang, options.targetLang]
+      .filter(code => code && code !== 'auto' && !codes.includes(this._code(code)));
+    return {
+      detail: missing.length > 0
+        ? `${languages.length} languages, but not ${missing.join(', ')}`
+        : `${languages.length} languages`
+    };
+  }
+});
+
+// ============================================
+// Local OpenAI-compatible server, e.g. Ollama or llama.cpp (settings.localLlm: { url, model })
+// ============================================
+
+TranslationProviders.register(TranslationProviders._llmProvider({
+  id: 'localLlm',
+  name: 'Local LLM (OpenAI-compatible)',
+  secret: 'localLlm',
+  keyOptional: true,
+
+  // A local server answers one prompt at a time anyway, and small models lose
+  // track of long arrays
+  limits: { concurrency: 1, requestsPerSecond: 0 },
+  batchLimits: { maxItems: 20, maxChars: 1500 },
+
+  DEFAULT_CONFIG: {
+    url: 'http://localhost:11434/v1',
+    model: ''
+  },
+
+  // Local models on a CPU can take a while
+  REQUEST_TIMEOUT_MS: 120000,
+
+  getConfig(settings) {
+    return { ...this.DEFAULT_CONFIG, ...((settings && settings.localLlm) || {}) };
+  },
+
+  _headers(apiKey) {
+    return {
+      'Content-Type': 'application/json',
+      ...(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {})
+    };
+  },
+
+  async complete(prompt, { apiKey, settings }) {
+    const provider = TranslationProviders.get('localLlm');
+    const config = provider.getConfig(settings);
+    if (!config.model) {
+      throw new Error('Set the model of the local LLM server in the extension settings');
+    }
+
+    const data = await TranslationProviders.fetchJson(
+      `${TranslationProviders.baseUrl(config.url, 'local LLM server')}/chat/completions`,
+      {
+        method: 'POST',
+        headers: provider._headers(apiKey),
+        body: JSON.stringify({
+          model: config.model,
+          temperature: 0.2,
+          stream: false,
+          messages: [{ role: 'user', content: prompt }]
+        })
+      },
+      provider.REQUEST_TIMEOUT_MS
+    );
+
+    const reply = data && data.choices && data.choices[0] && data.choices[0].message;
+    if (!reply || typeof reply.content !== 'string') {
+      throw new Error('The server sent no completion');
+    }
+    if (typeof ApiUsage !== 'undefined' && data.usage) {
+      ApiUsage.recordTokens('localLlm', data.usage.prompt_tokens, data.usage.completion_tokens);
+    }
+    return reply.content.trim();
+  },
+
+  // Lists the server's models; the configured one must be among them
+  async testConnection({ apiKey, settings }) {
+    const config = this.getConfig(settings);
+    const url = TranslationProviders.baseUrl(config.url, 'local LLM server');
+    const data = await TranslationProviders.fetchJson(`${url}/models`, { headers: this._headers(apiKey) });
+    const models = ((data && data.data) || []).map(model => model.id);
+
+    if (!config.model) {
+      return { detail: `Connected, ${models.length} models - pick one`, models, ready: false };
+    }
+    if (models.length > 0 && !models.includes(config.model)) {
+      throw new Error(`Model "${config.model}" not found (available: ${models.join(', ')})`);
+    }
+    return { detail: `model ${config.model}`, models };
+  }
+}));
+
+// ============================================
+// Offline CC-CEDICT dictionary (Chinese <-> English, no key, see cedict.js)
+// ============================================
+
+TranslationProviders.register({
+  id: 'cedict',
+  name: 'CC-CEDICT (offline)',
+  offline: true,
+
+  _isChinese(code) {
+    return /^zh/i.test(code || '');
+  },
+
+  _isEnglish(code) {
+    return /^en/i.test(code || '');
+  },
+
+  // Only Chinese <-> English ('auto' source counts as the other language)
+  handles(sourceLang, targetLang) {
+    if (this._isChinese(targetLang)) return sourceLang === 'auto' || this._isEnglish(sourceLang);
+    if (this._isEnglish(targetLang)) return sourceLang === 'auto' || this._isChinese(sourceLang);
+    return false;
+  },
+
+  // Dictionary entries for a text in the direction of the language pair
+  async _entries(text, { sourceLang, targetLang }) {
+    if (!this.handles(sourceLang, targetLang)) {
+      throw new Error('Only translates between Chinese and English');
+    }
+    return this._isChinese(targetLang) ? Cedict.lookupEnglish(text) : Cedict.lookup(text);
+  },
+
+  // Headword in the script of the target ('zh-TW' reads traditional)
+  _headword(entry, targetLang) {
+    return /^zh-(TW|HK|Hant)/i.test(targetLang) && entry.traditional ? entry.traditional : entry.simplified;
+  },
+
+  async translate(text, options) {
+    const entries = await this._entries(text, options);
+    if (entries.length === 0) {
+      throw new Error(`"${text}" is not in the dictionary`);
+    }
+
+    const toChinese = this._isChinese(options.targetLang);
+    return {
+      translatedText: toChinese ? this._headword(entries[0], options.targetLang) : entries[0].senses[0],
+      sourceLanguage: toChinese ? 'en' : 'zh-CN',
+      entries
+    };
+  },
+
+  // Words missing from the dictionary come back with an empty translation
+  async translateBatch(texts, options) {
+    const results = [];
+    for (const text of texts) {
+      results.push(await this.translate(text, options).catch(() => ({ translatedText: '', sourceLanguage: options.sourceLang })));
+    }
+    return results;
+  },
+
+  // Every sense (Chinese -> English) or headword (English -> Chinese)
+  async alternatives(text, options) {
+    const entries = await this._entries(text, options);
+    const alternatives = this._isChinese(options.targetLang)
+      ? entries.map(entry => this._headword(entry, options.targetLang))
+      : entries.flatMap(entry => entry.senses);
+    return [...new Set(alternatives)];
+  },
+
+  async testConnection() {
+    const meta = await Cedict.ensureLoaded();
+    return {
+      detail: `${meta.entries} headwords from CC-CEDICT${meta.date ? ` (${meta.date.slice(0, 10)})` : ''}`
+    };
+  }
+});
+
+// Make available globally
+if (typeof window !== 'undefined') {
+  window.TranslationProviders = TranslationProviders;
+}
@@ -1,5 +1,6 @@
-// Translation module for Google Translate API
-// Handles API calls, caching, and rate limiting
+// Translation module
+// Runs translation features on the provider chosen for each (see translation-providers.js)
+// and handles API keys, caching and error messages for all of them
 
 const TranslatorAPI = {
   // Cache for translations (reduces API calls)
@@ -8,137 +9,328 @@ const TranslatorAPI = {
   maxCacheSize: 5000, // Maximum number of cached translations
   isInitialized: false,
 
-  // Rate limiting
-  requestQueue: [],
-  isProcessingQueue: false,
-  maxRequestsPerSecond: 2,
-  lastRequestTime: 0,
+  // Provider for a feature (see translation-providers.js) and the settings it came from.
+  // Unless another provider was picked, language pairs an offline provider covers
+  // use it when the default provider has no API key.
+  async _provider(feature, sourceLang = null, targetLang = null) {
+    const settings = await StorageManager.getSettings();
+    let provider = TranslationProviders.forFeature(feature, settings, sourceLang, targetLang);
+
+    const picked = (settings.translationProviders || {})[feature];
+    const offline = sourceLang && targetLang ? TranslationProviders.offlineFor(feature, sourceLang, targetLang) : null;
+    if (!picked && offline && offline !== provider && (!provider || !(await this._hasKey(provider)))) {
+      provider = offline;
+    }
 
-  // Translate a single word or phrase using Google Translate API
-  async translate(text, targetLang, sourceLang = 'auto', apiKey) {
-    if (!text || !targetLang) {
-      throw new Error('Text and target language are required');
+    if (!provider) {
+      throw new Error(`No translation provider supports ${TranslationProviders.FEATURES[feature].toLowerCase()}`);
     }
+    return { provider, settings };
+  },
 
-    if (!apiKey) {
-      throw new Error('Google Translate API key is required. Please add it in the extension settings.');
+  async _hasKey(provider) {
+    return !provider.secret || Boolean(provider.keyOptional) || Boolean(await Secrets.get(provider.secret));
+  },
+
+  // run(provider) on the feature's provider. If an online provider fails (or has no
+  // key), an offline provider covering the language pair stands in; its result
+  // carries the original error as fallbackError.
+  async _withFallback(feature, provider, sourceLang, targetLang, run) {
+    try {
+      return { provider, value: await run(provider) };
+    } catch (error) {
+      const offline = provider.offline ? null : TranslationProviders.offlineFor(feature, sourceLang, targetLang);
+      if (!offline) throw error;
+
+      let value;
+      try {
+        value = await run(offline);
+      } catch (offlineError) {
+        throw error;
+      }
+      console.warn(`${provider.name} failed, used ${offline.name} instead:`, error.message);
+      return { provider: offline, value, fallbackError: error.message };
     }
+  },
 
-    // Check cache first
-    const cacheKey = `${text}:${sourceLang}:${targetLang}`;
-    const cached = await this.getCachedTranslation(cacheKey);
-    if (cached) {
-      return cached;
+  // Options passed to provider methods; fails if the provider's API key is missing
+  async _options(provider, feature, settings, sourceLang, targetLang) {
+    const apiKey = provider.secret ? await Secrets.get(provider.secret) : '';
+    if (provider.secret && !apiKey && !provider.keyOptional) {
+      const error = new Error(
+        `No ${Secrets.KEYS[provider.secret]} API key for ${TranslationProviders.FEATURES[feature].toLowerCase()}`
+      );
+      error.kind = 'auth';
+      throw error;
     }
+    return { sourceLang, targetLang, apiKey, settings };
+  },
 
-    try {
-      // Google Cloud Translation API v2
-      const url = `https://translation.googleapis.com/language/translate/v2?key=${apiKey}`;
-
-      const response = await fetch(url, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          q: text,
-          target: targetLang,
-          source: sourceLang === 'auto' ? undefined : sourceLang,
-          format: 'text'
-        })
-      });
+  // Call a provider method through RequestScheduler (offline providers directly),
+  // prefixing its errors with the provider's name. Errors keep the scheduler's kind.
+  async _call(provider, method, ...args) {
+    const request = async () => {
+      const started = Date.now();
+      const result = await provider[method](...args);
+      if (method !== 'testConnection') this._recordLatency(provider.id, Date.now() - started);
+      return result;
+    };
 
-      if (!response.ok) {
-        const error = await response.json();
-        throw new Error(error.error?.message || `API error: ${response.status}`);
+    try {
+      if (provider.offline) {
+        return await request();
       }
+      return await RequestScheduler.run(provider, this._requestKey(method, args), request);
+    } catch (error) {
+      console.error(`${provider.name} ${method} error:`, error);
+      const wrapped = new Error(`${provider.name}: ${error.message}`);
+      wrapped.kind = RequestScheduler.classify(error).kind;
+      throw wrapped;
+    }
+  },
 
-      const data = await response.json();
+  // Key under which identical in-flight calls are shared (none for connection tests,
+  // which may try unsaved settings)
+  _requestKey(method, [input, options]) {
+    if (method === 'testConnection') return null;
+    return JSON.stringify([method, input, options.sourceLang, options.targetLang]);
+  },
 
-      if (!data.data || !data.data.translations || data.data.translations.length === 0) {
-        throw new Error('No translation returned from API');
-      }
+  // Response times of successful translation calls since the worker started
+  // ({ providerId: { calls, lastMs, averageMs } })
+  latency: {},
 
-      const translation = data.data.translations[0].translatedText;
-      const detectedSourceLang = data.data.translations[0].detectedSourceLanguage || sourceLang;
+  _recordLatency(providerId, ms) {
+    const entry = this.latency[providerId] || { calls: 0, lastMs: 0, averageMs: 0 };
+    entry.averageMs = Math.round((entry.averageMs * entry.calls + ms) / (entry.calls + 1));
+    entry.calls += 1;
+    entry.lastMs = ms;
+    this.latency[providerId] = entry;
+  },
 
-      // Cache the result
-      await this.cacheTranslation(cacheKey, translation);
+  // Check a provider's server with a sample translation, timing the round trip.
+  // overrides: unsaved settings to try (e.g. { localLlm: { url, model } }) and
+  // apiKey, a key typed but not saved yet.
+  async testProvider(providerId, { settings: overrides = {}, apiKey = '' } = {}) {
+    const provider = TranslationProviders.get(providerId);
+    if (!provider) {
+      throw new Error(`Unknown translation provider: ${providerId}`);
+    }
 
+    const settings = { ...(await StorageManager.getSettings()), ...overrides };
+    const sourceLang = settings.sourceLanguage || 'en';
+    const targetLang = settings.targetLanguage || 'zh-CN';
+    const options = apiKey
+      ? { sourceLang, targetLang, apiKey, settings }
+      : await this._options(provider, 'translate', settings, sourceLang, targetLang);
+
+    // Timings of real translations so far, before the test adds its own
+    const recent = this.latency[provider.id] ? { ...this.latency[provider.id] } : null;
+    const info = typeof provider.testConnection === 'function'
+      ? await this._call(provider, 'testConnection', options)
+      : {};
+    if (info.ready === false) {
+      return { ...info, recent };
+    }
+
+    const started = Date.now();
+    const sample = await this._call(provider, 'translate', 'hello', options);
+    return {
+      ...info,
+      latencyMs: Date.now() - started,
+      sample: sample.translatedText,
+      recent
+    };
+  },
+
+  _cacheKey(providerId, text, sourceLang, targetLang) {
+    return `${providerId}:${text}:${sourceLang}:${targetLang}`;
+  },
+
+  // Translate a single word or phrase with the provider chosen for 'translate'.
+  // Dictionary providers also return their entries (all senses, both scripts, pinyin).
+  async translate(text, targetLang, sourceLang = 'auto') {
+    if (!text || !targetLang) {
+      throw new Error('Text and target language are required');
+    }
+
+    const { provider, settings } = await this._provider('translate', sourceLang, targetLang);
+
+    // Check cache first (offline lookups are fast enough without it)
+    const cacheKey = this._cacheKey(provider.id, text, sourceLang, targetLang);
+    const cached = provider.offline ? null : await this.getCachedTranslation(cacheKey);
+    if (cached) {
       return {
-        translatedText: translation,
-        sourceLanguage: detectedSourceLang,
+        translatedText: cached.translation,
+        sourceLanguage: cached.sourceLanguage || sourceLang,
         targetLanguage: targetLang,
-        originalText: text
+        originalText: text,
+        provider: provider.id
       };
+    }
 
-    } catch (error) {
-      console.error('Translation error:', error);
-      throw error;
+    const { provider: used, value: result, fallbackError } = await this._withFallback(
+      'translate', provider, sourceLang, targetLang,
+      async candidate => {
+        const options = await this._options(candidate, 'translate', settings, sourceLang, targetLang);
+        const translation = await this._call(candidate, 'translate', text, options);
+        if (!translation || !translation.translatedText) {
+          throw new Error(`${candidate.name}: no translation returned`);
+        }
+        return translation;
+      }
+    );
+
+    const detectedSourceLang = result.sourceLanguage || sourceLang;
+    if (!used.offline) {
+      await this.cacheTranslation(cacheKey, { translation: result.translatedText, sourceLanguage: detectedSourceLang });
     }
+
+    return {
+      translatedText: result.translatedText,
+      sourceLanguage: detectedSourceLang,
+      targetLanguage: targetLang,
+      originalText: text,
+      provider: used.id,
+      ...(result.entries ? { entries: result.entries } : {}),
+      ...(fallbackError ? { fallbackError } : {})
+    };
   },
 
-  // Translate multiple words/phrases in batch
-  async translateBatch(texts, targetLang, sourceLang = 'auto', apiKey) {
+  // Translate multiple words/phrases with the provider chosen for 'batch'. Cached texts
+  // are answered locally; the rest go out in chunks within the provider's batch limits,
+  // run in parallel under RequestScheduler. Results come in input order; a text that
+  // failed has an empty translatedText, its error and errorKind. Throws if every text failed.
+  async translateBatch(texts, targetLang, sourceLang = 'auto') {
     if (!Array.isArray(texts) || texts.length === 0) {
       return [];
     }
 
-    if (!apiKey) {
-      throw new Error('Google Translate API key is required');
+    const { provider, settings } = await this._provider('batch', sourceLang, targetLang);
+    const unique = [...new Set(texts)];
+
+    // Check cache first (offline lookups are fast enough without it)
+    const cached = provider.offline ? [] : await Promise.all(unique.map(text =>
+      this.getCachedTranslation(this._cacheKey(provider.id, text, sourceLang, targetLang))
+    ));
+    const results = new Map();
+    const pending = [];
+    unique.forEach((text, index) => {
+      if (cached[index]) {
+        results.set(text, {
+          translatedText: cached[index].translation,
+          sourceLanguage: cached[index].sourceLanguage || sourceLang
+        });
+      } else {
+        pending.push(text);
+      }
+    });
+
+    const chunks = TranslationProviders.chunk(pending, TranslationProviders.batchLimits(provider));
+    const translated = await Promise.all(chunks.map(chunk =>
+      this._translateChunk(provider, settings, chunk, sourceLang, targetLang)
+    ));
+    translated.flat().forEach(({ text, result }) => results.set(text, result));
+    if (!provider.offline && pending.length > 0) {
+      await this.pruneCache();
     }
 
+    const failed = [...results.values()].filter(result => result.error);
+    if (failed.length === results.size) {
+      const error = new Error(failed[0].error);
+      error.kind = failed[0].errorKind;
+      throw error;
+    }
+
+    return texts.map(text => ({ originalText: text, ...results.get(text) }));
+  },
+
+  // One translateBatch request -> [{ text, result }]. Errors end up in the results;
+  // if the request was rejected, its texts are retried one by one to find the culprit.
+  // The translations are cached in one write; translateBatch() prunes the cache once.
+  async _translateChunk(provider, settings, chunk, sourceLang, targetLang) {
+    let used;
+    let translations;
     try {
-      const url = `https://translation.googleapis.com/language/translate/v2?key=${apiKey}`;
-
-      const response = await fetch(url, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          q: texts,
-          target: targetLang,
-          source: sourceLang === 'auto' ? undefined : sourceLang,
-          format: 'text'
-        })
-      });
+      ({ provider: used, value: translations } = await this._withFallback(
+        'batch', provider, sourceLang, targetLang,
+        async candidate => {
+          const options = await this._options(candidate, 'batch', settings, sourceLang, targetLang);
+
+          // Providers without a batch endpoint translate one text at a time
+          if (typeof candidate.translateBatch === 'function') {
+            return this._call(candidate, 'translateBatch', chunk, options);
+          }
+          return Promise.all(chunk.map(text => this._call(candidate, 'translate', text, options)));
+        }
+      ));
+    } catch (error) {
+      if (chunk.length > 1 && error.kind === 'badRequest') {
+        const single = await Promise.all(chunk.map(text =>
+          this._translateChunk(provider, settings, [text], sourceLang, targetLang)
+        ));
+        return single.flat();
+      }
+      return chunk.map(text => ({
+        text,
+        result: { translatedText: '', sourceLanguage: sourceLang, error: error.message, errorKind: error.kind || null }
+      }));
+    }
 
-      if (!response.ok) {
-        const error = await response.json();
-        throw new Error(error.error?.message || `API error: ${response.status}`);
+    const toCache = {};
+    const results = chunk.map((text, index) => {
+      const translation = translations[index] || {};
+      const detectedSourceLang = translation.sourceLanguage || sourceLang;
+      if (!translation.translatedText) {
+        return {
+          text,
+          result: { translatedText: '', sourceLanguage: detectedSourceLang, error: `${used.name}: no translation returned`, errorKind: null }
+        };
       }
 
-      const data = await response.json();
+      toCache[this._cacheKey(used.id, text, sourceLang, targetLang)] = {
+        translation: translation.translatedText,
+        sourceLanguage: detectedSourceLang
+      };
+      return { text, result: { translatedText: translation.translatedText, sourceLanguage: detectedSourceLang } };
+    });
 
-      if (!data.data || !data.data.translations) {
-        throw new Error('No translations returned from API');
-      }
+    if (!used.offline) {
+      await this.cacheTranslations(toCache, { prune: false });
+    }
+    return results;
+  },
 
-      // Cache all results
-      const results = await Promise.all(
-        data.data.translations.map(async (translation, index) => {
-          const cacheKey = `${texts[index]}:${sourceLang}:${targetLang}`;
-          const translatedText = translation.translatedText;
-          await this.cacheTranslation(cacheKey, translatedText);
-
-          return {
-            originalText: texts[index],
-            translatedText: translatedText,
-            sourceLanguage: translation.detectedSourceLanguage || sourceLang
-          };
-        })
-      );
+  // Other translations of a word, most common first, from the provider chosen for 'alternatives'
+  async getAlternatives(text, targetLang, sourceLang = 'auto') {
+    if (!text || !targetLang) {
+      throw new Error('Text and target language are required');
+    }
 
-      return results;
+    const { provider, settings } = await this._provider('alternatives', sourceLang, targetLang);
+    const cacheKey = `alternatives:${this._cacheKey(provider.id, text, sourceLang, targetLang)}`;
+    const cached = provider.offline ? null : await this.getCachedTranslation(cacheKey);
+    if (cached && Array.isArray(cached.alternatives)) {
+      return cached.alternatives;
+    }
 
-    } catch (error) {
-      console.error('Batch translation error:', error);
-      throw error;
+    const { provider: used, value } = await this._withFallback(
+      'alternatives', provider, sourceLang, targetLang,
+      async candidate => {
+        const options = await this._options(candidate, 'alternatives', settings, sourceLang, targetLang);
+        return this._call(candidate, 'alternatives', text, options);
+      }
+    );
+    const alternatives = [...new Set(value.map(alternative => String(alternative).trim()).filter(Boolean))];
+
+    if (alternatives.length > 0 && !used.offline) {
+      await this.cacheTranslation(cacheKey, { translation: alternatives[0], alternatives });
     }
+    return alternatives;
   },
 
-  // Cache management
+  // Cache management (persistent cache lives in VocabDB's translationCache store)
+  // Cached entry ({ translation, sourceLanguage, alternatives, timestamp }) or null
   async getCachedTranslation(cacheKey) {
     // Check in-memory cache first
     const memCached = this.translationCache.get(cacheKey);
@@ -147,29 +339,25 @@ const TranslatorAPI = {
       if (Date.now() - memCached.timestamp > this.cacheTimeout) {
         this.translationCache.delete(cacheKey);
       } else {
-        return memCached.translation;
+        return memCached;
       }
     }
 
     // Check persistent storage if not in memory
     try {
-      const storageData = await chrome.storage.local.get(['translationCache']);
-      const persistentCache = storageData.translationCache || {};
-
-      if (persistentCache[cacheKey]) {
-        const cached = persistentCache[cacheKey];
+      const cached = await VocabDB.getCache(cacheKey);
 
+      if (cached) {
         // Check if cache is expired
         if (Date.now() - cached.timestamp > this.cacheTimeout) {
           // Delete expired entry
-          delete persistentCache[cacheKey];
-          await chrome.storage.local.set({ translationCache: persistentCache });
+          await VocabDB.deleteCache(cacheKey);
           return null;
         }
 
         // Load into memory cache for faster access
         this.translationCache.set(cacheKey, cached);
-        return cached.translation;
+        return cached;
       }
     } catch (error) {
       console.error('Error reading cache from storage:', error);
@@ -178,50 +366,56 @@ const TranslatorAPI = {
     return null;
   },
 
-  async cacheTranslation(cacheKey, translation) {
-    const cacheEntry = {
-      translation: translation,
-      timestamp: Date.now()
-    };
-
-    // Add to in-memory cache
-    this.translationCache.set(cacheKey, cacheEntry);
+  // values: { translation, sourceLanguage?, alternatives? }
+  async cacheTranslation(cacheKey, values) {
+    await this.cacheTranslations({ [cacheKey]: values });
+  },
 
-    // Limit in-memory cache size
-    if (this.translationCache.size > 1000) {
-      const firstKey = this.translationCache.keys().next().value;
-      this.translationCache.delete(firstKey);
-    }
+  // Cache several translations ({ cacheKey: values }) in one write. With prune: false
+  // the caller runs pruneCache() itself, once for many writes.
+  async cacheTranslations(entries, { prune = true } = {}) {
+    const timestamp = Date.now();
+    const cacheEntries = {};
+    Object.entries(entries).forEach(([cacheKey, values]) => {
+      const cacheEntry = { ...values, timestamp };
+      cacheEntries[cacheKey] = cacheEntry;
+
+      // Add to in-memory cache
+      this.translationCache.set(cacheKey, cacheEntry);
+
+      // Limit in-memory cache size
+      if (this.translationCache.size > 1000) {
+        const firstKey = this.translationCache.keys().next().value;
+        this.translationCache.delete(firstKey);
+      }
+    });
+    if (Object.keys(cacheEntries).length === 0) return;
 
     // Save to persistent storage
     try {
-      const storageData = await chrome.storage.local.get(['translationCache']);
-      const persistentCache = storageData.translationCache || {};
-
-      persistentCache[cacheKey] = cacheEntry;
-
-      // Limit persistent cache size
-      const cacheKeys = Object.keys(persistentCache);
-      if (cacheKeys.length > this.maxCacheSize) {
-        // Remove oldest entries
-        const sortedKeys = cacheKeys
-          .map(key => ({ key, timestamp: persistentCache[key].timestamp }))
-          .sort((a, b) => a.timestamp - b.timestamp);
-
-        const keysToRemove = sortedKeys.slice(0, cacheKeys.length - this.maxCacheSize);
-        keysToRemove.forEach(item => delete persistentCache[item.key]);
-      }
-
-      await chrome.storage.local.set({ translationCache: persistentCache });
+      await VocabDB.putCacheEntries(cacheEntries);
     } catch (error) {
       console.error('Error saving cache to storage:', error);
+      return;
+    }
+    if (prune) {
+      await this.pruneCache();
+    }
+  },
+
+  // Remove the oldest persistent entries beyond maxCacheSize
+  async pruneCache() {
+    try {
+      await VocabDB.pruneCache(this.maxCacheSize);
+    } catch (error) {
+      console.error('Error pruning cache in storage:', error);
     }
   },
 
   async clearCache() {
     this.translationCache.clear();
     try {
-      await chrome.storage.local.set({ translationCache: {} });
+      await VocabDB.clearCache();
     } catch (error) {
       console.error('Error clearing cache from storage:', error);
     }
@@ -232,33 +426,21 @@ const TranslatorAPI = {
     if (this.isInitialized) return;
 
     try {
-      const storageData = await chrome.storage.local.get(['translationCache']);
-      const persistentCache = storageData.translationCache || {};
-
       const now = Date.now();
-      let expiredCount = 0;
-
-      // Load valid entries into memory and remove expired ones
-      Object.entries(persistentCache).forEach(([key, entry]) => {
-        if (now - entry.timestamp <= this.cacheTimeout) {
-          // Only load recent entries into memory (last 1 hour)
-          if (now - entry.timestamp <= 60 * 60 * 1000) {
-            this.translationCache.set(key, entry);
-          }
-        } else {
-          // Mark for deletion
-          delete persistentCache[key];
-          expiredCount++;
-        }
-      });
 
-      // Clean up expired entries from storage if any were found
+      // Clean up expired entries
+      const expiredCount = await VocabDB.deleteCacheBefore(now - this.cacheTimeout);
       if (expiredCount > 0) {
-        await chrome.storage.local.set({ translationCache: persistentCache });
         console.log(`Cleaned up ${expiredCount} expired cache entries`);
       }
 
-      const totalCached = Object.keys(persistentCache).length;
+      // Only load recent entries into memory (last 1 hour)
+      const recent = await VocabDB.getCacheSince(now - 60 * 60 * 1000);
+      recent.forEach(({ key, ...entry }) => {
+        this.translationCache.set(key, entry);
+      });
+
+      const totalCached = await VocabDB.countCache();
       console.log(`Loaded translation cache: ${totalCached} total entries, ${this.translationCache.size} in memory`);
 
       this.isInitialized = true;
@@ -271,12 +453,9 @@ const TranslatorAPI = {
   // Get cache statistics
   async getCacheStats() {
     try {
-      const storageData = await chrome.storage.local.get(['translationCache']);
-      const persistentCache = storageData.translationCache || {};
-
       return {
         inMemoryCount: this.translationCache.size,
-        persistentCount: Object.keys(persistentCache).length,
+        persistentCount: await VocabDB.countCache(),
         maxSize: this.maxCacheSize
       };
     } catch (error) {
@@ -289,45 +468,15 @@ const TranslatorAPI = {
     }
   },
 
-  // Detect language of text
-  async detectLanguage(text, apiKey) {
-    if (!text || !apiKey) {
-      throw new Error('Text and API key are required');
+  // Detect language of text with the provider chosen for 'detect'
+  async detectLanguage(text) {
+    if (!text) {
+      throw new Error('Text is required');
     }
 
-    try {
-      const url = `https://translation.googleapis.com/language/translate/v2/detect?key=${apiKey}`;
-
-      const response = await fetch(url, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          q: text
-        })
-      });
-
-      if (!response.ok) {
-        throw new Error(`API error: ${response.status}`);
-      }
-
-      const data = await response.json();
-
-      if (!data.data || !data.data.detections || data.data.detections.length === 0) {
-        throw new Error('No language detection result');
-      }
-
-      return {
-        language: data.data.detections[0][0].language,
-        confidence: data.data.detections[0][0].confidence,
-        isReliable: data.data.detections[0][0].isReliable
-      };
-
-    } catch (error) {
-      console.error('Language detection error:', error);
-      throw error;
-    }
+    const { provider, settings } = await this._provider('detect');
+    const options = await this._options(provider, 'detect', settings, 'auto', null);
+    return this._call(provider, 'detectLanguage', text, options);
   },
 
   // Simple language detection without API (fallback)
@@ -0,0 +1,95 @@
+// API usage and spend ledger
+// Translation and LLM calls record their requests, characters, tokens and
+// estimated cost per provider and local day in chrome.storage.local, so the
+// dashboard can chart spend over time. Recorded by the background worker.
+
+const ApiUsage = {
+  STORAGE_KEY: 'apiUsage',
+
+  // Days of usage kept
+  HISTORY_DAYS: 400,
+
+  // Google Cloud Translation: $20 per million characters
+  GOOGLE_COST_PER_CHAR: 20 / 1000000,
+
+  PROVIDERS: {
+    google: 'Google Translate',
+    anthropic: 'Anthropic',
+    openai: 'OpenAI',
+    gemini: 'Gemini',
+    deepl: 'DeepL',
+    azure: 'Azure Translator',
+    libreTranslate: 'LibreTranslate',
+    localLlm: 'Local LLM'
+  },
+
+  FIELDS: ['requests', 'characters', 'inputTokens', 'outputTokens', 'cost'],
+
+  // Writes are chained so concurrent calls don't overwrite each other
+  _queue: Promise.resolve(),
+
+  // Add one call's usage to today's totals for the provider.
+  // usage: { requests = 1, characters, inputTokens, outputTokens, cost }
+  record(provider, usage = {}, now = Date.now()) {
+    const task = this._queue.then(async () => {
+      const day = Exposures.dayKey(now);
+      const oldest = Exposures.dayKey(now - this.HISTORY_DAYS * SRS.DAY_MS);
+      const { [this.STORAGE_KEY]: ledger = {} } = await chrome.storage.local.get([this.STORAGE_KEY]);
+
+      Object.keys(ledger).forEach(existing => {
+        if (existing <= oldest) delete ledger[existing];
+      });
+
+      const totals = ledger[day] = ledger[day] || {};
+      const entry = totals[provider] = totals[provider] || {};
+      this.FIELDS.forEach(field => {
+        const value = field === 'requests' ? (usage.requests ?? 1) : usage[field];
+        entry[field] = (entry[field] || 0) + (Number.isFinite(value) ? value : 0);
+      });
+
+      await chrome.storage.local.set({ [this.STORAGE_KEY]: ledger });
+    });
+
+    this._queue = task.catch(error => {
+      console.error('[ApiUsage] Failed to record usage:', error);
+    });
+    return this._queue;
+  },
+
+  // Usage of a request to a provider billed per character of these texts
+  recordCharacters(provider, texts, costPerChar = 0) {
+    const characters = [].concat(texts).reduce((total, text) => total + String(text).length, 0);
+    return this.record(provider, { characters, cost: characters * costPerChar });
+  },
+
+  // Usage of a request to an LLM billed per token
+  recordTokens(provider, inputTokens, outputTokens, cost = 0) {
+    return this.record(provider, { inputTokens, outputTokens, cost });
+  },
+
+  // Google Translate usage of a request translating these texts
+  recordGoogle(texts) {
+    return this.recordCharacters('google', texts, this.GOOGLE_COST_PER_CHAR);
+  },
+
+  // Usage rows, oldest day first: [{ day, provider, requests, characters, inputTokens, outputTokens, cost }]
+  async getDaily() {
+    const { [this.STORAGE_KEY]: ledger = {} } = await chrome.storage.local.get([this.STORAGE_KEY]);
+    const rows = [];
+    Object.keys(ledger).sort().forEach(day => {
+      Object.entries(ledger[day]).forEach(([provider, totals]) => {
+        const row = { day, provider };
+        this.FIELDS.forEach(field => {
+          row[field] = totals[field] || 0;
+        });
+        rows.push(row);
+      });
+    });
+    return rows;
+  }
+};
+
+// Make available globally
+if (typeof window !== 'undefined') {
+  window.ApiUsage = ApiUsage;
+}
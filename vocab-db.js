@@ -0,0 +1,606 @@
+// IndexedDB store for vocabulary and the translation cache
+// Per-record reads/writes inside transactions, so concurrent writers
+// (popup + background) no longer overwrite each other's changes.
+// Only usable from extension pages and the background worker - content
+// scripts run in the page's origin and go through StorageManager messaging.
+
+const VocabDB = {
+  DB_NAME: 'lingua-lens',
+  DB_VERSION: 5,
+
+  WORDS: 'words',
+  CACHE: 'translationCache',
+  TRASH: 'trash',
+  BACKUPS: 'backups',
+  SECRETS: 'secrets',
+  DICTIONARY: 'dictionary',
+
+  dbPromise: null,
+
+  // IndexedDB is only shared with the extension on extension origins
+  isAvailable() {
+    return typeof indexedDB !== 'undefined' &&
+      typeof location !== 'undefined' &&
+      location.protocol === 'chrome-extension:';
+  },
+
+  // Open (and create/upgrade) the database once per context
+  open() {
+    if (this.dbPromise) return this.dbPromise;
+
+    this.dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+
+      request.onupgradeneeded = (event) => {
+        const db = request.result;
+
+        if (event.oldVersion < 1) {
+          // Words are keyed by [profile id, lowercased word]
+          const words = db.createObjectStore(this.WORDS, { keyPath: ['profile', 'key'] });
+          words.createIndex('profile', 'profile');
+          words.createIndex('dateAdded', ['profile', 'dateAdded']);
+          words.createIndex('due', ['profile', 'review.due']);
+          words.createIndex('tags', 'tags', { multiEntry: true });
+
+          const cache = db.createObjectStore(this.CACHE, { keyPath: 'key' });
+          cache.createIndex('timestamp', 'timestamp');
+        }
+
+        if (event.oldVersion < 2) {
+          // Deleted words: { id: 'batch:key', profile, key, batch, deletedAt, entry }
+          const trash = db.createObjectStore(this.TRASH, { keyPath: 'id' });
+          trash.createIndex('profile', ['profile', 'deletedAt']);
+          trash.createIndex('batch', 'batch');
+          trash.createIndex('deletedAt', 'deletedAt');
+        }
+
+        if (event.oldVersion < 3) {
+          // Snapshots: { id, kind, createdAt, summary, data } (see backups.js)
+          const backups = db.createObjectStore(this.BACKUPS, { keyPath: 'id' });
+          backups.createIndex('createdAt', 'createdAt');
+        }
+
+        if (event.oldVersion < 4) {
+          // API keys: { name, value } (see secrets.js)
+          db.createObjectStore(this.SECRETS, { keyPath: 'name' });
+        }
+
+        if (event.oldVersion < 5) {
+          // Offline dictionary headwords (see cedict.js):
+          // { s: simplified, t: [traditional], e: [[traditional, pinyin, 'sense/sense']], en: [English keys] }
+          const dictionary = db.createObjectStore(this.DICTIONARY, { keyPath: 's' });
+          dictionary.createIndex('traditional', 't', { multiEntry: true });
+          dictionary.createIndex('english', 'en', { multiEntry: true });
+        }
+      };
+
+      request.onsuccess = () => {
+        const db = request.result;
+        // Another context upgraded the schema - reopen on next use
+        db.onversionchange = () => {
+          db.close();
+          this.dbPromise = null;
+        };
+        resolve(db);
+      };
+      request.onerror = () => {
+        this.dbPromise = null;
+        reject(request.error);
+      };
+      request.onblocked = () => {
+        console.warn('[VocabDB] Upgrade blocked by another open connection');
+      };
+    });
+
+    return this.dbPromise;
+  },
+
+  // Wrap an IDBRequest in a promise
+  _request(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  },
+
+  // Run fn(stores) in a transaction and resolve with its result once committed.
+  // fn must only queue IndexedDB requests (no awaiting other promises inside).
+  async _transaction(storeNames, mode, fn) {
+    const db = await this.open();
+
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeNames, mode);
+      const stores = {};
+      [].concat(storeNames).forEach(name => {
+        stores[name] = tx.objectStore(name);
+      });
+
+      let result;
+      tx.oncomplete = () => resolve(result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+
+      try {
+        Promise.resolve(fn(stores, tx)).then(value => {
+          result = value;
+        }, error => {
+          tx.abort();
+          reject(error);
+        });
+      } catch (error) {
+        tx.abort();
+        reject(error);
+      }
+    });
+  },
+
+  // Strip the store's key fields so callers see plain word entries
+  _toEntry(record) {
+    if (!record) return null;
+    const { profile, key, ...entry } = record;
+    return entry;
+  },
+
+  _toRecord(profileId, wordKey, entry) {
+    return { ...entry, profile: profileId, key: wordKey, tags: entry.tags || [] };
+  },
+
+  _profileRange(profileId) {
+    return IDBKeyRange.only(profileId);
+  },
+
+  // ============================================
+  // Words
+  // ============================================
+
+  // All words of a profile as a { key: entry } map
+  async getAllWords(profileId) {
+    const records = await this._transaction(this.WORDS, 'readonly', (stores) =>
+      this._request(stores[this.WORDS].index('profile').getAll(this._profileRange(profileId)))
+    );
+
+    const words = {};
+    records.forEach(record => {
+      words[record.key] = this._toEntry(record);
+    });
+    return words;
+  },
+
+  async getWord(profileId, wordKey) {
+    const record = await this._transaction(this.WORDS, 'readonly', (stores) =>
+      this._request(stores[this.WORDS].get([profileId, wordKey]))
+    );
+    return this._toEntry(record);
+  },
+
+  async putWord(profileId, wordKey, entry) {
+    await this._transaction(this.WORDS, 'readwrite', (stores) =>
+      this._request(stores[this.WORDS].put(this._toRecord(profileId, wordKey, entry)))
+    );
+    return entry;
+  },
+
+  async deleteWord(profileId, wordKey) {
+    return this._transaction(this.WORDS, 'readwrite', async (stores) => {
+      const store = stores[this.WORDS];
+      const existing = await this._request(store.getKey([profileId, wordKey]));
+      if (existing === undefined) return false;
+      await this._request(store.delete([profileId, wordKey]));
+      return true;
+    });
+  },
+
+  // Atomic read-modify-write of one word.
+  // updater(entry | null) returns the new entry, or null to leave it unchanged.
+  async updateWord(profileId, wordKey, updater) {
+    const results = await this.updateWords(profileId, [wordKey], updater);
+    return results[wordKey] || null;
+  },
+
+  // Atomic read-modify-write of several words in one transaction.
+  // Returns { key: newEntry } for the words that changed.
+  async updateWords(profileId, wordKeys, updater) {
+    return this._transaction(this.WORDS, 'readwrite', async (stores) => {
+      const store = stores[this.WORDS];
+      const changed = {};
+
+      for (const wordKey of wordKeys) {
+        const record = await this._request(store.get([profileId, wordKey]));
+        const updated = updater(this._toEntry(record), wordKey);
+        if (updated) {
+          store.put(this._toRecord(profileId, wordKey, updated));
+          changed[wordKey] = updated;
+        }
+      }
+
+      return changed;
+    });
+  },
+
+  // Write or delete several words in one transaction ({ key: entry | null }, null deletes)
+  async applyChanges(profileId, changes) {
+    await this._transaction(this.WORDS, 'readwrite', (stores) => {
+      const store = stores[this.WORDS];
+      Object.entries(changes).forEach(([wordKey, entry]) => {
+        if (entry) {
+          store.put(this._toRecord(profileId, wordKey, entry));
+        } else {
+          store.delete([profileId, wordKey]);
+        }
+      });
+    });
+  },
+
+  // Replace all words of a profile in one transaction
+  async replaceProfile(profileId, words) {
+    return this._transaction(this.WORDS, 'readwrite', async (stores) => {
+      const store = stores[this.WORDS];
+      const keys = await this._request(store.index('profile').getAllKeys(this._profileRange(profileId)));
+      keys.forEach(key => store.delete(key));
+
+      Object.entries(words).forEach(([wordKey, entry]) => {
+        store.put(this._toRecord(profileId, wordKey, entry));
+      });
+      return Object.keys(words).length;
+    });
+  },
+
+  async clearProfile(profileId) {
+    return this.replaceProfile(profileId, {});
+  },
+
+  async countWords(profileId) {
+    return this._transaction(this.WORDS, 'readonly', (stores) =>
+      this._request(stores[this.WORDS].index('profile').count(this._profileRange(profileId)))
+    );
+  },
+
+  // Words whose review is due, most overdue first
+  async getDueWords(profileId, now = Date.now(), limit = 0) {
+    const range = IDBKeyRange.bound([profileId, -Infinity], [profileId, now]);
+    const records = await this._transaction(this.WORDS, 'readonly', (stores) =>
+      this._request(stores[this.WORDS].index('due').getAll(range, limit > 0 ? limit : undefined))
+    );
+    return records.map(record => this._toEntry(record));
+  },
+
+  // Words added in a time range, oldest first
+  async getWordsAddedBetween(profileId, from, to = Date.now()) {
+    const range = IDBKeyRange.bound([profileId, from], [profileId, to]);
+    const records = await this._transaction(this.WORDS, 'readonly', (stores) =>
+      this._request(stores[this.WORDS].index('dateAdded').getAll(range))
+    );
+    return records.map(record => this._toEntry(record));
+  },
+
+  // Words carrying a tag, across all profiles ({ profile, key, ...entry })
+  async getWordsByTag(tag) {
+    return this._transaction(this.WORDS, 'readonly', (stores) =>
+      this._request(stores[this.WORDS].index('tags').getAll(IDBKeyRange.only(tag)))
+    );
+  },
+
+  // Words of every profile as { profileId: { key: entry } }
+  async getWordsByProfile() {
+    const records = await this._transaction(this.WORDS, 'readonly', (stores) =>
+      this._request(stores[this.WORDS].getAll())
+    );
+
+    const profiles = {};
+    records.forEach(record => {
+      (profiles[record.profile] = profiles[record.profile] || {})[record.key] = this._toEntry(record);
+    });
+    return profiles;
+  },
+
+  // ============================================
+  // Trash
+  // ============================================
+
+  // Move words to the trash in one transaction (all of the profile's words if
+  // wordKeys is null). Deletions made together share a batch id so they can be
+  // restored together. shouldTrash(entry, key), if given, picks which of them go
+  // (checked inside the transaction). Returns the number of words moved.
+  async trashWords(profileId, wordKeys, batch, deletedAt = Date.now(), shouldTrash = null) {
+    return this._transaction([this.WORDS, this.TRASH], 'readwrite', async (stores) => {
+      const words = stores[this.WORDS];
+      const found = wordKeys === null
+        ? await this._request(words.index('profile').getAll(this._profileRange(profileId)))
+        : (await Promise.all(wordKeys.map(wordKey => this._request(words.get([profileId, wordKey]))))).filter(Boolean);
+      const records = shouldTrash ? found.filter(record => shouldTrash(this._toEntry(record), record.key)) : found;
+
+      records.forEach(record => {
+        stores[this.TRASH].put({
+          id: `${batch}:${record.key}`,
+          profile: profileId,
+          key: record.key,
+          batch,
+          deletedAt,
+          entry: this._toEntry(record)
+        });
+        words.delete([profileId, record.key]);
+      });
+      return records.length;
+    });
+  },
+
+  // Trashed words of a profile, most recently deleted first
+  async getTrash(profileId) {
+    const range = IDBKeyRange.bound([profileId, -Infinity], [profileId, Infinity]);
+    const records = await this._transaction(this.TRASH, 'readonly', (stores) =>
+      this._request(stores[this.TRASH].index('profile').getAll(range))
+    );
+    return records.reverse();
+  },
+
+  async countTrash(profileId) {
+    const range = IDBKeyRange.bound([profileId, -Infinity], [profileId, Infinity]);
+    return this._transaction(this.TRASH, 'readonly', (stores) =>
+      this._request(stores[this.TRASH].index('profile').count(range))
+    );
+  },
+
+  // Ids of the trash records deleted together in a batch
+  async getTrashBatch(batch) {
+    return this._transaction(this.TRASH, 'readonly', (stores) =>
+      this._request(stores[this.TRASH].index('batch').getAllKeys(IDBKeyRange.only(batch)))
+    );
+  },
+
+  // Move trash records back into their profiles in one transaction.
+  // merge(current | null, trashed) returns the entry to store - a word saved
+  // again since it was deleted is combined with the trashed copy.
+  // Returns { profile, key, entry } for every restored word.
+  async restoreTrash(ids, merge) {
+    return this._transaction([this.WORDS, this.TRASH], 'readwrite', async (stores) => {
+      const restored = [];
+
+      for (const id of ids) {
+        const record = await this._request(stores[this.TRASH].get(id));
+        if (!record) continue;
+
+        const current = await this._request(stores[this.WORDS].get([record.profile, record.key]));
+        const entry = merge(this._toEntry(current), record.entry);
+        stores[this.WORDS].put(this._toRecord(record.profile, record.key, entry));
+        stores[this.TRASH].delete(id);
+        restored.push({ profile: record.profile, key: record.key, entry });
+      }
+
+      return restored;
+    });
+  },
+
+  // Permanently delete trash records
+  async deleteTrash(ids) {
+    await this._transaction(this.TRASH, 'readwrite', (stores) => {
+      ids.forEach(id => stores[this.TRASH].delete(id));
+    });
+  },
+
+  // Permanently delete everything trashed before a time. Returns the count.
+  async purgeTrashBefore(timestamp) {
+    return this._transaction(this.TRASH, 'readwrite', async (stores) => {
+      const keys = await this._request(stores[this.TRASH].index('deletedAt').getAllKeys(IDBKeyRange.upperBound(timestamp, true)));
+      keys.forEach(key => stores[this.TRASH].delete(key));
+      return keys.length;
+    });
+  },
+
+  // ============================================
+  // Backups
+  // ============================================
+
+  async putBackup(backup) {
+    await this._transaction(this.BACKUPS, 'readwrite', (stores) =>
+      this._request(stores[this.BACKUPS].put(backup))
+    );
+  },
+
+  async getBackup(id) {
+    return this._transaction(this.BACKUPS, 'readonly', (stores) =>
+      this._request(stores[this.BACKUPS].get(id))
+    );
+  },
+
+  // Backups newest first, without their data
+  async getBackups() {
+    return this._transaction(this.BACKUPS, 'readonly', (stores) => new Promise((resolve, reject) => {
+      const backups = [];
+      const request = stores[this.BACKUPS].index('createdAt').openCursor(null, 'prev');
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          resolve(backups);
+          return;
+        }
+        const { data, ...meta } = cursor.value;
+        backups.push(meta);
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    }));
+  },
+
+  async deleteBackups(ids) {
+    await this._transaction(this.BACKUPS, 'readwrite', (stores) => {
+      ids.forEach(id => stores[this.BACKUPS].delete(id));
+    });
+  },
+
+  // ============================================
+  // Secrets
+  // ============================================
+
+  async getSecret(name) {
+    const record = await this._transaction(this.SECRETS, 'readonly', (stores) =>
+      this._request(stores[this.SECRETS].get(name))
+    );
+    return record ? record.value : null;
+  },
+
+  async getSecretNames() {
+    return this._transaction(this.SECRETS, 'readonly', (stores) =>
+      this._request(stores[this.SECRETS].getAllKeys())
+    );
+  },
+
+  // Write several secrets in one transaction ({ name: value }, empty value deletes)
+  async putSecrets(values) {
+    await this._transaction(this.SECRETS, 'readwrite', (stores) => {
+      Object.entries(values).forEach(([name, value]) => {
+        if (value) {
+          stores[this.SECRETS].put({ name, value });
+        } else {
+          stores[this.SECRETS].delete(name);
+        }
+      });
+    });
+  },
+
+  // ============================================
+  // Offline dictionary
+  // ============================================
+
+  async putDictionaryEntries(records) {
+    await this._transaction(this.DICTIONARY, 'readwrite', (stores) => {
+      records.forEach(record => stores[this.DICTIONARY].put(record));
+    });
+  },
+
+  async clearDictionary() {
+    await this._transaction(this.DICTIONARY, 'readwrite', (stores) =>
+      this._request(stores[this.DICTIONARY].clear())
+    );
+  },
+
+  async countDictionary() {
+    return this._transaction(this.DICTIONARY, 'readonly', (stores) =>
+      this._request(stores[this.DICTIONARY].count())
+    );
+  },
+
+  // Headwords written as this word, in simplified or traditional characters
+  async getDictionaryEntries(word) {
+    return this._transaction(this.DICTIONARY, 'readonly', async (stores) => {
+      const store = stores[this.DICTIONARY];
+      const [simplified, traditional] = await Promise.all([
+        this._request(store.get(word)),
+        this._request(store.index('traditional').getAll(word))
+      ]);
+      return [simplified, ...traditional.filter(record => record.s !== word)].filter(Boolean);
+    });
+  },
+
+  // Headwords with a sense that means this English key
+  async findDictionaryByEnglish(key, limit = 50) {
+    return this._transaction(this.DICTIONARY, 'readonly', (stores) =>
+      this._request(stores[this.DICTIONARY].index('english').getAll(key, limit))
+    );
+  },
+
+  // ============================================
+  // Translation cache
+  // ============================================
+
+  async getCache(cacheKey) {
+    const record = await this._transaction(this.CACHE, 'readonly', (stores) =>
+      this._request(stores[this.CACHE].get(cacheKey))
+    );
+    if (!record) return null;
+    const { key, ...entry } = record;
+    return entry;
+  },
+
+  async putCache(cacheKey, entry) {
+    await this._transaction(this.CACHE, 'readwrite', (stores) =>
+      this._request(stores[this.CACHE].put({ ...entry, key: cacheKey }))
+    );
+  },
+
+  // Write several entries in one transaction ({ cacheKey: entry })
+  async putCacheEntries(entries) {
+    await this._transaction(this.CACHE, 'readwrite', (stores) => {
+      Object.entries(entries).forEach(([cacheKey, entry]) => {
+        stores[this.CACHE].put({ ...entry, key: cacheKey });
+      });
+    });
+  },
+
+  async deleteCache(cacheKey) {
+    await this._transaction(this.CACHE, 'readwrite', (stores) =>
+      this._request(stores[this.CACHE].delete(cacheKey))
+    );
+  },
+
+  async clearCache() {
+    await this._transaction(this.CACHE, 'readwrite', (stores) =>
+      this._request(stores[this.CACHE].clear())
+    );
+  },
+
+  async countCache() {
+    return this._transaction(this.CACHE, 'readonly', (stores) =>
+      this._request(stores[this.CACHE].count())
+    );
+  },
+
+  // Cache entries written at or after a timestamp
+  async getCacheSince(timestamp) {
+    return this._transaction(this.CACHE, 'readonly', (stores) =>
+      this._request(stores[this.CACHE].index('timestamp').getAll(IDBKeyRange.lowerBound(timestamp)))
+    );
+  },
+
+  // Delete entries older than a timestamp; returns how many were removed
+  async deleteCacheBefore(timestamp) {
+    return this._transaction(this.CACHE, 'readwrite', async (stores) => {
+      const index = stores[this.CACHE].index('timestamp');
+      const keys = await this._request(index.getAllKeys(IDBKeyRange.upperBound(timestamp, true)));
+      keys.forEach(key => stores[this.CACHE].delete(key));
+      return keys.length;
+    });
+  },
+
+  // Keep only the newest maxSize entries
+  async pruneCache(maxSize) {
+    return this._transaction(this.CACHE, 'readwrite', async (stores) => {
+      const store = stores[this.CACHE];
+      const count = await this._request(store.count());
+      const excess = count - maxSize;
+      if (excess <= 0) return 0;
+
+      const keys = await this._request(store.index('timestamp').getAllKeys(null, excess));
+      keys.forEach(key => store.delete(key));
+      return keys.length;
+    });
+  },
+
+  // All cache entries as a { key: { translation, timestamp, ... } } map
+  async getAllCache() {
+    const records = await this._transaction(this.CACHE, 'readonly', (stores) =>
+      this._request(stores[this.CACHE].getAll())
+    );
+
+    const cache = {};
+    records.forEach(({ key, ...entry }) => {
+      cache[key] = entry;
+    });
+    return cache;
+  },
+
+  // Replace the whole cache in one transaction
+  async replaceCache(cache) {
+    await this._transaction(this.CACHE, 'readwrite', (stores) => {
+      const store = stores[this.CACHE];
+      store.clear();
+      Object.entries(cache).forEach(([cacheKey, entry]) => {
+        store.put({ ...entry, key: cacheKey });
+      });
+    });
+  }
+};
+
+// Make available globally
+if (typeof window !== 'undefined') {
+  window.VocabDB = VocabDB;
+}
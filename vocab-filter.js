@@ -0,0 +1,175 @@
+// Tags, decks and filter views for the vocabulary
+// Tags are free-form strings in entry.tags. Two kinds are added automatically:
+// where a word was saved from ('from popup', ...) and the site ('site:example.com').
+// A deck is a tag with the 'deck:' prefix; a word is in at most one deck.
+// A filter combines tags, deck, a date-added range and review states, and is
+// accepted by the word list, exports and the review session.
+
+const VocabFilter = {
+  // Tags for where a word was saved from
+  SOURCE_TAGS: {
+    contextMenu: 'from context menu',
+    popup: 'from popup',
+    import: 'from import',
+    youtube: 'from YouTube'
+  },
+
+  SITE_PREFIX: 'site:',
+  DECK_PREFIX: 'deck:',
+
+  // Review states (see SRS.getState)
+  STATES: ['new', 'learning', 'due', 'mature'],
+
+  // chrome.storage.local key for named filter views
+  SAVED_FILTERS_KEY: 'savedFilters',
+
+  // Filter that matches every word.
+  // from / to are 'YYYY-MM-DD' dates (inclusive) compared with dateAdded.
+  createFilter({ tags = [], deck = null, from = null, to = null, states = [] } = {}) {
+    return { tags, deck, from, to, states };
+  },
+
+  isEmpty(filter) {
+    return !filter || (
+      (filter.tags || []).length === 0 &&
+      !filter.deck &&
+      !filter.from &&
+      !filter.to &&
+      (filter.states || []).length === 0
+    );
+  },
+
+  normalizeTag(tag) {
+    return String(tag || '').trim().replace(/\s+/g, ' ');
+  },
+
+  // 'site:example.com' for a page URL, or null for non-web pages
+  siteTag(url) {
+    try {
+      const { protocol, hostname } = new URL(url);
+      if (protocol !== 'http:' && protocol !== 'https:') return null;
+      return `${this.SITE_PREFIX}${hostname.replace(/^www\./, '')}`;
+    } catch (error) {
+      return null;
+    }
+  },
+
+  // Automatic tags for a word saved from a source, optionally on a page.
+  // Words saved on YouTube count as saved from YouTube.
+  sourceTags(source, url = null) {
+    const site = url ? this.siteTag(url) : null;
+    const fromYouTube = site === `${this.SITE_PREFIX}youtube.com` || site === `${this.SITE_PREFIX}m.youtube.com`;
+    return [this.SOURCE_TAGS[fromYouTube ? 'youtube' : source], site].filter(Boolean);
+  },
+
+  getDeck(entry) {
+    const tag = (entry.tags || []).find(candidate => candidate.startsWith(this.DECK_PREFIX));
+    return tag ? tag.slice(this.DECK_PREFIX.length) : null;
+  },
+
+  // Tags other than the deck
+  getTags(entry) {
+    return (entry.tags || []).filter(tag => !tag.startsWith(this.DECK_PREFIX));
+  },
+
+  // Full tag list from plain tags and a deck name (empty deck = none)
+  buildTags(tags, deck) {
+    const plain = tags.map(tag => this.normalizeTag(tag))
+      .filter(tag => tag && !tag.startsWith(this.DECK_PREFIX));
+    const deckName = this.normalizeTag(deck);
+    return [...new Set(plain), ...(deckName ? [`${this.DECK_PREFIX}${deckName}`] : [])];
+  },
+
+  // Sorted tags and decks used in a words map, for filter pickers
+  collect(words) {
+    const tags = new Set();
+    const decks = new Set();
+    Object.values(words).forEach(entry => {
+      this.getTags(entry).forEach(tag => tags.add(tag));
+      const deck = this.getDeck(entry);
+      if (deck) decks.add(deck);
+    });
+    return { tags: [...tags].sort(), decks: [...decks].sort() };
+  },
+
+  // Start / end timestamps of the filter's date range (local days)
+  _dateRange(filter) {
+    return {
+      from: filter.from ? new Date(`${filter.from}T00:00:00`).getTime() : -Infinity,
+      to: filter.to ? new Date(`${filter.to}T23:59:59.999`).getTime() : Infinity
+    };
+  },
+
+  // True if a word matches every part of the filter
+  matches(entry, filter, now = Date.now()) {
+    if (this.isEmpty(filter)) return true;
+
+    const tags = entry.tags || [];
+    if ((filter.tags || []).some(tag => !tags.includes(tag))) return false;
+    if (filter.deck && this.getDeck(entry) !== filter.deck) return false;
+
+    const { from, to } = this._dateRange(filter);
+    if (entry.dateAdded < from || entry.dateAdded > to) return false;
+
+    if ((filter.states || []).length > 0 && !filter.states.includes(SRS.getState(entry, now))) return false;
+
+    return true;
+  },
+
+  // Words map narrowed to a filter
+  apply(words, filter, now = Date.now()) {
+    if (this.isEmpty(filter)) return words;
+
+    const filtered = {};
+    Object.entries(words).forEach(([key, entry]) => {
+      if (this.matches(entry, filter, now)) filtered[key] = entry;
+    });
+    return filtered;
+  },
+
+  // Short description, e.g. 'tag work · deck HSK3 · due'
+  describe(filter) {
+    if (this.isEmpty(filter)) return 'All words';
+
+    const parts = [];
+    (filter.tags || []).forEach(tag => parts.push(`tag ${tag}`));
+    if (filter.deck) parts.push(`deck ${filter.deck}`);
+    if (filter.from || filter.to) parts.push(`added ${filter.from || '…'} – ${filter.to || '…'}`);
+    if ((filter.states || []).length > 0) parts.push(filter.states.join('/'));
+    return parts.join(' · ');
+  },
+
+  // ============================================
+  // Saved filter views
+  // ============================================
+
+  async getSavedFilters() {
+    const result = await chrome.storage.local.get([this.SAVED_FILTERS_KEY]);
+    return result[this.SAVED_FILTERS_KEY] || [];
+  },
+
+  // Save a view under a name (replaces a view with the same name)
+  async saveFilter(name, filter) {
+    const trimmed = String(name || '').trim();
+    if (!trimmed) {
+      throw new Error('A saved view needs a name');
+    }
+
+    const views = (await this.getSavedFilters()).filter(view => view.name !== trimmed);
+    views.push({ name: trimmed, filter: this.createFilter(filter) });
+    views.sort((a, b) => a.name.localeCompare(b.name));
+    await chrome.storage.local.set({ [this.SAVED_FILTERS_KEY]: views });
+    return views;
+  },
+
+  async deleteFilter(name) {
+    const views = (await this.getSavedFilters()).filter(view => view.name !== name);
+    await chrome.storage.local.set({ [this.SAVED_FILTERS_KEY]: views });
+    return views;
+  }
+};
+
+// Make available globally
+if (typeof window !== 'undefined') {
+  window.VocabFilter = VocabFilter;
+}
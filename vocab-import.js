@@ -0,0 +1,252 @@
+// Vocabulary import: validation of exported JSON, dry-run diff and merge strategies
+// Pure functions - StorageManager applies the result and keeps the undo snapshot
+
+const VocabImport = {
+  // How to resolve a word that exists both locally and in the file
+  STRATEGIES: {
+    mine: 'Keep mine',
+    theirs: 'Take theirs',
+    newest: 'Newest last seen wins',
+    union: 'Combine senses'
+  },
+
+  DEFAULT_STRATEGY: 'newest',
+
+  // Fields compared when deciding whether an entry changed
+  COMPARED_FIELDS: ['knowledge', 'senses', 'sourceText', 'contexts', 'tags', 'notes', 'timesEncountered', 'review'],
+
+  // Validate the top level of an export file and every word in it.
+  // Returns { words: { key: normalizedEntry }, invalid: [{ key, errors: [{ field, message }] }] }
+  validate(importData, now = Date.now()) {
+    if (!importData || typeof importData !== 'object' || Array.isArray(importData)) {
+      throw new Error('Invalid import format: expected a JSON object');
+    }
+    if (!importData.words || typeof importData.words !== 'object' || Array.isArray(importData.words)) {
+      throw new Error('Invalid import format: missing words object');
+    }
+    if (importData.version !== undefined && typeof importData.version !== 'string') {
+      throw new Error('Invalid import format: version must be a string');
+    }
+    if (importData.profile !== undefined && importData.profile !== null &&
+        (typeof importData.profile !== 'object' || typeof importData.profile.id !== 'string')) {
+      throw new Error('Invalid import format: profile must have an id');
+    }
+
+    const words = {};
+    const invalid = [];
+
+    Object.entries(importData.words).forEach(([key, entry]) => {
+      const errors = this.validateEntry(entry);
+      if (errors.length > 0) {
+        invalid.push({ key, errors });
+        return;
+      }
+
+      // Older exports have older entry shapes - bring them up to date
+      const word = StorageMigrations.normalizeWord(key, entry, now);
+      words[word.original.toLowerCase()] = word;
+    });
+
+    return { words, invalid };
+  },
+
+  // Field-by-field check of one exported word entry. Returns a list of errors.
+  validateEntry(entry) {
+    const errors = [];
+    const fail = (field, message) => errors.push({ field, message });
+
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      fail('entry', 'must be an object');
+      return errors;
+    }
+
+    if (entry.original !== undefined && (typeof entry.original !== 'string' || !entry.original.trim())) {
+      fail('original', 'must be a non-empty string');
+    }
+
+    if (entry.senses !== undefined) {
+      if (!Array.isArray(entry.senses)) {
+        fail('senses', 'must be an array');
+      } else {
+        entry.senses.forEach((sense, index) => {
+          const field = `senses[${index}]`;
+          if (!sense || typeof sense !== 'object') {
+            fail(field, 'must be an object');
+            return;
+          }
+          if (typeof sense.translation !== 'string' || !sense.translation.trim()) {
+            fail(`${field}.translation`, 'must be a non-empty string');
+          }
+          if (sense.partOfSpeech != null && !Senses.PARTS_OF_SPEECH[sense.partOfSpeech]) {
+            fail(`${field}.partOfSpeech`, `unknown part of speech "${sense.partOfSpeech}"`);
+          }
+          ['pinyin', 'example'].forEach(name => {
+            if (sense[name] != null && typeof sense[name] !== 'string') {
+              fail(`${field}.${name}`, 'must be a string or null');
+            }
+          });
+          if (sense.retired !== undefined && typeof sense.retired !== 'boolean') {
+            fail(`${field}.retired`, 'must be true or false');
+          }
+        });
+      }
+    }
+
+    const hasSenses = Array.isArray(entry.senses) && entry.senses.some(sense => sense && sense.translation);
+    if (entry.translation !== undefined && typeof entry.translation !== 'string') {
+      fail('translation', 'must be a string');
+    } else if (!hasSenses && (typeof entry.translation !== 'string' || !entry.translation.trim())) {
+      fail('translation', 'is required when there are no senses');
+    }
+
+    if (entry.tags !== undefined &&
+        (!Array.isArray(entry.tags) || entry.tags.some(tag => typeof tag !== 'string' || !tag.trim()))) {
+      fail('tags', 'must be a list of non-empty strings');
+    }
+
+    ['pinyin', 'sourceText', 'sourceLanguage', 'notes'].forEach(name => {
+      if (entry[name] != null && typeof entry[name] !== 'string') {
+        fail(name, 'must be a string or null');
+      }
+    });
+
+    if (entry.knowledge !== undefined && !StorageManager.KNOWLEDGE_STATES.includes(entry.knowledge)) {
+      fail('knowledge', `must be one of ${StorageManager.KNOWLEDGE_STATES.join(', ')}`);
+    }
+
+    if (entry.contexts !== undefined &&
+        (!Array.isArray(entry.contexts) ||
+         entry.contexts.some(context => !context || typeof context !== 'object' || Array.isArray(context)))) {
+      fail('contexts', 'must be a list of objects');
+    }
+
+    ['dateAdded', 'lastSeen'].forEach(name => {
+      if (entry[name] !== undefined && !Number.isFinite(entry[name])) {
+        fail(name, 'must be a timestamp');
+      }
+    });
+
+    if (entry.timesEncountered !== undefined &&
+        (!Number.isInteger(entry.timesEncountered) || entry.timesEncountered < 0)) {
+      fail('timesEncountered', 'must be a non-negative integer');
+    }
+
+    if (entry.review !== undefined) {
+      const review = entry.review;
+      if (!review || typeof review !== 'object') {
+        fail('review', 'must be an object');
+      } else {
+        if (!Number.isFinite(review.ease) || review.ease < SRS.MIN_EASE) {
+          fail('review.ease', `must be a number of at least ${SRS.MIN_EASE}`);
+        }
+        ['interval', 'repetitions', 'lapses'].forEach(name => {
+          if (review[name] !== undefined && (!Number.isFinite(review[name]) || review[name] < 0)) {
+            fail(`review.${name}`, 'must be a non-negative number');
+          }
+        });
+        if (!Number.isFinite(review.due)) {
+          fail('review.due', 'must be a timestamp');
+        }
+      }
+    }
+
+    return errors;
+  },
+
+  // Comparable form of a field (sense ids and timestamps don't count as changes)
+  _signature(entry, field) {
+    if (field === 'senses') {
+      return JSON.stringify(Senses.getSenses(entry).map(sense => [
+        sense.translation, sense.partOfSpeech || null, sense.pinyin || null, sense.example || null, !!sense.retired
+      ]));
+    }
+    if (field === 'tags') {
+      return JSON.stringify([...(entry.tags || [])].sort());
+    }
+    if (field === 'contexts') {
+      return JSON.stringify(WordContexts.get(entry).map(context => [context.sentence, context.url]).sort());
+    }
+    if (field === 'knowledge') {
+      return StorageManager.getKnowledge(entry);
+    }
+    if (field === 'review') {
+      const review = entry.review || {};
+      return JSON.stringify([review.ease, review.interval, review.repetitions, review.due]);
+    }
+    return JSON.stringify(entry[field] ?? null);
+  },
+
+  // Fields that differ between two entries
+  changedFields(mine, theirs) {
+    return this.COMPARED_FIELDS.filter(field => this._signature(mine, field) !== this._signature(theirs, field));
+  },
+
+  // Dry-run diff of incoming words against the current ones
+  diff(currentWords, incomingWords) {
+    const result = { new: [], changed: [], identical: [] };
+
+    Object.entries(incomingWords).forEach(([key, theirs]) => {
+      const mine = currentWords[key];
+      if (!mine) {
+        result.new.push(key);
+        return;
+      }
+
+      const fields = this.changedFields(mine, theirs);
+      if (fields.length === 0) {
+        result.identical.push(key);
+      } else {
+        result.changed.push({ key, fields });
+      }
+    });
+
+    return result;
+  },
+
+  // Resolve one word. Returns the entry to store, or null to keep the current one.
+  merge(mine, theirs, strategy = this.DEFAULT_STRATEGY) {
+    if (!this.STRATEGIES[strategy]) {
+      throw new Error(`Unknown merge strategy: ${strategy}`);
+    }
+    if (!mine) return theirs;
+    if (this.changedFields(mine, theirs).length === 0) return null;
+
+    switch (strategy) {
+      case 'mine':
+        return null;
+
+      case 'theirs':
+        return theirs;
+
+      case 'newest':
+        return (theirs.lastSeen || 0) > (mine.lastSeen || 0) ? theirs : null;
+
+      case 'union': {
+        // Keep my entry (and review schedule), add their senses I don't have
+        const merged = JSON.parse(JSON.stringify(mine));
+        let added = false;
+        Senses.getActiveSenses(theirs).forEach(sense => {
+          added = Senses.addSense(merged, sense) || added;
+        });
+        merged.timesEncountered = Math.max(mine.timesEncountered || 0, theirs.timesEncountered || 0);
+        merged.dateAdded = Math.min(mine.dateAdded, theirs.dateAdded);
+        merged.lastSeen = Math.max(mine.lastSeen || 0, theirs.lastSeen || 0);
+        merged.sourceText = mine.sourceText || theirs.sourceText || null;
+        merged.contexts = WordContexts.merge(mine, theirs);
+        merged.tags = [...new Set([...(mine.tags || []), ...(theirs.tags || [])])];
+        merged.notes = mine.notes || theirs.notes || null;
+        if (StorageManager.getKnowledge(merged) === 'known' && StorageManager.getKnowledge(theirs) === 'learning') {
+          // A word being learned on either side stays learning
+          delete merged.knowledge;
+          merged.review = SRS.getSchedule(theirs);
+        }
+        return this.changedFields(mine, merged).length > 0 || added ? merged : null;
+      }
+    }
+  }
+};
+
+// Make available globally
+if (typeof window !== 'undefined') {
+  window.VocabImport = VocabImport;
+}
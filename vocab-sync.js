@@ -0,0 +1,549 @@
+// Cross-device vocabulary sync through chrome.storage.sync
+// Words of every profile (including Chinese words marked as known) are packed
+// into quota-sized shards ('vs:w:<profileId>:<n>'). Each record carries a version stamp
+// (time and device of its last change). On every run the local data is compared
+// with the stamps seen at the previous run, so each side knows what it changed:
+// one-sided changes are copied over, and a record both browsers changed is
+// merged (senses and tags combined, the later review schedule kept). Deletions
+// travel as tombstones; words deleted remotely go to the local trash.
+// Local data stays the source of truth - when the sync quota runs out, scopes
+// that don't fit are skipped (the active profile goes first)
+// and the popup shows why. Runs in the background worker.
+
+const VocabSync = {
+  ALARM_NAME: 'vocabSync',
+  SOON_ALARM_NAME: 'vocabSyncSoon',
+  SYNC_MINUTES: 15,
+
+  // Sync this long after a local change, so edits made together go out together
+  DEBOUNCE_MINUTES: 1,
+
+  PREFIX: 'vs:',
+  META_KEY: 'vs:meta',
+  FORMAT_VERSION: 1,
+
+  // chrome.storage.local keys
+  STATE_KEY: 'vocabSyncState',
+  STATUS_KEY: 'vocabSyncStatus',
+  DEVICE_KEY: 'syncDeviceId',
+
+  // Scope of a profile's words
+  WORDS_SCOPE_PREFIX: 'w:',
+
+  // chrome.storage.sync limits
+  QUOTA_BYTES: 102400,
+  QUOTA_BYTES_PER_ITEM: 8192,
+  MAX_ITEMS: 512,
+
+  // Room left for the extension's other sync items (highlight style, known levels)
+  RESERVED_BYTES: 4096,
+  RESERVED_ITEMS: 8,
+
+  // Shard size, below the per-item quota to leave room for the key
+  SHARD_BYTES: 8000,
+
+  // Tombstones are dropped after this long; a browser offline for longer
+  // may bring a deleted word back
+  TOMBSTONE_DAYS: 30,
+
+  _running: null,
+
+  // ============================================
+  // Records
+  // ============================================
+
+  _bytes(text) {
+    return new TextEncoder().encode(text).length;
+  },
+
+  // Short FNV-1a hash of a record, remembered per key between runs
+  _hash(record) {
+    if (!record) return null;
+    const text = JSON.stringify(record);
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return hash.toString(36);
+  },
+
+  // Compact synced form of a word. Contexts, exposure history and counts stay local.
+  // Known words (k) have no review schedule (r).
+  toWordRecord(entry) {
+    const record = {
+      o: entry.original,
+      s: Senses.getSenses(entry).map(sense => [
+        sense.translation, sense.pinyin || null, sense.partOfSpeech || null, sense.example || null, sense.retired ? 1 : 0
+      ]),
+      a: entry.dateAdded || null
+    };
+    if (StorageManager.getKnowledge(entry) === 'known') {
+      record.k = 1;
+    } else {
+      const review = SRS.getSchedule(entry);
+      record.r = [review.ease, review.interval, review.repetitions, review.due, review.lapses || 0, review.lastReviewed || null];
+    }
+    if ((entry.tags || []).length > 0) record.t = entry.tags;
+    if (entry.notes) record.n = entry.notes;
+    return record;
+  },
+
+  // Local entry for a synced word, keeping the local-only fields of an existing one
+  fromWordRecord(record, existing = null, now = Date.now()) {
+    const entry = existing
+      ? { ...existing }
+      : { timesEncountered: 1, lastSeen: record.a || now, sourceText: null };
+    const previousSenses = existing ? Senses.getSenses(existing) : [];
+
+    entry.original = record.o;
+    entry.senses = record.s.map(([translation, pinyin, partOfSpeech, example, retired]) => ({
+      ...(previousSenses.find(sense => sense.translation === translation) || Senses.createSense({ translation })),
+      translation,
+      pinyin,
+      partOfSpeech,
+      example,
+      retired: Boolean(retired)
+    }));
+    entry.tags = record.t || [];
+    entry.notes = record.n || null;
+    entry.dateAdded = record.a || entry.dateAdded || now;
+
+    if (record.k) {
+      entry.knowledge = 'known';
+      delete entry.review;
+    } else {
+      const [ease, interval, repetitions, due, lapses, lastReviewed] = record.r;
+      delete entry.knowledge;
+      entry.review = {
+        ...SRS.getSchedule(existing, now),
+        ease, interval, repetitions, due, lapses, lastReviewed
+      };
+    }
+    return Senses.syncPrimary(entry);
+  },
+
+  // Combine a word both browsers changed: senses and tags from both, notes
+  // from mine unless empty, the schedule reviewed last (a word learning on
+  // either side stays learning)
+  mergeWordRecords(mine, theirs) {
+    const senses = mine.s.map(sense => [...sense]);
+    theirs.s.forEach(sense => {
+      const existing = senses.find(candidate => candidate[0] === sense[0]);
+      if (!existing) {
+        senses.push([...sense]);
+        return;
+      }
+      for (let i = 1; i <= 3; i++) {
+        existing[i] = existing[i] || sense[i];
+      }
+      existing[4] = existing[4] && sense[4] ? 1 : 0;
+    });
+
+    const merged = {
+      o: mine.o,
+      s: senses,
+      a: Math.min(mine.a || Infinity, theirs.a || Infinity)
+    };
+    if (!Number.isFinite(merged.a)) merged.a = null;
+    if (mine.r && theirs.r) {
+      merged.r = (theirs.r[5] || 0) > (mine.r[5] || 0) ? theirs.r : mine.r;
+    } else if (mine.r || theirs.r) {
+      merged.r = mine.r || theirs.r;
+    } else {
+      merged.k = 1;
+    }
+
+    const tags = [...new Set([...(mine.t || []), ...(theirs.t || [])])];
+    if (tags.length > 0) merged.t = tags;
+    if (mine.n || theirs.n) merged.n = mine.n || theirs.n;
+    return merged;
+  },
+
+  // ============================================
+  // Shards
+  // ============================================
+
+  // Records of every scope in sync storage ({ scope: { key: record } }),
+  // plus the bytes and items each scope uses
+  _readRemote(items) {
+    const scopes = {};
+    const usage = {};
+    let otherBytes = 0;
+    let otherItems = 0;
+
+    Object.entries(items).forEach(([itemKey, value]) => {
+      const bytes = this._bytes(itemKey) + this._bytes(JSON.stringify(value));
+      const match = itemKey.startsWith(this.PREFIX) && itemKey !== this.META_KEY
+        ? itemKey.slice(this.PREFIX.length).match(/^(.+):(\d+)$/)
+        : null;
+
+      if (!match) {
+        otherBytes += bytes;
+        otherItems++;
+        return;
+      }
+
+      const scope = match[1];
+      scopes[scope] = { ...(scopes[scope] || {}), ...value };
+      usage[scope] = usage[scope] || { bytes: 0, items: 0, keys: [] };
+      usage[scope].bytes += bytes;
+      usage[scope].items++;
+      usage[scope].keys.push(itemKey);
+    });
+
+    return { scopes, usage, otherBytes, otherItems };
+  },
+
+  // Pack records into shards of at most SHARD_BYTES, in key order.
+  // Returns { shards: { itemKey: { key: record } }, bytes, skipped: [keys too big for a shard] }
+  _pack(scope, records) {
+    const shards = {};
+    const skipped = [];
+    let bytes = 0;
+    let current = {};
+    let currentBytes = 2;
+
+    const close = () => {
+      if (Object.keys(current).length === 0) return;
+      const itemKey = `${this.PREFIX}${scope}:${Object.keys(shards).length}`;
+      shards[itemKey] = current;
+      bytes += this._bytes(itemKey) + currentBytes;
+      current = {};
+      currentBytes = 2;
+    };
+
+    Object.keys(records).sort().forEach(key => {
+      const size = this._bytes(JSON.stringify(key)) + this._bytes(JSON.stringify(records[key])) + 2;
+      if (size + 2 > this.SHARD_BYTES) {
+        skipped.push(key);
+        return;
+      }
+      if (currentBytes + size > this.SHARD_BYTES) close();
+      current[key] = records[key];
+      currentBytes += size;
+    });
+    close();
+
+    return { shards, bytes, skipped };
+  },
+
+  // ============================================
+  // Merge
+  // ============================================
+
+  // Merge one scope. local: { key: record } now; previous: { key: { h, u, b } }
+  // from the last run; remote: { key: stamped record }. Returns the records to
+  // store remotely, the local changes ({ key: record | null }) and the new state.
+  mergeScope({ local, previous, remote, device, now }) {
+    const stamp = record => ({ u: record.u, b: record.b });
+    const unstamped = ({ u, b, ...record }) => record;
+    const outgoing = {};
+    const localChanges = {};
+    const state = {};
+    const expired = now - this.TOMBSTONE_DAYS * SRS.DAY_MS;
+
+    const keys = new Set([...Object.keys(local), ...Object.keys(previous), ...Object.keys(remote)]);
+    keys.forEach(key => {
+      const mine = local[key] || null;
+      const before = previous[key] || null;
+      const theirs = remote[key] || null;
+
+      const localHash = this._hash(mine);
+      const localChanged = before ? localHash !== before.h : Boolean(mine);
+      const remoteChanged = Boolean(theirs) && (!before || theirs.u !== before.u || theirs.b !== before.b);
+
+      let result;
+      if (remoteChanged && !localChanged) {
+        // Take theirs
+        result = theirs;
+        localChanges[key] = theirs.x ? null : unstamped(theirs);
+        if (theirs.x && !mine) delete localChanges[key];
+      } else if (localChanged && !remoteChanged) {
+        // Send mine
+        result = mine ? { ...mine, u: now, b: device } : { x: 1, u: now, b: device };
+      } else if (localChanged && remoteChanged) {
+        // Both changed: an edit wins over a deletion, two edits are merged
+        if (!mine && theirs.x) {
+          result = theirs;
+        } else if (!mine || theirs.x) {
+          const survivor = mine || unstamped(theirs);
+          result = { ...survivor, u: now, b: device };
+          if (!mine) localChanges[key] = survivor;
+        } else {
+          const merged = this.mergeWordRecords(mine, unstamped(theirs));
+          result = { ...merged, u: now, b: device };
+          if (this._hash(merged) !== localHash) localChanges[key] = merged;
+        }
+      } else if (theirs) {
+        result = theirs;
+      } else if (mine && before) {
+        // Unchanged on both sides but gone remotely (e.g. skipped for quota): send it again
+        result = { ...mine, ...stamp(before) };
+      } else {
+        return;
+      }
+
+      if (result.x && result.u < expired) return;
+
+      outgoing[key] = result;
+      const localRecord = key in localChanges ? localChanges[key] : mine;
+      state[key] = { h: this._hash(localRecord), ...stamp(result) };
+    });
+
+    return { outgoing, localChanges, state };
+  },
+
+  // ============================================
+  // Local data
+  // ============================================
+
+  async _getDeviceId() {
+    const { [this.DEVICE_KEY]: existing } = await chrome.storage.local.get([this.DEVICE_KEY]);
+    if (existing) return existing;
+
+    const device = Math.random().toString(36).slice(2, 10);
+    await chrome.storage.local.set({ [this.DEVICE_KEY]: device });
+    return device;
+  },
+
+  // Local records of every profile: { scope: { key: record } }
+  async _readLocal() {
+    const wordsByProfile = await VocabDB.getWordsByProfile();
+
+    const scopes = {};
+    Object.entries(wordsByProfile).forEach(([profileId, words]) => {
+      const records = scopes[`${this.WORDS_SCOPE_PREFIX}${profileId}`] = {};
+      Object.entries(words).forEach(([key, entry]) => {
+        records[key] = this.toWordRecord(entry);
+      });
+    });
+    return { scopes };
+  },
+
+  // Write the changes pulled from other browsers into local storage. Each word is
+  // checked and written in one transaction: a word edited locally since it was read
+  // is left alone. Returns the keys left alone.
+  async _applyLocal(scope, changes, local, meta) {
+    const keys = Object.keys(changes);
+    if (keys.length === 0) return [];
+
+    const profileId = scope.slice(this.WORDS_SCOPE_PREFIX.length);
+    const seen = local.scopes[scope] || {};
+    const unchanged = (entry, key) => this._hash(entry ? this.toWordRecord(entry) : null) === this._hash(seen[key] || null);
+    const skipped = [];
+    const updated = keys.filter(key => changes[key]);
+    const deleted = keys.filter(key => !changes[key]);
+
+    const profileMeta = (meta.profiles || {})[profileId];
+    if (profileMeta) {
+      await StorageManager.ensureProfile(profileMeta.sourceLanguage, profileMeta.targetLanguage);
+    }
+    if (updated.length > 0) {
+      await VocabDB.updateWords(profileId, updated, (entry, key) => {
+        if (!unchanged(entry, key)) {
+          skipped.push(key);
+          return null;
+        }
+        return this.fromWordRecord(changes[key], entry);
+      });
+    }
+    if (deleted.length > 0) {
+      await VocabDB.trashWords(profileId, deleted, StorageManager._newBatchId(), Date.now(), (entry, key) => {
+        if (unchanged(entry, key)) return true;
+        skipped.push(key);
+        return false;
+      });
+    }
+    await StorageManager._notifyChange(profileId);
+    return skipped;
+  },
+
+  // ============================================
+  // Sync run
+  // ============================================
+
+  // Sync now (runs are never concurrent). Returns the status shown in the popup.
+  sync(now = Date.now()) {
+    if (!this._running) {
+      this._running = this._sync(now).finally(() => {
+        this._running = null;
+      });
+    }
+    return this._running;
+  },
+
+  async _sync(now) {
+    const settings = await StorageManager.getSettings();
+    if (settings.syncVocabulary === false) {
+      return this._setStatus({ state: 'disabled', at: now });
+    }
+
+    try {
+      const device = await this._getDeviceId();
+      const [items, { [this.STATE_KEY]: previousState = {} }, { vocabProfiles = {} }, active] = await Promise.all([
+        chrome.storage.sync.get(null),
+        chrome.storage.local.get([this.STATE_KEY]),
+        chrome.storage.local.get(['vocabProfiles']),
+        StorageManager.getActiveProfile()
+      ]);
+      const meta = items[this.META_KEY] || {};
+      if (meta.version && meta.version > this.FORMAT_VERSION) {
+        throw new Error('Another browser uses a newer sync format - update the extension');
+      }
+
+      const remote = this._readRemote(items);
+      const local = await this._readLocal();
+
+      // The active profile first, then the rest. Shards of other scopes (the
+      // separate Chinese list before it joined the vocabulary) are dropped.
+      const scopes = [...new Set([
+        `${this.WORDS_SCOPE_PREFIX}${active.id}`,
+        ...Object.keys(local.scopes), ...Object.keys(remote.scopes), ...Object.keys(previousState)
+      ])].filter(scope => scope.startsWith(this.WORDS_SCOPE_PREFIX));
+      const obsolete = Object.keys(remote.usage).filter(scope => !scopes.includes(scope));
+
+      // Merge every scope in memory, then keep the ones that fit the quota
+      const kept = scopes.map(scope => remote.usage[scope]).filter(Boolean);
+      let usedBytes = remote.otherBytes + this.RESERVED_BYTES + 512 +
+        kept.reduce((total, usage) => total + usage.bytes, 0);
+      let usedItems = remote.otherItems + this.RESERVED_ITEMS + 1 +
+        kept.reduce((total, usage) => total + usage.items, 0);
+
+      const included = [];
+      const skipped = [];
+      const tooLarge = [];
+      scopes.forEach(scope => {
+        const merge = this.mergeScope({
+          local: local.scopes[scope] || {},
+          previous: previousState[scope] || {},
+          remote: remote.scopes[scope] || {},
+          device,
+          now
+        });
+        const packed = this._pack(scope, merge.outgoing);
+        const existing = remote.usage[scope] || { bytes: 0, items: 0, keys: [] };
+        const items = Object.keys(packed.shards).length;
+
+        if (usedBytes - existing.bytes + packed.bytes <= this.QUOTA_BYTES &&
+            usedItems - existing.items + items <= this.MAX_ITEMS) {
+          usedBytes += packed.bytes - existing.bytes;
+          usedItems += items - existing.items;
+          packed.skipped.forEach(key => delete merge.state[key]);
+          tooLarge.push(...packed.skipped);
+          included.push({ scope, merge, packed, existing });
+        } else {
+          skipped.push(scope);
+        }
+      });
+
+      // Write the changed shards first: if sync storage refuses, nothing local changes
+      const writes = {};
+      const removals = obsolete.flatMap(scope => remote.usage[scope].keys);
+      included.forEach(({ packed, existing }) => {
+        Object.entries(packed.shards).forEach(([itemKey, shard]) => {
+          if (JSON.stringify(items[itemKey]) !== JSON.stringify(shard)) writes[itemKey] = shard;
+        });
+        removals.push(...existing.keys.filter(itemKey => !packed.shards[itemKey]));
+      });
+
+      const profiles = { ...(meta.profiles || {}) };
+      Object.values(vocabProfiles).forEach(profile => {
+        profiles[profile.id] = { sourceLanguage: profile.sourceLanguage, targetLanguage: profile.targetLanguage };
+      });
+      const newMeta = { version: this.FORMAT_VERSION, profiles };
+      if (JSON.stringify(meta) !== JSON.stringify(newMeta)) writes[this.META_KEY] = newMeta;
+
+      if (removals.length > 0) await chrome.storage.sync.remove(removals);
+      if (Object.keys(writes).length > 0) await chrome.storage.sync.set(writes);
+
+      // Then take in what other browsers changed and remember the stamps
+      const state = {};
+      scopes.forEach(scope => {
+        if (previousState[scope]) state[scope] = previousState[scope];
+      });
+      for (const { scope, merge } of included) {
+        // Words edited while this run was busy keep their old state, so the next
+        // run sees both sides changed and merges them
+        const edited = await this._applyLocal(scope, merge.localChanges, local, newMeta);
+        const previous = previousState[scope] || {};
+        edited.forEach(key => {
+          if (previous[key]) merge.state[key] = previous[key];
+          else delete merge.state[key];
+        });
+        state[scope] = merge.state;
+      }
+      await chrome.storage.local.set({ [this.STATE_KEY]: state });
+
+      const pulled = included.reduce((total, { merge }) => total + Object.keys(merge.localChanges).length, 0);
+      return this._setStatus({
+        state: skipped.length > 0 ? 'partial' : 'ok',
+        at: now,
+        pulled,
+        pushed: Object.keys(writes).filter(itemKey => itemKey !== this.META_KEY).length,
+        skipped: skipped.map(scope => this.describeScope(scope)),
+        tooLarge,
+        ...(await this.getUsage())
+      });
+    } catch (error) {
+      console.error('[VocabSync] Sync failed:', error);
+      const quota = /QUOTA_BYTES|MAX_ITEMS/.test(error.message);
+      const rate = /MAX_WRITE_OPERATIONS/.test(error.message);
+      return this._setStatus({
+        state: quota ? 'quota' : rate ? 'rate' : 'error',
+        at: now,
+        message: quota ? 'Sync storage is full' : rate ? 'Too many sync writes, retrying later' : error.message,
+        ...(await this.getUsage())
+      });
+    }
+  },
+
+  // Label of a scope for the popup, e.g. 'en → zh-CN'
+  describeScope(scope) {
+    return scope.slice(this.WORDS_SCOPE_PREFIX.length).replace('_', ' → ');
+  },
+
+  // Sync storage in use by everything ({ bytesInUse, quotaBytes, items, maxItems })
+  async getUsage() {
+    const items = await chrome.storage.sync.get(null);
+    const bytesInUse = typeof chrome.storage.sync.getBytesInUse === 'function'
+      ? await chrome.storage.sync.getBytesInUse(null)
+      : Object.entries(items).reduce((total, [key, value]) => total + this._bytes(key) + this._bytes(JSON.stringify(value)), 0);
+
+    return {
+      bytesInUse,
+      quotaBytes: this.QUOTA_BYTES,
+      items: Object.keys(items).length,
+      maxItems: this.MAX_ITEMS
+    };
+  },
+
+  async _setStatus(status) {
+    await chrome.storage.local.set({ [this.STATUS_KEY]: status });
+    return status;
+  },
+
+  async getStatus() {
+    const { [this.STATUS_KEY]: status } = await chrome.storage.local.get([this.STATUS_KEY]);
+    return status || null;
+  },
+
+  // Sync shortly after a local change (one alarm, so a burst of edits syncs once)
+  scheduleSoon() {
+    chrome.alarms.create(this.SOON_ALARM_NAME, { delayInMinutes: this.DEBOUNCE_MINUTES });
+  },
+
+  // True for chrome.storage changes this layer should react to
+  isLocalChange(changes) {
+    return Boolean(changes[StorageManager.REVISION_KEY]);
+  },
+
+  isRemoteChange(changes) {
+    return Object.keys(changes).some(key => key.startsWith(this.PREFIX));
+  }
+};
+
+// Make available globally
+if (typeof window !== 'undefined') {
+  window.VocabSync = VocabSync;
+}
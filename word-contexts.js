@@ -0,0 +1,65 @@
+// Contexts a word was saved in
+// Each context is { sentence, title, url, savedAt }, newest first. Captured by the
+// content script when a word is saved from the context menu, shown in the popup
+// word list and page tooltips, and used as example / source in Anki exports.
+
+const WordContexts = {
+  MAX_PER_WORD: 5,
+  MAX_SENTENCE_LENGTH: 300,
+
+  // Clean up a captured context (collapses whitespace, shortens long sentences)
+  create({ sentence = null, title = null, url = null, savedAt = Date.now() } = {}) {
+    const clean = text => (typeof text === 'string' && text.replace(/\s+/g, ' ').trim()) || null;
+
+    let cleanSentence = clean(sentence);
+    if (cleanSentence && cleanSentence.length > this.MAX_SENTENCE_LENGTH) {
+      cleanSentence = `${cleanSentence.slice(0, this.MAX_SENTENCE_LENGTH - 1)}…`;
+    }
+
+    return {
+      sentence: cleanSentence,
+      title: clean(title),
+      url: clean(url),
+      savedAt: Number.isFinite(savedAt) ? savedAt : Date.now()
+    };
+  },
+
+  // Contexts of an entry, newest first
+  get(entry) {
+    return entry && Array.isArray(entry.contexts) ? entry.contexts : [];
+  },
+
+  latest(entry) {
+    return this.get(entry)[0] || null;
+  },
+
+  _isSame(a, b) {
+    return a.sentence === b.sentence && a.url === b.url;
+  },
+
+  // Add a context to an entry. Saving the same sentence on the same page again
+  // moves it to the front instead of keeping a copy. Returns true if added.
+  add(entry, context) {
+    if (!context || (!context.sentence && !context.url)) return false;
+
+    const others = this.get(entry).filter(existing => !this._isSame(existing, context));
+    entry.contexts = [context, ...others].slice(0, this.MAX_PER_WORD);
+    return true;
+  },
+
+  // Contexts of two entries combined, newest first
+  merge(a, b) {
+    const merged = [];
+    [...this.get(a), ...this.get(b)]
+      .sort((x, y) => (y.savedAt || 0) - (x.savedAt || 0))
+      .forEach(context => {
+        if (!merged.some(existing => this._isSame(existing, context))) merged.push(context);
+      });
+    return merged.slice(0, this.MAX_PER_WORD);
+  }
+};
+
+// Make available globally
+if (typeof window !== 'undefined') {
+  window.WordContexts = WordContexts;
+}
@@ -0,0 +1,298 @@
+// Chinese level word lists (HSK 2.0, HSK 3.0, TOCFL)
+// Lists live in wordlists/*.json as { id, name, source, levels: { level: [[word, pinyin, gloss]] } }.
+// Lists without a bundled file are imported from a CSV/TSV of the official list
+// and kept in chrome.storage.local in the same format.
+// A whole level can be marked as known (stored as a reference, not as words, so it
+// stays small enough for chrome.storage.sync) or added to the vocabulary with glosses.
+// Loaded from the popup and the background worker; content scripts ask the background.
+
+const WordLists = {
+  // Known lists. To bundle one, drop its JSON file into wordlists/ and list it here.
+  // `levels` lists the level names an imported file may use, in order (not plain
+  // numbers when mixed with names - objects put integer keys first).
+  LISTS: [
+    { id: 'hsk', name: 'HSK 2.0', file: 'wordlists/hsk.json', tagPrefix: 'HSK' },
+    {
+      id: 'hsk3', name: 'HSK 3.0', file: 'wordlists/hsk3.json', tagPrefix: 'HSK 3.0 Band',
+      levels: ['1', '2', '3', '4', '5', '6', '7-9']
+    },
+    {
+      id: 'tocfl', name: 'TOCFL', file: 'wordlists/tocfl.json', tagPrefix: 'TOCFL',
+      levels: ['Novice 1', 'Novice 2', 'Level 1', 'Level 2', 'Level 3', 'Level 4', 'Level 5']
+    }
+  ],
+
+  // chrome.storage.local key prefix of imported lists ('wordList:hsk3')
+  IMPORTED_KEY_PREFIX: 'wordList:',
+
+  // Levels marked as known, as 'listId:level' references (chrome.storage.sync)
+  KNOWN_LEVELS_KEY: 'chineseKnownLevels',
+
+  // Glosses kept as senses when a level is added to the vocabulary
+  MAX_GLOSSES: 3,
+
+  _loaded: {},
+
+  getList(listId) {
+    const list = this.LISTS.find(candidate => candidate.id === listId);
+    if (!list) {
+      throw new Error(`Unknown word list: ${listId}`);
+    }
+    return list;
+  },
+
+  // Parsed list: the bundled file, else the imported copy (cached)
+  load(listId) {
+    if (!this._loaded[listId]) {
+      const list = this.getList(listId);
+      this._loaded[listId] = this._fetchBundled(list)
+        .then(data => data || this._getImported(list))
+        .catch(error => {
+          delete this._loaded[listId];
+          throw error;
+        });
+    }
+    return this._loaded[listId];
+  },
+
+  // Bundled list file, or null if the extension doesn't ship one
+  async _fetchBundled(list) {
+    try {
+      const response = await fetch(chrome.runtime.getURL(list.file));
+      return response.ok ? await response.json() : null;
+    } catch (error) {
+      return null;
+    }
+  },
+
+  async _getImported(list) {
+    const key = this.IMPORTED_KEY_PREFIX + list.id;
+    const result = await chrome.storage.local.get([key]);
+    if (!result[key]) {
+      throw new Error(`${list.name} is not bundled - import it from a CSV file of the official list`);
+    }
+    return result[key];
+  },
+
+  // Whether a list can be loaded (bundled or imported)
+  async isAvailable(listId) {
+    try {
+      await this.load(listId);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  },
+
+  // Drop the cached copy so the next load() sees a new import
+  forget(listId) {
+    delete this._loaded[listId];
+  },
+
+  // Level names of a list, in order
+  async getLevels(listId) {
+    const data = await this.load(listId);
+    return Object.keys(data.levels);
+  },
+
+  // Words of one level: [{ word, pinyin, gloss }]
+  async getLevelWords(listId, level) {
+    const data = await this.load(listId);
+    const rows = data.levels[level];
+    if (!rows) {
+      throw new Error(`Unknown level ${level} in ${this.getList(listId).name}`);
+    }
+    return rows.map(([word, pinyin, gloss]) => ({ word, pinyin, gloss }));
+  },
+
+  // Tag saved on words from a level, e.g. 'HSK 3'
+  levelTag(listId, level) {
+    return `${this.getList(listId).tagPrefix} ${level}`;
+  },
+
+  // Level tag for every word in the available lists ({ word: tag }); a word
+  // listed at several levels gets the lowest one
+  async getLevelIndex() {
+    const index = {};
+    for (const list of this.LISTS) {
+      if (!(await this.isAvailable(list.id))) continue;
+      const data = await this.load(list.id);
+      Object.entries(data.levels).forEach(([level, rows]) => {
+        const tag = this.levelTag(list.id, level);
+        rows.forEach(([word]) => {
+          if (!index[word]) index[word] = tag;
+        });
+      });
+    }
+    return index;
+  },
+
+  // ============================================
+  // Known levels
+  // ============================================
+
+  async getKnownLevels() {
+    const result = await chrome.storage.sync.get([this.KNOWN_LEVELS_KEY]);
+    return result[this.KNOWN_LEVELS_KEY] || [];
+  },
+
+  async setLevelKnown(listId, level, known) {
+    const ref = `${listId}:${level}`;
+    const levels = (await this.getKnownLevels()).filter(existing => existing !== ref);
+    if (known) levels.push(ref);
+    await chrome.storage.sync.set({ [this.KNOWN_LEVELS_KEY]: levels });
+  },
+
+  // Chinese words to highlight as known ({ word: level tag or null }): the
+  // target forms of the Chinese vocabulary plus every word of the known levels
+  async getKnownChineseWords() {
+    const result = await chrome.storage.sync.get([this.KNOWN_LEVELS_KEY]);
+    const chineseKnownWords = await StorageManager.getChineseKnownWords();
+    const index = await this.getLevelIndex();
+    const words = {};
+
+    for (const ref of result[this.KNOWN_LEVELS_KEY] || []) {
+      const [listId, level] = ref.split(':');
+      try {
+        (await this.getLevelWords(listId, level)).forEach(({ word }) => {
+          words[word] = index[word];
+        });
+      } catch (error) {
+        console.warn(`[WordLists] Skipping known level ${ref}:`, error.message);
+      }
+    }
+
+    chineseKnownWords.forEach(word => {
+      words[word] = index[word] || null;
+    });
+
+    return words;
+  },
+
+  // Known / total words per level of a list. knownWords is a Set of Chinese words
+  // the user knows (highlight list, known levels and saved vocabulary).
+  async getCoverage(listId, knownWords) {
+    const data = await this.load(listId);
+    return Object.entries(data.levels).map(([level, rows]) => ({
+      level,
+      tag: this.levelTag(listId, level),
+      total: rows.length,
+      known: rows.filter(([word]) => knownWords.has(word)).length
+    }));
+  },
+
+  // ============================================
+  // Importing
+  // ============================================
+
+  // The list's level name for a cell. 'Band', 'Level' and 'HSK' prefixes and
+  // spaces don't matter: 'Band 3' matches '3', '1' matches 'Level 1', '7 - 9' matches '7-9'.
+  _matchLevel(list, value) {
+    const key = name => String(name).toLowerCase()
+      .replace(/^\s*(hsk\s*(3\.0)?|tocfl|band|level)/, '')
+      .replace(/\s+/g, '')
+      .replace(/[–~]/g, '-');
+    return list.levels.find(level => key(level) === key(value)) || null;
+  },
+
+  // Store a list from parsed CSV rows: [word, level, pinyin?, gloss?], an optional
+  // header row is skipped. Missing pinyin and glosses are filled in from CC-CEDICT
+  // (background worker only). Returns { words, skipped, levels: { level: count } }.
+  async importList(listId, rows) {
+    const list = this.getList(listId);
+    if (!list.levels) {
+      throw new Error(`${list.name} is bundled with the extension`);
+    }
+
+    const levels = Object.fromEntries(list.levels.map(level => [level, []]));
+    const seen = new Set();
+    let skipped = 0;
+
+    for (const [rawWord = '', rawLevel = '', rawPinyin = '', rawGloss = ''] of rows) {
+      const word = rawWord.trim();
+      const level = this._matchLevel(list, rawLevel);
+      if (!/[\u3400-\u9fff]/.test(word) || !level) {
+        skipped++;
+        continue;
+      }
+      if (seen.has(word)) continue;
+      seen.add(word);
+
+      let pinyin = rawPinyin.trim();
+      let gloss = rawGloss.trim();
+      if ((!pinyin || !gloss) && typeof Cedict !== 'undefined') {
+        const [entry] = await Cedict.lookup(word);
+        if (entry) {
+          pinyin = pinyin || entry.pinyin;
+          gloss = gloss || entry.senses.join('; ');
+        }
+      }
+      levels[level].push([word, pinyin, gloss]);
+    }
+
+    const words = seen.size;
+    if (words === 0) {
+      throw new Error(`No ${list.name} words found - expected columns: word, level, pinyin, gloss`);
+    }
+
+    // Levels the file didn't have are left out
+    Object.keys(levels).forEach(level => {
+      if (levels[level].length === 0) delete levels[level];
+    });
+
+    const data = { id: list.id, name: list.name, source: 'Imported by the user', importedAt: Date.now(), levels };
+    await chrome.storage.local.set({ [this.IMPORTED_KEY_PREFIX + list.id]: data });
+    this.forget(listId);
+
+    return {
+      words,
+      skipped,
+      levels: Object.fromEntries(Object.entries(levels).map(([level, levelRows]) => [level, levelRows.length]))
+    };
+  },
+
+  // ============================================
+  // Vocabulary entries
+  // ============================================
+
+  // Up to MAX_GLOSSES English glosses, without "(idiom)"-style notes
+  _glosses(gloss) {
+    return gloss.split(';')
+      .map(part => part.replace(/\([^)]*\)/g, '').replace(/\s+/g, ' ').trim())
+      .filter(Boolean)
+      .slice(0, this.MAX_GLOSSES);
+  },
+
+  // Words of a level as vocabulary entries for a language pair:
+  // Chinese -> English saves the Chinese word with its glosses as senses,
+  // English -> Chinese saves each word under its first gloss ("to love" becomes "love").
+  // Returns [{ original, senses: [{ translation, pinyin, partOfSpeech }] }].
+  toVocabulary(words, sourceLanguage, targetLanguage) {
+    if (sourceLanguage.startsWith('zh')) {
+      return words.map(({ word, pinyin, gloss }) => ({
+        original: word,
+        senses: this._glosses(gloss).map(translation => ({ translation, pinyin }))
+      }));
+    }
+
+    if (targetLanguage.startsWith('zh')) {
+      return words
+        .map(({ word, pinyin, gloss }) => {
+          const first = this._glosses(gloss)[0] || '';
+          const isVerb = /^to\s/i.test(first);
+          return {
+            original: isVerb ? first.replace(/^to\s+/i, '') : first,
+            senses: [{ translation: word, pinyin, partOfSpeech: isVerb ? 'verb' : null }]
+          };
+        })
+        .filter(entry => entry.original);
+    }
+
+    throw new Error('Switch to a Chinese language pair to add word lists');
+  }
+};
+
+// Make available globally
+if (typeof window !== 'undefined') {
+  window.WordLists = WordLists;
+}
@@ -6,6 +6,7 @@
 
   // State
   let knownWords = {};
+  let wordForms = {}; // inflected form -> saved word key (see lemmatizer.js)
   let settings = {};
   let observer = null;
   let isActive = false;
@@ -65,16 +66,12 @@
     return urlParams.get('v');
   }
 
-  // Load settings and known words from storage
+  // Load settings and the active profile's known words from storage
   async function loadData() {
-    return new Promise((resolve) => {
-      chrome.storage.local.get(['settings', 'knownWords'], (data) => {
-        settings = data.settings || {};
-        knownWords = data.knownWords || {};
-        console.log(`Loaded ${Object.keys(knownWords).length} known words for YouTube`);
-        resolve();
-      });
-    });
+    settings = await StorageManager.getSettings();
+    knownWords = await StorageManager.getKnownWords();
+    wordForms = Lemmatizer.buildIndex(knownWords);
+    console.log(`Loaded ${Object.keys(knownWords).length} known words for YouTube`);
   }
 
   // Wait for YouTube video player to load
@@ -262,7 +259,7 @@
 
       // Clean word for matching
       const cleanWord = part.toLowerCase().replace(/[.,!?;:'"()[\]{}]/g, '');
-      const wordData = knownWords[cleanWord];
+      const wordData = knownWords[wordForms[cleanWord] || cleanWord];
 
       if (wordData && wordData.translation) {
         // Create styled span for translation
@@ -522,12 +519,14 @@
   // Listen for storage changes
   chrome.storage.onChanged.addListener(async (changes, areaName) => {
     if (areaName === 'local') {
-      if (changes.knownWords || changes.settings) {
+      const vocabularyChanged = StorageManager.isVocabularyChange(changes);
+
+      if (vocabularyChanged || changes.settings) {
         console.log('Storage changed, reloading data');
         await loadData();
 
         // Clear cache when words change
-        if (changes.knownWords) {
+        if (vocabularyChanged) {
           subtitleCache.clear();
           isPreTranslated = false;
         }
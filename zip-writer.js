@@ -0,0 +1,140 @@
+// Minimal ZIP archive writer
+// Deflates entries with CompressionStream('deflate-raw') where available and
+// falls back to storing them uncompressed.
+
+const ZipWriter = {
+  // Compression methods
+  STORED: 0,
+  DEFLATED: 8,
+
+  // General purpose flag: file names are UTF-8
+  UTF8_FLAG: 0x0800,
+
+  _crcTable: null,
+
+  // CRC-32 (IEEE) of a byte array
+  crc32(data) {
+    if (!this._crcTable) {
+      this._crcTable = new Uint32Array(256);
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+          c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        this._crcTable[n] = c >>> 0;
+      }
+    }
+
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < data.length; i++) {
+      crc = this._crcTable[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+  },
+
+  // Raw DEFLATE bytes, or null if the browser can't compress
+  async deflateRaw(data) {
+    if (typeof CompressionStream === 'undefined') return null;
+
+    try {
+      const stream = new Blob([data]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+      return new Uint8Array(await new Response(stream).arrayBuffer());
+    } catch (error) {
+      console.warn('[ZipWriter] deflate-raw unavailable, storing uncompressed:', error.message);
+      return null;
+    }
+  },
+
+  // MS-DOS time and date fields
+  _dosDateTime(date) {
+    return {
+      time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+      date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+  },
+
+  // Build an archive from [{ name, data: Uint8Array | string }]. Returns a Uint8Array.
+  async build(files, modified = new Date()) {
+    const encoder = new TextEncoder();
+    const { time, date } = this._dosDateTime(modified);
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    for (const file of files) {
+      const name = encoder.encode(file.name);
+      const data = typeof file.data === 'string' ? encoder.encode(file.data) : file.data;
+      const crc = this.crc32(data);
+
+      const deflated = await this.deflateRaw(data);
+      const useDeflate = deflated && deflated.length < data.length;
+      const method = useDeflate ? this.DEFLATED : this.STORED;
+      const body = useDeflate ? deflated : data;
+
+      // Local file header
+      const local = new DataView(new ArrayBuffer(30));
+      local.setUint32(0, 0x04034B50, true);
+      local.setUint16(4, 20, true);                 // version needed to extract
+      local.setUint16(6, this.UTF8_FLAG, true);
+      local.setUint16(8, method, true);
+      local.setUint16(10, time, true);
+      local.setUint16(12, date, true);
+      local.setUint32(14, crc, true);
+      local.setUint32(18, body.length, true);
+      local.setUint32(22, data.length, true);
+      local.setUint16(26, name.length, true);
+      local.setUint16(28, 0, true);                 // extra field length
+
+      // Central directory entry
+      const central = new DataView(new ArrayBuffer(46));
+      central.setUint32(0, 0x02014B50, true);
+      central.setUint16(4, 20, true);               // version made by
+      central.setUint16(6, 20, true);               // version needed to extract
+      central.setUint16(8, this.UTF8_FLAG, true);
+      central.setUint16(10, method, true);
+      central.setUint16(12, time, true);
+      central.setUint16(14, date, true);
+      central.setUint32(16, crc, true);
+      central.setUint32(20, body.length, true);
+      central.setUint32(24, data.length, true);
+      central.setUint16(28, name.length, true);
+      central.setUint16(30, 0, true);               // extra field length
+      central.setUint16(32, 0, true);               // comment length
+      central.setUint16(34, 0, true);               // disk number
+      central.setUint16(36, 0, true);               // internal attributes
+      central.setUint32(38, 0, true);               // external attributes
+      central.setUint32(42, offset, true);          // local header offset
+
+      localParts.push(new Uint8Array(local.buffer), name, body);
+      centralParts.push(new Uint8Array(central.buffer), name);
+      offset += 30 + name.length + body.length;
+    }
+
+    const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+
+    // End of central directory record
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054B50, true);
+    end.setUint16(4, 0, true);
+    end.setUint16(6, 0, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+    end.setUint16(20, 0, true);
+
+    const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+    const archive = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let position = 0;
+    parts.forEach(part => {
+      archive.set(part, position);
+      position += part.length;
+    });
+    return archive;
+  }
+};
+
+// Make available globally
+if (typeof window !== 'undefined') {
+  window.ZipWriter = ZipWriter;
+}